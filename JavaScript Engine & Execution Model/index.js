@@ -51,9 +51,11 @@
 
 // If your JS code is:
 
-console.log("A");
-setTimeout(() => console.log("B"), 0);
-console.log("C");
+if (require.main === module) {
+  console.log("A");
+  setTimeout(() => console.log("B"), 0);
+  console.log("C");
+}
 
 
 // Order is: A → C → B
@@ -127,13 +129,15 @@ console.log("C");
 
 // This is why:
 
-console.log("A");
+if (require.main === module) {
+  console.log("A");
 
-setTimeout(() => console.log("B"), 0);
+  setTimeout(() => console.log("B"), 0);
 
-Promise.resolve().then(() => console.log("C"));
+  Promise.resolve().then(() => console.log("C"));
 
-console.log("D");
+  console.log("D");
+}
 
 // Output:
 
@@ -170,7 +174,7 @@ console.log("D");
 function loop() {
   Promise.resolve().then(loop);
 }
-loop();
+// loop(); — not called here: nothing after it in this file would ever run
 
 // 👉 JS starves the Task Queue
 // 👉 Browser may freeze
@@ -228,13 +232,15 @@ loop();
 // 🚀 PART 4 — Interview Trick Snippets (Must Memorize)
 // 🔥 SNIPPET 1 — Classic Microtask vs Task Trap
 
-console.log(1);
+if (require.main === module) {
+  console.log(1);
 
-setTimeout(() => console.log(2), 0);
+  setTimeout(() => console.log(2), 0);
 
-Promise.resolve().then(() => console.log(3));
+  Promise.resolve().then(() => console.log(3));
 
-console.log(4);
+  console.log(4);
+}
 
 // Output:
 
@@ -244,11 +250,13 @@ console.log(4);
 // 2
 
 // 🔥 SNIPPET 2 — Nested Promises
-Promise.resolve().then(() => {
-  console.log("A");
-  Promise.resolve().then(() => console.log("B"));
-});
-console.log("C");
+if (require.main === module) {
+  Promise.resolve().then(() => {
+    console.log("A");
+    Promise.resolve().then(() => console.log("B"));
+  });
+  console.log("C");
+}
 
 // Output:
 // C
@@ -263,9 +271,11 @@ async function test() {
   console.log("2");
 }
 
-console.log("3");
-test();
-console.log("4");
+if (require.main === module) {
+  console.log("3");
+  test();
+  console.log("4");
+}
 
 // Output:
 
@@ -275,11 +285,13 @@ console.log("4");
 // 2
 
 // 🔥 SNIPPET 4 — setTimeout inside Promise
-Promise.resolve().then(() => {
-  console.log("A");
-  setTimeout(() => console.log("B"), 0);
-});
-console.log("C");
+if (require.main === module) {
+  Promise.resolve().then(() => {
+    console.log("A");
+    setTimeout(() => console.log("B"), 0);
+  });
+  console.log("C");
+}
 
 
 // Output:
@@ -289,12 +301,14 @@ console.log("C");
 // B
 
 // 🔥 SNIPPET 5 — Event Loop Hell
-setTimeout(() => console.log("MACRO"), 0);
+if (require.main === module) {
+  setTimeout(() => console.log("MACRO"), 0);
 
-Promise.resolve().then(() => {
-  console.log("MICRO");
-  Promise.resolve().then(() => console.log("MICRO2"));
-});
+  Promise.resolve().then(() => {
+    console.log("MICRO");
+    Promise.resolve().then(() => console.log("MICRO2"));
+  });
+}
 
 
 // Output:
@@ -305,23 +319,27 @@ Promise.resolve().then(() => {
 
 // 4️⃣ Callback Hell vs Event Loop
 
-setTimeout(() => {
-  console.log("outer");
-}, 0);
+if (require.main === module) {
+  setTimeout(() => {
+    console.log("outer");
+  }, 0);
 
-Promise.resolve().then(() => {
-  setTimeout(() => console.log("inner"), 0);
-});
+  Promise.resolve().then(() => {
+    setTimeout(() => console.log("inner"), 0);
+  });
+}
 
-// 7️⃣ Web API callback execution
-document.body.addEventListener("click", () => console.log("click"));
-Promise.resolve().then(() => console.log("promise"));
-console.log("script");
+// 7️⃣ Web API callback execution (browser only)
+if (require.main === module && typeof document !== 'undefined') {
+  document.body.addEventListener("click", () => console.log("click"));
+  Promise.resolve().then(() => console.log("promise"));
+  console.log("script");
 
-// 9️⃣ MutationObserver Microtask
-const obs = new MutationObserver(() => console.log("mutation"));
-document.body.innerHTML = "hi";
-console.log("end");
+  // 9️⃣ MutationObserver Microtask
+  const obs = new MutationObserver(() => console.log("mutation"));
+  document.body.innerHTML = "hi";
+  console.log("end");
+}
 
 // 🔧 Quick recap: JS engine & runtime pieces
 
@@ -366,13 +384,15 @@ console.log("end");
 
 // Minimal example(and explanation of order):
 
-console.log('start');
+if (require.main === module) {
+  console.log('start');
 
-setTimeout(() => console.log('timeout'), 0);
+  setTimeout(() => console.log('timeout'), 0);
 
-Promise.resolve().then(() => console.log('promise'));
+  Promise.resolve().then(() => console.log('promise'));
 
-console.log('end');
+  console.log('end');
+}
 
 
 // Output:
@@ -392,13 +412,15 @@ console.log('end');
 
 // Example:
 
-console.log('A');
+if (require.main === module) {
+  console.log('A');
 
-setTimeout(() => console.log('B'), 0);
+  setTimeout(() => console.log('B'), 0);
 
-Promise.resolve().then(() => console.log('C'));
+  Promise.resolve().then(() => console.log('C'));
 
-console.log('D');
+  console.log('D');
+}
 
 
 // Output:
@@ -446,7 +468,13 @@ console.log('D');
 //     Example:
 
 function recurse() { recurse(); }
-recurse(); // causes call stack overflow
+if (require.main === module) {
+  try {
+    recurse(); // causes call stack overflow
+  } catch (e) {
+    console.log(e.message); // Maximum call stack size exceeded
+  }
+}
 
 
 // How to answer in interview: define it, show small example, say remedies: convert recursion to iteration, use tail recursion(where supported), or use chunked / asynchronous processing.
@@ -463,7 +491,9 @@ function delay(ms) {
 }
 
 // usage
-delay(500).then(() => console.log('500ms passed'));
+if (require.main === module) {
+  delay(500).then(() => console.log('500ms passed'));
+}
 
 
 // Interview script: show code and explain it creates a Promise that resolves after a timer(macrotask).
@@ -479,7 +509,9 @@ async function example() {
   await sleep(1000);
   console.log('after 1s');
 }
-example();
+if (require.main === module) {
+  example();
+}
 
 
 // Note: await yields control; it doesn’t block JS thread.
@@ -501,9 +533,11 @@ function spamMicrotask() {
   });
 }
 
-setTimeout(() => console.log('macrotask ran'), 0);
+if (require.main === module) {
+  setTimeout(() => console.log('macrotask ran'), 0);
 
-spamMicrotask();
+  spamMicrotask();
+}
 
 
 // Here the setTimeout callback may be delayed because microtasks keep getting queued — effectively starving macrotasks and rendering.
@@ -514,17 +548,19 @@ spamMicrotask();
 
 // Code:
 
-console.log('1');
+if (require.main === module) {
+  console.log('1');
 
-setTimeout(() => console.log('2'), 0);
+  setTimeout(() => console.log('2'), 0);
 
-(async function () {
-  console.log('3');
-  await Promise.resolve();
-  console.log('4');
-})();
+  (async function () {
+    console.log('3');
+    await Promise.resolve();
+    console.log('4');
+  })();
 
-console.log('5');
+  console.log('5');
+}
 
 
 // Output reasoning:
@@ -576,20 +612,94 @@ console.log('5');
 
 //   Implementation:
 
-  class Scheduler {
+  // Min-heap of timers ordered by due time, then by creation order (FIFO for equal times).
+  class TimerHeap {
     constructor() {
+      this.items = [];
+    }
+
+    get size() { return this.items.length; }
+
+    peek() { return this.items[0]; }
+
+    push(timer) {
+      const a = this.items;
+      a.push(timer);
+      let i = a.length - 1;
+      while (i > 0) {
+        const p = (i - 1) >> 1;
+        if (!TimerHeap.before(a[i], a[p])) break;
+        [a[i], a[p]] = [a[p], a[i]];
+        i = p;
+      }
+    }
+
+    pop() {
+      const a = this.items;
+      const top = a[0];
+      const last = a.pop();
+      if (a.length) {
+        a[0] = last;
+        let i = 0;
+        for (;;) {
+          const l = 2 * i + 1, r = l + 1;
+          let m = i;
+          if (l < a.length && TimerHeap.before(a[l], a[m])) m = l;
+          if (r < a.length && TimerHeap.before(a[r], a[m])) m = r;
+          if (m === i) break;
+          [a[i], a[m]] = [a[m], a[i]];
+          i = m;
+        }
+      }
+      return top;
+    }
+
+    static before(x, y) {
+      return x.time < y.time || (x.time === y.time && x.seq < y.seq);
+    }
+  }
+
+  class Scheduler {
+    // { virtual: true } → own clock, timer heap and queues; nothing touches the real host.
+    // { trace: true | TraceRecorder } records every callback (see TraceRecorder below Q14).
+    // { onError(error) } gets what a callback throws; without it the error is rethrown (_uncaught).
+    constructor({ virtual = false, loopLimit = 10000, trace = null, onError = null } = {}) {
       this.microQ = [];
       this.taskQ = [];
       this.running = false;
+      this.trace = trace === true ? new TraceRecorder() : trace;
+      this.onError = onError;
+
+      this.virtual = virtual;
+      if (virtual) {
+        this.clock = 0;
+        this.seq = 0;
+        this.timers = new TimerHeap();
+        this.activeTimers = new Map(); // id -> timer (cleared timers are removed lazily from the heap)
+        this.immediateQ = [];
+        this.loopLimit = loopLimit; // guards runAll() against setInterval / self-rescheduling timers and immediates
+        this.executed = []; // { id, type, time, error? } in the exact order callbacks ran
+        this.output = [];   // values passed to log()
+      }
+      if (this.trace) {
+        const origin = virtual ? 0 : performance.now();
+        this.trace.now = virtual ? () => this.clock : () => performance.now() - origin;
+      }
+    }
+
+    _traced(queue, fn, label) {
+      return this.trace ? this.trace.wrap(queue, fn, label) : fn;
     }
 
     scheduleMicro(fn) {
-      this.microQ.push(fn);
+      if (this.virtual) return this.queueMicrotask(fn);
+      this.microQ.push(this._traced('microtask', fn));
       this._ensureFlush();
     }
 
     scheduleTask(fn) {
-      this.taskQ.push(fn);
+      if (this.virtual) return this.setTimeout(fn, 0);
+      this.taskQ.push(this._traced('task', fn));
       this._ensureFlush();
     }
 
@@ -601,10 +711,19 @@ console.log('5');
       }
     }
 
+    // An exception no callback caught goes where the host would send it: to onError, or else
+    // rethrown — out of runAll() / advanceBy() on the virtual clock, and from a microtask of its
+    // own on the real one, so the callbacks queued behind it still run.
+    _uncaught(error) {
+      if (this.onError) return this.onError(error);
+      if (this.virtual) throw error;
+      queueMicrotask(() => { throw error; });
+    }
+
     _flushMicro() {
       while (this.microQ.length) {
         const fn = this.microQ.shift();
-        try { fn(); } catch (e) { console.error(e); }
+        try { fn(); } catch (e) { this._uncaught(e); }
       }
       // After microtasks drained, schedule macrotask to handle tasks
       if (this.taskQ.length) {
@@ -617,20 +736,188 @@ console.log('5');
     _flushTask() {
       const q = this.taskQ.splice(0);
       for (const fn of q) {
-        try { fn(); } catch (e) { console.error(e); }
+        try { fn(); } catch (e) { this._uncaught(e); }
       }
       this.running = false;
     }
+
+    // ---- Virtual-time API (fake timers) ----
+
+    now() { return this.clock; }
+
+    // Stand-in for console.log inside callbacks so the order can be asserted.
+    log(value) { this.output.push(value); }
+
+    queueMicrotask(fn) {
+      this.microQ.push({ id: ++this.seq, type: 'microtask', fn: this._traced('microtask', fn) });
+    }
+
+    setTimeout(fn, delay = 0, ...args) {
+      return this._addTimer('timeout', fn, delay, args, null);
+    }
+
+    setInterval(fn, delay = 0, ...args) {
+      // Like Node, an interval is clamped to at least 1ms so it can't spin at a fixed time.
+      return this._addTimer('interval', fn, delay, args, Math.max(1, Number(delay) || 0));
+    }
+
+    setImmediate(fn, ...args) {
+      const id = ++this.seq;
+      this.immediateQ.push({ id, type: 'immediate', fn: this._traced('immediate', () => fn(...args), fn.name) });
+      return id;
+    }
+
+    clearTimeout(id) { this.activeTimers.delete(id); }
+
+    clearInterval(id) { this.activeTimers.delete(id); }
+
+    clearImmediate(id) {
+      this.immediateQ = this.immediateQ.filter(job => job.id !== id);
+    }
+
+    _addTimer(type, fn, delay, args, interval) {
+      const id = ++this.seq;
+      const timer = { id, seq: id, type, fn: this._traced(type, () => fn(...args), fn.name), time: this.clock + Math.max(0, Number(delay) || 0), interval };
+      this.activeTimers.set(id, timer);
+      this.timers.push(timer);
+      return id;
+    }
+
+    _isLive(timer) {
+      return this.activeTimers.get(timer.id) === timer;
+    }
+
+    _nextTimer() {
+      // Heap entries go stale when cleared or already run; drop them lazily.
+      while (this.timers.size && !this._isLive(this.timers.peek())) this.timers.pop();
+      return this.timers.peek();
+    }
+
+    _invoke(job) {
+      const entry = { id: job.id, type: job.type, time: this.clock };
+      this.executed.push(entry);
+      try { job.fn(); } catch (e) { entry.error = e; this._uncaught(e); }
+    }
+
+    runMicrotasks() {
+      while (this.microQ.length) this._invoke(this.microQ.shift());
+    }
+
+    // One timer callback (a macrotask), then drain microtasks.
+    _runTimer(timer) {
+      this.clock = Math.max(this.clock, timer.time);
+      if (timer.interval === null) {
+        this.activeTimers.delete(timer.id);
+      } else {
+        // Re-arm before running so clearInterval() inside the callback wins.
+        const next = { ...timer, seq: ++this.seq, time: this.clock + timer.interval };
+        this.activeTimers.set(timer.id, next);
+        this.timers.push(next);
+        if (this.trace) this.trace.record('enqueue', 'interval', timer.fn.traceId, timer.fn.traceLabel);
+      }
+      this._invoke(timer);
+      this.runMicrotasks();
+    }
+
+    // Immediates run once the current macrotask is done, before the clock moves on.
+    // Only the ones queued so far run; those they schedule wait for the next turn.
+    _runImmediates(filter = () => true) {
+      const batch = this.immediateQ.filter(filter);
+      this.immediateQ = this.immediateQ.filter(job => !batch.includes(job));
+      for (const job of batch) {
+        this._invoke(job);
+        this.runMicrotasks();
+      }
+      return batch.length;
+    }
+
+    _guard(count) {
+      if (count > this.loopLimit) {
+        throw new Error(`Aborting after running ${this.loopLimit} macrotasks (infinite setInterval/setTimeout/setImmediate loop?)`);
+      }
+    }
+
+    // Move the clock forward by ms, running every timer that falls due (in due-time order).
+    advanceBy(ms) {
+      const target = this.clock + Math.max(0, Number(ms) || 0);
+      let count = 0;
+      this.runMicrotasks();
+      for (;;) {
+        count += this._runImmediates();
+        const t = this._nextTimer();
+        if (!t || t.time > target) break;
+        this._runTimer(t);
+        this._guard(++count);
+      }
+      this.clock = target;
+    }
+
+    // Keep going until every queue is empty, jumping the clock from timer to timer.
+    runAll() {
+      let count = 0;
+      this.runMicrotasks();
+      for (;;) {
+        count += this._runImmediates();
+        this._guard(count);
+        const t = this._nextTimer();
+        if (!t) {
+          if (this.immediateQ.length) continue;
+          break;
+        }
+        this._runTimer(t);
+        this._guard(++count);
+      }
+    }
+
+    // Run only what is pending right now; anything scheduled meanwhile is left for later.
+    runOnlyPending() {
+      const immediates = new Set(this.immediateQ);
+      const timers = [...this.activeTimers.values()].sort((x, y) => (TimerHeap.before(x, y) ? -1 : 1));
+      this.runMicrotasks();
+      this._runImmediates(job => immediates.has(job));
+      for (const t of timers) {
+        if (this._isLive(t)) this._runTimer(t);
+      }
+    }
   }
 
+
 // Usage
-const s = new Scheduler();
-s.scheduleTask(() => console.log('task'));
-s.scheduleMicro(() => console.log('micro'));
+if (require.main === module) {
+  const s = new Scheduler();
+  s.scheduleTask(() => console.log('task'));
+  s.scheduleMicro(() => console.log('micro'));
+}
 
 
 // Output: micro then task.
 
+// Virtual-time mode: same ordering rules, but driven by our own clock so it can be asserted.
+
+if (require.main === module) {
+  const vs = new Scheduler({ virtual: true });
+  vs.log('A');
+  vs.setTimeout(() => vs.log('B'), 0);
+  vs.queueMicrotask(() => vs.log('C'));
+  vs.setImmediate(() => vs.log('E'));
+  const tick = vs.setInterval(() => {
+    vs.log('tick@' + vs.now());
+    if (vs.now() >= 30) vs.clearInterval(tick);
+  }, 10);
+  vs.log('D');
+
+  vs.advanceBy(10);
+  console.log(vs.output); // ['A', 'D', 'C', 'E', 'B', 'tick@10']
+  vs.runAll();
+  console.log(vs.output.slice(-2), vs.now()); // ['tick@20', 'tick@30'] 30
+  console.assert(vs.output.join() === 'A,D,C,E,B,tick@10,tick@20,tick@30');
+}
+
+// runOnlyPending() runs what was queued at call time; a timer scheduled from inside waits:
+// vs.setTimeout(() => vs.setTimeout(() => vs.log('later'), 0), 5);
+// vs.runOnlyPending(); // 'later' not logged yet
+// vs.executed → [{ id, type: 'timeout' | 'interval' | 'immediate' | 'microtask', time }, ...]
+
 // Interview script: explain how Promise - based microtasks run before macrotasks and how the scheduler follows that.
 
 // 12) Explain how React uses microtasks for state batching
@@ -649,36 +936,475 @@ s.scheduleMicro(() => console.log('micro'));
 
 //   Implementation(bounded concurrency):
 
-class AsyncQueue {
-  constructor(concurrency = 1) {
-    this.concurrency = concurrency;
+class AsyncQueue extends EventTarget {
+  // timeout: default per-task timeout in ms (push() can override it).
+  // maxSize: how many tasks may WAIT (running ones don't count, and a task that can start right
+  // away needs no room, so maxSize 0 means "only when a slot is free"); overflow decides what
+  // happens past it:
+  //   'block'       — the task is parked until there is room, and enqueue() resolves only then
+  //   'drop-newest' — the incoming task is dropped: push() rejects with an AbortError
+  //   'drop-oldest' — the longest-waiting task is dropped to make room (its push() rejects)
+  //   'reject'      — push() rejects with a QueueFullError
+  // highWaterMark / lowWaterMark: 'highwater' fires when the waiting count reaches the high mark,
+  // 'lowwater' when it falls back to the low mark — a cue for producers to slow down / speed up.
+  // rateLimit: { limit, interval, strategy: 'fixed' | 'sliding' | 'token-bucket' } or a limiter
+  // with acquire() — caps task STARTS per window, on top of the concurrency cap.
+  constructor(concurrency = 1, {
+    timeout = Infinity,
+    rateLimit = null,
+    maxSize = Infinity,
+    overflow = 'block',
+    highWaterMark = maxSize,
+    lowWaterMark = Math.floor(highWaterMark / 2),
+  } = {}) {
+    super();
+    if (!AsyncQueue.OVERFLOW.includes(overflow)) {
+      throw new TypeError(`overflow must be one of ${AsyncQueue.OVERFLOW.join(', ')}, got ${overflow}`);
+    }
+    this._concurrency = AsyncQueue._checkConcurrency(concurrency);
+    this.timeout = timeout;
+    this.rateLimiter = rateLimit && createRateLimiter(rateLimit);
+    this._permit = null;   // null, 'pending' while the limiter is asked, 'granted' once it says yes
+    this.maxSize = maxSize;
+    this.overflow = overflow;
+    this.highWaterMark = highWaterMark;
+    this.lowWaterMark = lowWaterMark;
     this.running = 0;
-    this.queue = [];
+    this.queue = [];       // waiting entries, highest priority first (FIFO within a priority)
+    this.blocked = [];     // entries parked by the 'block' policy, in arrival order
+    this.paused = false;
+    this.aboveHighWater = false;
+    this._seq = 0;
+    this._waiters = [];    // { check, resolve } for onEmpty() / onIdle() / room for the iterator
+  }
+
+  static OVERFLOW = ['block', 'drop-newest', 'drop-oldest', 'reject'];
+
+  static _checkConcurrency(n) {
+    if (!(n >= 1)) throw new TypeError(`concurrency must be a number >= 1, got ${n}`);
+    return n;
+  }
+
+  get concurrency() { return this._concurrency; }
+
+  // Raising it starts waiting tasks right away; lowering it lets running ones finish.
+  set concurrency(n) {
+    this._concurrency = AsyncQueue._checkConcurrency(n);
+    this._next();
+  }
+
+  get size() { return this.queue.length; }
+
+  // Running slots nothing is using yet
+  get _freeSlots() { return this.paused ? 0 : Math.max(0, this._concurrency - this.running); }
+
+  get isFull() { return this.queue.length >= Math.max(this.maxSize, this._freeSlots); }
+
+  // task is a function returning a Promise; it receives { signal } so it can stop early.
+  // Resolves/rejects with the task's own result, or rejects if it never gets in (the overflow
+  // policy, or its signal).
+  push(task, options = {}) {
+    return this.enqueue(task, options).then(({ result }) => result);
+  }
+
+  // Producer side of backpressure: resolves once the task is in the queue — straight away while
+  // there is room, later under 'block' — so `await q.enqueue(task)` is where a producer waits.
+  // Rejects like push() if the task never gets in. `result` settles as push() would:
+  //   const { result } = await q.enqueue(task, { priority, signal, timeout });
+  enqueue(task, options = {}) {
+    return this._add(task, options, this.overflow);
+  }
+
+  _add(task, { priority = 0, signal, timeout = this.timeout } = {}, overflow) {
+    return new Promise((admit, refuse) => {
+      if (signal && signal.aborted) return refuse(signal.reason);
+      const entry = { task, priority, signal, timeout, admit, refuse, admitted: false, seq: ++this._seq, onAbort: null };
+      entry.result = new Promise((resolve, reject) => Object.assign(entry, { resolve, reject }));
+      // Dropping or clearing a task rejects `result` whether or not anyone took it from enqueue();
+      // callers that did still see the rejection.
+      entry.result.catch(() => {});
+
+      if (this.isFull) {
+        if (overflow === 'reject') {
+          return refuse(new DOMException(`Queue is full (maxSize ${this.maxSize})`, 'QueueFullError'));
+        }
+        if (overflow === 'drop-newest') return this._drop(entry);
+        if (overflow === 'drop-oldest') {
+          // With nothing waiting (maxSize 0) the incoming task is the oldest there is.
+          if (!this.queue.length) return this._drop(entry);
+          const oldest = this.queue.reduce((a, b) => (b.seq < a.seq ? b : a));
+          this.queue.splice(this.queue.indexOf(oldest), 1);
+          this._drop(oldest);
+        }
+      }
+
+      if (signal) {
+        // Aborting a waiting task removes it; aborting a running one rejects it (see _run).
+        entry.onAbort = () => {
+          for (const list of [this.queue, this.blocked]) {
+            const i = list.indexOf(entry);
+            if (i === -1) continue;
+            list.splice(i, 1);
+            this._settle(entry, signal.reason);
+            this._next();
+          }
+        };
+        signal.addEventListener('abort', entry.onAbort, { once: true });
+      }
+
+      if (this.isFull) this.blocked.push(entry); // only 'block' gets here
+      else this._insert(entry);
+      this._next();
+    });
+  }
+
+  _insert(entry) {
+    let i = this.queue.findIndex(e => e.priority < entry.priority);
+    if (i === -1) i = this.queue.length;
+    this.queue.splice(i, 0, entry);
+    entry.admitted = true;
+    entry.admit({ result: entry.result });
+  }
+
+  // A task that won't run: enqueue() rejects if it never got in, its result if it did
+  // (push() rejects either way).
+  _settle(entry, reason) {
+    if (entry.signal) entry.signal.removeEventListener('abort', entry.onAbort);
+    if (entry.admitted) entry.reject(reason);
+    else entry.refuse(reason);
+  }
+
+  _drop(entry) {
+    this._settle(entry, new DOMException('Task dropped: queue is full', 'AbortError'));
+    this.dispatchEvent(Object.assign(new Event('drop'), { task: entry.task }));
+  }
+
+  pause() { this.paused = true; }
+
+  resume() {
+    this.paused = false;
+    this._next();
   }
 
-  push(task) {
-    // task is function returning a Promise
-    this.queue.push(task);
+  // Drops every waiting (and parked) task; their push() promises reject with an AbortError.
+  clear() {
+    const dropped = [...this.queue.splice(0), ...this.blocked.splice(0)];
+    for (const entry of dropped) this._settle(entry, new DOMException('Task cleared from the queue', 'AbortError'));
     this._next();
   }
 
+  // Resolves when nothing is waiting (tasks may still be running).
+  onEmpty() { return this._waitFor(() => this.queue.length === 0 && this.blocked.length === 0); }
+
+  // Resolves when nothing is waiting and nothing is running.
+  onIdle() {
+    return this._waitFor(() => this.queue.length === 0 && this.blocked.length === 0 && this.running === 0);
+  }
+
+  _waitFor(check) {
+    if (check()) return Promise.resolve();
+    return new Promise(resolve => this._waiters.push({ check, resolve }));
+  }
+
+  _settleWaiters() {
+    this._waiters = this._waiters.filter(w => {
+      if (!w.check()) return true;
+      w.resolve();
+      return false;
+    });
+  }
+
+  _checkWatermarks() {
+    const size = this.queue.length;
+    if (!this.aboveHighWater && size >= this.highWaterMark) {
+      this.aboveHighWater = true;
+      this.dispatchEvent(new Event('highwater'));
+    } else if (this.aboveHighWater && size <= this.lowWaterMark) {
+      this.aboveHighWater = false;
+      this.dispatchEvent(new Event('lowwater'));
+    }
+  }
+
   _next() {
-    if (this.running >= this.concurrency || this.queue.length === 0) return;
-    const task = this.queue.shift();
+    for (;;) {
+      while (!this.paused && this.running < this._concurrency && this.queue.length) {
+        if (this.rateLimiter && this._permit !== 'granted') {
+          this._askLimiter();
+          break;
+        }
+        this._permit = null;
+        this._run(this.queue.shift());
+      }
+      // Freed slots let parked producers in, and a task let in may be able to start.
+      if (!this.blocked.length || this.isFull) break;
+      this._insert(this.blocked.shift());
+    }
+    this._checkWatermarks();
+    this._settleWaiters();
+  }
+
+  // One acquire() at a time: the bank's limiters each wait out their own slot, so two callers
+  // waiting at once could both be let through when only one slot frees up. The permit is kept
+  // for whichever task is first in line once it resolves. If acquire() fails, that task fails
+  // with its error and the next one asks again.
+  _askLimiter() {
+    if (this._permit) return;
+    this._permit = 'pending';
+    new Promise(resolve => resolve(this.rateLimiter.acquire())).then(() => {
+      this._permit = 'granted';
+      this._next();
+    }, error => {
+      this._permit = null;
+      const entry = this.queue.shift();
+      if (entry) this._settle(entry, error);
+      this._next();
+    });
+  }
+
+  _run(entry) {
+    const { task, signal, timeout, resolve, reject } = entry;
+    if (signal) signal.removeEventListener('abort', entry.onAbort);
     this.running++;
-    task()
-      .catch(e => console.error(e))
+
+    // The task sees one signal that fires on the caller's abort or on our timeout.
+    const controller = new AbortController();
+    const cancel = reason => controller.abort(reason);
+    const onAbort = () => cancel(signal.reason);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    const timer = timeout !== Infinity &&
+      setTimeout(() => cancel(new DOMException(`Task timed out after ${timeout}ms`, 'TimeoutError')), timeout);
+
+    const aborted = new Promise((_, rej) => {
+      controller.signal.addEventListener('abort', () => rej(controller.signal.reason), { once: true });
+    });
+
+    Promise.race([Promise.resolve().then(() => task({ signal: controller.signal })), aborted])
+      .then(resolve, reject)
       .finally(() => {
+        clearTimeout(timer);
+        if (signal) signal.removeEventListener('abort', onAbort);
         this.running--;
         this._next();
       });
   }
+
+  // Memory-bounded pipeline: pulls tasks from a (async) iterable only while there is room,
+  // runs them with this queue's concurrency and yields results in completion order.
+  // At most maxSize tasks wait and at most maxSize results sit unread (at least one, so a
+  // maxSize 0 queue still makes progress).
+  //   for await (const page of q.process(urls.map(u => () => fetch(u)))) { ... }
+  async *process(source) {
+    const settled = [];
+    let inFlight = 0;
+    let sourceDone = false;
+    let wakeConsumer = () => {};
+    let wakeProducer = () => {};
+
+    let stopped = false; // the consumer broke out of its for-await
+    const maxUnread = Math.max(1, this.maxSize);
+
+    const pump = (async () => {
+      for await (const task of source) {
+        while (settled.length >= maxUnread && !stopped) await new Promise(r => (wakeProducer = r));
+        if (stopped) break;
+        const { result } = await this._add(task, {}, 'block'); // the pipeline always waits for room
+        inFlight++;
+        result.then(value => ({ value }), error => ({ error, failed: true })).then(outcome => {
+          inFlight--;
+          settled.push(outcome);
+          wakeConsumer();
+        });
+      }
+    })().finally(() => {
+      sourceDone = true;
+      wakeConsumer();
+    });
+
+    try {
+      for (;;) {
+        if (settled.length) {
+          const outcome = settled.shift();
+          wakeProducer();
+          if (outcome.failed) throw outcome.error;
+          yield outcome.value;
+        } else if (sourceDone && inFlight === 0) {
+          break;
+        } else {
+          await new Promise(r => (wakeConsumer = r));
+        }
+      }
+      await pump; // surfaces an error thrown by the source
+    } finally {
+      stopped = true;
+      wakeProducer();
+    }
+  }
 }
 
 // Usage
-const q = new AsyncQueue(2);
-const makeTask = (i) => () => new Promise(r => setTimeout(() => { console.log('done', i); r(); }, 500));
-for (let i = 0; i < 5; i++) q.push(makeTask(i));
+if (require.main === module) {
+  const q = new AsyncQueue(2);
+  const makeTask = (i) => () => new Promise(r => setTimeout(() => { console.log('done', i); r(i); }, 500));
+  for (let i = 0; i < 5; i++) q.push(makeTask(i));
+
+  // push() hands back the task's own result (or error) instead of swallowing it:
+  const api = new AsyncQueue(1, { timeout: 2000 });
+  const apiAbort = new AbortController();
+  const started = [];
+  api.pause(); // queue up first so priorities decide the start order
+  api.push(() => { started.push('low'); return delay(10); });
+  api.push(() => { started.push('high'); return delay(10).then(() => 'high result'); }, { priority: 10 })
+    .then(console.log);                                                      // 'high result'
+  api.push(({ signal }) => fetchLike(signal), { signal: apiAbort.signal })
+    .catch(e => console.log(e.name));                                        // 'AbortError'
+  api.push(() => delay(5000), { timeout: 50 }).catch(e => console.log(e.name)); // 'TimeoutError'
+  apiAbort.abort();
+  api.resume();
+  api.concurrency = 2; // takes effect immediately
+  api.onIdle().then(() => console.log(started));                            // ['high', 'low']
+
+  function fetchLike(signal) {
+    return new Promise((resolve, reject) => {
+      const t = setTimeout(resolve, 1000);
+      signal.addEventListener('abort', () => { clearTimeout(t); reject(signal.reason); });
+    });
+  }
+
+  // Backpressure: a bounded queue keeps memory flat however fast the producer is.
+  const bounded = new AsyncQueue(2, { maxSize: 10, overflow: 'block', highWaterMark: 8, lowWaterMark: 2 });
+  bounded.addEventListener('highwater', () => console.log('slow down, waiting:', bounded.size));
+  bounded.addEventListener('lowwater', () => console.log('speed up, waiting:', bounded.size));
+
+  async function produce(n) {
+    for (let i = 0; i < n; i++) {
+      await bounded.enqueue(() => delay(5)); // waits here whenever 10 tasks are already waiting
+    }
+  }
+  produce(50);
+
+  // ...or as a pipeline stage between a producer stream and the workers:
+  async function* jobs() {
+    for (let i = 0; i < 100; i++) yield () => delay(1).then(() => i * i);
+  }
+  (async () => {
+    let sum = 0;
+    for await (const square of new AsyncQueue(4, { maxSize: 8 }).process(jobs())) sum += square;
+    console.log('sum of squares', sum); // 328350
+  })();
+}
+
+// Rate limits for AsyncQueue. The sliding-window and token-bucket limiters are the coding
+// bank's (coding/README.md, Q40 "Implement async rate limiter"); the bank has no fixed window,
+// so that one is written in the same shape.
+// A limiter is anything whose acquire() resolves once one more start is allowed.
+
+class FixedWindowRateLimiter {
+  constructor(limit, windowSize) {
+    this.limit = limit;
+    this.windowSize = windowSize;
+    this.windowStart = -Infinity;
+    this.count = 0;
+  }
+
+  async acquire() {
+    for (;;) {
+      const now = Date.now();
+      if (now >= this.windowStart + this.windowSize) {
+        this.windowStart = now - (now % this.windowSize);
+        this.count = 0;
+      }
+      if (this.count < this.limit) {
+        this.count++;
+        return;
+      }
+      await delay(this.windowStart + this.windowSize - now);
+    }
+  }
+}
+
+// Remembers the start times inside the last windowSize ms; when `limit` of them are there,
+// waits for the oldest to leave the window.
+class SlidingWindowRateLimiter {
+  constructor(limit, windowSize) {
+    this.limit = limit;
+    this.windowSize = windowSize;
+    this.requests = [];
+  }
+
+  async acquire() {
+    const now = Date.now();
+    const windowStart = now - this.windowSize;
+    this.requests = this.requests.filter(time => time > windowStart);
+
+    if (this.requests.length < this.limit) {
+      this.requests.push(now);
+      return;
+    }
+
+    const waitTime = this.requests[0] + this.windowSize - now;
+    await delay(waitTime);
+    this.requests.shift();
+    this.requests.push(Date.now());
+  }
+}
+
+// Starts with a full bucket of maxTokens; each start takes one and they refill continuously.
+class TokenBucketRateLimiter {
+  constructor(tokensPerSecond, maxTokens) {
+    this.tokensPerSecond = tokensPerSecond;
+    this.maxTokens = maxTokens;
+    this.tokens = maxTokens;
+    this.lastRefill = Date.now();
+  }
+
+  refill() {
+    const now = Date.now();
+    const timePassed = (now - this.lastRefill) / 1000;
+    this.tokens = Math.min(this.maxTokens, this.tokens + timePassed * this.tokensPerSecond);
+    this.lastRefill = now;
+  }
+
+  async acquire(tokens = 1) {
+    this.refill();
+
+    if (this.tokens >= tokens) {
+      this.tokens -= tokens;
+      return;
+    }
+
+    const deficit = tokens - this.tokens;
+    await delay((deficit / this.tokensPerSecond) * 1000);
+    this.tokens = 0;
+    this.lastRefill = Date.now();
+  }
+}
+
+// { limit, interval, strategy } → limiter. Anything with acquire() is used as-is.
+function createRateLimiter(rateLimit) {
+  if (typeof rateLimit.acquire === 'function') return rateLimit;
+  const { limit, interval = 1000, strategy = 'fixed' } = rateLimit;
+  if (!(limit >= 1) || !(interval > 0)) {
+    throw new TypeError(`rateLimit needs limit >= 1 and interval > 0, got ${limit} per ${interval}ms`);
+  }
+  switch (strategy) {
+    case 'fixed': return new FixedWindowRateLimiter(limit, interval);
+    case 'sliding': return new SlidingWindowRateLimiter(limit, interval);
+    case 'token-bucket': return new TokenBucketRateLimiter((limit * 1000) / interval, limit);
+    default: throw new TypeError(`Unknown rate limit strategy: ${strategy}`);
+  }
+}
+
+// Usage: "at most 2 in flight" AND "at most 10 per second" on the same queue
+if (require.main === module) {
+  const apiClient = new AsyncQueue(2, { rateLimit: { limit: 10, interval: 1000, strategy: 'sliding' } });
+  const t0 = Date.now();
+  const startTimes = [];
+  for (let i = 0; i < 25; i++) {
+    apiClient.push(() => { startTimes.push(Date.now() - t0); return delay(50); });
+  }
+  apiClient.onIdle().then(() => console.log(startTimes.map(t => Math.round(t / 1000)).join(' ')));
+}
+// 0 0 0 0 0 0 0 0 0 0 1 1 1 1 1 1 1 1 1 1 2 2 2 2 2
 
 
 // Explain: controls how many tasks run in parallel, useful for API rate - limits and constrained resources.
@@ -690,30 +1416,106 @@ for (let i = 0; i < 5; i++) q.push(makeTask(i));
 //   Implementation:
 
 class SimpleEventLoop {
-  constructor() {
+  // mode: 'simple' (micro + task queues), 'node' (libuv phases) or 'browser' (tasks + rendering),
+  // the last two on a virtual clock.
+  // bootstrapMs (node): time that passes between the main script and the first timers phase.
+  // frameBudgetMs (browser): frame interval; 16.67ms ≈ 60fps.
+  // trace: true | TraceRecorder — record every callback (see TraceRecorder below).
+  // onError(error): gets what a callback throws, and the loop goes on; without it run() throws,
+  // the way an uncaught exception ends a Node process. What the callback's phase had left to
+  // run stays queued.
+  constructor({ mode = 'simple', bootstrapMs = 0, frameBudgetMs = 1000 / 60, trace = null, onError = null } = {}) {
     this.micro = [];
     this.task = [];
     this.running = false;
+    this.trace = trace === true ? new TraceRecorder() : trace;
+    this.onError = onError;
+
+    this.mode = mode;
+    this.output = [];
+    if (mode === 'node') {
+      this.clock = 0;
+      this.seq = 0;
+      this.bootstrapMs = bootstrapMs;
+      this.tickQ = [];          // process.nextTick — drains before promise microtasks
+      this.timers = new TimerHeap();
+      this.pending = [];        // pending callbacks (I/O errors deferred to the next loop)
+      this.poll = [];           // { time, seq, fn } simulated I/O completions
+      this.check = [];          // setImmediate
+      this.close = [];          // close callbacks ('close' events)
+      this.phase = null;
+    }
+    if (mode === 'browser') {
+      this.clock = 0;
+      this.seq = 0;
+      this.frameBudgetMs = frameBudgetMs;
+      this.frame = 0;           // index of the last frame that rendered (or had nothing to render)
+      this.presented = 0;       // vsync at which the last rendered frame reached the screen
+      this.timerNesting = 0;
+      this.tasks = new TimerHeap(); // tasks and timers, ordered by the time they became runnable
+      this.rafQ = [];
+      this.resizeQ = [];
+      this.intersectionQ = [];
+      this.idleQ = [];
+      this.paintHooks = [];
+      this.stats = { tasks: 0, frames: 0, droppedFrames: 0, longTasks: 0, idleCallbacks: 0 };
+    }
+    if (this.trace) this.trace.now = () => this.clock || 0; // simple mode has no clock
+  }
+
+  _traced(queue, fn) {
+    return this.trace ? this.trace.wrap(queue, fn) : fn;
+  }
+
+  enqueueMicro(fn) { this.micro.push(this._traced('microtask', fn)); }
+  enqueueTask(fn) {
+    if (this.mode === 'node') return this.setTimeout(fn, 0);
+    if (this.mode === 'browser') return this._queueTask(this._traced('task', fn), this.clock, 0);
+    this.task.push(this._traced('task', fn));
   }
 
-  enqueueMicro(fn) { this.micro.push(fn); }
-  enqueueTask(fn) { this.task.push(fn); }
+  log(value) { this.output.push(value); }
+
+  _call(fn, ...args) {
+    try {
+      fn(...args);
+    } catch (e) {
+      if (!this.onError) throw e;
+      this.onError(e);
+    }
+  }
+
+  // The callbacks in this[name] so far, oldest first (the ones they queue wait for the next
+  // turn); run(item) calls one. If it throws, the rest go back to the front of the queue.
+  _runQueued(name, run) {
+    const batch = this[name].splice(0);
+    try {
+      while (batch.length) run(batch.shift());
+    } finally {
+      this[name].unshift(...batch);
+    }
+  }
 
   runOnce() {
+    if (this.mode === 'node') return this._runNodeIteration();
+    if (this.mode === 'browser') return this._runBrowserIteration();
     // Drain microtasks
-    while (this.micro.length) {
-      const fn = this.micro.shift();
-      try { fn(); } catch (e) { console.error(e); }
-    }
+    while (this.micro.length) this._call(this.micro.shift());
     // Execute one macrotask
-    if (this.task.length) {
-      const fn = this.task.shift();
-      try { fn(); } catch (e) { console.error(e); }
-    }
+    if (this.task.length) this._call(this.task.shift());
   }
 
   // naive loop for demo; in real host the runtime schedules this.
-  run() {
+  // Virtual modes run synchronously; `until` stops a browser loop kept alive by rAF.
+  run({ until = Infinity } = {}) {
+    if (this.mode === 'node') {
+      while (this._alive()) this.runOnce();
+      return;
+    }
+    if (this.mode === 'browser') {
+      while (this._browserAlive() && this.clock <= until) this.runOnce();
+      return;
+    }
     const self = this;
     const tick = () => {
       self.runOnce();
@@ -723,11 +1525,406 @@ class SimpleEventLoop {
     };
     tick();
   }
+
+  // ---- Node mode ----
+
+  nextTick(fn) { this.tickQ.push(this._traced('nextTick', fn)); }
+
+  setTimeout(fn, ms = 0) {
+    if (this.mode === 'browser') {
+      // HTML clamps nested timers (5+ levels deep) to at least 4ms.
+      const delay = Math.max(this.timerNesting >= 5 ? 4 : 0, Number(ms) || 0);
+      return this._queueTask(this._traced('timer', fn), this.clock + delay, this.timerNesting + 1);
+    }
+    // Node clamps delays below 1ms to 1ms — the root of the setTimeout(0) vs setImmediate race.
+    const seq = ++this.seq;
+    this.timers.push({ seq, time: this.clock + Math.max(1, Number(ms) || 0), fn: this._traced('timers', fn) });
+    return seq;
+  }
+
+  setImmediate(fn) { this.check.push(this._traced('check', fn)); }
+
+  // Simulated async I/O (fs.readFile etc.): fn runs in the poll phase once latencyMs has passed.
+  enqueueIO(fn, latencyMs = 0) {
+    this.poll.push({ seq: ++this.seq, time: this.clock + latencyMs, fn: this._traced('poll', fn) });
+    this.poll.sort((a, b) => a.time - b.time || a.seq - b.seq);
+  }
+
+  enqueuePending(fn) { this.pending.push(this._traced('pending', fn)); }
+
+  onClose(fn) { this.close.push(this._traced('close', fn)); }
+
+  // Runs the main module: sync code, then nextTicks and microtasks, before the loop starts.
+  runScript(fn) {
+    this.phase = 'main';
+    this._invoke(this._traced('script', fn));
+    this.clock += this.bootstrapMs;
+  }
+
+  _alive() {
+    return this.tickQ.length || this.micro.length || this.timers.size || this.pending.length ||
+      this.poll.length || this.check.length || this.close.length;
+  }
+
+  // A callback, then the nextTick queue, then promise microtasks (repeat while either refills).
+  _invoke(fn) {
+    this._call(fn);
+    this._drainMicrotasks();
+  }
+
+  _drainMicrotasks() {
+    do {
+      while (this.tickQ.length) this._call(this.tickQ.shift());
+      while (this.micro.length) this._call(this.micro.shift());
+    } while (this.tickQ.length);
+  }
+
+  _runNodeIteration() {
+    this._drainMicrotasks();
+
+    // 1. timers — every timer whose threshold has passed
+    this.phase = 'timers';
+    while (this.timers.size && this.timers.peek().time <= this.clock) {
+      this._invoke(this.timers.pop().fn);
+    }
+
+    // 2. pending callbacks — only what was deferred before this phase started
+    this.phase = 'pending';
+    this._runQueued('pending', fn => this._invoke(fn));
+
+    // 3. idle/prepare — internal to libuv, nothing to model
+
+    // 4. poll — run ready I/O; if there is nothing else to do, "block" until the next timer or I/O
+    this.phase = 'poll';
+    if (!this.check.length && !this.close.length && !this._pollReady()) {
+      const wakeAt = Math.min(
+        this.timers.size ? this.timers.peek().time : Infinity,
+        this.poll.length ? this.poll[0].time : Infinity
+      );
+      if (wakeAt !== Infinity) this.clock = Math.max(this.clock, wakeAt);
+    }
+    while (this._pollReady()) this._invoke(this.poll.shift().fn);
+
+    // 5. check — setImmediate callbacks queued so far
+    this.phase = 'check';
+    this._runQueued('check', fn => this._invoke(fn));
+
+    // 6. close callbacks
+    this.phase = 'close';
+    this._runQueued('close', fn => this._invoke(fn));
+
+    this.phase = null;
+  }
+
+  _pollReady() {
+    return this.poll.length > 0 && this.poll[0].time <= this.clock;
+  }
+
+  // ---- Browser mode ----
+
+  // Simulates synchronous work inside a callback: the main thread is busy for ms.
+  work(ms) { this.clock += ms; }
+
+  requestAnimationFrame(fn) {
+    const id = ++this.seq;
+    this.rafQ.push({ id, fn: this._traced('animationFrame', fn) });
+    return id;
+  }
+
+  cancelAnimationFrame(id) { this.rafQ = this.rafQ.filter(cb => cb.id !== id); }
+
+  // Stand-ins for ResizeObserver / IntersectionObserver: delivered in the next rendering step.
+  queueResizeObservation(fn, entries = []) {
+    this.resizeQ.push(this._traced('resizeObserver', () => fn(entries)));
+  }
+
+  queueIntersectionObservation(fn, entries = []) {
+    this.intersectionQ.push(this._traced('intersectionObserver', () => fn(entries)));
+  }
+
+  // fn({ frame, time, droppedFrames }) after each rendering step.
+  onPaint(fn) { this.paintHooks.push(fn); }
+
+  requestIdleCallback(fn, { timeout } = {}) {
+    const id = ++this.seq;
+    this.idleQ.push({ id, fn: this._traced('idle', fn), timeoutAt: timeout === undefined ? Infinity : this.clock + timeout });
+    return id;
+  }
+
+  cancelIdleCallback(id) { this.idleQ = this.idleQ.filter(cb => cb.id !== id); }
+
+  _queueTask(fn, time, nesting) {
+    const seq = ++this.seq;
+    this.tasks.push({ seq, time, fn, nesting });
+    return seq;
+  }
+
+  _browserAlive() {
+    return this.micro.length || this.tasks.size || this.rafQ.length || this.resizeQ.length ||
+      this.intersectionQ.length || this.idleQ.length;
+  }
+
+  _renderPending() {
+    return this.rafQ.length > 0 || this.resizeQ.length > 0 || this.intersectionQ.length > 0;
+  }
+
+  // A callback followed by a microtask checkpoint.
+  _invokeBrowser(fn, ...args) {
+    this._call(fn, ...args);
+    while (this.micro.length) this._call(this.micro.shift());
+  }
+
+  _taskReady() {
+    return this.tasks.size > 0 && this.tasks.peek().time <= this.clock;
+  }
+
+  _runBrowserIteration() {
+    this._invokeBrowser(() => {}); // microtasks left over from the script
+
+    // 1. one task
+    if (this._taskReady()) {
+      const task = this.tasks.pop();
+      const start = this.clock;
+      this.timerNesting = task.nesting;
+      this._invokeBrowser(task.fn);
+      this.timerNesting = 0;
+      this.stats.tasks++;
+      if (this.clock - start > 50) this.stats.longTasks++;
+    }
+
+    // Timed-out idle callbacks are run like tasks, with didTimeout = true.
+    for (const cb of this.idleQ.filter(c => c.timeoutAt <= this.clock)) {
+      this.idleQ.splice(this.idleQ.indexOf(cb), 1);
+      this._runIdleCallback(cb, true, this.clock);
+    }
+
+    // 2. rendering opportunity — once per frame boundary
+    if (this._frameIndex(this.clock) > this.frame) {
+      this._render();
+      return;
+    }
+    if (this._taskReady()) return;
+
+    // 3. idle period — until the next frame (if something must render), next task, or 50ms
+    const nextFrameAt = (this.frame + 1) * this.frameBudgetMs;
+    const nextTaskAt = this.tasks.size ? this.tasks.peek().time : Infinity;
+    const idleEnd = Math.min(this.clock + 50, nextTaskAt, this._renderPending() ? nextFrameAt : Infinity);
+    this._runQueued('idleQ', cb => {
+      if (idleEnd - this.clock <= 0) this.idleQ.push(cb); // no time left: wait for the next idle period
+      else this._runIdleCallback(cb, false, idleEnd);
+    });
+
+    // 4. nothing runnable: move the clock to the next thing that will be
+    if (this._taskReady()) return;
+    const wakeAt = Math.min(nextTaskAt, this._renderPending() ? nextFrameAt : Infinity,
+      ...this.idleQ.map(cb => Math.max(idleEnd, Math.min(cb.timeoutAt, this.clock + 50))));
+    if (wakeAt === Infinity || wakeAt <= this.clock) return;
+    this.clock = wakeAt;
+    // Frames that passed with nothing to draw were not dropped, just not needed.
+    if (!this._renderPending()) {
+      this.frame = Math.max(this.frame, this._frameIndex(this.clock));
+      this.presented = Math.max(this.presented, this.frame);
+    }
+  }
+
+  _runIdleCallback(cb, didTimeout, idleEnd) {
+    const loop = this;
+    this.stats.idleCallbacks++;
+    this._invokeBrowser(cb.fn, {
+      didTimeout,
+      timeRemaining() { return didTimeout ? 0 : Math.max(0, idleEnd - loop.clock); },
+    });
+  }
+
+  // Small epsilon so float frame boundaries (3 × 16.67) land in the right frame.
+  _frameIndex(time) { return Math.floor(time / this.frameBudgetMs + 1e-9); }
+
+  // "Update the rendering": rAF → ResizeObserver → IntersectionObserver → paint.
+  // The frame reaches the screen at the first vsync after the step finishes; every vsync
+  // between that and the previous frame showed stale pixels, i.e. a dropped frame.
+  _render() {
+    const now = this.clock;
+    this._runQueued('rafQ', cb => this._invokeBrowser(cb.fn, now));
+    this._runQueued('resizeQ', fn => this._invokeBrowser(fn));
+    this._runQueued('intersectionQ', fn => this._invokeBrowser(fn));
+
+    const presented = Math.ceil(this.clock / this.frameBudgetMs - 1e-9);
+    const dropped = Math.max(0, presented - this.presented - 1);
+    this.stats.droppedFrames += dropped;
+    this.stats.frames++;
+    this.frame = this._frameIndex(this.clock);
+    this.presented = Math.max(this.presented, presented);
+    for (const fn of this.paintHooks) this._traced('paint', fn)({ frame: presented, time: now, droppedFrames: dropped });
+  }
 }
 
 
 // Usage: enqueue micro and tasks and call run() to see ordering.
 
+// Node mode — the classic puzzles:
+
+// a) In the main module the order of setTimeout(0) and setImmediate is NOT fixed:
+//    the timer is really 1ms, so it wins only if ≥1ms passed before the first timers phase.
+if (require.main === module) {
+  for (const bootstrapMs of [0, 1]) {
+    const loop = new SimpleEventLoop({ mode: 'node', bootstrapMs });
+    loop.runScript(() => {
+      loop.setTimeout(() => loop.log('timeout'), 0);
+      loop.setImmediate(() => loop.log('immediate'));
+    });
+    loop.run();
+    console.log(bootstrapMs, loop.output); // 0 ['immediate', 'timeout'] / 1 ['timeout', 'immediate']
+  }
+
+  // b) Inside an I/O callback setImmediate ALWAYS wins: poll → check comes before the next timers phase.
+  const nodeLoop = new SimpleEventLoop({ mode: 'node', bootstrapMs: 1 });
+  nodeLoop.runScript(() => {
+    nodeLoop.enqueueIO(() => {
+      nodeLoop.setTimeout(() => nodeLoop.log('timeout'), 0);
+      nodeLoop.setImmediate(() => nodeLoop.log('immediate'));
+    });
+    nodeLoop.enqueueMicro(() => nodeLoop.log('promise'));
+    nodeLoop.nextTick(() => nodeLoop.log('nextTick'));
+    nodeLoop.log('sync');
+  });
+  nodeLoop.run();
+  console.log(nodeLoop.output); // ['sync', 'nextTick', 'promise', 'immediate', 'timeout']
+
+  // Browser mode — a rendering step runs between tasks once per frame:
+  const page = new SimpleEventLoop({ mode: 'browser' });
+  page.onPaint(({ frame }) => page.log('paint#' + frame));
+  page.enqueueTask(() => {
+    page.log('task');
+    page.enqueueMicro(() => page.log('micro'));
+    page.requestAnimationFrame(() => page.log('rAF'));
+    page.queueResizeObservation(() => page.log('resize'));
+    page.queueIntersectionObservation(() => page.log('intersection'));
+    page.requestIdleCallback(deadline => page.log('idle ' + deadline.timeRemaining().toFixed(1)));
+    page.setTimeout(() => page.log('timeout'), 0);
+  });
+  page.run();
+  console.log(page.output);
+}
+// ['task', 'micro', 'timeout', 'idle 16.7', 'rAF', 'resize', 'intersection', 'paint#1']
+// The idle callback gets the time left before the next frame; page.stats counts frames and drops.
+
+// Tracing the simulators: pass { trace: true } (or a shared TraceRecorder) to Scheduler or
+// SimpleEventLoop and every callback is recorded as enqueue → dequeue → start → finish | throw.
+
+class TraceRecorder {
+  constructor({ now = () => 0 } = {}) {
+    this.events = [];
+    this.depth = 0;   // current call-stack depth inside traced callbacks
+    this.seq = 0;
+    this.now = now;   // the simulator swaps in its virtual clock
+  }
+
+  record(type, queue, id, label = '', error) {
+    const event = { type, queue, id, label, time: this.now(), depth: this.depth };
+    if (error !== undefined) event.error = error instanceof Error ? error.message : String(error);
+    this.events.push(event);
+  }
+
+  // Records the enqueue now and returns a wrapper that records the rest when it runs.
+  wrap(queue, fn, label = fn.name) {
+    const rec = this;
+    const id = ++this.seq;
+    this.record('enqueue', queue, id, label);
+    function traced(...args) {
+      rec.record('dequeue', queue, id, label);
+      rec.depth++;
+      rec.record('start', queue, id, label);
+      try {
+        const result = fn.apply(this, args);
+        rec.record('finish', queue, id, label);
+        return result;
+      } catch (e) {
+        rec.record('throw', queue, id, label, e);
+        throw e; // the simulator still handles it as before
+      } finally {
+        rec.depth--;
+      }
+    }
+    traced.traceId = id;
+    traced.traceLabel = label;
+    return traced;
+  }
+
+  clear() { this.events = []; }
+
+  toJSON() { return this.events.map(e => ({ ...e })); }
+
+  // Chrome Trace Event format: save JSON.stringify(...) and open it in chrome://tracing or Perfetto.
+  // Virtual time is in ms; the format wants µs and strictly increasing slices, so equal timestamps
+  // are nudged forward by 1µs each.
+  toChromeTrace({ pid = 1, tid = 1 } = {}) {
+    const traceEvents = [
+      { name: 'thread_name', ph: 'M', pid, tid, args: { name: 'main thread' } },
+    ];
+    let last = -1;
+    for (const e of this.events) {
+      const ts = Math.max(Math.round(e.time * 1000), last + 1);
+      last = ts;
+      const name = `${e.queue}#${e.id}${e.label ? ' ' + e.label : ''}`;
+      const args = { depth: e.depth, ...(e.error && { error: e.error }) };
+      if (e.type === 'start') traceEvents.push({ name, cat: e.queue, ph: 'B', ts, pid, tid, args });
+      else if (e.type === 'finish' || e.type === 'throw') traceEvents.push({ name, cat: e.queue, ph: 'E', ts, pid, tid, args });
+      else traceEvents.push({ name: `${e.type} ${name}`, cat: e.queue, ph: 'i', s: 't', ts, pid, tid, args });
+    }
+    return { traceEvents, displayTimeUnit: 'ms' };
+  }
+
+  // One row per queue, one column per callback run, in execution order:
+  //   █ finished   ✗ threw   header = virtual time of each run
+  toTimeline() {
+    const runs = this.events.filter(e => e.type === 'finish' || e.type === 'throw');
+    if (!runs.length) return '(no callbacks ran)';
+    const queues = [...new Set(this.events.map(e => e.queue))];
+    const pad = Math.max(4, ...queues.map(q => q.length));
+    const times = runs.map(e => String(+e.time.toFixed(2)));
+    const col = Math.max(...times.map(t => t.length)) + 1;
+    const lines = ['time'.padEnd(pad) + ' |' + times.map(t => t.padStart(col)).join('')];
+    for (const q of queues) {
+      const cells = runs.map(e => (e.queue !== q ? '·' : e.type === 'throw' ? '✗' : '█').padStart(col));
+      lines.push(q.padEnd(pad) + ' |' + cells.join(''));
+    }
+    const labels = runs.map((e, i) => `${i + 1}. ${e.queue}#${e.id}${e.label ? ' ' + e.label : ''}`);
+    return lines.join('\n') + '\n\n' + labels.join('\n');
+  }
+}
+
+// Usage
+if (require.main === module) {
+  const traced = new SimpleEventLoop({ mode: 'node', trace: true, onError: () => {} }); // the trace shows the throw
+  traced.runScript(function main() {
+    traced.setTimeout(function timeout() {}, 0);
+    traced.setImmediate(function immediate() { throw new Error('boom'); });
+    traced.enqueueMicro(function promise() {});
+    traced.nextTick(function tick() {});
+  });
+  traced.run();
+
+  console.log(traced.trace.toTimeline());
+  // time      | 0 0 0 0 1
+  // script    | █ · · · ·
+  // timers    | · · · · █
+  // check     | · · · ✗ ·
+  // microtask | · · █ · ·
+  // nextTick  | · █ · · ·
+  //
+  // 1. script#1 main
+  // 2. nextTick#5 tick
+  // 3. microtask#4 promise
+  // 4. check#3 immediate
+  // 5. timers#2 timeout
+
+  // Diff a run against an expected trace:
+  const order = traced.trace.toJSON().filter(e => e.type === 'start').map(e => e.label);
+  console.assert(order.join() === 'main,tick,promise,immediate,timeout');
+}
+
+// require('fs').writeFileSync('trace.json', JSON.stringify(traced.trace.toChromeTrace()));
+
 // Interview script: show you understand microtask drain, macrotask one-per-loop, and that rendering happens in between.
 
 // 15) Handle millions of computations without blocking UI (strategies)
@@ -750,17 +1947,308 @@ class SimpleEventLoop {
 
 // Example chunking:
 
-function chunkProcess(items, processFn, chunkSize = 100) {
+// chunkProcess(items, processFn, chunkSize) still works; pass an options object for more:
+//   chunkSize     max items per chunk
+//   timeBudgetMs  also end a chunk once it has run this long (e.g. 8 → half a 60fps frame)
+//   signal        AbortSignal — stops between items and rejects with signal.reason
+//   onProgress    ({ processed, total, chunks }) after every chunk
+//   yieldTo       'setTimeout' | 'setImmediate' | 'messageChannel' | a virtual Scheduler | fn(cb)
+// processFn may be async; it is awaited before the next item.
+// Resolves with { processed, chunks, elapsedMs }.
+function chunkProcess(items, processFn, options = {}) {
+  if (typeof options === 'number') options = { chunkSize: options };
+  const {
+    chunkSize = 100,
+    timeBudgetMs = Infinity,
+    signal,
+    onProgress,
+    yieldTo = 'setTimeout',
+  } = options;
+  const { schedule, now, dispose } = createYieldStrategy(yieldTo);
+  const total = items.length;
+  const startedAt = now();
   let i = 0;
-  function doChunk() {
-    const end = Math.min(i + chunkSize, items.length);
-    for (; i < end; i++) processFn(items[i], i);
-    if (i < items.length) {
-      setTimeout(doChunk, 0); // yield to event loop
+  let chunks = 0;
+
+  return new Promise((resolve, reject) => {
+    const fail = e => { dispose(); reject(e); };
+
+    async function doChunk() {
+      try {
+        const chunkStart = now();
+        const end = Math.min(i + chunkSize, total);
+        chunks++;
+        while (i < end) {
+          if (signal && signal.aborted) throw signal.reason;
+          const result = processFn(items[i], i);
+          if (result && typeof result.then === 'function') await result;
+          i++;
+          if (now() - chunkStart >= timeBudgetMs) break;
+        }
+        if (onProgress) onProgress({ processed: i, total, chunks });
+        if (i < total) {
+          schedule(doChunk); // yield to event loop
+        } else {
+          dispose();
+          resolve({ processed: i, chunks, elapsedMs: now() - startedAt });
+        }
+      } catch (e) {
+        fail(e);
+      }
     }
+
+    if (signal && signal.aborted) return fail(signal.reason);
+    doChunk();
+  });
+}
+
+// How a chunk hands control back to the event loop.
+function createYieldStrategy(yieldTo) {
+  const realNow = () => performance.now();
+  const noop = () => {};
+  if (typeof yieldTo === 'function') return { schedule: yieldTo, now: realNow, dispose: noop };
+  if (yieldTo instanceof Scheduler) {
+    // Virtual time: the caller drives it with advanceBy() / runAll().
+    return { schedule: cb => yieldTo.setTimeout(cb, 0), now: () => yieldTo.now(), dispose: noop };
   }
-  doChunk();
+  switch (yieldTo) {
+    case 'setTimeout':
+      return { schedule: cb => setTimeout(cb, 0), now: realNow, dispose: noop };
+    case 'setImmediate':
+      return { schedule: cb => setImmediate(cb), now: realNow, dispose: noop };
+    case 'messageChannel': {
+      // A posted message is a task with no timer clamp — what React's scheduler uses.
+      const channel = new MessageChannel();
+      let pending = null;
+      channel.port1.onmessage = () => pending();
+      return {
+        schedule: cb => { pending = cb; channel.port2.postMessage(null); },
+        now: realNow,
+        dispose: () => channel.port1.close(),
+      };
+    }
+    default:
+      throw new TypeError(`Unknown yield strategy: ${yieldTo}`);
+  }
+}
+
+// Usage
+if (require.main === module) {
+  const bigList = Array.from({ length: 20000 }, (_, i) => i);
+  const stopChunks = new AbortController();
+  chunkProcess(bigList, n => Math.sqrt(n), {
+    chunkSize: 1000,
+    timeBudgetMs: 8,
+    signal: stopChunks.signal,
+    onProgress: ({ processed, total }) => processed === total && console.log('100%'),
+  }).then(({ chunks, elapsedMs }) => console.log(chunks, 'chunks in', elapsedMs.toFixed(1), 'ms'));
+
+  // Benchmark the yield strategies on the same work (setTimeout pays the ≥1ms / nested 4ms clamp per chunk):
+  async function benchmarkYieldStrategies(items, chunkSize = 100) {
+    for (const yieldTo of ['setTimeout', 'setImmediate', 'messageChannel']) {
+      const { chunks, elapsedMs } = await chunkProcess(items, n => n * n, { chunkSize, yieldTo });
+      console.log(yieldTo.padEnd(14), chunks, 'chunks', elapsedMs.toFixed(1), 'ms');
+    }
+  }
+  benchmarkYieldStrategies(bigList);
+
+  // Deterministic version on the virtual Scheduler from Q11:
+  const virtualClock = new Scheduler({ virtual: true });
+  chunkProcess(bigList, () => {}, { chunkSize: 5000, yieldTo: virtualClock }).then(r => console.log(r.chunks)); // 4
+  virtualClock.runAll();
+}
+
+// Off the main thread: the same calling convention on Node's worker_threads.
+// processFn is sent as source text, so it must be self-contained (no closures over outer
+// variables) and synchronous. Items are split into one contiguous slice per worker and the
+// results are merged back in input order. A TypedArray input travels as transferred buffers
+// (moved, not copied) and comes back as a TypedArray of the same type.
+
+const WORKER_SOURCE = `
+const { parentPort } = require('node:worker_threads');
+parentPort.on('message', ({ id, source, items, offset, progressEvery }) => {
+  let fn;
+  try {
+    fn = (0, eval)('(' + source + ')');
+  } catch (e) {
+    return parentPort.postMessage({ id, type: 'error', message: 'processFn is not serializable: ' + e.message, stack: e.stack });
+  }
+  const typed = ArrayBuffer.isView(items);
+  const results = typed ? new items.constructor(items.length) : new Array(items.length);
+  for (let j = 0; j < items.length; j++) {
+    try {
+      results[j] = fn(items[j], offset + j);
+    } catch (e) {
+      return parentPort.postMessage({ id, type: 'error', index: offset + j, message: e.message, stack: e.stack });
+    }
+    if ((j + 1) % progressEvery === 0) parentPort.postMessage({ id, type: 'progress', processed: progressEvery });
+  }
+  parentPort.postMessage({ id, type: 'done', results, processed: items.length % progressEvery }, typed ? [results.buffer] : []);
+});
+`;
+
+class WorkerPool {
+  constructor(size = require('node:os').availableParallelism()) {
+    this.size = size;
+    this.workers = [];
+    this.jobId = 0;
+  }
+
+  _spawn() {
+    const { Worker } = require('node:worker_threads');
+    while (this.workers.length < this.size) this.workers.push(new Worker(WORKER_SOURCE, { eval: true }));
+  }
+
+  // Same shape as chunkProcess, but resolves with { results, workers, elapsedMs }.
+  map(items, processFn, { signal, onProgress, progressEvery = 1000 } = {}) {
+    if (signal && signal.aborted) return Promise.reject(signal.reason);
+    this._spawn();
+    const startedAt = performance.now();
+    const id = ++this.jobId;
+    const source = processFn.toString();
+    const typed = ArrayBuffer.isView(items);
+    const total = items.length;
+    const parts = Math.min(this.size, Math.max(1, total));
+    const sliceSize = Math.ceil(total / parts);
+    const partial = new Array(parts);
+    let remaining = parts;
+    let processed = 0;
+
+    return new Promise((resolve, reject) => {
+      const cleanups = [];
+      const finish = (err, value) => {
+        cleanups.forEach(fn => fn());
+        if (signal) signal.removeEventListener('abort', onAbort);
+        if (err) {
+          // A worker may still be busy with the failed job: replace them all.
+          this.terminate();
+          reject(err);
+        } else {
+          resolve(value);
+        }
+      };
+      const onAbort = () => finish(signal.reason);
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+      for (let w = 0; w < parts; w++) {
+        const worker = this.workers[w];
+        const offset = w * sliceSize;
+        // slice() copies, so the caller's buffer stays usable; the copy is transferred (moved).
+        const slice = items.slice(offset, Math.min(offset + sliceSize, total));
+
+        const onMessage = msg => {
+          if (msg.id !== id) return;
+          if (msg.type === 'progress' || msg.type === 'done') {
+            processed += msg.processed;
+            if (onProgress && msg.processed) onProgress({ processed, total, workers: parts });
+          }
+          if (msg.type === 'error') {
+            const where = msg.index === undefined ? '' : ` at item ${msg.index}`;
+            const cause = Object.assign(new Error(msg.message), { stack: msg.stack });
+            finish(new Error(`Worker ${w} failed${where}: ${msg.message}`, { cause }));
+          } else if (msg.type === 'done') {
+            partial[w] = msg.results;
+            if (--remaining === 0) finish(null, { results: merge(), workers: parts, elapsedMs: performance.now() - startedAt });
+          }
+        };
+        const onError = e => finish(new Error(`Worker ${w} crashed: ${e.message}`, { cause: e }));
+        const onExit = code => finish(new Error(`Worker ${w} exited with code ${code}`));
+        worker.on('message', onMessage);
+        worker.on('error', onError);
+        worker.on('exit', onExit);
+        cleanups.push(() => {
+          worker.off('message', onMessage);
+          worker.off('error', onError);
+          worker.off('exit', onExit);
+        });
+        worker.postMessage({ id, source, items: slice, offset, progressEvery }, typed ? [slice.buffer] : []);
+      }
+    });
+
+    function merge() {
+      if (!typed) return partial.flat();
+      const out = new items.constructor(total);
+      partial.forEach((part, w) => out.set(part, w * sliceSize));
+      return out;
+    }
+  }
+
+  terminate() {
+    const workers = this.workers.splice(0);
+    return Promise.all(workers.map(w => w.terminate()));
+  }
+}
+
+// One-off helper with chunkProcess's calling convention; spins a pool up and down.
+function workerChunkProcess(items, processFn, { workers, ...options } = {}) {
+  const pool = new WorkerPool(workers);
+  return pool.map(items, processFn, options).finally(() => pool.terminate());
+}
+
+// Usage: wall-clock comparison on the same CPU-heavy dataset
+function countDivisors(n) {
+  let count = 0;
+  for (let d = 1; d <= n; d++) if (n % d === 0) count++;
+  return count;
+}
+
+if (require.main === module) {
+  (async () => {
+    const numbers = Float64Array.from({ length: 4000 }, (_, i) => 20000 + i);
+
+    let t = performance.now();
+    const onMain = new Float64Array(numbers.length);
+    await chunkProcess(numbers, (n, i) => { onMain[i] = countDivisors(n); }, { timeBudgetMs: 8, yieldTo: 'setImmediate' });
+    console.log('chunkProcess      ', (performance.now() - t).toFixed(0), 'ms');
+
+    t = performance.now();
+    const { results, workers } = await workerChunkProcess(numbers, countDivisors, { workers: 4 });
+    console.log(`workerChunkProcess (${workers} workers)`, (performance.now() - t).toFixed(0), 'ms');
+    console.assert(results.every((v, i) => v === onMain[i]));
+  })();
 }
+// Expect roughly main-thread time / cores, minus ~30ms per worker startup; on one core the
+// workers only add overhead — chunking keeps the UI responsive, workers make it faster.
+
+// Same work on the browser-mode loop, with an animation running, yielding three different ways:
+
+function simulateChunking(strategy, { items = 5000, costMs = 0.01, chunkSize = 2000 } = {}) {
+  const loop = new SimpleEventLoop({ mode: 'browser' });
+  let i = 0;
+  let finishedAt = null;
+  const animate = () => { if (finishedAt === null) loop.requestAnimationFrame(animate); };
+  loop.requestAnimationFrame(animate);
+
+  const yieldTo = {
+    setTimeout: fn => loop.setTimeout(fn, 0),
+    rAF: fn => loop.requestAnimationFrame(fn),
+    idle: fn => loop.requestIdleCallback(fn),
+  }[strategy];
+
+  function doChunk(deadline) {
+    const end = Math.min(i + chunkSize, items);
+    while (i < end) {
+      loop.work(costMs); // processFn(items[i], i)
+      i++;
+      // Idle callbacks stop when the idle period is (nearly) over, not after N items.
+      if (strategy === 'idle' && deadline.timeRemaining() < 1) break;
+    }
+    if (i < items) yieldTo(doChunk);
+    else finishedAt = loop.clock;
+  }
+
+  yieldTo(doChunk);
+  loop.run({ until: 10000 });
+  return { strategy, finishedAt: Math.round(finishedAt), frames: loop.stats.frames, dropped: loop.stats.droppedFrames };
+}
+
+if (require.main === module) {
+  ['setTimeout', 'rAF', 'idle'].forEach(strategy => console.log(simulateChunking(strategy)));
+}
+
+// { strategy: 'setTimeout', finishedAt: 50, frames: 3, dropped: 1 }  fast, but 20ms chunks overrun a frame
+// { strategy: 'rAF', finishedAt: 93, frames: 4, dropped: 3 }         the work runs INSIDE the frame → worst jank
+// { strategy: 'idle', finishedAt: 53, frames: 4, dropped: 0 }        sized by the deadline, not by chunkSize
 
 
 // Interview script: explain tradeoffs and pick a solution based on UX requirements and data size.
@@ -818,8 +2306,12 @@ function chunkProcess(items, processFn, chunkSize = 100) {
 
 // Serializing async tasks with reduce:
 
-const tasks = [fn1, fn2]; // each returns a Promise
-tasks.reduce((p, fn) => p.then(() => fn()), Promise.resolve());
+if (require.main === module) {
+  const fn1 = () => delay(20).then(() => console.log('fn1'));
+  const fn2 = () => delay(10).then(() => console.log('fn2'));
+  const tasks = [fn1, fn2]; // each returns a Promise
+  tasks.reduce((p, fn) => p.then(() => fn()), Promise.resolve());
+}
 
 
 // Bounded concurrency (AsyncQueue example).
@@ -840,4 +2332,23 @@ tasks.reduce((p, fn) => p.then(() => fn()), Promise.resolve());
 // because microtasks are drained before macrotasks. The implication is that
 // microtasks can starve rendering if abused, so you shouldn’t create infinite microtask
 // loops. Best practice: keep expensive work off the main thread and use workers or chunking.
-// In short: sync → microtasks → macrotask → paint.”
\ No newline at end of file
+// In short: sync → microtasks → macrotask → paint.”
+
+// `node index.js` plays the examples above; required, the file only defines the simulators,
+// which `node --test test/` checks.
+module.exports = {
+  TimerHeap,
+  Scheduler,
+  AsyncQueue,
+  FixedWindowRateLimiter,
+  SlidingWindowRateLimiter,
+  TokenBucketRateLimiter,
+  createRateLimiter,
+  SimpleEventLoop,
+  TraceRecorder,
+  chunkProcess,
+  createYieldStrategy,
+  WorkerPool,
+  workerChunkProcess,
+  simulateChunking,
+};
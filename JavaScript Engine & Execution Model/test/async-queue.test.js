@@ -0,0 +1,287 @@
+// AsyncQueue (Q13): results, priorities, cancellation, pause/resume and drain promises
+//
+// node --test "JavaScript Engine & Execution Model/test/"
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { AsyncQueue } = require('../index');
+
+// A task that runs until the test settles it
+function deferred() {
+  let resolve, reject;
+  const promise = new Promise((res, rej) => { resolve = res; reject = rej; });
+  return { promise, resolve, reject };
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+test('push() settles with the task\'s own result or error', async () => {
+  const q = new AsyncQueue(2);
+  assert.strictEqual(await q.push(() => Promise.resolve(42)), 42);
+  assert.strictEqual(await q.push(() => 'sync value'), 'sync value');
+  await assert.rejects(q.push(() => Promise.reject(new RangeError('nope'))), RangeError);
+  await assert.rejects(q.push(() => { throw new TypeError('thrown'); }), TypeError);
+});
+
+test('higher priorities start first, equal priorities in arrival order', async () => {
+  const q = new AsyncQueue(1);
+  const started = [];
+  q.pause();
+  const pushes = [['low', 0], ['high', 10], ['mid', 5], ['high 2', 10], ['low 2', 0]]
+    .map(([name, priority]) => q.push(() => { started.push(name); }, { priority }));
+  q.resume();
+  await Promise.all(pushes);
+  assert.deepStrictEqual(started, ['high', 'high 2', 'mid', 'low', 'low 2']);
+});
+
+test('aborting a waiting task removes it; aborting a running one rejects it and aborts its signal', async () => {
+  const q = new AsyncQueue(1);
+  const running = deferred();
+  let seen;
+  const first = new AbortController();
+  const second = new AbortController();
+  const a = q.push(({ signal }) => { seen = signal; return running.promise; }, { signal: first.signal });
+  let secondStarted = false;
+  const b = q.push(() => { secondStarted = true; }, { signal: second.signal });
+
+  second.abort(new Error('not needed'));
+  await assert.rejects(b, { message: 'not needed' });
+  assert.strictEqual(q.size, 0);
+
+  await tick();
+  first.abort(new Error('stop'));
+  await assert.rejects(a, { message: 'stop' });
+  assert.strictEqual(seen.aborted, true);
+  assert.strictEqual(secondStarted, false);
+  await assert.rejects(q.push(() => {}, { signal: AbortSignal.abort(new Error('already')) }), { message: 'already' });
+});
+
+test('a task over its timeout rejects with a TimeoutError and its signal fires', async () => {
+  const q = new AsyncQueue(1, { timeout: 1000 });
+  let signal;
+  const slow = q.push(s => { signal = s.signal; return new Promise(() => {}); }, { timeout: 10 });
+  await assert.rejects(slow, { name: 'TimeoutError' });
+  assert.strictEqual(signal.reason.name, 'TimeoutError');
+  assert.strictEqual(await q.push(() => 'next one runs'), 'next one runs');
+});
+
+test('pause() holds tasks back until resume(); running tasks carry on', async () => {
+  const q = new AsyncQueue(2);
+  const started = [];
+  const gate = deferred();
+  q.push(() => { started.push('before'); return gate.promise; });
+  q.pause();
+  const later = q.push(() => { started.push('after'); });
+  await tick();
+  assert.deepStrictEqual(started, ['before']);
+  assert.strictEqual(q.size, 1);
+  q.resume();
+  await later;
+  assert.deepStrictEqual(started, ['before', 'after']);
+  gate.resolve();
+});
+
+test('clear() rejects what is waiting with an AbortError and leaves running tasks alone', async () => {
+  const q = new AsyncQueue(1);
+  const gate = deferred();
+  const running = q.push(() => gate.promise);
+  const waiting = [q.push(() => 'a'), q.push(() => 'b')];
+  q.clear();
+  for (const task of waiting) await assert.rejects(task, { name: 'AbortError' });
+  gate.resolve('done');
+  assert.strictEqual(await running, 'done');
+});
+
+test('onEmpty() resolves once nothing waits, onIdle() once nothing runs either', async () => {
+  const q = new AsyncQueue(1);
+  const events = [];
+  const gates = [deferred(), deferred()];
+  gates.forEach(gate => q.push(() => gate.promise));
+  q.onEmpty().then(() => events.push('empty'));
+  q.onIdle().then(() => events.push('idle'));
+  gates[0].resolve();
+  await tick();
+  assert.deepStrictEqual(events, ['empty']);
+  gates[1].resolve();
+  await tick();
+  assert.deepStrictEqual(events, ['empty', 'idle']);
+  await new AsyncQueue(1).onIdle(); // an unused queue is idle straight away
+});
+
+test('raising concurrency at runtime starts waiting tasks at once', async () => {
+  const q = new AsyncQueue(1);
+  const gates = [deferred(), deferred(), deferred()];
+  gates.forEach(gate => q.push(() => gate.promise));
+  await tick();
+  assert.strictEqual(q.running, 1);
+  q.concurrency = 3;
+  assert.strictEqual(q.running, 3);
+  assert.throws(() => { q.concurrency = 0; }, TypeError);
+  assert.throws(() => new AsyncQueue(Number.NaN), TypeError);
+  gates.forEach(gate => gate.resolve());
+  await q.onIdle();
+});
+
+test('under \'block\' a full queue holds the producer at await enqueue() until a task finishes', async () => {
+  const q = new AsyncQueue(1, { maxSize: 1 });
+  const gates = [deferred(), deferred(), deferred()];
+  const admitted = [];
+  const producer = (async () => {
+    for (const [i, gate] of gates.entries()) {
+      await q.enqueue(() => gate.promise);
+      admitted.push(i);
+    }
+  })();
+  await tick();
+  assert.deepStrictEqual(admitted, [0, 1]); // one running, one waiting, the third parked
+  assert.strictEqual(q.size, 1);
+  gates[0].resolve();
+  await tick();
+  assert.deepStrictEqual(admitted, [0, 1, 2]);
+  gates[1].resolve();
+  gates[2].resolve();
+  await producer;
+  // `result` is what push() would have settled with
+  const { result } = await q.enqueue(() => 'queued');
+  assert.strictEqual(await result, 'queued');
+  await q.onIdle();
+});
+
+test('\'drop-newest\' rejects the incoming push and fires \'drop\'', async () => {
+  const q = new AsyncQueue(1, { maxSize: 1, overflow: 'drop-newest' });
+  const dropped = [];
+  q.addEventListener('drop', e => dropped.push(e.task.name));
+  const gate = deferred();
+  const running = q.push(() => gate.promise);
+  const waiting = q.push(function waiting() { return 'ran'; });
+  await assert.rejects(q.push(function extra() {}), { name: 'AbortError' });
+  assert.deepStrictEqual(dropped, ['extra']);
+  gate.resolve('first');
+  assert.strictEqual(await running, 'first');
+  assert.strictEqual(await waiting, 'ran');
+});
+
+test('\'drop-oldest\' rejects the longest-waiting task\'s push to make room', async () => {
+  const q = new AsyncQueue(1, { maxSize: 2, overflow: 'drop-oldest' });
+  const gate = deferred();
+  const running = q.push(() => gate.promise);
+  const oldest = q.push(() => 'oldest');
+  const urgent = q.push(() => 'urgent', { priority: 10 });
+  const newest = q.push(() => 'newest');
+  await assert.rejects(oldest, { name: 'AbortError' });
+  gate.resolve();
+  await running;
+  assert.deepStrictEqual(await Promise.all([urgent, newest]), ['urgent', 'newest']);
+});
+
+test('maxSize 0 lets a task in only while a slot is free', async () => {
+  const dropping = new AsyncQueue(1, { maxSize: 0, overflow: 'drop-oldest' });
+  const gate = deferred();
+  const first = dropping.push(() => gate.promise);
+  await assert.rejects(dropping.push(() => 'no slot'), { name: 'AbortError' });
+  gate.resolve('ran');
+  assert.strictEqual(await first, 'ran');
+  assert.strictEqual(await dropping.push(() => 'slot free again'), 'slot free again');
+
+  const blocking = new AsyncQueue(1, { maxSize: 0 });
+  const started = [];
+  const gates = [deferred(), deferred()];
+  const results = gates.map((g, i) => blocking.push(() => { started.push(i); return g.promise; }));
+  await tick();
+  assert.deepStrictEqual(started, [0]);
+  assert.strictEqual(blocking.size, 0);
+  gates[0].resolve();
+  await tick();
+  assert.deepStrictEqual(started, [0, 1]);
+  gates[1].resolve();
+  await Promise.all(results);
+});
+
+test('\'reject\' refuses a push past maxSize with a QueueFullError', async () => {
+  assert.throws(() => new AsyncQueue(1, { overflow: 'spill' }), TypeError);
+  const q = new AsyncQueue(1, { maxSize: 1, overflow: 'reject' });
+  const gate = deferred();
+  q.push(() => gate.promise);
+  q.push(() => {});
+  await assert.rejects(q.push(() => {}), { name: 'QueueFullError' });
+  await assert.rejects(q.enqueue(() => {}), { name: 'QueueFullError' });
+  gate.resolve();
+  await q.onIdle();
+});
+
+test('aborting or clearing a parked task rejects its push()', async () => {
+  const q = new AsyncQueue(1, { maxSize: 0 });
+  const gate = deferred();
+  q.push(() => gate.promise);
+  const controller = new AbortController();
+  const aborted = q.push(() => {}, { signal: controller.signal });
+  const cleared = q.push(() => {});
+  controller.abort(new Error('gave up'));
+  await assert.rejects(aborted, { message: 'gave up' });
+  q.clear();
+  await assert.rejects(cleared, { name: 'AbortError' });
+  gate.resolve();
+  await q.onIdle();
+});
+
+test('dropping or clearing tasks whose result nobody took rejects nothing unhandled', async () => {
+  const unhandled = [];
+  const record = reason => unhandled.push(reason);
+  process.on('unhandledRejection', record);
+  try {
+    const q = new AsyncQueue(1, { maxSize: 1, overflow: 'drop-oldest' });
+    const gate = deferred();
+    await q.enqueue(() => gate.promise);
+    await q.enqueue(() => 'dropped');
+    await q.enqueue(() => 'cleared');
+    q.clear();
+    await tick();
+    assert.deepStrictEqual(unhandled, []);
+    gate.resolve();
+    await q.onIdle();
+  } finally {
+    process.off('unhandledRejection', record);
+  }
+});
+
+test('\'highwater\' fires when the waiting count reaches the high mark, \'lowwater\' when it drains to the low one', async () => {
+  const q = new AsyncQueue(1, { highWaterMark: 3, lowWaterMark: 1 });
+  const events = [];
+  q.addEventListener('highwater', () => events.push(`high at ${q.size}`));
+  q.addEventListener('lowwater', () => events.push(`low at ${q.size}`));
+  const gates = Array.from({ length: 5 }, deferred);
+  gates.forEach(gate => q.push(() => gate.promise));
+  await tick();
+  assert.deepStrictEqual(events, ['high at 3']);
+  for (const gate of gates) {
+    gate.resolve();
+    await tick();
+  }
+  assert.deepStrictEqual(events, ['high at 3', 'low at 1']);
+});
+
+test('process() yields results in completion order and pulls only as far as there is room', async () => {
+  const q = new AsyncQueue(2, { maxSize: 2 });
+  let pulled = 0;
+  function* tasks() {
+    for (let i = 1; i <= 20; i++) {
+      pulled++;
+      yield () => new Promise(resolve => setTimeout(resolve, i % 3, i * i));
+    }
+  }
+  const seen = [];
+  for await (const square of q.process(tasks())) {
+    seen.push(square);
+    // 2 running + 2 waiting + 2 unread results, and the one the producer holds
+    assert.ok(pulled - seen.length <= 7, `pulled ${pulled} with ${seen.length} read`);
+  }
+  assert.deepStrictEqual(seen.sort((a, b) => a - b), Array.from({ length: 20 }, (_, i) => (i + 1) ** 2));
+
+  // maxSize 0 still leaves room for one unread result
+  const unbuffered = [];
+  for await (const value of new AsyncQueue(1, { maxSize: 0 }).process([() => 'a', () => 'b', () => 'c'])) unbuffered.push(value);
+  assert.deepStrictEqual(unbuffered, ['a', 'b', 'c']);
+
+  const failing = new AsyncQueue(1).process([() => 1, () => { throw new Error('bad task'); }, () => 3]);
+  await assert.rejects(async () => { for await (const value of failing) assert.strictEqual(value, 1); }, { message: 'bad task' });
+});
@@ -0,0 +1,84 @@
+// chunkProcess (Q15): chunks, yielding, time budget, progress, abort and async work
+//
+// node --test "JavaScript Engine & Execution Model/test/"
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { chunkProcess, Scheduler } = require('../index');
+
+const range = n => Array.from({ length: n }, (_, i) => i);
+
+test('on a virtual Scheduler each chunk after the first waits for the clock', async () => {
+  const vs = new Scheduler({ virtual: true });
+  const seen = [];
+  const progress = [];
+  const done = chunkProcess(range(10), (item, index) => seen.push([item, index]), {
+    chunkSize: 4,
+    yieldTo: vs,
+    onProgress: p => progress.push(p),
+  });
+  assert.strictEqual(seen.length, 4); // the first chunk runs straight away
+  vs.runAll();
+  assert.deepStrictEqual(await done, { processed: 10, chunks: 3, elapsedMs: 0 });
+  assert.deepStrictEqual(seen, range(10).map(i => [i, i]));
+  assert.deepStrictEqual(progress, [
+    { processed: 4, total: 10, chunks: 1 },
+    { processed: 8, total: 10, chunks: 2 },
+    { processed: 10, total: 10, chunks: 3 },
+  ]);
+});
+
+test('a number in place of the options is the chunk size', async () => {
+  const yields = [];
+  const { chunks } = await chunkProcess(range(5), () => {}, 2);
+  assert.strictEqual(chunks, 3);
+  const custom = await chunkProcess(range(5), () => {}, { chunkSize: 2, yieldTo: cb => { yields.push(1); setImmediate(cb); } });
+  assert.strictEqual(custom.chunks, 3);
+  assert.strictEqual(yields.length, 2);
+});
+
+test('every yield strategy processes the same items', async () => {
+  for (const yieldTo of ['setTimeout', 'setImmediate', 'messageChannel']) {
+    let sum = 0;
+    const { processed, chunks } = await chunkProcess(range(100), n => { sum += n; }, { chunkSize: 30, yieldTo });
+    assert.deepStrictEqual([processed, chunks, sum], [100, 4, 4950], yieldTo);
+  }
+  assert.throws(() => chunkProcess([], () => {}, { yieldTo: 'requestIdleCallback' }), /Unknown yield strategy/);
+});
+
+test('timeBudgetMs ends a chunk early once it has run that long', async () => {
+  const busy = ms => { const end = performance.now() + ms; while (performance.now() < end); };
+  const { processed, chunks } = await chunkProcess(range(10), () => busy(2), { chunkSize: 100, timeBudgetMs: 5, yieldTo: 'setImmediate' });
+  assert.strictEqual(processed, 10);
+  assert.ok(chunks >= 4, `${chunks} chunks`); // three 2ms items use up a 5ms budget
+});
+
+test('aborting stops between items and rejects with the reason', async () => {
+  const controller = new AbortController();
+  const seen = [];
+  const run = chunkProcess(range(100), n => seen.push(n), {
+    chunkSize: 10,
+    signal: controller.signal,
+    onProgress: ({ processed }) => processed === 20 && controller.abort(new Error('enough')),
+  });
+  await assert.rejects(run, { message: 'enough' });
+  assert.strictEqual(seen.length, 20);
+
+  let called = false;
+  await assert.rejects(chunkProcess([1], () => { called = true; }, { signal: AbortSignal.abort() }), { name: 'AbortError' });
+  assert.strictEqual(called, false);
+});
+
+test('an async processFn is awaited before the next item, and its failure rejects the run', async () => {
+  let active = 0;
+  let mostActive = 0;
+  const { processed } = await chunkProcess(range(6), async () => {
+    mostActive = Math.max(mostActive, ++active);
+    await new Promise(resolve => setTimeout(resolve, 1));
+    active--;
+  }, { chunkSize: 4 });
+  assert.strictEqual(processed, 6);
+  assert.strictEqual(mostActive, 1);
+
+  await assert.rejects(chunkProcess(range(6), async n => { if (n === 3) throw new RangeError('item 3'); }), RangeError);
+});
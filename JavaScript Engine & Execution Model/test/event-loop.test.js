@@ -0,0 +1,220 @@
+// SimpleEventLoop (Q14): the simple, Node and browser modes
+//
+// node --test "JavaScript Engine & Execution Model/test/"
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { SimpleEventLoop, simulateChunking } = require('../index');
+
+test('simple mode drains microtasks before each macrotask', () => {
+  const loop = new SimpleEventLoop();
+  loop.enqueueTask(() => loop.log('task 1'));
+  loop.enqueueTask(() => loop.log('task 2'));
+  loop.enqueueMicro(() => loop.log('micro'));
+  loop.runOnce();
+  assert.deepStrictEqual(loop.output, ['micro', 'task 1']);
+  loop.runOnce();
+  assert.deepStrictEqual(loop.output, ['micro', 'task 1', 'task 2']);
+});
+
+test('a throwing callback ends run() unless onError is given', () => {
+  const boom = new Error('boom');
+  const loop = new SimpleEventLoop({ mode: 'node' });
+  loop.runScript(() => {
+    loop.setImmediate(() => { throw boom; });
+    loop.setImmediate(() => loop.log('second immediate'));
+  });
+  assert.throws(() => loop.run(), boom);
+  assert.deepStrictEqual(loop.output, []);
+  loop.run(); // what the check phase had left is still queued
+  assert.deepStrictEqual(loop.output, ['second immediate']);
+
+  const errors = [];
+  const lenient = new SimpleEventLoop({ mode: 'browser', onError: e => errors.push(e.message) });
+  lenient.enqueueTask(() => {
+    lenient.enqueueMicro(() => { throw new Error('micro'); });
+    lenient.enqueueMicro(() => lenient.log('micro after'));
+    lenient.requestAnimationFrame(() => { throw new Error('rAF'); });
+    lenient.requestAnimationFrame(() => lenient.log('rAF after'));
+  });
+  lenient.run();
+  assert.deepStrictEqual(errors, ['micro', 'rAF']);
+  assert.deepStrictEqual(lenient.output, ['micro after', 'rAF after']);
+});
+
+function nodeLoop(options) {
+  return new SimpleEventLoop({ mode: 'node', ...options });
+}
+
+test('node: setTimeout(0) against setImmediate in the main module depends on the bootstrap time', () => {
+  const outputs = [0, 1].map(bootstrapMs => {
+    const loop = nodeLoop({ bootstrapMs });
+    loop.runScript(() => {
+      loop.setTimeout(() => loop.log('timeout'), 0);
+      loop.setImmediate(() => loop.log('immediate'));
+    });
+    loop.run();
+    return loop.output;
+  });
+  assert.deepStrictEqual(outputs, [['immediate', 'timeout'], ['timeout', 'immediate']]);
+});
+
+test('node: inside an I/O callback setImmediate always runs before setTimeout(0)', () => {
+  for (const bootstrapMs of [0, 1, 5]) {
+    const loop = nodeLoop({ bootstrapMs });
+    loop.runScript(() => {
+      loop.enqueueIO(() => {
+        loop.setTimeout(() => loop.log('timeout'), 0);
+        loop.setImmediate(() => loop.log('immediate'));
+      });
+      loop.enqueueMicro(() => loop.log('promise'));
+      loop.nextTick(() => loop.log('nextTick'));
+      loop.log('sync');
+    });
+    loop.run();
+    assert.deepStrictEqual(loop.output, ['sync', 'nextTick', 'promise', 'immediate', 'timeout'], `bootstrapMs ${bootstrapMs}`);
+  }
+});
+
+test('node: the nextTick queue drains before promise microtasks, and again when a microtask refills it', () => {
+  const loop = nodeLoop();
+  loop.runScript(() => {
+    loop.enqueueMicro(() => {
+      loop.log('promise 1');
+      loop.nextTick(() => loop.log('tick from promise'));
+      loop.enqueueMicro(() => loop.log('promise 3'));
+    });
+    loop.enqueueMicro(() => loop.log('promise 2'));
+    loop.nextTick(() => {
+      loop.log('tick 1');
+      loop.nextTick(() => loop.log('tick 2'));
+    });
+  });
+  assert.deepStrictEqual(loop.output, ['tick 1', 'tick 2', 'promise 1', 'promise 2', 'promise 3', 'tick from promise']);
+});
+
+test('node: microtasks drain after every callback, not after every phase', () => {
+  const loop = nodeLoop({ bootstrapMs: 1 });
+  loop.runScript(() => {
+    for (const name of ['a', 'b']) {
+      loop.setTimeout(() => {
+        loop.log('timeout ' + name);
+        loop.enqueueMicro(() => loop.log('promise ' + name));
+      }, 0);
+    }
+  });
+  loop.run();
+  assert.deepStrictEqual(loop.output, ['timeout a', 'promise a', 'timeout b', 'promise b']);
+});
+
+test('node: one iteration visits timers, pending, poll, check and close in that order', () => {
+  const loop = nodeLoop({ bootstrapMs: 1 });
+  const seen = [];
+  const record = name => () => seen.push(`${name} in ${loop.phase}`);
+  loop.runScript(() => {
+    loop.onClose(record('close'));
+    loop.setImmediate(record('immediate'));
+    loop.enqueueIO(record('io'));
+    loop.enqueuePending(record('pending'));
+    loop.setTimeout(record('timeout'), 0);
+  });
+  loop.runOnce();
+  assert.deepStrictEqual(seen, ['timeout in timers', 'pending in pending', 'io in poll', 'immediate in check', 'close in close']);
+});
+
+test('node: an idle poll phase waits for the earliest timer or I/O, and immediates cut the wait short', () => {
+  const loop = nodeLoop();
+  loop.runScript(() => {
+    loop.setTimeout(() => loop.log('timer@' + loop.clock), 50);
+    loop.enqueueIO(() => loop.log('io@' + loop.clock), 20);
+  });
+  loop.run();
+  assert.deepStrictEqual(loop.output, ['io@20', 'timer@50']);
+
+  const busy = nodeLoop();
+  busy.runScript(() => {
+    busy.enqueueIO(() => busy.log('io@' + busy.clock), 20);
+    busy.setImmediate(() => busy.log('immediate@' + busy.clock));
+  });
+  busy.run();
+  assert.deepStrictEqual(busy.output, ['immediate@0', 'io@20']);
+});
+
+test('node: a timer set from a timer waits for the next iteration, even at 0ms', () => {
+  const loop = nodeLoop({ bootstrapMs: 1 });
+  loop.runScript(() => {
+    loop.setTimeout(() => {
+      loop.log('outer');
+      loop.setTimeout(() => loop.log('inner timeout'), 0);
+      loop.setImmediate(() => loop.log('immediate'));
+    }, 0);
+  });
+  loop.run();
+  assert.deepStrictEqual(loop.output, ['outer', 'immediate', 'inner timeout']);
+});
+
+function browserLoop(options) {
+  return new SimpleEventLoop({ mode: 'browser', ...options });
+}
+
+test('browser: a rendering step runs rAF, observers and paint between tasks, idle time before it', () => {
+  const page = browserLoop();
+  page.onPaint(({ frame }) => page.log('paint#' + frame));
+  page.enqueueTask(() => {
+    page.log('task');
+    page.enqueueMicro(() => page.log('micro'));
+    page.requestAnimationFrame(() => page.log('rAF'));
+    page.queueResizeObservation(() => page.log('resize'));
+    page.queueIntersectionObservation(() => page.log('intersection'));
+    page.requestIdleCallback(deadline => page.log('idle ' + deadline.timeRemaining().toFixed(1)));
+    page.setTimeout(() => page.log('timeout'), 0);
+  });
+  page.run();
+  assert.deepStrictEqual(page.output, ['task', 'micro', 'timeout', 'idle 16.7', 'rAF', 'resize', 'intersection', 'paint#1']);
+  assert.deepStrictEqual(page.stats, { tasks: 2, frames: 1, droppedFrames: 0, longTasks: 0, idleCallbacks: 1 });
+});
+
+test('browser: rAF callbacks get the frame time, and ones they request wait for the next frame', () => {
+  const page = browserLoop({ frameBudgetMs: 10 });
+  let frames = 0;
+  const animate = time => {
+    page.log(time);
+    if (++frames < 3) page.requestAnimationFrame(animate);
+  };
+  page.requestAnimationFrame(animate);
+  const cancelled = page.requestAnimationFrame(() => page.log('cancelled'));
+  page.cancelAnimationFrame(cancelled);
+  page.run();
+  assert.deepStrictEqual(page.output, [10, 20, 30]);
+});
+
+test('browser: timers nested 5 deep are clamped to 4ms', () => {
+  const page = browserLoop();
+  let depth = 0;
+  const nest = () => {
+    page.log(`${++depth}@${page.clock}`);
+    if (depth < 7) page.setTimeout(nest, 0);
+  };
+  page.setTimeout(nest, 0);
+  page.run();
+  assert.deepStrictEqual(page.output, ['1@0', '2@0', '3@0', '4@0', '5@0', '6@4', '7@8']);
+});
+
+test('browser: a long task drops frames and an overdue idle callback runs with didTimeout', () => {
+  const page = browserLoop();
+  page.requestAnimationFrame(() => page.log('rAF'));
+  page.requestIdleCallback(deadline => page.log(`idle didTimeout=${deadline.didTimeout} left=${deadline.timeRemaining()}`), { timeout: 10 });
+  page.enqueueTask(() => page.work(60));
+  page.run();
+  assert.deepStrictEqual(page.output, ['idle didTimeout=true left=0', 'rAF']);
+  assert.strictEqual(page.stats.longTasks, 1);
+  assert.strictEqual(page.stats.droppedFrames, 3);
+});
+
+test('browser: chunking by setTimeout, rAF and idle callbacks, measured in dropped frames', () => {
+  assert.deepStrictEqual(['setTimeout', 'rAF', 'idle'].map(strategy => simulateChunking(strategy)), [
+    { strategy: 'setTimeout', finishedAt: 50, frames: 3, dropped: 1 },
+    { strategy: 'rAF', finishedAt: 93, frames: 4, dropped: 3 },
+    { strategy: 'idle', finishedAt: 53, frames: 4, dropped: 0 },
+  ]);
+});
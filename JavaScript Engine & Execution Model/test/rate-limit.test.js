@@ -0,0 +1,89 @@
+// AsyncQueue rate limits (Q13, with the coding bank's Q40 limiters), on a virtual clock
+//
+// node --test "JavaScript Engine & Execution Model/test/"
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+  AsyncQueue, FixedWindowRateLimiter, SlidingWindowRateLimiter, TokenBucketRateLimiter, createRateLimiter,
+} = require('../index');
+const { runExamples } = require('../../coding/extract/runtime');
+
+// When each of `count` tasks started, in ms from the first push. runExamples fakes
+// setTimeout and Date.now, so a few virtual seconds take none.
+async function startTimes(queue, count, taskMs = 0) {
+  const times = [];
+  await runExamples(() => {
+    const t0 = Date.now();
+    for (let i = 0; i < count; i++) {
+      queue.push(() => {
+        times.push(Date.now() - t0);
+        return new Promise(resolve => setTimeout(resolve, taskMs));
+      });
+    }
+  });
+  return times;
+}
+
+test('each strategy names its limiter', () => {
+  assert.ok(createRateLimiter({ limit: 2, strategy: 'sliding' }) instanceof SlidingWindowRateLimiter);
+  assert.ok(createRateLimiter({ limit: 2, strategy: 'token-bucket' }) instanceof TokenBucketRateLimiter);
+  assert.ok(createRateLimiter({ limit: 2 }) instanceof FixedWindowRateLimiter);
+});
+
+test('a fixed window lets `limit` tasks start per window', async () => {
+  const q = new AsyncQueue(10, { rateLimit: { limit: 3, interval: 1000, strategy: 'fixed' } });
+  const times = await startTimes(q, 7);
+  // Windows are aligned to multiples of the interval, so the second one opens within a second
+  const next = times[3];
+  assert.ok(next > 0 && next <= 1000, `second window at ${next}`);
+  assert.deepStrictEqual(times, [0, 0, 0, next, next, next, next + 1000]);
+});
+
+test('a sliding window lets the next task start when the oldest start leaves the window', async () => {
+  const q = new AsyncQueue(10, { rateLimit: { limit: 2, interval: 1000, strategy: 'sliding' } });
+  assert.deepStrictEqual(await startTimes(q, 5), [0, 0, 1000, 1000, 2000]);
+});
+
+test('a token bucket starts with a full bucket, then refills at limit per interval', async () => {
+  const q = new AsyncQueue(10, { rateLimit: { limit: 2, interval: 1000, strategy: 'token-bucket' } });
+  assert.deepStrictEqual(await startTimes(q, 5), [0, 0, 500, 1000, 1500]);
+});
+
+test('the concurrency cap and the rate limit both hold, whichever is tighter', async () => {
+  const slowTasks = new AsyncQueue(1, { rateLimit: { limit: 10, interval: 1000, strategy: 'sliding' } });
+  assert.deepStrictEqual(await startTimes(slowTasks, 4, 300), [0, 300, 600, 900]);
+  const fewStarts = new AsyncQueue(5, { rateLimit: { limit: 2, interval: 1000, strategy: 'sliding' } });
+  assert.deepStrictEqual(await startTimes(fewStarts, 4, 100), [0, 0, 1000, 1000]);
+});
+
+test('any object with acquire() can be the limiter; bad settings are refused', async () => {
+  const asked = [];
+  const limiter = { acquire: () => { asked.push(Date.now()); return new Promise(resolve => setTimeout(resolve, 50)); } };
+  const q = new AsyncQueue(3, { rateLimit: limiter });
+  assert.strictEqual(q.rateLimiter, limiter);
+  assert.deepStrictEqual(await startTimes(q, 3), [50, 100, 150]);
+  assert.strictEqual(asked.length, 3);
+
+  assert.throws(() => createRateLimiter({ limit: 0 }), TypeError);
+  assert.throws(() => createRateLimiter({ limit: 1, interval: -5 }), TypeError);
+  assert.throws(() => createRateLimiter({ limit: 1, strategy: 'leaky' }), /Unknown rate limit strategy/);
+});
+
+test('a limiter that fails fails the task that was waiting for it, and the next one asks again', async () => {
+  let calls = 0;
+  const limiter = {
+    acquire() {
+      calls++;
+      if (calls === 1) return Promise.reject(new Error('limiter down'));
+      if (calls === 2) throw new Error('thrown');
+      return Promise.resolve();
+    },
+  };
+  const q = new AsyncQueue(1, { rateLimit: limiter });
+  const results = ['a', 'b', 'c'].map(name => q.push(() => name));
+  await assert.rejects(results[0], { message: 'limiter down' });
+  await assert.rejects(results[1], { message: 'thrown' });
+  assert.strictEqual(await results[2], 'c');
+  await q.onIdle();
+});
@@ -0,0 +1,178 @@
+// Scheduler (Q11): the virtual clock's ordering, asserted rather than logged
+//
+// node --test "JavaScript Engine & Execution Model/test/"
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { spawnSync } = require('node:child_process');
+const { Scheduler } = require('../index');
+
+test('sync code, then microtasks, then immediates, then timers in due order', () => {
+  const vs = new Scheduler({ virtual: true });
+  vs.log('A');
+  vs.setTimeout(() => vs.log('B'), 0);
+  vs.queueMicrotask(() => vs.log('C'));
+  vs.setImmediate(() => vs.log('E'));
+  const tick = vs.setInterval(() => {
+    vs.log('tick@' + vs.now());
+    if (vs.now() >= 30) vs.clearInterval(tick);
+  }, 10);
+  vs.log('D');
+
+  vs.advanceBy(10);
+  assert.deepStrictEqual(vs.output, ['A', 'D', 'C', 'E', 'B', 'tick@10']);
+  assert.strictEqual(vs.now(), 10);
+
+  vs.runAll();
+  assert.deepStrictEqual(vs.output, ['A', 'D', 'C', 'E', 'B', 'tick@10', 'tick@20', 'tick@30']);
+  assert.strictEqual(vs.now(), 30);
+  assert.deepStrictEqual(vs.executed.map(e => `${e.type}@${e.time}`), [
+    'microtask@0', 'immediate@0', 'timeout@0', 'interval@10', 'interval@20', 'interval@30',
+  ]);
+});
+
+test('microtasks queued by a timer run before the next timer', () => {
+  const vs = new Scheduler({ virtual: true });
+  vs.setTimeout(() => {
+    vs.log('t1');
+    vs.queueMicrotask(() => vs.log('m1'));
+  }, 5);
+  vs.setTimeout(() => vs.log('t2'), 5);
+  vs.runAll();
+  assert.deepStrictEqual(vs.output, ['t1', 'm1', 't2']);
+});
+
+test('timers due at the same time run in the order they were set, with their arguments', () => {
+  const vs = new Scheduler({ virtual: true });
+  vs.setTimeout(label => vs.log(label), 20, 'late');
+  vs.setTimeout(label => vs.log(label), 10, 'first');
+  vs.setTimeout(label => vs.log(label), 10, 'second');
+  vs.runAll();
+  assert.deepStrictEqual(vs.output, ['first', 'second', 'late']);
+});
+
+test('advanceBy() runs only what falls due and leaves the clock at the target', () => {
+  const vs = new Scheduler({ virtual: true });
+  vs.setTimeout(() => vs.log('at 50'), 50);
+  vs.setTimeout(() => vs.log('at 100'), 100);
+  vs.advanceBy(60);
+  assert.deepStrictEqual(vs.output, ['at 50']);
+  assert.strictEqual(vs.now(), 60);
+  vs.advanceBy(40);
+  assert.deepStrictEqual(vs.output, ['at 50', 'at 100']);
+});
+
+test('cleared timers and immediates never run', () => {
+  const vs = new Scheduler({ virtual: true });
+  const timeout = vs.setTimeout(() => vs.log('timeout'), 10);
+  const immediate = vs.setImmediate(() => vs.log('immediate'));
+  vs.setTimeout(() => vs.log('kept'), 10);
+  vs.clearTimeout(timeout);
+  vs.clearImmediate(immediate);
+  vs.runAll();
+  assert.deepStrictEqual(vs.output, ['kept']);
+});
+
+test('an immediate queued by an immediate waits for the next turn', () => {
+  const vs = new Scheduler({ virtual: true });
+  vs.setImmediate(() => {
+    vs.log('first');
+    vs.setImmediate(() => vs.log('third'));
+  });
+  vs.setTimeout(() => vs.log('second'), 0);
+  vs.runAll();
+  assert.deepStrictEqual(vs.output, ['first', 'second', 'third']);
+});
+
+test('runOnlyPending() leaves what the pending callbacks schedule for later', () => {
+  const vs = new Scheduler({ virtual: true });
+  vs.setTimeout(() => vs.setTimeout(() => vs.log('later'), 0), 5);
+  vs.runOnlyPending();
+  assert.deepStrictEqual(vs.output, []);
+  assert.strictEqual(vs.now(), 5);
+  vs.runOnlyPending();
+  assert.deepStrictEqual(vs.output, ['later']);
+});
+
+test('runAll() gives up on an interval nobody clears', () => {
+  const vs = new Scheduler({ virtual: true, loopLimit: 100 });
+  vs.setInterval(() => {}, 0);
+  assert.throws(() => vs.runAll(), /Aborting after running 100 macrotasks/);
+});
+
+test('runAll() gives up on a setImmediate that keeps rescheduling itself', () => {
+  const vs = new Scheduler({ virtual: true, loopLimit: 100 });
+  const again = () => vs.setImmediate(again);
+  again();
+  assert.throws(() => vs.runAll(), /Aborting after running 100 macrotasks/);
+});
+
+test('a zero-delay interval repeats every 1ms, so the clock still moves', () => {
+  const vs = new Scheduler({ virtual: true });
+  const id = vs.setInterval(() => {
+    vs.log(vs.now());
+    if (vs.now() === 3) vs.clearInterval(id);
+  }, 0);
+  vs.runAll();
+  assert.deepStrictEqual(vs.output, [0, 1, 2, 3]);
+});
+
+test('on the real event loop, scheduleMicro() runs before scheduleTask()', async () => {
+  const s = new Scheduler();
+  const order = [];
+  await new Promise(resolve => {
+    s.scheduleTask(() => {
+      order.push('task');
+      resolve();
+    });
+    s.scheduleMicro(() => order.push('micro'));
+  });
+  assert.deepStrictEqual(order, ['micro', 'task']);
+});
+
+test('a callback that throws stops runAll(), is recorded, and leaves the rest queued', () => {
+  const vs = new Scheduler({ virtual: true });
+  const boom = new Error('boom');
+  vs.setTimeout(() => { throw boom; }, 10);
+  vs.setTimeout(() => vs.log('after'), 20);
+  assert.throws(() => vs.runAll(), boom);
+  assert.deepStrictEqual(vs.executed.map(e => e.error), [boom]);
+  assert.strictEqual(vs.now(), 10);
+  vs.runAll();
+  assert.deepStrictEqual(vs.output, ['after']);
+});
+
+test('with onError the loop reports the error and carries on', () => {
+  const errors = [];
+  const vs = new Scheduler({ virtual: true, onError: e => errors.push(e.message) });
+  vs.queueMicrotask(() => { throw new Error('micro'); });
+  vs.queueMicrotask(() => vs.log('next micro'));
+  vs.setTimeout(() => { throw new Error('timer'); }, 0);
+  vs.setTimeout(() => vs.log('next timer'), 0);
+  vs.runAll();
+  assert.deepStrictEqual(errors, ['micro', 'timer']);
+  assert.deepStrictEqual(vs.output, ['next micro', 'next timer']);
+});
+
+test('on the real event loop an uncaught error reaches the host once the queue has drained', () => {
+  const script = `
+    const { Scheduler } = require(${JSON.stringify(require.resolve('../index'))});
+    const s = new Scheduler();
+    s.scheduleMicro(() => { throw new Error('boom'); });
+    s.scheduleMicro(() => console.log('still runs'));
+  `;
+  const { status, stdout, stderr } = spawnSync(process.execPath, ['-e', script], { encoding: 'utf8', timeout: 10000 });
+  assert.strictEqual(status, 1);
+  assert.strictEqual(stdout, 'still runs\n');
+  assert.match(stderr, /Error: boom/);
+});
+
+test('on the real event loop onError gets the error instead', async () => {
+  const errors = [];
+  const s = new Scheduler({ onError: e => errors.push(e.message) });
+  await new Promise(resolve => {
+    s.scheduleTask(() => { throw new Error('task'); });
+    s.scheduleTask(resolve);
+  });
+  assert.deepStrictEqual(errors, ['task']);
+});
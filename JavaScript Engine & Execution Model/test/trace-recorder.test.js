@@ -0,0 +1,100 @@
+// TraceRecorder: what the simulators record, and the three exports
+//
+// node --test "JavaScript Engine & Execution Model/test/"
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { Scheduler, SimpleEventLoop, TraceRecorder } = require('../index');
+
+function tracedNodeRun() {
+  const loop = new SimpleEventLoop({ mode: 'node', trace: true, onError: () => {} });
+  loop.runScript(function main() {
+    loop.setTimeout(function timeout() {}, 0);
+    loop.setImmediate(function immediate() { throw new Error('boom'); });
+    loop.enqueueMicro(function promise() {});
+    loop.nextTick(function tick() {});
+  });
+  loop.run();
+  return loop.trace;
+}
+
+test('every callback goes enqueue → dequeue → start → finish | throw', () => {
+  const events = tracedNodeRun().toJSON();
+  const byLabel = label => events.filter(e => e.label === label).map(e => `${e.type}@${e.time} depth ${e.depth}`);
+  assert.deepStrictEqual(byLabel('main'), ['enqueue@0 depth 0', 'dequeue@0 depth 0', 'start@0 depth 1', 'finish@0 depth 1']);
+  assert.deepStrictEqual(byLabel('timeout'), ['enqueue@0 depth 1', 'dequeue@1 depth 0', 'start@1 depth 1', 'finish@1 depth 1']);
+  assert.deepStrictEqual(byLabel('immediate'), ['enqueue@0 depth 1', 'dequeue@0 depth 0', 'start@0 depth 1', 'throw@0 depth 1']);
+  assert.strictEqual(events.find(e => e.type === 'throw').error, 'boom');
+  assert.deepStrictEqual(events.filter(e => e.type === 'start').map(e => e.label), ['main', 'tick', 'promise', 'immediate', 'timeout']);
+});
+
+test('toTimeline() draws one row per queue, one column per callback run', () => {
+  assert.strictEqual(tracedNodeRun().toTimeline(), [
+    'time      | 0 0 0 0 1',
+    'script    | █ · · · ·',
+    'timers    | · · · · █',
+    'check     | · · · ✗ ·',
+    'microtask | · · █ · ·',
+    'nextTick  | · █ · · ·',
+    '',
+    '1. script#1 main',
+    '2. nextTick#5 tick',
+    '3. microtask#4 promise',
+    '4. check#3 immediate',
+    '5. timers#2 timeout',
+  ].join('\n'));
+  assert.strictEqual(new TraceRecorder().toTimeline(), '(no callbacks ran)');
+});
+
+test('toChromeTrace() pairs B/E slices with strictly increasing timestamps', () => {
+  const { traceEvents, displayTimeUnit } = tracedNodeRun().toChromeTrace({ pid: 7, tid: 3 });
+  assert.strictEqual(displayTimeUnit, 'ms');
+  assert.deepStrictEqual(traceEvents[0], { name: 'thread_name', ph: 'M', pid: 7, tid: 3, args: { name: 'main thread' } });
+  const timed = traceEvents.slice(1);
+  timed.forEach((e, i) => i && assert.ok(e.ts > timed[i - 1].ts, `${e.name} at ${e.ts}`));
+  const open = [];
+  for (const e of timed) {
+    if (e.ph === 'B') open.push(e.name);
+    if (e.ph === 'E') assert.strictEqual(open.pop(), e.name);
+  }
+  assert.deepStrictEqual(open, []);
+  assert.deepStrictEqual(timed.find(e => e.ph === 'E' && e.args.error), {
+    name: 'check#3 immediate', cat: 'check', ph: 'E', ts: timed.find(e => e.args.error).ts, pid: 7, tid: 3, args: { depth: 1, error: 'boom' },
+  });
+  assert.strictEqual(timed.filter(e => e.name === 'timers#2 timeout' && e.ph === 'B')[0].ts >= 1000, true);
+});
+
+test('the virtual Scheduler records its own clock, and an interval is enqueued again each time', () => {
+  const vs = new Scheduler({ virtual: true, trace: true });
+  const id = vs.setInterval(function poll() {
+    if (vs.now() >= 20) vs.clearInterval(id);
+  }, 10);
+  vs.queueMicrotask(function micro() {});
+  vs.runAll();
+  const events = vs.trace.toJSON().map(e => `${e.type} ${e.queue} ${e.label}@${e.time}`);
+  assert.deepStrictEqual(events, [
+    'enqueue interval poll@0',
+    'enqueue microtask micro@0',
+    'dequeue microtask micro@0',
+    'start microtask micro@0',
+    'finish microtask micro@0',
+    'enqueue interval poll@10',
+    'dequeue interval poll@10',
+    'start interval poll@10',
+    'finish interval poll@10',
+    'enqueue interval poll@20',
+    'dequeue interval poll@20',
+    'start interval poll@20',
+    'finish interval poll@20',
+  ]);
+});
+
+test('one recorder can be shared, and clear() empties it', () => {
+  const trace = new TraceRecorder();
+  const loop = new SimpleEventLoop({ trace });
+  loop.enqueueTask(function task() {});
+  loop.runOnce();
+  assert.strictEqual(trace.toJSON().length, 4);
+  trace.clear();
+  assert.deepStrictEqual(trace.toJSON(), []);
+});
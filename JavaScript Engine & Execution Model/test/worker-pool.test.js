@@ -0,0 +1,72 @@
+// WorkerPool / workerChunkProcess (Q15): results in input order, typed arrays, errors, abort
+//
+// node --test "JavaScript Engine & Execution Model/test/"
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { WorkerPool, workerChunkProcess } = require('../index');
+
+test('results come back in input order, each item with its own index', async t => {
+  const pool = new WorkerPool(3);
+  t.after(() => pool.terminate());
+  const items = Array.from({ length: 10 }, (_, i) => `item${i}`);
+  const { results, workers } = await pool.map(items, (item, index) => `${item}@${index}`);
+  assert.strictEqual(workers, 3);
+  assert.deepStrictEqual(results, items.map((item, i) => `${item}@${i}`));
+
+  // Fewer items than workers: one slice per item; none at all still resolves
+  assert.deepStrictEqual((await pool.map([5, 6], n => n * 2)).results, [10, 12]);
+  assert.deepStrictEqual((await pool.map([], n => n)).results, []);
+});
+
+test('a TypedArray comes back as the same type, and the caller\'s copy stays usable', async () => {
+  const input = Float64Array.from({ length: 9 }, (_, i) => i + 0.5);
+  const { results } = await workerChunkProcess(input, n => n * 2, { workers: 2 });
+  assert.ok(results instanceof Float64Array);
+  assert.deepStrictEqual(Array.from(results), Array.from(input, n => n * 2));
+  assert.strictEqual(input.length, 9); // only the slices were transferred
+});
+
+test('onProgress counts up to the total across workers', async () => {
+  const seen = [];
+  await workerChunkProcess(Array.from({ length: 10 }, (_, i) => i), n => n, {
+    workers: 2,
+    progressEvery: 2,
+    onProgress: p => seen.push(p),
+  });
+  const counts = seen.map(p => p.processed);
+  counts.forEach((n, i) => i && assert.ok(n > counts[i - 1]));
+  assert.deepStrictEqual(seen[seen.length - 1], { processed: 10, total: 10, workers: 2 });
+});
+
+test('a throwing processFn rejects with the worker and item, and the pool can be used again', async t => {
+  const pool = new WorkerPool(2);
+  t.after(() => pool.terminate());
+  await assert.rejects(
+    pool.map([1, 2, 3, 4], n => { if (n === 4) throw new RangeError('no fours'); return n; }),
+    error => {
+      assert.strictEqual(error.message, 'Worker 1 failed at item 3: no fours');
+      assert.strictEqual(error.cause.message, 'no fours');
+      return true;
+    },
+  );
+  assert.strictEqual(pool.workers.length, 0); // replaced on the next map()
+  assert.deepStrictEqual((await pool.map([1, 2], n => n + 1)).results, [2, 3]);
+
+  // A method's source isn't an expression the worker can evaluate
+  const methods = { double(n) { return n * 2; } };
+  await assert.rejects(pool.map([1], methods.double), /processFn is not serializable/);
+});
+
+test('aborting rejects with the reason and stops the workers', async t => {
+  const pool = new WorkerPool(1);
+  t.after(() => pool.terminate());
+  await assert.rejects(pool.map([1], n => n, { signal: AbortSignal.abort(new Error('early')) }), { message: 'early' });
+  assert.strictEqual(pool.workers.length, 0); // never spawned
+
+  const controller = new AbortController();
+  const forever = pool.map([1], () => { for (;;); }, { signal: controller.signal });
+  setTimeout(() => controller.abort(new Error('too slow')), 50);
+  await assert.rejects(forever, { message: 'too slow' });
+  assert.strictEqual(pool.workers.length, 0);
+});
@@ -0,0 +1,419 @@
+// Scope-chain & closure inspector
+//
+// A source-transform tracer: every scope the code enters creates an environment record at
+// runtime, every function records the environment it closed over ([[Environment]]), and
+// after each statement the tracer samples what the live bindings hold. The result shows
+// what Problems 11 and 12 only explain in words: Counter's methods all keep the IIFE's
+// environment alive, the three `var` closures share one `i`, and the `let` loop gives each
+// closure its own.
+//
+// node "Variable declaration/closure-inspector.js"               → Problems 11 and 12, as a tree
+// node "Variable declaration/closure-inspector.js" 5 14          → other puzzles
+// node "Variable declaration/closure-inspector.js" --dot         → Graphviz DOT on stdout
+// node "Variable declaration/closure-inspector.js" --dot=c.dot   → … written to a file (dot -Tsvg c.dot -o c.svg)
+// node "Variable declaration/closure-inspector.js" --json        → raw environments / closures
+// node "Variable declaration/closure-inspector.js" --file=a.js   → your own code
+
+const fs = require("fs");
+const path = require("path");
+const util = require("util");
+const { analyze, functionName } = require("./scopes");
+const { walk } = require("./js-parser");
+const { splitPuzzles, runPuzzle, PUZZLE_FILE } = require("./puzzle-runner");
+
+const DEFAULT_PUZZLES = ["p11", "p12"];
+const MAX_ENVIRONMENTS = 500;
+const MAX_TICKS = 2000;
+const UNINITIALIZED = "<uninitialized>";
+const LOOP_TYPES = new Set(["ForStatement", "ForInStatement", "ForOfStatement", "WhileStatement", "DoWhileStatement"]);
+
+const envName = id => `__env${id}`;
+
+// Scopes that get an environment record at runtime. Empty blocks, class and switch scopes
+// are left out (engines skip empty block scopes too); their code uses the enclosing record.
+function isTracked(scope) {
+    if (scope.kind === "global" || scope.kind === "module" || scope.kind === "catch") return true;
+    if (scope.kind === "function") return scope.node.type !== "StaticBlock";
+    if (scope.kind === "for") return true;
+    return scope.kind === "block" && scope.bindings.size > 0;
+}
+
+function trackedAncestor(scope) {
+    let s = scope;
+    while (!isTracked(s)) s = s.parent;
+    return s;
+}
+
+// Rewrites the code so it reports to the tracer, without adding line breaks:
+//   const __envN = __enter(N, __envParent, [() => a, () => b]);   at the start of scope N
+//   __closure(N, __envParent, function () { … })                     around function expressions
+//   __tick(line);                                                     after every statement
+function instrument(code, analysis) {
+    const before = new Map();       // pos → text appended in visiting order (outer first)
+    const after = new Map();        // pos → text prepended in visiting order (inner first)
+    const prefix = (pos, text) => before.set(pos, (before.get(pos) || "") + text);
+    const suffix = (pos, text) => after.set(pos, text + (after.get(pos) || ""));
+
+    const getters = scope => `[${[...scope.bindings.keys()].map(name => `() => ${name}`).join(", ")}]`;
+    const parentEnv = scope => (scope.parent ? envName(trackedAncestor(scope.parent).id) : "null");
+    const enter = scope => `const ${envName(scope.id)} = __enter(${scope.id}, ${parentEnv(scope)}, ${getters(scope)});`;
+    const afterDirectives = (statements, pos) => {
+        for (const s of statements) {
+            if (!s.directive) break;
+            pos = s.end;
+        }
+        return pos;
+    };
+    const tickList = statements => statements.forEach(s => {
+        if (s.type !== "FunctionDeclaration") suffix(s.end, `;__tick(${s.loc.start.line});`);
+    });
+    const isMethod = (node, parent) => parent && (parent.type === "MethodDefinition" || (parent.type === "Property" && (parent.method || parent.kind !== "init")));
+
+    walk(analysis.ast, {
+        enter(node, parent) {
+            const scope = node.scope;
+            if (node.type === "Program") {
+                prefix(afterDirectives(node.body, 0), enter(scope));
+                tickList(node.body);
+            } else if (node.type === "FunctionExpression" || node.type === "ArrowFunctionExpression" || node.type === "FunctionDeclaration") {
+                if (node.type !== "FunctionDeclaration" && !isMethod(node, parent)) {
+                    prefix(node.start, `__closure(${scope.id}, ${parentEnv(scope)}, `);
+                    suffix(node.end, ")");
+                }
+                if (node.body.type === "BlockStatement") {
+                    prefix(afterDirectives(node.body.body, node.body.start + 1), enter(scope));
+                    tickList(node.body.body);
+                } else {
+                    prefix(node.body.start, `{ ${enter(scope)} return (`);
+                    suffix(node.body.end, "); }");
+                }
+            } else if (node.type === "CatchClause") {
+                prefix(node.body.start + 1, enter(scope));
+            } else if (LOOP_TYPES.has(node.type)) {
+                const body = node.body;
+                if (body.type !== "BlockStatement") {
+                    prefix(body.start, "{ ");
+                    suffix(body.end, " }");
+                }
+                const start = body.type === "BlockStatement" ? body.start + 1 : body.start;
+                if (scope) prefix(start, enter(scope));
+            } else if (node.type === "BlockStatement" && scope && scope.node === node) {
+                // (function bodies share the function's scope and are handled above)
+                if (isTracked(scope)) prefix(node.start + 1, enter(scope));
+                tickList(node.body);
+            } else if (node.type === "SwitchCase") {
+                tickList(node.consequent);
+            }
+        },
+        leave(node) {
+            // sample at the top of every iteration too, so loop-header updates (i++) show up
+            if (LOOP_TYPES.has(node.type)) {
+                const body = node.body;
+                prefix(body.type === "BlockStatement" ? body.start + 1 : body.start, `__tick(${node.loc.start.line});`);
+            }
+        },
+    });
+
+    const positions = [...new Set([...before.keys(), ...after.keys()])].sort((a, b) => b - a);
+    let out = code;
+    for (const pos of positions) out = out.slice(0, pos) + (after.get(pos) || "") + (before.get(pos) || "") + out.slice(pos);
+    return out;
+}
+
+// Runtime side of the probes: environment records, closures and binding histories.
+class Tracer {
+    constructor(analysis) {
+        this.analysis = analysis;
+        this.environments = [];
+        this.closures = [];
+        this.closureOf = new WeakMap();
+        this.ticks = 0;
+        this.line = undefined;
+        this.truncated = false;
+    }
+
+    describe(value, depth = 0) {
+        if (typeof value === "function") {
+            const closure = this.closureOf.get(value);
+            return closure ? `λ#${closure.id}` : `ƒ ${value.name || "(anonymous)"}`;
+        }
+        if (Object.prototype.toString.call(value) === "[object Error]") return `${value.name}: ${value.message}`;
+        if (depth < 1 && Array.isArray(value)) {
+            const items = value.slice(0, 6).map(v => this.describe(v, depth + 1));
+            return `[${items.join(", ")}${value.length > 6 ? ", …" : ""}]`;
+        }
+        if (depth < 1 && value && typeof value === "object" && Object.getPrototypeOf(Object.getPrototypeOf(value)) === null) {
+            const entries = Object.entries(value).slice(0, 6).map(([k, v]) => `${k}: ${this.describe(v, depth + 1)}`);
+            return `{ ${entries.join(", ")}${Object.keys(value).length > 6 ? ", …" : ""} }`;
+        }
+        return util.inspect(value, { depth: 0, breakLength: Infinity });
+    }
+
+    sample(env, line = this.line) {
+        env.getters.forEach((get, i) => {
+            let value;
+            try {
+                value = this.describe(get());
+            } catch (e) {
+                value = UNINITIALIZED;
+            }
+            const history = env.bindings[i].history;
+            if (!history.length || history[history.length - 1].value !== value) history.push({ line, value });
+        });
+    }
+
+    register(scopeId, env, fn) {
+        if (typeof fn !== "function" || this.closureOf.has(fn)) return fn;
+        const node = this.analysis.scopes[scopeId].node;
+        const closure = {
+            id: this.closures.length + 1,
+            scope: scopeId,
+            name: functionName(node) || "(anonymous)",
+            line: node.loc.start.line,
+            env: env ? env.id : null,
+            uses: freeVariables(this.analysis.scopes[scopeId]),
+        };
+        this.closures.push(closure);
+        this.closureOf.set(fn, closure);
+        return fn;
+    }
+
+    globals() {
+        return {
+            __enter: (scopeId, parent, getters) => {
+                if (this.environments.length >= MAX_ENVIRONMENTS) {
+                    this.truncated = true;
+                    return null;
+                }
+                const scope = this.analysis.scopes[scopeId];
+                const env = {
+                    id: this.environments.length,
+                    scope: scopeId,
+                    label: scope.label,
+                    parent: parent ? parent.id : null,
+                    bindings: [...scope.bindings.values()].map(b => ({ name: b.name, kind: b.kind, history: [] })),
+                    getters,
+                };
+                this.environments.push(env);
+                // function declarations exist (and close over this record) as soon as it is created
+                [...scope.bindings.values()].forEach((binding, i) => {
+                    const decl = binding.declarations.find(d => d.node && d.node.type === "FunctionDeclaration" && d.node.id === d.id);
+                    if (decl && binding.kind === "function") this.register(decl.node.scope.id, env, getters[i]());
+                });
+                this.sample(env, (scope.parent ? scope.node : scope.node.body[0] || scope.node).loc.start.line);
+                return env;
+            },
+            __closure: (scopeId, env, fn) => this.register(scopeId, env, fn),
+            __tick: line => {
+                if (++this.ticks > MAX_TICKS) {
+                    this.truncated = true;
+                    return;
+                }
+                this.line = line;
+                this.environments.forEach(env => this.sample(env));
+            },
+        };
+    }
+
+    // Plain data: environments (without getters) and closures, each use resolved to the
+    // environment record that actually holds the binding.
+    toJSON() {
+        const environments = this.environments.map(({ getters, ...env }) => env);
+        const closures = this.closures.map(closure => ({
+            ...closure,
+            uses: closure.uses.map(use => {
+                let env = environments[closure.env];
+                while (env && env.scope !== use.scope) env = environments[env.parent];
+                const binding = env && env.bindings.find(b => b.name === use.name);
+                return { name: use.name, env: env ? env.id : null, value: binding ? binding.history[binding.history.length - 1].value : undefined };
+            }),
+        }));
+        return { environments, closures, truncated: this.truncated };
+    }
+}
+
+// Outer bindings a function's code refers to: { name, scope }
+function freeVariables(fnScope) {
+    const inside = scope => {
+        for (let s = scope; s; s = s.parent) if (s === fnScope) return true;
+        return false;
+    };
+    const uses = new Map();
+    const visit = scope => {
+        for (const ref of scope.references) {
+            if (ref.binding && !inside(ref.binding.scope) && !uses.has(ref.binding)) {
+                uses.set(ref.binding, { name: ref.name, scope: ref.binding.scope.id });
+            }
+        }
+        scope.children.forEach(visit);
+    };
+    visit(fnScope);
+    return [...uses.values()];
+}
+
+// Bindings several closures read through the same environment record, and bindings that
+// exist once per closure (one record each).
+function sharing({ environments, closures }) {
+    const byBinding = new Map();
+    for (const closure of closures) {
+        for (const use of closure.uses) {
+            if (use.env === null) continue;
+            const key = `${use.env}:${use.name}`;
+            if (!byBinding.has(key)) byBinding.set(key, { name: use.name, env: use.env, closures: [] });
+            byBinding.get(key).closures.push(closure.id);
+        }
+    }
+    const shared = [...byBinding.values()].filter(b => b.closures.length > 1);
+    // same binding (name + scope), different records → one copy per closure
+    const perScope = new Map();
+    for (const b of byBinding.values()) {
+        const key = `${environments[b.env].scope}:${b.name}`;
+        if (!perScope.has(key)) perScope.set(key, []);
+        perScope.get(key).push(b);
+    }
+    const separate = [...perScope.values()].filter(list => list.length > 1).map(list => ({
+        name: list[0].name,
+        records: list.map(b => ({ env: b.env, closures: b.closures })),
+    }));
+    return { shared, separate };
+}
+
+async function inspect(source, options = {}) {
+    const code = "\n".repeat((source.startLine || 1) - 1) + source.code;
+    let analysis;
+    try {
+        analysis = analyze(code);
+    } catch (e) {
+        return { environments: [], closures: [], shared: [], separate: [], output: [], errors: [{ name: "SyntaxError", message: e.message, line: e.line }] };
+    }
+    const tracer = new Tracer(analysis);
+    const result = await runPuzzle(
+        { ...source, code: instrument(code, analysis), startLine: 1 },
+        { ...options, globals: tracer.globals() },
+    );
+    const data = tracer.toJSON();
+    return { ...data, ...sharing(data), output: result.output, errors: result.errors };
+}
+
+// "a → b → c", shortened in the middle for long histories
+function timeline(history) {
+    const values = history.map(h => h.value);
+    const shown = values.length > 8 ? [...values.slice(0, 3), "…", ...values.slice(-3)] : values;
+    return shown.join(" → ");
+}
+
+function formatTree(title, result) {
+    const lines = [title, ""];
+    const { environments, closures } = result;
+    const capturedBy = env => closures.filter(c => c.env === env.id).map(c => `λ#${c.id}`);
+    const children = new Map();
+    environments.forEach(env => {
+        const key = env.parent === null ? "root" : env.parent;
+        if (!children.has(key)) children.set(key, []);
+        children.get(key).push(env);
+    });
+
+    lines.push("Environment records (scope chain; values over time)");
+    const printEnv = (env, indent, last, isRoot) => {
+        const branch = isRoot ? "" : last ? "└── " : "├── ";
+        const captured = capturedBy(env);
+        lines.push(`${indent}${branch}env#${env.id} ${env.label}${captured.length ? `  ⟵ captured by ${captured.join(", ")}` : ""}`);
+        const inner = indent + (isRoot ? "" : last ? "    " : "│   ");
+        const kids = children.get(env.id) || [];
+        const bar = kids.length ? "│   " : "    ";
+        const width = Math.max(0, ...env.bindings.map(b => b.name.length)) + 2;
+        env.bindings.forEach(b => lines.push(`${inner}${bar}${b.name.padEnd(width)}${timeline(b.history)}`));
+        kids.forEach((kid, i) => printEnv(kid, inner, i === kids.length - 1, false));
+    };
+    (children.get("root") || []).forEach(env => printEnv(env, "", true, true));
+
+    if (closures.length) {
+        lines.push("", "Closures ([[Environment]] = the record the function was created in)");
+        for (const c of closures) {
+            const uses = c.uses.length
+                ? ` — uses ${c.uses.map(u => `${u.name} = ${u.value} (env#${u.env})`).join(", ")}`
+                : "";
+            lines.push(`  λ#${c.id} ${c.name} (line ${c.line}) → env#${c.env}${uses}`);
+        }
+    }
+    if (result.shared.length || result.separate.length) {
+        lines.push("", "Sharing");
+        result.shared.forEach(s => lines.push(`  ${s.closures.map(id => `λ#${id}`).join(", ")} share ONE '${s.name}' (env#${s.env})`));
+        result.separate.forEach(s => lines.push(`  '${s.name}' exists ${s.records.length} times — ${s.records.map(r => `env#${r.env} for ${r.closures.map(id => `λ#${id}`).join(", ")}`).join("; ")}`));
+    }
+    if (result.errors.length) {
+        lines.push("");
+        result.errors.forEach(e => lines.push(`  ✗ ${e.name}: ${e.message}${e.line ? ` (line ${e.line})` : ""}`));
+    }
+    if (result.truncated) lines.push("", "  … tracing stopped early (too many environments or statements)");
+    return lines.join("\n");
+}
+
+// Graphviz: environment records as boxes (bindings with their final values), closures as
+// ellipses; dashed edges are the scope chain (outer), solid ones [[Environment]].
+function toDot(results) {
+    const esc = text => String(text).replace(/[\\{}|<>"]/g, c => `\\${c}`);
+    const lines = [
+        "digraph closures {",
+        "  rankdir=BT;",
+        "  node [fontname=\"Helvetica\", fontsize=10];",
+        "  edge [fontname=\"Helvetica\", fontsize=9];",
+    ];
+    results.forEach(({ id, title, environments, closures }, index) => {
+        const prefix = `g${index}_`;
+        lines.push(`  subgraph cluster_${index} {`, `    label="${esc(title || id)}";`);
+        for (const env of environments) {
+            const bindings = env.bindings.map(b => `${esc(b.name)} = ${esc(b.history[b.history.length - 1].value)}\\l`).join("");
+            lines.push(`    ${prefix}env${env.id} [shape=record, label="{env#${env.id} ${esc(env.label)}${bindings ? `|${bindings}` : ""}}"];`);
+            if (env.parent !== null) lines.push(`    ${prefix}env${env.id} -> ${prefix}env${env.parent} [style=dashed, label="outer"];`);
+        }
+        for (const c of closures) {
+            lines.push(`    ${prefix}fn${c.id} [shape=ellipse, style=filled, fillcolor="#eef3ff", label="λ#${c.id} ${esc(c.name)}\\nline ${c.line}"];`);
+            if (c.env !== null) lines.push(`    ${prefix}fn${c.id} -> ${prefix}env${c.env} [label="[[Environment]]"];`);
+        }
+        lines.push("  }");
+    });
+    lines.push("}");
+    return lines.join("\n");
+}
+
+function parseArgs(argv) {
+    const fileArg = argv.find(a => a.startsWith("--file="));
+    const dotArg = argv.find(a => a === "--dot" || a.startsWith("--dot="));
+    const only = argv.filter(a => !a.startsWith("--")).map(a => (/^\d+$/.test(a) ? `p${a}` : a.toLowerCase()));
+    return {
+        file: fileArg ? fileArg.slice("--file=".length) : null,
+        only: only.length ? only : DEFAULT_PUZZLES,
+        json: argv.includes("--json"),
+        dot: dotArg ? (dotArg.includes("=") ? dotArg.slice("--dot=".length) : "-") : null,
+    };
+}
+
+async function main() {
+    const { file, only, json, dot } = parseArgs(process.argv.slice(2));
+    const sources = file
+        ? [{ id: file, title: file, code: fs.readFileSync(file, "utf8"), startLine: 1, file: path.resolve(file) }]
+        : splitPuzzles(fs.readFileSync(PUZZLE_FILE, "utf8"))
+            .filter(p => only.includes(p.id))
+            .map(p => ({ ...p, title: `${p.kind[0].toUpperCase()}${p.kind.slice(1)} ${p.number}: ${p.title}  (line ${p.startLine})` }));
+
+    const results = [];
+    for (const source of sources) results.push({ id: source.id, title: source.title, ...(await inspect(source)) });
+
+    if (dot) {
+        const graph = toDot(results);
+        if (dot === "-") console.log(graph);
+        else {
+            fs.writeFileSync(dot, graph + "\n");
+            console.log(`wrote ${dot} (render with: dot -Tsvg ${dot} -o ${dot.replace(/\.dot$/, "")}.svg)`);
+        }
+    } else if (json) {
+        console.log(JSON.stringify(results, null, 2));
+    } else {
+        console.log(results.map(r => formatTree(r.title, r)).join("\n\n" + "─".repeat(72) + "\n\n"));
+    }
+}
+
+if (require.main === module) main();
+
+module.exports = { inspect, instrument, formatTree, toDot };
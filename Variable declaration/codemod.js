@@ -0,0 +1,541 @@
+// Codemods for the Code Fixing Exercises
+//
+// Rewrites code the way the exercises ask for and shows what it would change as a diff:
+//
+//   hoist-declaration   move a let / const / class declaration above its first use (TDZ)
+//   loop-let            `for (var i …)` → `for (let i …)` when only the loop uses i
+//   swap-destructuring  `const tmp = a; a = b; b = tmp;` → `[a, b] = [b, a];`
+//   declare-globals     declare names that are assigned but never declared (`let config;`)
+//   wrap-scope          put a script that leaks globals (implicit globals, top-level var)
+//                       into an IIFE – or, with --module, turn it into a module
+//
+// The transforms run one after the other. Each one works on a fresh scope analysis of the
+// current text, and a rewrite whose result doesn't parse is dropped instead of kept.
+//
+// node "Variable declaration/codemod.js"                      → dry run on Exercises 1–3
+// node "Variable declaration/codemod.js" e1                   → one exercise
+// node "Variable declaration/codemod.js" app.js               → dry run on any file(s)
+// node "Variable declaration/codemod.js" app.js --write       → apply the changes
+// node "Variable declaration/codemod.js" --only=loop-let,hoist-declaration
+// node "Variable declaration/codemod.js" --module             → module scope instead of an IIFE
+// node "Variable declaration/codemod.js" --json               → changes and the fixed code
+
+const fs = require("fs");
+const path = require("path");
+const { analyze, functionName } = require("./scopes");
+const { parse, walk } = require("./js-parser");
+const { splitPuzzles, PUZZLE_FILE } = require("./puzzle-runner");
+
+const LOOPS_WITH_HEAD = new Set(["ForStatement", "ForInStatement", "ForOfStatement"]);
+const FUNCTIONS = new Set(["FunctionDeclaration", "FunctionExpression", "ArrowFunctionExpression"]);
+// Statements that end in a block – a `[` after them can't continue them
+const ENDS_IN_BLOCK = new Set([
+    "BlockStatement", "FunctionDeclaration", "ClassDeclaration", "IfStatement", "ForStatement",
+    "ForInStatement", "ForOfStatement", "WhileStatement", "TryStatement", "SwitchStatement",
+]);
+
+const lineStart = (source, pos) => source.lastIndexOf("\n", pos - 1) + 1;
+const lineEnd = (source, pos) => (source.indexOf("\n", pos) === -1 ? source.length : source.indexOf("\n", pos));
+const indentAt = (source, pos) => source.slice(lineStart(source, pos)).match(/^[ \t]*/)[0];
+const startsLine = (source, pos) => /^[ \t]*$/.test(source.slice(lineStart(source, pos), pos));
+const lineOf = node => node.loc.start.line;
+const textOf = (source, node) => source.slice(node.start, node.end);
+const within = (node, outer) => outer.start <= node.start && node.end <= outer.end;
+
+// Statement lists a scope owns: program, block and function bodies
+function statementList(scope) {
+    const node = scope.node;
+    if (node.type === "Program" || node.type === "BlockStatement" || node.type === "StaticBlock") return node.body;
+    if (FUNCTIONS.has(node.type) && node.body.type === "BlockStatement") return node.body.body;
+    return null;
+}
+
+// Where a statement's text can be cut from: its whole lines (plus a trailing // comment) when
+// it has them to itself, otherwise just the statement.
+function statementSpan(source, node) {
+    const end = lineEnd(source, node.end);
+    if (startsLine(source, node.start) && /^[ \t]*(\/\/.*)?$/.test(source.slice(node.end, end))) {
+        return { start: lineStart(source, node.start), end: Math.min(end + 1, source.length), text: source.slice(node.start, end), whole: true };
+    }
+    return { start: node.start, end: node.end, text: textOf(source, node), whole: false };
+}
+
+function reindent(text, from, to) {
+    return text.split("\n").map((line, i) => (i > 0 && line.startsWith(from) ? to + line.slice(from.length) : line)).join("\n");
+}
+
+// Edits that insert `text` as a statement of its own right before `target`
+function insertBefore(source, target, text) {
+    if (!startsLine(source, target.start)) return { start: target.start, end: target.start, text: `${text} ` };
+    const at = lineStart(source, target.start);
+    return { start: at, end: at, text: `${indentAt(source, target.start)}${text}\n` };
+}
+
+function applyEdits(source, edits) {
+    const sorted = edits.map((edit, i) => ({ ...edit, i })).sort((a, b) => a.start - b.start || a.end - b.end || a.i - b.i);
+    let out = "";
+    let pos = 0;
+    for (const edit of sorted) {
+        if (edit.start < pos) throw new Error(`overlapping edits at offset ${edit.start}`);
+        out += source.slice(pos, edit.start) + edit.text;
+        pos = edit.end;
+    }
+    return out + source.slice(pos);
+}
+
+// ─── hoist-declaration ───────────────────────────────────────────────────────────────
+
+// Moving a declaration up is only a fix if its initializer doesn't read something that is
+// assigned in the statements it jumps over, or a let / const / class declared from there
+// on (that one has to move first – the next pass takes care of it). A function declared
+// further down is hoisted with its body, so it's ready wherever the declaration goes.
+function blockedBy(analysis, declaration, from) {
+    const reads = analysis.references.filter(r => r.binding && r.read && within(r.identifier, declaration));
+    for (const { binding } of reads) {
+        const between = pos => from <= pos && pos < declaration.start;
+        const declaredLater = binding.lexical && binding.identifiers.some(id => id.start >= from);
+        if (declaredLater || binding.references.some(r => r.write && between(r.identifier.start))) {
+            return binding.name;
+        }
+    }
+    return null;
+}
+
+// First line of a statement, for messages
+function preview(source, node) {
+    const line = textOf(source, node).split("\n")[0];
+    return line.length > 40 ? `${line.slice(0, 39)}…` : line;
+}
+
+function hoistDeclarations(analysis, source) {
+    const changes = [];
+    const moved = new Set();
+    for (const scope of analysis.scopes) {
+        const body = statementList(scope);
+        if (!body) continue;
+        for (const binding of scope.bindings.values()) {
+            if (!binding.lexical || binding.declarations.length !== 1) continue;
+            const declaration = binding.declarations[0].node;
+            if (!body.includes(declaration) || moved.has(declaration)) continue;
+            // Reads from nested functions are fine unless the function is called early – that's
+            // a different fix, so only references that run directly in this scope count.
+            const early = binding.references
+                .filter(r => r.identifier.start < declaration.start && r.scope.variableScope === scope.variableScope)
+                .sort((a, b) => a.identifier.start - b.identifier.start)[0];
+            if (!early) continue;
+            const target = body.find(s => s.start <= early.identifier.start && early.identifier.start < s.end);
+            const blocker = blockedBy(analysis, declaration, target.start);
+            const what = `'${binding.kind} ${binding.name}'`;
+            if (blocker) {
+                changes.push({ line: lineOf(declaration), message: `left ${what} where it is: its initializer needs '${blocker}', which isn't ready at its first use`, edits: [] });
+                continue;
+            }
+            const span = statementSpan(source, declaration);
+            const text = reindent(span.text, indentAt(source, declaration.start), indentAt(source, target.start));
+            changes.push({
+                line: lineOf(declaration),
+                message: `moved ${what} above its first use: ${preview(source, target)}`,
+                edits: [insertBefore(source, target, text), { start: span.start, end: span.end, text: "" }],
+            });
+            moved.add(declaration);
+        }
+    }
+    return changes;
+}
+
+// ─── loop-let ────────────────────────────────────────────────────────────────────────
+
+function loopLet(analysis) {
+    // var declaration in a loop head → the bindings it declares
+    const heads = new Map();
+    for (const scope of analysis.scopes) {
+        for (const binding of scope.bindings.values()) {
+            if (binding.kind !== "var") continue;
+            for (const { node } of binding.declarations) {
+                const loop = node.parentNode;
+                const inHead = loop && LOOPS_WITH_HEAD.has(loop.type) && (loop.init === node || loop.left === node);
+                if (!heads.has(node)) heads.set(node, { loop: inHead ? loop : null, bindings: [] });
+                heads.get(node).bindings.push(binding);
+            }
+        }
+    }
+    // A binding can switch to let only if every declaration of it is a loop head and every
+    // use is inside one of those loops.
+    const convertible = binding => binding.declarations.every(d => heads.get(d.node).loop)
+        && binding.references.every(r => binding.declarations.some(d => within(r.identifier, heads.get(d.node).loop)));
+
+    const changes = [];
+    for (const [declaration, { loop, bindings }] of heads) {
+        if (!loop || !bindings.every(convertible)) continue;
+        const names = bindings.map(b => b.name).join(", ");
+        const captured = bindings.some(b => b.references.some(r => r.scope.variableScope !== b.scope.variableScope));
+        changes.push({
+            line: lineOf(declaration),
+            message: `'var ${names}' → 'let ${names}': only the loop uses it${captured ? ", and each closure now gets its own copy per iteration" : ""}`,
+            edits: [{ start: declaration.start, end: declaration.start + "var".length, text: "let" }],
+        });
+    }
+    return changes;
+}
+
+// ─── swap-destructuring ──────────────────────────────────────────────────────────────
+
+// Operands that can be read twice without side effects: a, this.a, obj.a.b, arr[i], arr[0]
+function isPlace(node) {
+    if (node.type === "Identifier" || node.type === "ThisExpression") return true;
+    if (node.type !== "MemberExpression" || node.optional) return false;
+    return isPlace(node.object) && (!node.computed || node.property.type === "Literal" || isPlace(node.property));
+}
+
+const assignment = statement => statement && statement.type === "ExpressionStatement"
+    && statement.expression.type === "AssignmentExpression" && statement.expression.operator === "="
+    ? statement.expression : null;
+
+// `let tmp = a;` or `tmp = a;` → { temp, value }
+function tempCopy(statement) {
+    if (statement.type === "VariableDeclaration" && statement.declarations.length === 1) {
+        const { id, init } = statement.declarations[0];
+        return id.type === "Identifier" && init && isPlace(init) ? { temp: id, value: init, declared: true } : null;
+    }
+    const assign = assignment(statement);
+    return assign && assign.left.type === "Identifier" && isPlace(assign.right) ? { temp: assign.left, value: assign.right, declared: false } : null;
+}
+
+function swapDestructuring(analysis, source) {
+    const same = (a, b) => textOf(source, a).replace(/\s+/g, "") === textOf(source, b).replace(/\s+/g, "");
+    const bindingOf = id => (analysis.references.find(r => r.identifier === id) || {}).binding;
+    const changes = [];
+    walk(analysis.ast, node => {
+        const body = node.type === "SwitchCase" ? node.consequent : Array.isArray(node.body) && node.type !== "ClassBody" ? node.body : null;
+        for (let i = 0; body && i + 2 < body.length; i++) {
+            const copy = tempCopy(body[i]);
+            const first = assignment(body[i + 1]);
+            const second = assignment(body[i + 2]);
+            if (!copy || !first || !second || !isPlace(first.right)) continue;
+            // tmp = a; a = b; b = tmp;
+            if (!same(first.left, copy.value) || !same(second.left, first.right) || !same(second.right, copy.temp) || same(first.left, first.right)) continue;
+            const binding = bindingOf(copy.temp);
+            const span = { start: body[i].start, end: body[i + 2].end };
+            // The temporary must not be needed afterwards, and no comment may get lost
+            const otherReads = binding ? binding.references.filter(r => r.read && !within(r.identifier, span)) : [];
+            if (otherReads.length || analysis.ast.comments.some(c => within(c, span))) continue;
+            const prev = body[i - 1];
+            const guard = prev && source[prev.end - 1] !== ";" && !ENDS_IN_BLOCK.has(prev.type) ? ";" : "";
+            const [a, b] = [textOf(source, first.left), textOf(source, first.right)];
+            const unused = !copy.declared && binding ? ` ('${copy.temp.name}' is no longer needed)` : "";
+            changes.push({
+                line: lineOf(body[i]),
+                message: `swap through '${copy.temp.name}' → destructuring assignment${unused}`,
+                edits: [{ ...span, text: `${guard}[${a}, ${b}] = [${b}, ${a}];` }],
+            });
+            i += 2;
+        }
+    });
+    return changes;
+}
+
+// ─── declare-globals ─────────────────────────────────────────────────────────────────
+
+function commonScope(scopes) {
+    const chains = scopes.map(scope => scope.chain().reverse());
+    let common = null;
+    for (let i = 0; chains.every(chain => chain[i] && chain[i] === chains[0][i]); i++) common = chains[0][i];
+    return common;
+}
+
+// First statement after the directive prologue
+function firstStatement(body) {
+    return body.find(s => !(s.type === "ExpressionStatement" && s.directive !== undefined));
+}
+
+function describe(scope) {
+    if (!scope.parent) return "the top-level scope";
+    return scope.kind === "function" ? `function ${functionName(scope.node) || "(anonymous)"}` : `the enclosing ${scope.kind}`;
+}
+
+function declareGlobals(analysis, source, state) {
+    const groups = new Map();
+    const changes = [];
+    for (const name of new Set(analysis.implicitGlobals.map(r => r.name))) {
+        const refs = analysis.through.filter(r => r.name === name);
+        const line = lineOf(refs.find(r => r.write).identifier);
+        if (name in globalThis) {
+            changes.push({ line, message: `left '${name}' alone: it assigns to an existing global`, edits: [] });
+            continue;
+        }
+        // The innermost scope every use can see, moved out to one that has a statement list
+        let scope = commonScope(refs.map(r => r.scope.variableScope));
+        while (!statementList(scope) || !firstStatement(statementList(scope))) scope = scope.parent;
+        if (!groups.has(scope)) groups.set(scope, []);
+        groups.get(scope).push({ name, line });
+    }
+    for (const [scope, declared] of groups) {
+        const names = declared.map(d => d.name).join(", ");
+        if (!scope.parent) state.declaredGlobals.push(...declared.map(d => d.name));
+        changes.push({
+            line: declared[0].line,
+            message: `${declared.map(d => `'${d.name}'`).join(", ")} assigned without a declaration → 'let ${names};' in ${describe(scope)}`,
+            edits: [insertBefore(source, firstStatement(statementList(scope)), `let ${names};`)],
+        });
+    }
+    return changes.sort((a, b) => a.line - b.line);
+}
+
+// ─── wrap-scope ──────────────────────────────────────────────────────────────────────
+
+// `(function () { … })();` or `(() => { … })();` as the whole program
+function isWrapped(ast) {
+    const [only] = ast.body;
+    if (ast.body.length !== 1 || only.type !== "ExpressionStatement") return false;
+    const call = only.expression;
+    return call.type === "CallExpression" && call.arguments.length === 0 &&
+        (call.callee.type === "FunctionExpression" || call.callee.type === "ArrowFunctionExpression");
+}
+
+function wrapScope(analysis, source, state, { module: asModule = false } = {}) {
+    const { globalScope, ast } = analysis;
+    // Once wrapped, what is left over are implicit globals, and another IIFE can't help those
+    if (globalScope.kind !== "global" || !ast.body.length || isWrapped(ast)) return [];
+    const leaks = [
+        ...state.declaredGlobals,
+        ...analysis.implicitGlobals.map(r => r.name),
+        ...[...globalScope.bindings.values()].filter(b => b.kind === "var").map(b => b.name),
+    ];
+    if (!leaks.length) return [];
+    const names = [...new Set(leaks)].map(name => `'${name}'`).join(", ");
+
+    if (asModule) {
+        const end = source.replace(/\s+$/, "").length;
+        return [{
+            line: lineOf(ast.body[0]),
+            message: `made the file a module to keep ${names} out of the global scope`,
+            edits: [{ start: end, end: source.length, text: "\n\nexport {}; // module scope: top-level bindings stay in this file\n" }],
+        }];
+    }
+
+    // Re-indent every line of the program by one level, except lines inside template
+    // literals – that would change the string.
+    const first = ast.body[0];
+    const last = ast.body[ast.body.length - 1];
+    const start = startsLine(source, first.start) ? lineStart(source, first.start) : first.start;
+    const end = lineEnd(source, last.end);
+    const templates = [];
+    walk(ast, node => {
+        if (node.type === "TemplateLiteral") templates.push(node);
+    });
+    const edits = [{ start, end: start, text: "(function () {\n" }, { start: end, end, text: "\n})();" }];
+    for (let pos = start; pos < end; pos = lineEnd(source, pos) + 1) {
+        const blank = lineEnd(source, pos) === pos;
+        if (!blank && !templates.some(t => t.start < pos && pos < t.end)) edits.push({ start: pos, end: pos, text: "    " });
+    }
+    // The `let` lines declare-globals added are function-scoped now
+    state.declaredGlobals.length = 0;
+    return [{ line: lineOf(first), message: `wrapped the script in an IIFE to keep ${names} out of the global scope`, edits }];
+}
+
+// ─── Driver ──────────────────────────────────────────────────────────────────────────
+
+const TRANSFORMS = {
+    "hoist-declaration": hoistDeclarations,
+    "loop-let": loopLet,
+    "swap-destructuring": swapDestructuring,
+    "declare-globals": declareGlobals,
+    "wrap-scope": wrapScope,
+};
+
+// A transform is run again on its own result until it has nothing left to do, so one move
+// can make room for the next.
+const MAX_PASSES = 5;
+
+// transform(source, { transforms, module }) → { code, changes, error }
+// changes: { transform, line, message, applied } – line is in the original source
+function transform(source, { transforms = Object.keys(TRANSFORMS), module: asModule = false } = {}) {
+    let code = source;
+    let lines = null;   // current line → line in `source`
+    const changes = [];
+    const state = { declaredGlobals: [] };
+    for (const name of Object.keys(TRANSFORMS).filter(t => transforms.includes(t))) {
+        for (let pass = 0; pass < MAX_PASSES; pass++) {
+            let analysis;
+            try {
+                analysis = analyze(code);
+            } catch (e) {
+                return { code, changes, error: { line: e.line, message: e.message } };
+            }
+            const found = TRANSFORMS[name](analysis, code, state, { module: asModule });
+            const edits = found.flatMap(c => c.edits);
+            const original = line => (lines ? lines[line] : line);
+            const skipped = found.filter(c => !c.edits.length);
+            const report = (list, applied) => list.map(({ edits: _, line, ...change }) => ({ transform: name, line: original(line), ...change, applied }));
+            if (!edits.length) {
+                changes.push(...report(skipped, false));
+                break;
+            }
+            const next = applyEdits(code, edits);
+            try {
+                parse(next);
+            } catch (e) {
+                changes.push({ transform: name, line: original(found[0].line), message: `dropped: the result would not parse (${e.message})`, applied: false });
+                break;
+            }
+            changes.push(...report(found.filter(c => c.edits.length), true));
+            const step = lineMap(code, next);
+            lines = step.map(line => original(line));
+            code = next;
+        }
+    }
+    return { code, changes: changes.sort((a, b) => a.line - b.line), error: null };
+}
+
+// ─── Unified diff ────────────────────────────────────────────────────────────────────
+
+// Line diff: common prefix / suffix, then an LCS table for the part in between
+function diffLines(a, b) {
+    let head = 0;
+    while (head < a.length && head < b.length && a[head] === b[head]) head++;
+    let tail = 0;
+    while (tail < a.length - head && tail < b.length - head && a[a.length - 1 - tail] === b[b.length - 1 - tail]) tail++;
+    const x = a.slice(head, a.length - tail);
+    const y = b.slice(head, b.length - tail);
+    const ops = a.slice(0, head).map(text => [" ", text]);
+
+    if (x.length * y.length > 4e6) {
+        ops.push(...x.map(text => ["-", text]), ...y.map(text => ["+", text]));
+    } else {
+        const width = y.length + 1;
+        const lcs = new Uint32Array((x.length + 1) * width);
+        for (let i = x.length - 1; i >= 0; i--) {
+            for (let j = y.length - 1; j >= 0; j--) {
+                lcs[i * width + j] = x[i] === y[j] ? lcs[(i + 1) * width + j + 1] + 1 : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+            }
+        }
+        let i = 0;
+        let j = 0;
+        while (i < x.length || j < y.length) {
+            if (i < x.length && j < y.length && x[i] === y[j]) {
+                ops.push([" ", x[i]]);
+                i++;
+                j++;
+            } else if (i < x.length && (j === y.length || lcs[(i + 1) * width + j] >= lcs[i * width + j + 1])) ops.push(["-", x[i++]]);
+            else ops.push(["+", y[j++]]);
+        }
+    }
+    ops.push(...a.slice(a.length - tail).map(text => [" ", text]));
+    return ops;
+}
+
+// new line → old line. A moved line maps to where it came from, any other inserted line to
+// the old line it was inserted before.
+function lineMap(before, after) {
+    const ops = diffLines(before.split("\n"), after.split("\n"));
+    const removed = new Map();
+    let oldLine = 1;
+    for (const [type, text] of ops) {
+        if (type === "-" && text.trim()) removed.set(text.trim(), [...(removed.get(text.trim()) || []), oldLine]);
+        if (type !== "+") oldLine++;
+    }
+    const map = [0];
+    oldLine = 1;
+    for (const [type, text] of ops) {
+        if (type === " ") map.push(oldLine);
+        if (type === "+") map.push(removed.has(text.trim()) && removed.get(text.trim()).length ? removed.get(text.trim()).shift() : oldLine);
+        if (type !== "+") oldLine++;
+    }
+    return map;
+}
+
+function unifiedDiff(before, after, { from = "a", to = "b", context = 3 } = {}) {
+    const ops = diffLines(before.split("\n"), after.split("\n"));
+    // Line numbers each op starts at, on either side
+    let oldLine = 1;
+    let newLine = 1;
+    const rows = ops.map(([type, text]) => {
+        const row = { type, text, oldLine, newLine };
+        if (type !== "+") oldLine++;
+        if (type !== "-") newLine++;
+        return row;
+    });
+    const changed = rows.map((row, i) => (row.type === " " ? -1 : i)).filter(i => i >= 0);
+    if (!changed.length) return "";
+
+    const out = [`--- ${from}`, `+++ ${to}`];
+    for (let k = 0; k < changed.length;) {
+        let last = k;
+        while (last + 1 < changed.length && changed[last + 1] - changed[last] <= 2 * context) last++;
+        const hunk = rows.slice(Math.max(0, changed[k] - context), Math.min(rows.length, changed[last] + context + 1));
+        const oldCount = hunk.filter(r => r.type !== "+").length;
+        const newCount = hunk.filter(r => r.type !== "-").length;
+        const oldStart = oldCount ? hunk[0].oldLine : hunk[0].oldLine - 1;
+        const newStart = newCount ? hunk[0].newLine : hunk[0].newLine - 1;
+        out.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`, ...hunk.map(r => r.type + r.text));
+        k = last + 1;
+    }
+    return out.join("\n");
+}
+
+// ─── CLI ─────────────────────────────────────────────────────────────────────────────
+
+function formatResult({ title, changes, error, diff }) {
+    const lines = [title];
+    if (error) lines.push(`  ✗ could not parse (line ${error.line}): ${error.message}`);
+    for (const c of changes) {
+        lines.push(`  ${String(c.line).padStart(4)}  ${c.transform.padEnd(19)} ${c.applied ? "" : "(skipped) "}${c.message}`);
+    }
+    if (!error && !changes.length) lines.push("  nothing to change");
+    if (diff) lines.push("", diff);
+    return lines.join("\n");
+}
+
+function parseArgs(argv) {
+    const positional = argv.filter(a => !a.startsWith("--"));
+    const onlyArg = argv.find(a => a.startsWith("--only="));
+    return {
+        files: positional.filter(a => /\.[cm]?js$/.test(a)),
+        only: positional.filter(a => !/\.[cm]?js$/.test(a)).map(a => a.toLowerCase()),
+        transforms: onlyArg ? onlyArg.slice("--only=".length).split(",") : Object.keys(TRANSFORMS),
+        module: argv.includes("--module"),
+        write: argv.includes("--write"),
+        json: argv.includes("--json"),
+    };
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const unknown = options.transforms.filter(t => !TRANSFORMS[t]);
+    if (unknown.length) {
+        console.error(`Unknown transform(s): ${unknown.join(", ")} – pick from ${Object.keys(TRANSFORMS).join(", ")}`);
+        process.exitCode = 2;
+        return;
+    }
+
+    // Exercises keep their index.js line numbers: the code is padded to where it starts
+    const targets = options.files.length
+        ? options.files.map(file => ({ title: file, file, source: fs.readFileSync(file, "utf8") }))
+        : splitPuzzles(fs.readFileSync(PUZZLE_FILE, "utf8"))
+            .filter(p => (options.only.length ? options.only.includes(p.id) : p.kind === "exercise"))
+            .map(p => ({
+                title: `${p.kind[0].toUpperCase()}${p.kind.slice(1)} ${p.number}: ${p.title}  (line ${p.startLine})`,
+                file: null,
+                source: "\n".repeat(p.startLine - 1) + p.code,
+            }));
+
+    const results = targets.map(target => {
+        const { code, changes, error } = transform(target.source, options);
+        const name = target.file ? path.relative(process.cwd(), target.file).replace(/\\/g, "/") : "index.js";
+        const diff = unifiedDiff(target.source, code, { from: `a/${name}`, to: `b/${name}` });
+        if (options.write && target.file && code !== target.source) fs.writeFileSync(target.file, code);
+        return { title: target.title, changes, error, diff, code };
+    });
+
+    if (options.json) {
+        console.log(JSON.stringify(results.map(({ title, changes, error, code }) => ({ title, changes, error, code })), null, 2));
+    } else {
+        console.log(results.map(formatResult).join("\n\n"));
+        if (!options.write && results.some(r => r.diff)) console.log(`\n(dry run${options.files.length ? " – pass --write to apply" : ""})`);
+    }
+    if (results.some(r => r.error)) process.exitCode = 1;
+}
+
+if (require.main === module) main();
+
+module.exports = { transform, TRANSFORMS, unifiedDiff, applyEdits };
@@ -0,0 +1,356 @@
+// Hoisting & TDZ visualizer
+//
+// The engine notes describe a "Memory Creation Phase" and an "Execution Phase"; this shows
+// both on real code. Parsing gives the creation phase of every scope – var → undefined,
+// function declarations → the whole function, let / const / class → uninitialized (the
+// temporal dead zone). Then the code runs with probes, stepping through execution: scopes
+// being entered, bindings leaving the TDZ, console output, and the ReferenceError for
+// touching a binding too early.
+//
+// node "Variable declaration/hoisting-visualizer.js"              → Problems 8, 9 and 18
+// node "Variable declaration/hoisting-visualizer.js" 4 s2         → any puzzle
+// node "Variable declaration/hoisting-visualizer.js" --file=a.js  → your own code
+// node "Variable declaration/hoisting-visualizer.js" --json       → JSON (for slides)
+// node "Variable declaration/hoisting-visualizer.js" --static     → creation phase only
+
+const fs = require("fs");
+const path = require("path");
+const util = require("util");
+const { analyze, patternIdentifiers } = require("./scopes");
+const { splitPuzzles, runPuzzle, PUZZLE_FILE } = require("./puzzle-runner");
+
+const DEFAULT_PUZZLES = ["p8", "p9", "p18"];
+const MAX_STEPS = 200;
+
+function show(value) {
+    if (typeof value === "function") {
+        const kind = /^class\b/.test(Function.prototype.toString.call(value)) ? "class" : "ƒ";
+        return `${kind} ${value.name || "(anonymous)"}`;
+    }
+    // Errors from the vm context fail `instanceof Error`
+    if (Object.prototype.toString.call(value) === "[object Error]") return `${value.name}: ${value.message}`;
+    return util.inspect(value, { depth: 1, breakLength: Infinity });
+}
+
+// What a binding holds right after its scope is created
+function initialValue(binding) {
+    switch (binding.kind) {
+        case "var": return "undefined";
+        case "let": case "const": case "class": return "<uninitialized>";
+        case "function": return `ƒ ${binding.name}`;
+        case "function-name": return `ƒ ${binding.name} (the function itself)`;
+        case "param": return "<argument>";
+        case "catch": return "<thrown value>";
+        case "import": return "<live import>";
+        default: return "?";
+    }
+}
+
+// Offset at which a let / const / class binding is initialized (end of its declarator)
+function initEnd(binding) {
+    const decl = binding.declarations[0];
+    if (!decl || !decl.node) return null;
+    return decl.declarator ? decl.declarator.end : decl.node.end;
+}
+
+// Reads of a lexical binding that can hit the TDZ:
+//   early   – same function, textually before the initialization → ReferenceError when reached
+//   closure – from a nested function → fine only if it is called after the initialization
+function tdzReads(binding) {
+    const end = initEnd(binding);
+    const early = [];
+    const closure = [];
+    for (const ref of binding.references) {
+        if (ref.init || end === null) continue;
+        const line = ref.identifier.loc.start.line;
+        if (ref.scope.variableScope !== binding.scope.variableScope) closure.push(line);
+        else if (ref.identifier.start < end) early.push(line);
+    }
+    return { early, closure };
+}
+
+// Creation-phase environment record of every scope
+function creationPhase(analysis) {
+    return analysis.scopes
+        .filter(scope => scope.bindings.size > 0 || !scope.parent)
+        .map(scope => ({
+            id: scope.id,
+            label: scope.label,
+            kind: scope.kind,
+            line: (scope.parent ? scope.node : scope.node.body[0] || scope.node).loc.start.line,
+            parent: scope.parent ? scope.parent.id : null,
+            record: [...scope.bindings.values()].map(binding => {
+                const entry = {
+                    name: binding.name,
+                    kind: binding.kind,
+                    line: binding.line,
+                    initial: initialValue(binding),
+                };
+                if (binding.lexical) {
+                    const decl = binding.declarations[0];
+                    entry.tdzUntil = decl && decl.node ? decl.node.loc.start.line : null;
+                    Object.assign(entry, tdzReads(binding));
+                }
+                if (binding.blockFunction) entry.blockFunction = true;
+                return entry;
+            }),
+        }));
+}
+
+// Statements after a directive prologue ("use strict") – probes must go after it.
+function afterDirectives(statements, fallback) {
+    let pos = fallback;
+    for (const s of statements) {
+        if (!s.directive) break;
+        pos = s.end;
+    }
+    return pos;
+}
+
+// Inserts probe calls without adding line breaks, so line numbers stay put:
+//   __enter(scope, () => [values])   first thing in a scope – var / function / param values
+//   __iter(scope, () => [values])    each for (let …) iteration gets fresh bindings
+//   __init(scope, line, [names], () => [values])  after a declaration statement
+function instrument(code, analysis) {
+    const edits = new Map();
+    const insert = (pos, text) => edits.set(pos, (edits.get(pos) || "") + text);
+    const readable = scope => [...scope.bindings.values()].filter(b => !b.lexical).map(b => b.name);
+    const probe = (fn, scope, names) => `${fn}(${scope.id}, () => [${names.join(", ")}]);`;
+
+    for (const scope of analysis.scopes) {
+        const node = scope.node;
+        if (scope.kind === "global" || scope.kind === "module") {
+            insert(afterDirectives(node.body, 0), probe("__enter", scope, readable(scope)));
+        } else if (scope.kind === "function" && node.body && node.body.type === "BlockStatement") {
+            insert(afterDirectives(node.body.body, node.body.start + 1), probe("__enter", scope, readable(scope)));
+        } else if (scope.bindings.size === 0) {
+            // an empty block record is not worth a step
+        } else if (scope.kind === "catch") {
+            insert(node.body.start + 1, probe("__enter", scope, readable(scope)));
+        } else if (scope.kind === "block") {
+            insert(node.start + 1, probe("__enter", scope, readable(scope)));
+        } else if (scope.kind === "for" && node.body.type === "BlockStatement") {
+            insert(node.body.start + 1, probe("__iter", scope, [...scope.bindings.keys()]));
+        }
+    }
+
+    const bindingOf = new Map();
+    for (const scope of analysis.scopes) {
+        for (const binding of scope.bindings.values()) binding.identifiers.forEach(id => bindingOf.set(id, binding));
+    }
+    const visitList = statements => statements.forEach(statement => {
+        let ids = [];
+        if (statement.type === "VariableDeclaration") {
+            ids = statement.declarations
+                .filter(d => d.init || statement.kind !== "var")
+                .flatMap(d => patternIdentifiers(d.id));
+        } else if (statement.type === "ClassDeclaration") {
+            ids = [statement.id];
+        }
+        if (!ids.length) return;
+        const scope = bindingOf.get(ids[0]).scope;
+        const names = ids.map(id => id.name);
+        insert(statement.end, `;__init(${scope.id}, ${statement.loc.start.line}, ${JSON.stringify(names)}, () => [${names.join(", ")}]);`);
+    });
+    for (const scope of analysis.scopes) {
+        const node = scope.node;
+        if (node.type === "Program") visitList(node.body);
+        else if (node.type === "BlockStatement") visitList(node.body);
+        else if (node.type === "SwitchStatement") node.cases.forEach(c => visitList(c.consequent));
+        else if (scope.kind === "function" && node.body && node.body.type === "BlockStatement") visitList(node.body.body);
+    }
+
+    let out = code;
+    [...edits.keys()].sort((a, b) => b - a).forEach(pos => {
+        out = out.slice(0, pos) + edits.get(pos) + out.slice(pos);
+    });
+    return out;
+}
+
+// The lexical binding a "Cannot access 'x' before initialization" on `line` is about
+function tdzBinding(scopes, name, line) {
+    let best = null;
+    for (const scope of scopes) {
+        const entry = scope.record.find(b => b.name === name && b.tdzUntil !== undefined);
+        const { start, end } = scope.range;
+        if (entry && start <= line && line <= end && (!best || start >= best.range.start)) best = { ...scope, entry };
+    }
+    return best && { ...best.entry, scope: best.label };
+}
+
+// Runs the code with probes and returns the execution steps in order.
+async function stepThrough(code, analysis, scopes, options = {}) {
+    const steps = [];
+    const push = step => {
+        if (steps.length < MAX_STEPS) steps.push(step);
+        else steps.truncated = true;
+    };
+    const byId = new Map(analysis.scopes.map(s => [s.id, s]));
+    const values = (names, getter) => {
+        const got = getter();
+        return Object.fromEntries(names.map((name, i) => [name, show(got[i])]));
+    };
+
+    const globals = {
+        __enter(id, getter) {
+            const scope = byId.get(id);
+            const readable = [...scope.bindings.values()].filter(b => !b.lexical);
+            const first = scope.parent ? scope.node : scope.node.body[0] || scope.node;
+            push({
+                type: "enter",
+                line: first.loc.start.line,
+                scope: id,
+                label: scope.label,
+                values: values(readable.map(b => b.name), getter),
+                tdz: [...scope.bindings.values()].filter(b => b.lexical).map(b => b.name),
+            });
+        },
+        __iter(id, getter) {
+            const scope = byId.get(id);
+            push({ type: "iteration", line: scope.node.loc.start.line, scope: id, label: scope.label, values: values([...scope.bindings.keys()], getter) });
+        },
+        __init(id, line, names, getter) {
+            const scope = byId.get(id);
+            const lexical = names.some(name => scope.bindings.get(name).lexical);
+            push({ type: "init", line, scope: id, kind: scope.bindings.get(names[0]).kind, leavesTDZ: lexical, values: values(names, getter) });
+        },
+    };
+    const onEvent = event => {
+        if (event.type === "log") return push({ type: "log", line: event.line, text: event.text });
+        const step = { type: "error", line: event.line, name: event.name, message: event.message };
+        const tdz = /Cannot access '(.+)' before initialization/.exec(event.message || "");
+        if (tdz) step.binding = tdzBinding(scopes, tdz[1], event.line);
+        return push(step);
+    };
+    await runPuzzle({ ...options.puzzle, code: instrument(code, analysis) }, { ...options, globals, onEvent });
+    return steps;
+}
+
+// visualize({ code, startLine }) → { scopes, steps, error }
+// Line numbers are those of the original file: startLine is where `code` begins in it.
+async function visualize(source, { run = true, ...options } = {}) {
+    const code = "\n".repeat((source.startLine || 1) - 1) + source.code;
+    let analysis;
+    try {
+        analysis = analyze(code);
+    } catch (e) {
+        // Not even the creation phase happens: the engine rejects the whole script.
+        return { scopes: [], steps: [], error: { name: "SyntaxError", message: e.message, line: e.line } };
+    }
+    const scopes = creationPhase(analysis);
+    scopes.forEach(scope => {
+        const node = analysis.scopes[scope.id].node;
+        scope.range = { start: node.loc.start.line, end: node.loc.end.line };
+    });
+    const early = analysis.scopes.flatMap(s => s.conflicts).map(c => ({
+        name: "SyntaxError",
+        message: `Identifier '${c.name}' has already been declared`,
+        line: c.second.loc.start.line,
+    }));
+    const result = { scopes, steps: [], error: early[0] || null };
+    if (run && !early.length) {
+        result.steps = await stepThrough(code, analysis, scopes, { ...options, puzzle: { ...source, startLine: 1 } });
+    }
+    return result;
+}
+
+function pad(text, width) {
+    return String(text).padEnd(width);
+}
+
+function formatVisualization(title, { scopes, steps, error }) {
+    const lines = [title, ""];
+    if (error && !scopes.length) {
+        lines.push(`  ✗ ${error.name}: ${error.message} — the engine rejects the script before any creation phase`);
+        return lines.join("\n");
+    }
+    lines.push("Creation phase (each environment record before its first line runs)");
+    const width = Math.max(12, ...scopes.flatMap(s => s.record.map(b => b.name.length))) + 2;
+    const valueWidth = Math.max(18, ...scopes.flatMap(s => s.record.map(b => b.initial.length))) + 2;
+    for (const scope of scopes) {
+        const when = scope.kind === "function" ? " — created on every call" : scope.kind === "for" ? " — copied for every iteration" : "";
+        lines.push(`  ${scope.label}${when}`);
+        if (!scope.record.length) lines.push("    (no bindings)");
+        for (const b of scope.record) {
+            const notes = [`declared line ${b.line}`];
+            if (b.tdzUntil) notes[0] = `TDZ until line ${b.tdzUntil}`;
+            if (b.early && b.early.length) notes.push(`read early on line ${b.early.join(", ")}`);
+            if (b.closure && b.closure.length) notes.push(`read from a closure on line ${b.closure.join(", ")}`);
+            if (b.blockFunction) notes.push("block-level function");
+            lines.push(`    ${pad(b.name, width)}${pad(b.kind, 10)}${pad(b.initial, valueWidth)}${notes.join(" · ")}`);
+        }
+    }
+    if (error) {
+        lines.push("", `  ✗ ${error.name}: ${error.message} (line ${error.line}) — early error, nothing runs`);
+        return lines.join("\n");
+    }
+    if (!steps.length) return lines.join("\n");
+
+    lines.push("", "Execution");
+    const at = line => String(line === undefined ? "?" : line).padStart(5);
+    const assignments = v => Object.entries(v).map(([name, value]) => `${name} = ${value}`).join(", ");
+    for (const step of steps) {
+        switch (step.type) {
+            case "enter": {
+                const parts = [];
+                if (Object.keys(step.values).length) parts.push(assignments(step.values));
+                if (step.tdz.length) parts.push(`in TDZ: ${step.tdz.join(", ")}`);
+                lines.push(`${at(step.line)}  ▶ enter ${step.label}${parts.length ? ` — ${parts.join(" · ")}` : ""}`);
+                break;
+            }
+            case "iteration":
+                lines.push(`${at(step.line)}  ↻ new iteration bindings: ${assignments(step.values)}`);
+                break;
+            case "init":
+                lines.push(step.leavesTDZ
+                    ? `${at(step.line)}  ✓ ${assignments(step.values)}  (${step.kind}, leaves the TDZ)`
+                    : `${at(step.line)}  = ${assignments(step.values)}  (${step.kind} assignment)`);
+                break;
+            case "log":
+                lines.push(`${at(step.line)}  │ ${step.text}`);
+                break;
+            case "error": {
+                const why = step.binding ? ` — '${step.binding.name}' (${step.binding.kind}, ${step.binding.scope}) is in its TDZ until line ${step.binding.tdzUntil}` : "";
+                lines.push(`${at(step.line)}  ✗ ${step.name}: ${step.message}${why}`);
+                break;
+            }
+            default:
+                break;
+        }
+    }
+    if (steps.truncated) lines.push(`  … stopped recording after ${MAX_STEPS} steps`);
+    return lines.join("\n");
+}
+
+function parseArgs(argv) {
+    const fileArg = argv.find(a => a.startsWith("--file="));
+    const only = argv.filter(a => !a.startsWith("--")).map(a => (/^\d+$/.test(a) ? `p${a}` : a.toLowerCase()));
+    return {
+        file: fileArg ? fileArg.slice("--file=".length) : null,
+        only: only.length ? only : DEFAULT_PUZZLES,
+        json: argv.includes("--json"),
+        run: !argv.includes("--static"),
+    };
+}
+
+async function main() {
+    const { file, only, json, run } = parseArgs(process.argv.slice(2));
+    const sources = file
+        ? [{ id: file, title: file, code: fs.readFileSync(file, "utf8"), startLine: 1, file: path.resolve(file) }]
+        : splitPuzzles(fs.readFileSync(PUZZLE_FILE, "utf8"))
+            .filter(p => only.includes(p.id))
+            .map(p => ({ ...p, title: `${p.kind[0].toUpperCase()}${p.kind.slice(1)} ${p.number}: ${p.title}  (line ${p.startLine})` }));
+
+    const results = [];
+    for (const source of sources) {
+        const result = await visualize(source, { run });
+        results.push({ id: source.id, title: source.title, ...result });
+    }
+    console.log(json
+        ? JSON.stringify(results, null, 2)
+        : results.map(r => formatVisualization(r.title, r)).join("\n\n" + "─".repeat(72) + "\n\n"));
+}
+
+if (require.main === module) main();
+
+module.exports = { visualize, creationPhase, instrument, formatVisualization };
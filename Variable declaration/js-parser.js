@@ -0,0 +1,1544 @@
+// A small JavaScript parser producing ESTree-shaped nodes
+//
+// Enough of ES2022 for the notes and ordinary application code: declarations and
+// destructuring, functions / arrows / async / generators, classes (fields, static, #private),
+// every statement type, template literals, regex literals, optional chaining and ES modules.
+// Every node has `start` / `end` offsets and `loc` ({ line, column }, lines from 1), which the
+// hoisting visualizer, the scope analyzer and the codemods rely on.
+//
+// const { parse } = require("./js-parser");
+// parse("let x = 1;") → { type: "Program", body: [...], comments: [...] }
+
+const KEYWORDS = new Set([
+    "break", "case", "catch", "class", "const", "continue", "debugger", "default", "delete",
+    "do", "else", "export", "extends", "finally", "for", "function", "if", "import", "in",
+    "instanceof", "new", "return", "super", "switch", "this", "throw", "try", "typeof", "var",
+    "void", "while", "with", "null", "true", "false",
+]);
+
+// Binary operator precedence (higher binds tighter)
+const BINARY = {
+    "??": 1, "||": 2, "&&": 3, "|": 4, "^": 5, "&": 6,
+    "==": 7, "!=": 7, "===": 7, "!==": 7,
+    "<": 8, ">": 8, "<=": 8, ">=": 8, instanceof: 8, in: 8,
+    "<<": 9, ">>": 9, ">>>": 9,
+    "+": 10, "-": 10, "*": 11, "/": 11, "%": 11, "**": 12,
+};
+
+const ASSIGN = new Set(["=", "+=", "-=", "*=", "/=", "%=", "**=", "<<=", ">>=", ">>>=", "&=", "|=", "^=", "&&=", "||=", "??="]);
+
+// Longest first so "===" wins over "==" and "="
+const PUNCTUATORS = [
+    ">>>=", "...", "===", "!==", "**=", "<<=", ">>=", ">>>", "&&=", "||=", "??=",
+    "=>", "==", "!=", "<=", ">=", "&&", "||", "??", "?.", "++", "--", "+=", "-=", "*=", "/=",
+    "%=", "&=", "|=", "^=", "<<", ">>", "**",
+    "{", "}", "(", ")", "[", "]", ";", ",", "<", ">", "+", "-", "*", "/", "%", "&", "|", "^",
+    "!", "~", "?", ":", "=", ".", "@", "#",
+];
+
+const ID_START = /[\p{ID_Start}$_]/u;
+const ID_CONTINUE = /[\p{ID_Continue}$_\u200c\u200d]/u;
+
+// a ?? b || c is a SyntaxError; (a ?? b) || c is fine
+function mixesNullish(op, operand) {
+    if (operand.type !== "LogicalExpression" || operand.parenthesized) return false;
+    return (op === "??") !== (operand.operator === "??");
+}
+
+class ParseError extends SyntaxError {
+    constructor(message, { line, column, pos }) {
+        super(`${message} (${line}:${column + 1})`);
+        this.name = "SyntaxError";
+        this.line = line;
+        this.column = column;
+        this.pos = pos;
+    }
+}
+
+class Parser {
+    constructor(source, { sourceType = "script" } = {}) {
+        this.src = source;
+        this.sourceType = sourceType;
+        this.pos = 0;
+        this.line = 1;
+        this.lineStart = 0;
+        this.comments = [];
+        this.prev = null;          // last consumed token
+        this.inFunction = false;
+        this.inGenerator = false;
+        this.inAsync = false;
+        this.newTarget = false;    // inside a non-arrow function, a class field or a static block
+        this.tok = this.lex();
+    }
+
+    // ---- errors / positions ----
+
+    raise(message, token = this.tok) {
+        throw new ParseError(message, { line: token.loc.start.line, column: token.loc.start.column, pos: token.start });
+    }
+
+    here() {
+        return { line: this.line, column: this.pos - this.lineStart };
+    }
+
+    startNode(token = this.tok) {
+        return { start: token.start, loc: { start: token.loc.start } };
+    }
+
+    finish(node, type) {
+        node.type = type;
+        node.end = this.prev.end;
+        node.loc.end = this.prev.loc.end;
+        return node;
+    }
+
+    // ---- lexer ----
+
+    skipSpace() {
+        let newline = false;
+        const src = this.src;
+        while (this.pos < src.length) {
+            const ch = src[this.pos];
+            if (ch === "\n" || ch === "\u2028" || ch === "\u2029" || ch === "\r") {
+                if (ch === "\r" && src[this.pos + 1] === "\n") this.pos++;
+                this.pos++;
+                this.line++;
+                this.lineStart = this.pos;
+                newline = true;
+            } else if (ch === " " || ch === "\t" || ch === "\v" || ch === "\f" || ch === "\u00a0" || ch === "\ufeff" || /\s/.test(ch)) {
+                this.pos++;
+            } else if (ch === "/" && src[this.pos + 1] === "/") {
+                const start = this.pos;
+                const loc = this.here();
+                while (this.pos < src.length && !/[\n\r\u2028\u2029]/.test(src[this.pos])) this.pos++;
+                this.comments.push({ type: "Line", value: src.slice(start + 2, this.pos), start, end: this.pos, loc: { start: loc, end: this.here() } });
+            } else if (ch === "/" && src[this.pos + 1] === "*") {
+                const start = this.pos;
+                const loc = this.here();
+                const close = src.indexOf("*/", this.pos + 2);
+                if (close === -1) throw new ParseError("Unterminated comment", { ...loc, pos: start });
+                for (let i = this.pos; i < close; i++) {
+                    if (src[i] === "\n") {
+                        this.line++;
+                        this.lineStart = i + 1;
+                        newline = true;
+                    }
+                }
+                this.pos = close + 2;
+                this.comments.push({ type: "Block", value: src.slice(start + 2, close), start, end: this.pos, loc: { start: loc, end: this.here() } });
+            } else if (ch === "#" && src[this.pos + 1] === "!" && this.pos === 0) {
+                while (this.pos < src.length && src[this.pos] !== "\n") this.pos++;
+            } else {
+                break;
+            }
+        }
+        return newline;
+    }
+
+    regexAllowed() {
+        const p = this.prev;
+        if (!p) return true;
+        if (p.type === "num" || p.type === "string" || p.type === "template" || p.type === "regex" || p.type === "privateName") return false;
+        if (p.type === "name") return ["return", "typeof", "instanceof", "in", "of", "new", "delete", "void", "throw", "case", "do", "else", "yield", "await"].includes(p.value);
+        // A statement starts after the ")" of an if / while / for / with head: if (x) /re/.test(s)
+        if (p.value === ")") return Boolean(p.closesHead);
+        return !(p.value === "]" || p.value === "}");
+    }
+
+    lex() {
+        const newlineBefore = this.skipSpace();
+        const start = this.pos;
+        const startLoc = this.here();
+        const make = (type, value, extra = {}) => ({
+            type, value, start, end: this.pos, newlineBefore,
+            loc: { start: startLoc, end: this.here() }, ...extra,
+        });
+        const src = this.src;
+        if (this.pos >= src.length) return make("eof", undefined);
+        const ch = src[this.pos];
+        const code = src.codePointAt(this.pos);
+
+        if (ID_START.test(String.fromCodePoint(code)) || ch === "\\") {
+            const word = this.readWord();
+            return make("name", word.value, { escaped: word.escaped });
+        }
+        if (ch === "#" && ID_START.test(src[this.pos + 1] || "")) {
+            this.pos++;
+            return make("privateName", this.readWord().value);
+        }
+        if (/[0-9]/.test(ch) || (ch === "." && /[0-9]/.test(src[this.pos + 1] || ""))) return make("num", this.readNumber());
+        if (ch === "'" || ch === "\"") return make("string", this.readString(ch), { raw: src.slice(start, this.pos) });
+        if (ch === "`") {
+            this.pos++;
+            return this.readTemplateChunk(start, startLoc, newlineBefore);
+        }
+        if (ch === "/" && this.regexAllowed()) {
+            const { pattern, flags } = this.readRegex();
+            return make("regex", src.slice(start, this.pos), { regex: { pattern, flags } });
+        }
+        for (const p of PUNCTUATORS) {
+            if (src.startsWith(p, this.pos)) {
+                // "?." followed by a digit is "?" then a number (a ? .5 : 1)
+                if (p === "?." && /[0-9]/.test(src[this.pos + 2] || "")) continue;
+                this.pos += p.length;
+                return make("punct", p);
+            }
+        }
+        throw new ParseError(`Unexpected character '${ch}'`, { ...startLoc, pos: start });
+    }
+
+    readWord() {
+        let value = "";
+        let escaped = false;
+        while (this.pos < this.src.length) {
+            const cp = this.src.codePointAt(this.pos);
+            const c = String.fromCodePoint(cp);
+            if (c === "\\") {
+                const m = this.src.slice(this.pos).match(/^\\u(?:\{([0-9a-fA-F]+)\}|([0-9a-fA-F]{4}))/);
+                if (!m) throw new ParseError("Invalid escape in identifier", { ...this.here(), pos: this.pos });
+                value += String.fromCodePoint(parseInt(m[1] || m[2], 16));
+                this.pos += m[0].length;
+                escaped = true;
+            } else if (ID_CONTINUE.test(c)) {
+                value += c;
+                this.pos += c.length;
+            } else {
+                break;
+            }
+        }
+        return { value, escaped };
+    }
+
+    readNumber() {
+        const rest = this.src.slice(this.pos);
+        const m = rest.match(/^(?:0[xX][0-9a-fA-F_]+n?|0[oO][0-7_]+n?|0[bB][01_]+n?|(?:\d[\d_]*\.?[\d_]*|\.\d[\d_]*)(?:[eE][+-]?\d[\d_]*)?n?)/);
+        this.pos += m[0].length;
+        if (ID_START.test(this.src[this.pos] || "")) {
+            throw new ParseError("Identifier directly after number", { ...this.here(), pos: this.pos });
+        }
+        const text = m[0].replace(/_/g, "");
+        return text.endsWith("n") ? BigInt(text.slice(0, -1)) : Number(text);
+    }
+
+    readEscape() {
+        const src = this.src;
+        const c = src[++this.pos];
+        this.pos++;
+        switch (c) {
+            case "n": return "\n";
+            case "t": return "\t";
+            case "r": return "\r";
+            case "b": return "\b";
+            case "f": return "\f";
+            case "v": return "\v";
+            case "0": return "\0";
+            case "x": {
+                const hex = src.substr(this.pos, 2);
+                this.pos += 2;
+                return String.fromCharCode(parseInt(hex, 16));
+            }
+            case "u": {
+                const m = src.slice(this.pos).match(/^(?:\{([0-9a-fA-F]+)\}|([0-9a-fA-F]{4}))/);
+                if (!m) throw new ParseError("Invalid Unicode escape", { ...this.here(), pos: this.pos });
+                this.pos += m[0].length;
+                return String.fromCodePoint(parseInt(m[1] || m[2], 16));
+            }
+            case "\r":
+                if (src[this.pos] === "\n") this.pos++;
+            // falls through
+            case "\n": case "\u2028": case "\u2029":
+                this.line++;
+                this.lineStart = this.pos;
+                return "";
+            default:
+                return c;
+        }
+    }
+
+    readString(quote) {
+        let out = "";
+        this.pos++;
+        for (;;) {
+            const c = this.src[this.pos];
+            if (c === undefined || c === "\n") throw new ParseError("Unterminated string", { ...this.here(), pos: this.pos });
+            if (c === quote) {
+                this.pos++;
+                return out;
+            }
+            if (c === "\\") out += this.readEscape();
+            else {
+                out += c;
+                this.pos++;
+            }
+        }
+    }
+
+    // Reads from just after ` or } up to the next ${ or closing `.
+    readTemplateChunk(start, startLoc, newlineBefore) {
+        let cooked = "";
+        const rawStart = this.pos;
+        const rawLoc = this.here();
+        for (;;) {
+            const c = this.src[this.pos];
+            if (c === undefined) throw new ParseError("Unterminated template", { ...startLoc, pos: start });
+            if (c === "`" || (c === "$" && this.src[this.pos + 1] === "{")) {
+                const raw = this.src.slice(rawStart, this.pos);
+                const tail = c === "`";
+                // The TemplateElement covers just the raw text, without ` ${ }
+                const element = { start: rawStart, end: this.pos, loc: { start: rawLoc, end: this.here() } };
+                this.pos += tail ? 1 : 2;
+                return {
+                    type: "template", value: cooked, raw, tail, element, start, end: this.pos, newlineBefore,
+                    loc: { start: startLoc, end: this.here() },
+                };
+            }
+            if (c === "\\") {
+                cooked += this.readEscape();
+            } else {
+                if (c === "\n") {
+                    this.line++;
+                    this.lineStart = this.pos + 1;
+                }
+                cooked += c;
+                this.pos++;
+            }
+        }
+    }
+
+    readRegex() {
+        const src = this.src;
+        let inClass = false;
+        this.pos++;
+        const bodyStart = this.pos;
+        for (;;) {
+            const c = src[this.pos];
+            if (c === undefined || c === "\n") throw new ParseError("Unterminated regular expression", { ...this.here(), pos: this.pos });
+            if (c === "\\") this.pos++;
+            else if (c === "[") inClass = true;
+            else if (c === "]") inClass = false;
+            else if (c === "/" && !inClass) break;
+            this.pos++;
+        }
+        const pattern = src.slice(bodyStart, this.pos);
+        this.pos++;
+        const flagsStart = this.pos;
+        while (/[a-z]/i.test(src[this.pos] || "")) this.pos++;
+        return { pattern, flags: src.slice(flagsStart, this.pos) };
+    }
+
+    // ---- token helpers ----
+
+    next() {
+        this.prev = this.tok;
+        this.tok = this.lex();
+        return this.prev;
+    }
+
+    snapshot() {
+        return { pos: this.pos, line: this.line, lineStart: this.lineStart, tok: this.tok, prev: this.prev, comments: this.comments.length };
+    }
+
+    restore(s) {
+        this.pos = s.pos;
+        this.line = s.line;
+        this.lineStart = s.lineStart;
+        this.tok = s.tok;
+        this.prev = s.prev;
+        this.comments.length = s.comments;
+    }
+
+    // Peek at the token after the current one.
+    peek() {
+        const s = this.snapshot();
+        this.next();
+        const t = this.tok;
+        this.restore(s);
+        return t;
+    }
+
+    is(value, type = value === undefined ? undefined : null) {
+        const t = this.tok;
+        if (type) return t.type === type;
+        return (t.type === "punct" || (t.type === "name" && !t.escaped)) && t.value === value;
+    }
+
+    isName(value) {
+        return this.tok.type === "name" && (value === undefined || (this.tok.value === value && !this.tok.escaped));
+    }
+
+    eat(value) {
+        if (this.is(value)) {
+            this.next();
+            return true;
+        }
+        return false;
+    }
+
+    expect(value) {
+        if (!this.eat(value)) this.unexpected(`Expected '${value}'`);
+    }
+
+    // The ")" of a statement head, marked before it's consumed so that the lexer, reading
+    // the token after it, knows a statement comes next
+    closeHead() {
+        if (this.is(")")) this.tok.closesHead = true;
+        this.expect(")");
+    }
+
+    unexpected(message) {
+        const t = this.tok;
+        const what = t.type === "eof" ? "end of input" : `'${this.src.slice(t.start, t.end)}'`;
+        this.raise(message ? `${message} but found ${what}` : `Unexpected ${what}`);
+    }
+
+    // Automatic semicolon insertion
+    semicolon() {
+        if (this.eat(";")) return;
+        if (this.is("}") || this.tok.type === "eof" || this.tok.newlineBefore) return;
+        this.unexpected("Expected ';'");
+    }
+
+    identifierName() {
+        if (this.tok.type !== "name") this.unexpected("Expected a name");
+        const node = this.startNode();
+        node.name = this.next().value;
+        return this.finish(node, "Identifier");
+    }
+
+    // A binding or reference name: keywords are not allowed
+    identifier() {
+        if (this.tok.type !== "name" || (KEYWORDS.has(this.tok.value) && !this.tok.escaped)) this.unexpected("Expected an identifier");
+        return this.identifierName();
+    }
+
+    // ---- program / statements ----
+
+    parseProgram() {
+        const body = [];
+        while (this.tok.type !== "eof") body.push(this.statement(true));
+        return {
+            type: "Program",
+            sourceType: this.sourceType,
+            body,
+            start: 0,
+            end: this.src.length,
+            loc: { start: { line: 1, column: 0 }, end: this.here() },
+            comments: this.comments,
+        };
+    }
+
+    // `let` starts a declaration when followed by a name, [ or {
+    isLetDeclaration() {
+        if (!this.isName("let")) return false;
+        const next = this.peek();
+        return next.type === "name" || next.value === "[" || next.value === "{";
+    }
+
+    isAsyncFunction() {
+        if (!this.isName("async")) return false;
+        const next = this.peek();
+        return next.type === "name" && next.value === "function" && !next.newlineBefore;
+    }
+
+    statement(topLevel = false) {
+        const t = this.tok;
+        if (t.type === "punct") {
+            if (t.value === "{") return this.block();
+            if (t.value === ";") {
+                const node = this.startNode();
+                this.next();
+                return this.finish(node, "EmptyStatement");
+            }
+        }
+        if (t.type === "name" && !t.escaped) {
+            switch (t.value) {
+                case "var": case "const": return this.variableStatement();
+                case "let": if (this.isLetDeclaration()) return this.variableStatement(); break;
+                case "function": return this.functionLike(this.startNode(), "FunctionDeclaration");
+                case "async": if (this.isAsyncFunction()) return this.functionLike(this.startNode(), "FunctionDeclaration"); break;
+                case "class": return this.classLike("ClassDeclaration");
+                case "if": return this.ifStatement();
+                case "for": return this.forStatement();
+                case "while": return this.whileStatement();
+                case "do": return this.doWhileStatement();
+                case "return": return this.returnStatement();
+                case "break": case "continue": return this.jumpStatement();
+                case "throw": return this.throwStatement();
+                case "try": return this.tryStatement();
+                case "switch": return this.switchStatement();
+                case "debugger": {
+                    const node = this.startNode();
+                    this.next();
+                    this.semicolon();
+                    return this.finish(node, "DebuggerStatement");
+                }
+                case "with": {
+                    const node = this.startNode();
+                    this.next();
+                    this.expect("(");
+                    node.object = this.expression();
+                    this.closeHead();
+                    node.body = this.statement();
+                    return this.finish(node, "WithStatement");
+                }
+                case "import": {
+                    const next = this.peek();
+                    if (topLevel && next.value !== "(" && next.value !== ".") return this.importDeclaration();
+                    break;
+                }
+                case "export": if (topLevel) return this.exportDeclaration(); break;
+                default: break;
+            }
+            // label:
+            if (!KEYWORDS.has(t.value) && this.peek().value === ":") {
+                const node = this.startNode();
+                node.label = this.identifier();
+                this.expect(":");
+                node.body = this.statement();
+                return this.finish(node, "LabeledStatement");
+            }
+        }
+        const node = this.startNode();
+        node.expression = this.expression();
+        this.semicolon();
+        if (node.expression.type === "Literal" && typeof node.expression.value === "string") {
+            node.directive = this.src.slice(node.expression.start + 1, node.expression.end - 1);
+        }
+        return this.finish(node, "ExpressionStatement");
+    }
+
+    block() {
+        const node = this.startNode();
+        this.expect("{");
+        node.body = [];
+        while (!this.eat("}")) {
+            if (this.tok.type === "eof") this.unexpected("Expected '}'");
+            node.body.push(this.statement());
+        }
+        return this.finish(node, "BlockStatement");
+    }
+
+    variableStatement() {
+        const node = this.variableDeclaration(false);
+        this.semicolon();
+        return this.finish(node, "VariableDeclaration");
+    }
+
+    variableDeclaration(noIn, { allowMissingInit = false } = {}) {
+        const node = this.startNode();
+        node.kind = this.next().value;
+        node.declarations = [];
+        do {
+            const decl = this.startNode();
+            decl.id = this.bindingTarget();
+            if (node.kind !== "var" && decl.id.type === "Identifier" && decl.id.name === "let") {
+                this.raise("let is disallowed as a lexically bound name", this.prev);
+            }
+            if (this.eat("=")) {
+                decl.init = this.assignment(noIn);
+            } else {
+                decl.init = null;
+                const forHead = allowMissingInit || this.isName("in") || this.isName("of");
+                if (!forHead && (node.kind === "const" || decl.id.type !== "Identifier")) {
+                    this.raise(node.kind === "const" ? "Missing initializer in const declaration" : "Missing initializer in destructuring declaration");
+                }
+            }
+            node.declarations.push(this.finish(decl, "VariableDeclarator"));
+        } while (this.eat(","));
+        return this.finish(node, "VariableDeclaration");
+    }
+
+    ifStatement() {
+        const node = this.startNode();
+        this.next();
+        node.test = this.parenExpression(true);
+        node.consequent = this.statement();
+        node.alternate = this.eat("else") ? this.statement() : null;
+        return this.finish(node, "IfStatement");
+    }
+
+    // head: the parentheses of an if / while, with a statement after them
+    parenExpression(head = false) {
+        this.expect("(");
+        const expr = this.expression();
+        if (head) this.closeHead();
+        else this.expect(")");
+        return expr;
+    }
+
+    forStatement() {
+        const node = this.startNode();
+        this.next();
+        const isAwait = this.isName("await") && this.inAsync;
+        if (isAwait) this.next();
+        this.expect("(");
+        let init = null;
+        if (this.is(";")) {
+            // for (;;)
+        } else if (this.isName("var") || this.isName("const") || this.isLetDeclaration()) {
+            init = this.variableDeclaration(true, { allowMissingInit: true });
+        } else {
+            init = this.expression(true);
+        }
+        if (init && (this.isName("of") || this.isName("in"))) {
+            const type = this.next().value === "of" ? "ForOfStatement" : "ForInStatement";
+            node.left = init.type === "VariableDeclaration" ? init : this.toPattern(init);
+            node.right = type === "ForOfStatement" ? this.assignment() : this.expression();
+            this.closeHead();
+            node.body = this.statement();
+            if (type === "ForOfStatement") node.await = isAwait;
+            return this.finish(node, type);
+        }
+        node.init = init;
+        this.expect(";");
+        node.test = this.is(";") ? null : this.expression();
+        this.expect(";");
+        node.update = this.is(")") ? null : this.expression();
+        this.closeHead();
+        node.body = this.statement();
+        return this.finish(node, "ForStatement");
+    }
+
+    whileStatement() {
+        const node = this.startNode();
+        this.next();
+        node.test = this.parenExpression(true);
+        node.body = this.statement();
+        return this.finish(node, "WhileStatement");
+    }
+
+    doWhileStatement() {
+        const node = this.startNode();
+        this.next();
+        node.body = this.statement();
+        this.expect("while");
+        node.test = this.parenExpression();
+        this.eat(";");
+        return this.finish(node, "DoWhileStatement");
+    }
+
+    returnStatement() {
+        const node = this.startNode();
+        this.next();
+        node.argument = this.is(";") || this.is("}") || this.tok.type === "eof" || this.tok.newlineBefore ? null : this.expression();
+        this.semicolon();
+        return this.finish(node, "ReturnStatement");
+    }
+
+    jumpStatement() {
+        const node = this.startNode();
+        const keyword = this.next().value;
+        node.label = this.tok.type === "name" && !this.tok.newlineBefore && !KEYWORDS.has(this.tok.value) ? this.identifier() : null;
+        this.semicolon();
+        return this.finish(node, keyword === "break" ? "BreakStatement" : "ContinueStatement");
+    }
+
+    throwStatement() {
+        const node = this.startNode();
+        this.next();
+        if (this.tok.newlineBefore) this.raise("Illegal newline after throw");
+        node.argument = this.expression();
+        this.semicolon();
+        return this.finish(node, "ThrowStatement");
+    }
+
+    tryStatement() {
+        const node = this.startNode();
+        this.next();
+        node.block = this.block();
+        node.handler = null;
+        if (this.isName("catch")) {
+            const handler = this.startNode();
+            this.next();
+            handler.param = null;
+            if (this.eat("(")) {
+                handler.param = this.bindingTarget();
+                this.expect(")");
+            }
+            handler.body = this.block();
+            node.handler = this.finish(handler, "CatchClause");
+        }
+        node.finalizer = this.eat("finally") ? this.block() : null;
+        if (!node.handler && !node.finalizer) this.unexpected("Expected catch or finally");
+        return this.finish(node, "TryStatement");
+    }
+
+    switchStatement() {
+        const node = this.startNode();
+        this.next();
+        node.discriminant = this.parenExpression();
+        node.cases = [];
+        this.expect("{");
+        while (!this.eat("}")) {
+            const c = this.startNode();
+            if (this.eat("case")) c.test = this.expression();
+            else {
+                this.expect("default");
+                c.test = null;
+            }
+            this.expect(":");
+            c.consequent = [];
+            while (!this.is("case") && !this.is("default") && !this.is("}")) {
+                if (this.tok.type === "eof") this.unexpected("Expected '}'");
+                c.consequent.push(this.statement());
+            }
+            node.cases.push(this.finish(c, "SwitchCase"));
+        }
+        return this.finish(node, "SwitchStatement");
+    }
+
+    importDeclaration() {
+        const node = this.startNode();
+        this.next();
+        node.specifiers = [];
+        if (this.tok.type !== "string") {
+            if (this.tok.type === "name" && !this.is("{")) {
+                const s = this.startNode();
+                s.local = this.identifier();
+                node.specifiers.push(this.finish(s, "ImportDefaultSpecifier"));
+                this.eat(",");
+            }
+            if (this.is("*")) {
+                const s = this.startNode();
+                this.next();
+                this.expect("as");
+                s.local = this.identifier();
+                node.specifiers.push(this.finish(s, "ImportNamespaceSpecifier"));
+            } else if (this.eat("{")) {
+                while (!this.eat("}")) {
+                    const s = this.startNode();
+                    s.imported = this.tok.type === "string" ? this.literal() : this.identifierName();
+                    s.local = this.eat("as") ? this.identifier() : { ...s.imported, type: "Identifier" };
+                    node.specifiers.push(this.finish(s, "ImportSpecifier"));
+                    if (!this.is("}")) this.expect(",");
+                }
+            }
+            this.expect("from");
+        }
+        if (this.tok.type !== "string") this.unexpected("Expected a module specifier");
+        node.source = this.literal();
+        this.semicolon();
+        return this.finish(node, "ImportDeclaration");
+    }
+
+    exportDeclaration() {
+        const node = this.startNode();
+        this.next();
+        if (this.eat("*")) {
+            node.exported = this.eat("as") ? this.identifierName() : null;
+            this.expect("from");
+            node.source = this.literal();
+            this.semicolon();
+            return this.finish(node, "ExportAllDeclaration");
+        }
+        if (this.eat("default")) {
+            if (this.isName("function") || this.isAsyncFunction()) {
+                node.declaration = this.functionLike(this.startNode(), "FunctionDeclaration", { optionalName: true });
+            } else if (this.isName("class")) {
+                node.declaration = this.classLike("ClassDeclaration", { optionalName: true });
+            } else {
+                node.declaration = this.assignment();
+                this.semicolon();
+            }
+            return this.finish(node, "ExportDefaultDeclaration");
+        }
+        node.specifiers = [];
+        node.source = null;
+        if (this.eat("{")) {
+            node.declaration = null;
+            while (!this.eat("}")) {
+                const s = this.startNode();
+                s.local = this.identifierName();
+                s.exported = this.eat("as") ? this.identifierName() : s.local;
+                node.specifiers.push(this.finish(s, "ExportSpecifier"));
+                if (!this.is("}")) this.expect(",");
+            }
+            if (this.eat("from")) node.source = this.literal();
+            this.semicolon();
+        } else {
+            node.declaration = this.statement();
+        }
+        return this.finish(node, "ExportNamedDeclaration");
+    }
+
+    // ---- functions & classes ----
+
+    // function f() {}, async function* g() {}, and the expression forms
+    functionLike(node, type, { optionalName = false } = {}) {
+        node.async = false;
+        if (this.isName("async")) {
+            this.next();
+            node.async = true;
+        }
+        this.expect("function");
+        node.generator = this.eat("*");
+        node.id = null;
+        if (this.tok.type === "name" && !this.is("(")) node.id = this.identifier();
+        else if (type === "FunctionDeclaration" && !optionalName) this.unexpected("Expected a function name");
+        this.functionRest(node);
+        return this.finish(node, type);
+    }
+
+    functionRest(node) {
+        const saved = [this.inFunction, this.inGenerator, this.inAsync, this.newTarget];
+        this.inFunction = true;
+        this.inGenerator = node.generator;
+        this.inAsync = node.async;
+        this.newTarget = true;
+        node.params = this.params();
+        node.body = this.block();
+        node.expression = false;
+        [this.inFunction, this.inGenerator, this.inAsync, this.newTarget] = saved;
+    }
+
+    params() {
+        this.expect("(");
+        const params = [];
+        while (!this.eat(")")) {
+            if (this.is("...")) {
+                const rest = this.startNode();
+                this.next();
+                rest.argument = this.bindingTarget();
+                params.push(this.finish(rest, "RestElement"));
+            } else {
+                params.push(this.bindingElement());
+            }
+            if (!this.is(")")) this.expect(",");
+        }
+        return params;
+    }
+
+    classLike(type, { optionalName = false } = {}) {
+        const node = this.startNode();
+        this.expect("class");
+        node.id = null;
+        if (this.tok.type === "name" && !this.isName("extends") && !this.is("{")) node.id = this.identifier();
+        else if (type === "ClassDeclaration" && !optionalName) this.unexpected("Expected a class name");
+        node.superClass = this.eat("extends") ? this.leftHandSide(true) : null;
+        const body = this.startNode();
+        this.expect("{");
+        body.body = [];
+        while (!this.eat("}")) {
+            if (this.eat(";")) continue;
+            body.body.push(this.classMember());
+        }
+        node.body = this.finish(body, "ClassBody");
+        return this.finish(node, type);
+    }
+
+    classMember() {
+        const node = this.startNode();
+        node.static = false;
+        const modifierFollowedByKey = () => {
+            const next = this.peek();
+            return !(next.value === "(" || next.value === "=" || next.value === ";" || next.value === "}");
+        };
+        if (this.isName("static") && modifierFollowedByKey()) {
+            this.next();
+            node.static = true;
+            if (this.is("{")) {
+                // new.target is allowed (undefined) in a static block; return isn't
+                const saved = this.newTarget;
+                this.newTarget = true;
+                try {
+                    node.body = this.block().body;
+                } finally {
+                    this.newTarget = saved;
+                }
+                return this.finish(node, "StaticBlock");
+            }
+        }
+        let kind = "method";
+        let isAsync = false;
+        let generator = false;
+        if (this.isName("async") && modifierFollowedByKey() && !this.peek().newlineBefore) {
+            this.next();
+            isAsync = true;
+        }
+        if (this.eat("*")) generator = true;
+        if ((this.isName("get") || this.isName("set")) && modifierFollowedByKey()) {
+            kind = this.next().value;
+        }
+        this.propertyKey(node);
+        if (this.is("(")) {
+            const fn = this.startNode();
+            fn.id = null;
+            fn.async = isAsync;
+            fn.generator = generator;
+            this.functionRest(fn);
+            this.checkAccessor(kind, fn);
+            node.value = this.finish(fn, "FunctionExpression");
+            node.kind = kind === "method" && !node.computed && !node.static && node.key.name === "constructor" ? "constructor" : kind;
+            return this.finish(node, "MethodDefinition");
+        }
+        node.value = this.eat("=") ? this.withFunctionContext(() => this.assignment()) : null;
+        this.semicolon();
+        return this.finish(node, "PropertyDefinition");
+    }
+
+    checkAccessor(kind, fn) {
+        if (kind === "get" && fn.params.length !== 0) this.raise("Getter must not have any formal parameters", fn);
+        if (kind === "set" && (fn.params.length !== 1 || fn.params[0].type === "RestElement")) this.raise("Setter must have exactly one formal parameter", fn);
+    }
+
+    withFunctionContext(fn) {
+        const saved = [this.inFunction, this.inGenerator, this.inAsync, this.newTarget];
+        this.inFunction = true;
+        this.inGenerator = false;
+        this.inAsync = false;
+        this.newTarget = true;
+        try {
+            return fn();
+        } finally {
+            [this.inFunction, this.inGenerator, this.inAsync, this.newTarget] = saved;
+        }
+    }
+
+    propertyKey(node) {
+        node.computed = false;
+        if (this.eat("[")) {
+            node.computed = true;
+            node.key = this.assignment();
+            this.expect("]");
+        } else if (this.tok.type === "string" || this.tok.type === "num") {
+            node.key = this.literal();
+        } else if (this.tok.type === "privateName") {
+            const key = this.startNode();
+            key.name = this.next().value;
+            node.key = this.finish(key, "PrivateIdentifier");
+        } else {
+            node.key = this.identifierName();
+        }
+    }
+
+    // ---- binding patterns ----
+
+    bindingTarget() {
+        if (this.is("[")) return this.arrayPattern();
+        if (this.is("{")) return this.objectPattern();
+        return this.identifier();
+    }
+
+    bindingElement() {
+        const target = this.bindingTarget();
+        if (!this.is("=")) return target;
+        const node = this.startNode(target);
+        node.start = target.start;
+        node.loc = { start: target.loc.start };
+        this.next();
+        node.left = target;
+        node.right = this.assignment();
+        return this.finish(node, "AssignmentPattern");
+    }
+
+    arrayPattern() {
+        const node = this.startNode();
+        this.expect("[");
+        node.elements = [];
+        while (!this.eat("]")) {
+            if (this.is(",")) {
+                this.next();
+                node.elements.push(null);
+                continue;
+            }
+            if (this.is("...")) {
+                const rest = this.startNode();
+                this.next();
+                rest.argument = this.bindingTarget();
+                node.elements.push(this.finish(rest, "RestElement"));
+            } else {
+                node.elements.push(this.bindingElement());
+            }
+            if (!this.is("]")) this.expect(",");
+        }
+        return this.finish(node, "ArrayPattern");
+    }
+
+    objectPattern() {
+        const node = this.startNode();
+        this.expect("{");
+        node.properties = [];
+        while (!this.eat("}")) {
+            if (this.is("...")) {
+                const rest = this.startNode();
+                this.next();
+                rest.argument = this.identifier();
+                node.properties.push(this.finish(rest, "RestElement"));
+            } else {
+                const prop = this.startNode();
+                this.propertyKey(prop);
+                prop.kind = "init";
+                prop.method = false;
+                if (this.eat(":")) {
+                    prop.shorthand = false;
+                    prop.value = this.bindingElement();
+                } else {
+                    prop.shorthand = true;
+                    if (prop.key.type !== "Identifier" || KEYWORDS.has(prop.key.name)) this.unexpected();
+                    prop.value = { ...prop.key };
+                    if (this.is("=")) {
+                        const def = { start: prop.key.start, loc: { start: prop.key.loc.start } };
+                        this.next();
+                        def.left = prop.value;
+                        def.right = this.assignment();
+                        prop.value = this.finish(def, "AssignmentPattern");
+                    }
+                }
+                node.properties.push(this.finish(prop, "Property"));
+            }
+            if (!this.is("}")) this.expect(",");
+        }
+        return this.finish(node, "ObjectPattern");
+    }
+
+    // Cover grammar: reinterpret an expression as an assignment target / parameter
+    toPattern(node) {
+        switch (node.type) {
+            case "Identifier":
+            case "MemberExpression":
+            case "ObjectPattern":
+            case "ArrayPattern":
+            case "AssignmentPattern":
+            case "RestElement":
+                return node;
+            case "ObjectExpression":
+                node.type = "ObjectPattern";
+                node.properties.forEach(p => {
+                    if (p.type === "SpreadElement") {
+                        p.type = "RestElement";
+                        p.argument = this.toPattern(p.argument);
+                    } else {
+                        if (p.kind !== "init" || p.method) this.raise("Invalid destructuring target", p);
+                        p.value = this.toPattern(p.value);
+                    }
+                });
+                return node;
+            case "ArrayExpression":
+                node.type = "ArrayPattern";
+                node.elements = node.elements.map(e => (e ? this.toPattern(e) : null));
+                return node;
+            case "SpreadElement":
+                node.type = "RestElement";
+                node.argument = this.toPattern(node.argument);
+                return node;
+            case "AssignmentExpression":
+                if (node.operator !== "=") break;
+                node.type = "AssignmentPattern";
+                delete node.operator;
+                node.left = this.toPattern(node.left);
+                return node;
+            default:
+                break;
+        }
+        this.raise("Invalid assignment target", node);
+    }
+
+    // ---- expressions ----
+
+    expression(noIn = false) {
+        const first = this.assignment(noIn);
+        if (!this.is(",")) return first;
+        const node = this.startNode(first);
+        node.start = first.start;
+        node.loc = { start: first.loc.start };
+        node.expressions = [first];
+        while (this.eat(",")) node.expressions.push(this.assignment(noIn));
+        return this.finish(node, "SequenceExpression");
+    }
+
+    // Tries to read `(params) =>` / `async (params) =>`; restores and returns null otherwise.
+    tryArrow(noIn) {
+        const snap = this.snapshot();
+        const node = this.startNode();
+        node.async = false;
+        try {
+            if (this.isName("async") && !this.peek().newlineBefore && (this.peek().value === "(" || this.peek().type === "name")) {
+                this.next();
+                node.async = true;
+            }
+            let params;
+            if (this.is("(")) {
+                params = this.params();
+            } else if (this.tok.type === "name" && !KEYWORDS.has(this.tok.value)) {
+                params = [this.identifier()];
+            } else {
+                this.restore(snap);
+                return null;
+            }
+            if (!this.is("=>") || this.tok.newlineBefore) {
+                this.restore(snap);
+                return null;
+            }
+            this.next();
+            return this.arrowBody(node, params, noIn);
+        } catch (e) {
+            if (!(e instanceof ParseError) || this.pos > snap.pos && this.prev && this.prev.value === "=>") throw e;
+            this.restore(snap);
+            return null;
+        }
+    }
+
+    arrowBody(node, params, noIn) {
+        const saved = [this.inFunction, this.inGenerator, this.inAsync];
+        this.inFunction = true;
+        this.inGenerator = false;
+        this.inAsync = node.async;
+        node.id = null;
+        node.generator = false;
+        node.params = params;
+        if (this.is("{")) {
+            node.body = this.block();
+            node.expression = false;
+        } else {
+            node.body = this.assignment(noIn);
+            node.expression = true;
+        }
+        [this.inFunction, this.inGenerator, this.inAsync] = saved;
+        return this.finish(node, "ArrowFunctionExpression");
+    }
+
+    assignment(noIn = false) {
+        if (this.isName("yield") && this.inGenerator) return this.yieldExpression(noIn);
+        if (this.is("(") || this.tok.type === "name") {
+            const arrow = this.tryArrow(noIn);
+            if (arrow) return arrow;
+        }
+        const startTok = this.tok;
+        const left = this.conditional(noIn);
+        if (this.tok.type === "punct" && ASSIGN.has(this.tok.value)) {
+            const node = this.startNode(startTok);
+            node.operator = this.next().value;
+            node.left = node.operator === "=" ? this.toPattern(left) : left;
+            node.right = this.assignment(noIn);
+            return this.finish(node, "AssignmentExpression");
+        }
+        return left;
+    }
+
+    yieldExpression(noIn) {
+        const node = this.startNode();
+        this.next();
+        node.delegate = false;
+        node.argument = null;
+        if (!this.tok.newlineBefore) {
+            node.delegate = this.eat("*");
+            if (node.delegate || !(this.is(")") || this.is("]") || this.is("}") || this.is(",") || this.is(";") || this.is(":") || this.tok.type === "eof")) {
+                node.argument = this.assignment(noIn);
+            }
+        }
+        return this.finish(node, "YieldExpression");
+    }
+
+    conditional(noIn) {
+        const startTok = this.tok;
+        const test = this.binary(0, noIn);
+        if (!this.eat("?")) return test;
+        const node = this.startNode(startTok);
+        node.test = test;
+        node.consequent = this.assignment();
+        this.expect(":");
+        node.alternate = this.assignment(noIn);
+        return this.finish(node, "ConditionalExpression");
+    }
+
+    binaryOperator(noIn) {
+        const t = this.tok;
+        if (t.type === "punct" && BINARY[t.value]) return t.value;
+        if (t.type === "name" && (t.value === "instanceof" || (t.value === "in" && !noIn))) return t.value;
+        return null;
+    }
+
+    binary(minPrec, noIn) {
+        const startTok = this.tok;
+        let left = this.unary();
+        for (;;) {
+            const op = this.binaryOperator(noIn);
+            if (!op) return left;
+            const prec = BINARY[op];
+            if (prec <= minPrec && !(op === "**" && prec === minPrec)) return left;
+            // -1 ** 2 could mean (-1) ** 2 or -(1 ** 2): the grammar has no unary operand for **
+            if (op === "**" && !left.parenthesized && (left.type === "UnaryExpression" || left.type === "AwaitExpression")) {
+                this.raise("Unary operator used immediately before exponentiation expression", left);
+            }
+            this.next();
+            const right = this.binary(op === "**" ? prec - 1 : prec, noIn);
+            const node = this.startNode(startTok);
+            node.operator = op;
+            node.left = left;
+            node.right = right;
+            if (mixesNullish(op, left) || mixesNullish(op, right)) this.raise("Cannot mix ?? with || or && without parentheses", startTok);
+            left = this.finish(node, op === "||" || op === "&&" || op === "??" ? "LogicalExpression" : "BinaryExpression");
+        }
+    }
+
+    unary() {
+        const t = this.tok;
+        const node = this.startNode();
+        if (t.type === "punct" && ["!", "~", "+", "-"].includes(t.value) || t.type === "name" && ["typeof", "void", "delete"].includes(t.value)) {
+            node.operator = this.next().value;
+            node.prefix = true;
+            node.argument = this.unary();
+            return this.finish(node, "UnaryExpression");
+        }
+        if (t.type === "punct" && (t.value === "++" || t.value === "--")) {
+            node.operator = this.next().value;
+            node.prefix = true;
+            node.argument = this.unary();
+            return this.finish(node, "UpdateExpression");
+        }
+        if (this.isName("await") && (this.inAsync || (!this.inFunction && this.sourceType === "module"))) {
+            this.next();
+            node.argument = this.unary();
+            return this.finish(node, "AwaitExpression");
+        }
+        const expr = this.leftHandSide(true);
+        if ((this.is("++") || this.is("--")) && !this.tok.newlineBefore) {
+            const update = this.startNode(t);
+            update.operator = this.next().value;
+            update.prefix = false;
+            update.argument = expr;
+            return this.finish(update, "UpdateExpression");
+        }
+        return expr;
+    }
+
+    // Member access, calls, optional chains, tagged templates, `new`
+    leftHandSide(allowCalls = false) {
+        const startTok = this.tok;
+        let expr;
+        if (this.isName("new")) expr = this.newExpression();
+        else expr = this.primary();
+        let chained = false;
+        for (;;) {
+            if (this.is(".")) {
+                this.next();
+                expr = this.member(startTok, expr, false, false);
+            } else if (this.is("?.")) {
+                this.next();
+                chained = true;
+                if (this.is("(")) {
+                    if (!allowCalls) this.unexpected();
+                    expr = this.call(startTok, expr, true);
+                } else if (this.is("[")) {
+                    this.next();
+                    expr = this.member(startTok, expr, true, true);
+                } else {
+                    expr = this.member(startTok, expr, false, true);
+                }
+            } else if (this.is("[")) {
+                this.next();
+                expr = this.member(startTok, expr, true, false);
+            } else if (this.is("(") && allowCalls) {
+                expr = this.call(startTok, expr, false);
+            } else if (this.tok.type === "template") {
+                const node = this.startNode(startTok);
+                node.tag = expr;
+                node.quasi = this.template();
+                expr = this.finish(node, "TaggedTemplateExpression");
+            } else {
+                break;
+            }
+        }
+        if (chained) {
+            const node = this.startNode(startTok);
+            node.expression = expr;
+            expr = this.finish(node, "ChainExpression");
+        }
+        return expr;
+    }
+
+    member(startTok, object, computed, optional) {
+        const node = this.startNode(startTok);
+        node.object = object;
+        node.computed = computed;
+        node.optional = optional;
+        if (computed) {
+            node.property = this.expression();
+            this.expect("]");
+        } else if (this.tok.type === "privateName") {
+            const key = this.startNode();
+            key.name = this.next().value;
+            node.property = this.finish(key, "PrivateIdentifier");
+        } else {
+            node.property = this.identifierName();
+        }
+        return this.finish(node, "MemberExpression");
+    }
+
+    call(startTok, callee, optional) {
+        const node = this.startNode(startTok);
+        node.callee = callee;
+        node.optional = optional;
+        node.arguments = this.argumentsList();
+        return this.finish(node, "CallExpression");
+    }
+
+    argumentsList() {
+        this.expect("(");
+        const args = [];
+        while (!this.eat(")")) {
+            args.push(this.spreadOrAssignment());
+            if (!this.is(")")) this.expect(",");
+        }
+        return args;
+    }
+
+    spreadOrAssignment() {
+        if (!this.is("...")) return this.assignment();
+        const node = this.startNode();
+        this.next();
+        node.argument = this.assignment();
+        return this.finish(node, "SpreadElement");
+    }
+
+    newExpression() {
+        const node = this.startNode();
+        const newTok = this.next();
+        if (this.eat(".")) {
+            const meta = { type: "Identifier", name: "new", start: newTok.start, end: newTok.end, loc: newTok.loc };
+            node.meta = meta;
+            node.property = this.identifierName();
+            if (node.property.name !== "target") this.raise("The only valid meta property for new is new.target", node.property);
+            if (!this.newTarget) this.raise("new.target expression is not allowed here", newTok);
+            return this.finish(node, "MetaProperty");
+        }
+        const startTok = this.tok;
+        let callee = this.isName("new") ? this.newExpression() : this.primary();
+        // new a.b.c(...) — members bind before the arguments
+        for (;;) {
+            if (this.eat(".")) callee = this.member(startTok, callee, false, false);
+            else if (this.eat("[")) callee = this.member(startTok, callee, true, false);
+            else break;
+        }
+        node.callee = callee;
+        node.arguments = this.is("(") ? this.argumentsList() : [];
+        return this.finish(node, "NewExpression");
+    }
+
+    literal() {
+        const t = this.tok;
+        const node = this.startNode();
+        this.next();
+        node.value = t.value;
+        node.raw = this.src.slice(t.start, t.end);
+        if (typeof t.value === "bigint") node.bigint = String(t.value);
+        return this.finish(node, "Literal");
+    }
+
+    template() {
+        const node = this.startNode();
+        node.quasis = [];
+        node.expressions = [];
+        let t = this.tok;
+        for (;;) {
+            const quasi = { type: "TemplateElement", value: { raw: t.raw, cooked: t.value }, tail: t.tail, ...t.element };
+            node.quasis.push(quasi);
+            if (t.tail) {
+                this.next();
+                break;
+            }
+            this.next();
+            node.expressions.push(this.expression());
+            if (!this.is("}")) this.unexpected("Expected '}' in template");
+            // Resume the template right after the closing brace
+            const brace = this.tok;
+            this.pos = brace.end;
+            this.tok = this.readTemplateChunk(brace.start, brace.loc.start, false);
+            t = this.tok;
+        }
+        return this.finish(node, "TemplateLiteral");
+    }
+
+    primary() {
+        const t = this.tok;
+        const node = this.startNode();
+        switch (t.type) {
+            case "num":
+            case "string":
+                return this.literal();
+            case "regex": {
+                this.next();
+                node.value = null;
+                node.raw = t.value;
+                node.regex = t.regex;
+                try {
+                    node.value = new RegExp(t.regex.pattern, t.regex.flags);
+                } catch (e) {
+                    // keep value null for patterns this engine can't build
+                }
+                return this.finish(node, "Literal");
+            }
+            case "template":
+                return this.template();
+            case "privateName": {
+                // #x in obj
+                node.name = this.next().value;
+                return this.finish(node, "PrivateIdentifier");
+            }
+            case "punct":
+                if (t.value === "(") return this.parenthesized();
+                if (t.value === "[") return this.arrayLiteral();
+                if (t.value === "{") return this.objectLiteral();
+                break;
+            case "name":
+                if (t.escaped) return this.identifierName();
+                switch (t.value) {
+                    case "function": return this.functionLike(node, "FunctionExpression");
+                    case "async":
+                        if (this.isAsyncFunction()) return this.functionLike(node, "FunctionExpression");
+                        return this.identifierName();
+                    case "class": return this.classLike("ClassExpression");
+                    case "this":
+                        this.next();
+                        return this.finish(node, "ThisExpression");
+                    case "super":
+                        this.next();
+                        return this.finish(node, "Super");
+                    case "null": case "true": case "false":
+                        this.next();
+                        node.value = t.value === "null" ? null : t.value === "true";
+                        node.raw = t.value;
+                        return this.finish(node, "Literal");
+                    case "import": {
+                        this.next();
+                        if (this.eat(".")) {
+                            node.meta = { type: "Identifier", name: "import", start: t.start, end: t.end, loc: t.loc };
+                            node.property = this.identifierName();
+                            return this.finish(node, "MetaProperty");
+                        }
+                        this.expect("(");
+                        node.source = this.assignment();
+                        this.expect(")");
+                        return this.finish(node, "ImportExpression");
+                    }
+                    default:
+                        if (KEYWORDS.has(t.value)) break;
+                        return this.identifierName();
+                }
+                break;
+            default:
+                break;
+        }
+        this.unexpected();
+    }
+
+    parenthesized() {
+        const start = this.tok;
+        this.next();
+        const expr = this.expression();
+        this.expect(")");
+        expr.parenthesized = true;
+        expr.parenStart = start.start;
+        return expr;
+    }
+
+    arrayLiteral() {
+        const node = this.startNode();
+        this.next();
+        node.elements = [];
+        while (!this.eat("]")) {
+            if (this.is(",")) {
+                this.next();
+                node.elements.push(null);
+                continue;
+            }
+            node.elements.push(this.spreadOrAssignment());
+            if (!this.is("]")) this.expect(",");
+        }
+        return this.finish(node, "ArrayExpression");
+    }
+
+    objectLiteral() {
+        const node = this.startNode();
+        this.next();
+        node.properties = [];
+        while (!this.eat("}")) {
+            if (this.is("...")) {
+                node.properties.push(this.spreadOrAssignment());
+            } else {
+                node.properties.push(this.objectProperty());
+            }
+            if (!this.is("}")) this.expect(",");
+        }
+        return this.finish(node, "ObjectExpression");
+    }
+
+    objectProperty() {
+        const node = this.startNode();
+        node.method = false;
+        node.shorthand = false;
+        node.kind = "init";
+        let isAsync = false;
+        let generator = false;
+        const followedByKey = () => {
+            const next = this.peek();
+            return !(next.value === "," || next.value === ":" || next.value === "(" || next.value === "}" || next.value === "=");
+        };
+        if (this.isName("async") && followedByKey() && !this.peek().newlineBefore) {
+            this.next();
+            isAsync = true;
+        }
+        if (this.eat("*")) generator = true;
+        if ((this.isName("get") || this.isName("set")) && followedByKey()) node.kind = this.next().value;
+        this.propertyKey(node);
+        if (this.is("(")) {
+            const fn = this.startNode();
+            fn.id = null;
+            fn.async = isAsync;
+            fn.generator = generator;
+            this.functionRest(fn);
+            this.checkAccessor(node.kind, fn);
+            node.value = this.finish(fn, "FunctionExpression");
+            node.method = node.kind === "init";
+            return this.finish(node, "Property");
+        }
+        if (this.eat(":")) {
+            node.value = this.assignment();
+            return this.finish(node, "Property");
+        }
+        // { a } and, for destructuring assignment, { a = 1 }
+        if (node.key.type !== "Identifier") this.unexpected();
+        node.shorthand = true;
+        node.value = { ...node.key };
+        if (this.is("=")) {
+            const def = { start: node.key.start, loc: { start: node.key.loc.start } };
+            this.next();
+            def.left = node.value;
+            def.right = this.assignment();
+            def.operator = "=";
+            node.value = this.finish(def, "AssignmentExpression");
+        }
+        return this.finish(node, "Property");
+    }
+}
+
+function parse(source, options = {}) {
+    const sourceType = options.sourceType ||
+        (/^\s*(?:import\s*[\w{*"']|export\s)/m.test(source) ? "module" : "script");
+    return new Parser(source, { ...options, sourceType }).parseProgram();
+}
+
+// Keys holding child nodes, per node type (everything else is data)
+const SKIP_KEYS = new Set(["parentNode", "scope", "type", "start", "end", "loc", "range", "comments", "parenthesized", "parenStart", "regex", "value", "raw", "bigint", "name", "operator", "kind", "prefix", "computed", "optional", "shorthand", "method", "static", "async", "generator", "expression", "delegate", "await", "sourceType", "directive", "tail"]);
+
+function childKeys(node) {
+    return Object.keys(node).filter(k => !SKIP_KEYS.has(k) || (k === "value" && node.type === "Property") ||
+        (k === "value" && (node.type === "MethodDefinition" || node.type === "PropertyDefinition")) ||
+        (k === "expression" && (node.type === "ExpressionStatement" || node.type === "ChainExpression")));
+}
+
+// Depth-first walk: visitor(node, parent, key) before children; visitor.leave after them.
+// Return false from the visitor to skip a subtree.
+function walk(node, visitor, parent = null, key = null) {
+    if (!node || typeof node.type !== "string") return;
+    const enter = typeof visitor === "function" ? visitor : visitor.enter;
+    if (enter && enter(node, parent, key) === false) return;
+    for (const k of childKeys(node)) {
+        const child = node[k];
+        if (Array.isArray(child)) child.forEach(c => c && walk(c, visitor, node, k));
+        else if (child && typeof child === "object" && typeof child.type === "string") walk(child, visitor, node, k);
+    }
+    if (visitor.leave) visitor.leave(node, parent, key);
+}
+
+module.exports = { parse, walk, childKeys, ParseError, KEYWORDS };
@@ -0,0 +1,215 @@
+// Puzzle runner for index.js
+//
+// index.js can't run as one file: Problem 3 redeclares `let count`, Problem 20's title is
+// a bare line (SyntaxError), and the first error stops everything. This splits the file on
+// its "// Problem N:" / "// Snippet N:" / "// Exercise N:" markers and runs every puzzle in
+// its own vm context, capturing console output and the error it throws (if any).
+//
+// node "Variable declaration/puzzle-runner.js"            → all puzzles
+// node "Variable declaration/puzzle-runner.js" 4 9 s2     → Problems 4 and 9, Snippet 2
+// node "Variable declaration/puzzle-runner.js" --json     → machine-readable report
+
+const fs = require("fs");
+const path = require("path");
+const util = require("util");
+const vm = require("vm");
+
+const PUZZLE_FILE = path.join(__dirname, "index.js");
+
+// "// Problem 4: Temporal Dead Zone (TDZ)" or the bare "Problem 20: Block Scope for Cleanup"
+const MARKER = /^\s*(?:\/\/\s*)?(Problem|Snippet|Exercise)\s+(\d+):\s*(.*)$/;
+// "// 🎯 Advanced Level", "🔧 Code Fixing Exercises" … — section titles that end a puzzle
+const SECTION = /^\s*(?:\/\/\s*)?(?:🎯|📝|🚀|🔧)/u;
+
+const KIND_PREFIX = { Problem: "p", Snippet: "s", Exercise: "e" };
+
+// Splits the source into puzzles: { id, kind, number, title, code, startLine, file }.
+// Code keeps its original line positions (marker/section lines are blanked) so that error
+// line numbers point back into the file (index.js unless another one is given).
+function splitPuzzles(source, file = PUZZLE_FILE) {
+    const lines = source.split("\n");
+    const puzzles = [];
+    let current = null;
+
+    lines.forEach((line, i) => {
+        const marker = line.match(MARKER);
+        if (marker) {
+            const [, kind, number, title] = marker;
+            current = {
+                id: KIND_PREFIX[kind] + number,
+                kind: kind.toLowerCase(),
+                number: Number(number),
+                title: title.trim(),
+                startLine: i + 1,
+                file,
+                lines: [""],
+            };
+            puzzles.push(current);
+        } else if (SECTION.test(line)) {
+            current = null;
+        } else if (current) {
+            current.lines.push(line);
+        }
+    });
+
+    return puzzles.map(({ lines: codeLines, ...puzzle }) => ({
+        ...puzzle,
+        code: codeLines.join("\n").replace(/\s+$/, "") + "\n",
+    }));
+}
+
+// Line of the first stack frame in `file`: "at f (…/index.js:27:5)", or "…/index.js:27"
+// heading a SyntaxError's stack.
+function lineIn(stack, file) {
+    const frame = (stack || "").split("\n").find(l => l.includes(file + ":"));
+    const match = frame && frame.slice(frame.indexOf(file + ":") + file.length + 1).match(/^\d+/);
+    return match ? Number(match[0]) : undefined;
+}
+
+// Line in the puzzle's file that made the current call.
+function callerLine(file) {
+    return lineIn(new Error().stack, file);
+}
+
+function serializeError(error, file) {
+    if (error === null || typeof error !== "object") {
+        return { name: "Thrown", message: String(error) };
+    }
+    const name = error.name || (error.constructor && error.constructor.name) || "Error";
+    return { name, message: error.message, line: lineIn(error.stack, file) };
+}
+
+// Runs one puzzle in a fresh context. Timers are real but tracked: the run waits (up to
+// waitMs) for pending timers and lets async errors land in the report too.
+// env: "browser" gives the context a `window` that is its own global (Problem 15);
+//      "node" leaves it out.
+// globals: extra bindings for the context (e.g. probes injected by quiz.js).
+// onEvent: called with { type: "log", ... } / { type: "error", ... } as they happen, for
+//          callers that interleave them with their own probe events.
+// Besides the plain `output` lines, `log` keeps { line, text, values } per console call.
+function runPuzzle(puzzle, { env = "browser", waitMs = 2000, syncTimeoutMs = 1000, globals = {}, onEvent = () => {} } = {}) {
+    const file = puzzle.file || PUZZLE_FILE;
+    const output = [];
+    const log = [];
+    const errors = [];
+    const pending = new Set();
+
+    const record = error => {
+        const serialized = serializeError(error, file);
+        errors.push(serialized);
+        onEvent({ type: "error", ...serialized });
+    };
+    const guard = fn => (...args) => {
+        try {
+            return fn(...args);
+        } catch (e) {
+            record(e);
+        }
+    };
+
+    const print = (...args) => {
+        const text = util.format(...args);
+        const entry = { line: callerLine(file), text, values: args.map(a => util.format(a)) };
+        output.push(text);
+        log.push(entry);
+        onEvent({ type: "log", ...entry });
+    };
+
+    const sandbox = {
+        ...globals,
+        console: { log: print, info: print, warn: print, error: print },
+        setTimeout: (fn, ms, ...args) => {
+            const handle = setTimeout(() => {
+                pending.delete(handle);
+                guard(fn)(...args);
+            }, ms);
+            pending.add(handle);
+            return handle;
+        },
+        clearTimeout: handle => {
+            pending.delete(handle);
+            clearTimeout(handle);
+        },
+        queueMicrotask: fn => queueMicrotask(guard(fn)),
+    };
+    if (env === "browser") sandbox.window = sandbox;
+    const context = vm.createContext(sandbox);
+
+    // Rejections of promises created inside the puzzle (e.g. an async function that throws).
+    const onRejection = reason => record(reason);
+    process.on("unhandledRejection", onRejection);
+
+    const finish = () => {
+        for (const handle of pending) clearTimeout(handle);
+        process.off("unhandledRejection", onRejection);
+        return { ...puzzle, output, log, errors, timedOut: pending.size > 0 };
+    };
+
+    try {
+        const script = new vm.Script(puzzle.code, {
+            filename: file,
+            lineOffset: puzzle.startLine - 1,
+        });
+        script.runInContext(context, { timeout: syncTimeoutMs });
+    } catch (e) {
+        record(e);
+    }
+
+    const deadline = Date.now() + waitMs;
+    return new Promise(resolve => {
+        const poll = () => {
+            if (pending.size === 0 || Date.now() >= deadline) {
+                // One more macrotask so unhandledRejection (fired after microtasks) is seen.
+                setImmediate(() => resolve(finish()));
+            } else {
+                setTimeout(poll, 10);
+            }
+        };
+        setImmediate(poll);
+    });
+}
+
+async function runAll({ file = PUZZLE_FILE, only = [], ...options } = {}) {
+    const puzzles = splitPuzzles(fs.readFileSync(file, "utf8"), path.resolve(file))
+        .filter(p => only.length === 0 || only.includes(p.id));
+    const results = [];
+    // Sequentially: each puzzle's timers and rejections must not bleed into the next.
+    for (const puzzle of puzzles) results.push(await runPuzzle(puzzle, options));
+    return results;
+}
+
+function formatReport(results) {
+    return results.map(r => {
+        const title = `${r.kind[0].toUpperCase()}${r.kind.slice(1)} ${r.number}: ${r.title}  (line ${r.startLine})`;
+        const lines = [title];
+        r.output.forEach(line => lines.push(`  │ ${line}`));
+        r.errors.forEach(e => {
+            lines.push(`  ✗ ${e.name}: ${e.message}${e.line ? ` (line ${e.line})` : ""}`);
+        });
+        if (!r.output.length && !r.errors.length) lines.push("  (no output)");
+        if (r.timedOut) lines.push("  … still had pending timers when the run was cut off");
+        return lines.join("\n");
+    }).join("\n\n");
+}
+
+// "4" → "p4", "s2" / "e1" stay as they are
+function parseArgs(argv) {
+    const only = argv.filter(a => !a.startsWith("--"))
+        .map(a => (/^\d+$/.test(a) ? `p${a}` : a.toLowerCase()));
+    const envArg = argv.find(a => a.startsWith("--env="));
+    return {
+        only,
+        json: argv.includes("--json"),
+        env: envArg ? envArg.slice("--env=".length) : "browser",
+    };
+}
+
+async function main() {
+    const { only, json, env } = parseArgs(process.argv.slice(2));
+    const results = await runAll({ only, env });
+    console.log(json ? JSON.stringify(results, null, 2) : formatReport(results));
+}
+
+if (require.main === module) main();
+
+module.exports = { splitPuzzles, runPuzzle, runAll, formatReport, PUZZLE_FILE };
@@ -0,0 +1,203 @@
+// Quiz mode for the "What's output?" puzzles in index.js
+//
+// Every code line whose trailing comment asks a question (`// ?`, `// What's output?`,
+// `// What happens?`, `// Problem?` …) becomes a question. Inline answers after ❌ / ✅
+// (`// What's output? ❌ 3 3 3 …`, `// What happens? ❌ SyntaxError …`) are checked against
+// what the line really does when puzzle-runner.js runs it. Questions without an answer are
+// asked interactively and the learner's answers are scored.
+//
+// node "Variable declaration/quiz.js"                 → check the notes' answers, then quiz
+// node "Variable declaration/quiz.js" 7 12            → only Problems 7 and 12
+// node "Variable declaration/quiz.js" --check         → only check the inline answers
+// node "Variable declaration/quiz.js" --answers=a.json → non-interactive: { "p7:84": "2", … }
+
+const fs = require("fs");
+const readline = require("readline");
+const { splitPuzzles, runPuzzle, PUZZLE_FILE } = require("./puzzle-runner");
+
+// code  // question?  [❌|✅] answer
+const QUESTION = /^(?<code>.*\S)\s*\/\/\s*(?<question>[^/❌✅]*\?)\s*(?:(?<mark>❌|✅)\s*(?<answer>.*))?$/u;
+// code  // ReferenceError   (a bare error name is an answer without a question)
+const BARE_ERROR = /^(?<code>.*\S)\s*\/\/\s*(?<answer>[A-Z]\w*Error)\s*$/;
+const ERROR_NAME = /\b([A-Z]\w*Error)\b/;
+// A value as console.log prints it: number, keyword or quoted string
+const VALUE_TOKEN = /^(?:-?\d+(?:\.\d+)?|undefined|null|true|false|NaN|Infinity|'[^']*'|"[^"]*")$/;
+const NOTHING = ["", "-", "nothing", "no output", "none", "(no output)"];
+
+// Turns the text after ❌/✅ into { error } or { values }; prose after the answer is ignored:
+//   "SyntaxError (Duplicate declaration)" → { error: "SyntaxError" }
+//   "3 3 3 var shares the same reference" → { values: ["3", "3", "3"] }
+function parseAnswer(text) {
+    if (!text || !text.trim()) return null;
+    const error = text.match(ERROR_NAME);
+    if (error) return { error: error[1] };
+    const values = [];
+    for (const token of text.trim().split(/\s+/)) {
+        if (!VALUE_TOKEN.test(token)) break;
+        values.push(token.replace(/^["']|["']$/g, ""));
+    }
+    return values.length ? { values } : { text: text.trim() };
+}
+
+// Questions of one puzzle: { key, line, code, question, expected }.
+function extractQuestions(puzzle) {
+    const questions = [];
+    puzzle.code.split("\n").forEach((text, i) => {
+        const line = puzzle.startLine + i;
+        const match = text.match(QUESTION) || text.match(BARE_ERROR);
+        if (!match || /^\s*\/\//.test(match.groups.code)) return;
+        questions.push({
+            key: `${puzzle.id}:${line}`,
+            line,
+            code: match.groups.code.trim(),
+            question: match.groups.question || "What happens?",
+            expected: parseAnswer(match.groups.answer),
+        });
+    });
+    return questions;
+}
+
+// Adds `__hit(line);` in front of each question line (same line, so positions stay put) so
+// "ran and printed nothing" can be told apart from "never ran".
+function instrument(puzzle, questions) {
+    const lines = puzzle.code.split("\n");
+    for (const q of questions) {
+        const i = q.line - puzzle.startLine;
+        if (/^\s*[A-Za-z_$]/.test(lines[i])) lines[i] = lines[i].replace(/^(\s*)/, `$1__hit(${q.line}); `);
+    }
+    return { ...puzzle, code: lines.join("\n") };
+}
+
+// What a question line actually did: { error } | { values, text } | { nothing } | { notRun }.
+function actualFor(question, result, hits) {
+    const error = result.errors.find(e => e.line === question.line);
+    if (error) return { error: error.name };
+    const calls = result.log.filter(entry => entry.line === question.line);
+    if (calls.length) {
+        return {
+            text: calls.map(c => c.text).join(" "),
+            // console.log("var i:", i) printing three times → "3 3 3"
+            lastValues: calls.map(c => c.values[c.values.length - 1]),
+        };
+    }
+    return hits.has(question.line) ? { nothing: true } : { notRun: true };
+}
+
+function describe(actual) {
+    if (actual.error) return actual.error;
+    if (actual.text !== undefined) return actual.text;
+    if (actual.nothing) return "(runs, prints nothing)";
+    return "(never runs)";
+}
+
+const squash = s => String(s).replace(/\s+/g, "").replace(/"/g, "'");
+
+// Does an answer ({ error } / { values } / { text }) describe what actually happened?
+function matches(answer, actual) {
+    if (answer.error) return actual.error === answer.error;
+    if (actual.error || actual.notRun) return false;
+    const said = answer.values ? answer.values.join(" ") : answer.text;
+    if (actual.nothing) return NOTHING.includes(said.trim().toLowerCase());
+    return squash(said) === squash(actual.text) || squash(said) === squash(actual.lastValues.join(""));
+}
+
+const ERROR_NAMES = ["ReferenceError", "SyntaxError", "TypeError", "RangeError", "EvalError", "URIError"];
+
+// A learner's free-text answer: an error name (any case) or the printed value(s).
+function parseLearnerAnswer(text) {
+    const trimmed = text.trim();
+    const error = ERROR_NAMES.find(name => name.toLowerCase() === trimmed.toLowerCase());
+    if (error) return { error };
+    return parseAnswer(trimmed) || { text: "" };
+}
+
+async function checkPuzzle(puzzle, options) {
+    const questions = extractQuestions(puzzle);
+    if (!questions.length) return { puzzle, questions: [] };
+    const hits = new Set();
+    const result = await runPuzzle(instrument(puzzle, questions), {
+        ...options,
+        globals: { __hit: line => hits.add(line) },
+    });
+    return {
+        puzzle,
+        questions: questions.map(q => {
+            const actual = actualFor(q, result, hits);
+            let status = "unanswered";
+            if (q.expected) status = actual.notRun ? "not-run" : matches(q.expected, actual) ? "pass" : "fail";
+            return { ...q, actual, status };
+        }),
+    };
+}
+
+function formatCheck(checked) {
+    const icon = { pass: "✓", fail: "✗", "not-run": "·", unanswered: "?" };
+    const lines = [];
+    for (const { puzzle, questions } of checked) {
+        if (!questions.length) continue;
+        lines.push(`${puzzle.kind[0].toUpperCase()}${puzzle.kind.slice(1)} ${puzzle.number}: ${puzzle.title}`);
+        for (const q of questions) {
+            const expected = q.expected ? ` — notes say ${q.expected.error || (q.expected.values || [q.expected.text]).join(" ")}` : "";
+            const actual = q.status === "unanswered" ? "" : `, actual ${describe(q.actual)}`;
+            lines.push(`  ${icon[q.status]} line ${q.line}: ${q.code}${expected}${actual}`);
+        }
+    }
+    const answered = checked.flatMap(c => c.questions).filter(q => q.expected);
+    const count = status => answered.filter(q => q.status === status).length;
+    lines.push("", `Inline answers: ${count("pass")} match, ${count("fail")} wrong, ${count("not-run")} on lines that never run`);
+    return lines.join("\n");
+}
+
+// Asks every unanswered question; `answers` (key → text) pre-fills them non-interactively.
+async function quiz(checked, { answers = null, input = process.stdin, output = process.stdout } = {}) {
+    const open = checked.flatMap(c => c.questions.map(q => ({ ...q, puzzle: c.puzzle })))
+        .filter(q => q.status === "unanswered" && !q.actual.notRun);
+    const rl = answers ? null : readline.createInterface({ input, output });
+    const ask = prompt => new Promise(resolve => rl.question(prompt, resolve));
+    const scored = [];
+
+    for (const q of open) {
+        let reply;
+        if (answers) {
+            reply = answers[q.key];
+            if (reply === undefined) continue;
+        } else {
+            output.write(`\n${q.puzzle.title} (${q.key})\n${q.puzzle.code.trim()}\n\n`);
+            reply = await ask(`line ${q.line}: ${q.code}\n  ${q.question} (a value, "nothing", or an error name) › `);
+        }
+        const correct = matches(parseLearnerAnswer(reply), q.actual);
+        scored.push({ key: q.key, reply, correct, actual: describe(q.actual) });
+        if (!answers) output.write(correct ? "  ✓ correct\n" : `  ✗ actual: ${describe(q.actual)}\n`);
+    }
+    if (rl) rl.close();
+
+    const correct = scored.filter(s => s.correct).length;
+    return { scored, correct, total: scored.length };
+}
+
+function parseArgs(argv) {
+    const answersArg = argv.find(a => a.startsWith("--answers="));
+    return {
+        only: argv.filter(a => !a.startsWith("--")).map(a => (/^\d+$/.test(a) ? `p${a}` : a.toLowerCase())),
+        checkOnly: argv.includes("--check"),
+        answers: answersArg ? JSON.parse(fs.readFileSync(answersArg.slice("--answers=".length), "utf8")) : null,
+    };
+}
+
+async function main() {
+    const { only, checkOnly, answers } = parseArgs(process.argv.slice(2));
+    const puzzles = splitPuzzles(fs.readFileSync(PUZZLE_FILE, "utf8"))
+        .filter(p => only.length === 0 || only.includes(p.id));
+    const checked = [];
+    for (const puzzle of puzzles) checked.push(await checkPuzzle(puzzle));
+    console.log(formatCheck(checked));
+
+    if (checkOnly || (!answers && !process.stdin.isTTY)) return;
+    const { scored, correct, total } = await quiz(checked, { answers });
+    if (answers) scored.forEach(s => console.log(`${s.correct ? "✓" : "✗"} ${s.key}: ${s.reply}${s.correct ? "" : ` (actual ${s.actual})`}`));
+    console.log(`\nScore: ${correct}/${total}`);
+}
+
+if (require.main === module) main();
+
+module.exports = { parseAnswer, extractQuestions, checkPuzzle, quiz, matches, formatCheck };
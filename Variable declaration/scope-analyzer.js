@@ -0,0 +1,361 @@
+// Static scope analyzer
+//
+// Finds the bugs the Debugging Challenges and Code Fixing Exercises are about, in any JS
+// file, with line numbers and a suggested fix:
+//
+//   tdz                    let / const / class read before its declaration runs
+//   loop-closure           a var (or outer let) changed by a loop, captured by a callback
+//                          created in that loop – every callback sees the final value
+//   implicit-global        assignment to an undeclared name creates a global (sloppy mode)
+//   const-reassign         assignment to a const binding
+//   duplicate-declaration  let / const / class declared twice in one scope
+//   shadowing              a declaration hides a binding of the same name in an outer scope
+//   var-outside-block      var declared inside a block and used outside it (may be undefined)
+//
+// node "Variable declaration/scope-analyzer.js"              → every puzzle in index.js
+// node "Variable declaration/scope-analyzer.js" 16 17 e1     → some puzzles
+// node "Variable declaration/scope-analyzer.js" app.js       → any file(s)
+// node "Variable declaration/scope-analyzer.js" --json       → machine-readable
+// node "Variable declaration/scope-analyzer.js" --verify     → check every rule against the puzzles
+
+const fs = require("fs");
+const { analyze, scopeAt } = require("./scopes");
+const { walk } = require("./js-parser");
+const { splitPuzzles, PUZZLE_FILE } = require("./puzzle-runner");
+
+const ASYNC_CALLBACKS = new Set([
+    "setTimeout", "setInterval", "setImmediate", "queueMicrotask", "requestAnimationFrame",
+    "requestIdleCallback", "nextTick", "then", "catch", "finally", "addEventListener", "on", "once",
+]);
+// Callbacks these call right away, before the loop moves on – capturing is harmless
+const SYNC_CALLBACKS = new Set([
+    "forEach", "map", "filter", "reduce", "reduceRight", "some", "every", "find", "findIndex",
+    "findLast", "findLastIndex", "flatMap", "sort", "call", "apply",
+]);
+const LOOPS = new Set(["ForStatement", "ForInStatement", "ForOfStatement", "WhileStatement", "DoWhileStatement"]);
+
+const SEVERITY = {
+    "tdz": "error",
+    "const-reassign": "error",
+    "duplicate-declaration": "error",
+    "implicit-global": "warning",
+    "loop-closure": "warning",
+    "var-outside-block": "warning",
+    "shadowing": "warning",
+};
+
+const contains = (node, pos) => node.start <= pos && pos < node.end;
+const lineOf = node => node.loc.start.line;
+const describeScope = scope => (scope.kind === "global" || scope.kind === "module" ? "the global scope" : scope.label);
+
+function finding(rule, node, message, fix) {
+    return { rule, severity: SEVERITY[rule], line: lineOf(node), column: node.loc.start.column + 1, message, fix };
+}
+
+// Where a let / const / class binding gets initialized
+function initEnd(binding) {
+    const decl = binding.declarations[0];
+    return decl.declarator ? decl.declarator.end : decl.node.end;
+}
+
+// Calls `name(...)` made directly (not from a nested function) in `scope`'s function
+function directCalls(binding, variableScope) {
+    return binding.references.filter(ref => {
+        const id = ref.identifier;
+        const call = id.parentNode;
+        return !ref.write && call && call.type === "CallExpression" && call.callee === id && ref.scope.variableScope === variableScope;
+    });
+}
+
+// Functions between a reference and the scope its binding lives in, innermost first
+function capturingFunctions(ref) {
+    const fns = [];
+    for (let scope = ref.scope; scope && scope.variableScope !== ref.binding.scope.variableScope; scope = scope.variableScope.parent) {
+        fns.push(scope.variableScope.node);
+    }
+    return fns;
+}
+
+// The outermost of them, or null
+function capturingFunction(ref) {
+    return capturingFunctions(ref).pop() || null;
+}
+
+function ruleTDZ(analysis) {
+    const out = [];
+    for (const scope of analysis.scopes) {
+        for (const binding of scope.bindings.values()) {
+            if (!binding.lexical || !binding.declarations[0].node) continue;
+            const end = initEnd(binding);
+            const declLine = binding.line;
+            const reported = new Set();
+            for (const ref of binding.references) {
+                if (ref.init) continue;
+                const id = ref.identifier;
+                if (ref.scope.variableScope === scope.variableScope && id.start < end) {
+                    out.push(finding("tdz", id,
+                        `'${binding.name}' is used before its ${binding.kind} declaration on line ${declLine} runs (temporal dead zone → ReferenceError)`,
+                        id.start > binding.identifiers[0].start
+                            ? `'${binding.name}' is read in its own initializer – compute the value from something else`
+                            : `move the ${binding.kind} declaration above line ${lineOf(id)}, or move the read below line ${declLine}`));
+                    continue;
+                }
+                // Read from a function: only a problem if that function runs before line declLine
+                const fn = capturingFunction(ref);
+                if (!fn || reported.has(fn)) continue;
+                const holder = fn.type === "FunctionDeclaration" ? fn.id && scope.variableScope.lookup(fn.id.name)
+                    : fn.parentNode && fn.parentNode.type === "VariableDeclarator" && fn.parentNode.id.type === "Identifier"
+                        ? scope.lookup(fn.parentNode.id.name) : null;
+                if (!holder) continue;
+                const early = directCalls(holder, scope.variableScope).find(call => call.identifier.start < end);
+                if (early) {
+                    reported.add(fn);
+                    out.push(finding("tdz", early.identifier,
+                        `${holder.name}() reads '${binding.name}' (line ${lineOf(id)}) but is called before the ${binding.kind} declaration on line ${declLine} runs`,
+                        `call ${holder.name}() after line ${declLine}, or declare '${binding.name}' before the call`));
+                }
+            }
+        }
+    }
+    return out;
+}
+
+function ruleConstReassign(analysis) {
+    return analysis.references
+        .filter(ref => ref.binding && ref.binding.kind === "const" && ref.write && !ref.init)
+        .map(ref => finding("const-reassign", ref.identifier,
+            `'${ref.name}' is a const (line ${ref.binding.line}) and can't be reassigned → TypeError`,
+            ref.identifier.parentNode && ref.identifier.parentNode.type === "UpdateExpression" && ref.scope.kind === "for"
+                ? `a for loop counter changes every iteration – declare it with let`
+                : `declare '${ref.name}' with let if it must change; mutating a const object or array (push, property writes) is fine`));
+}
+
+function ruleDuplicates(analysis) {
+    return analysis.scopes.flatMap(scope => scope.conflicts.map(c => finding("duplicate-declaration", c.second,
+        `'${c.name}' is already declared (${c.kinds[0]}, line ${lineOf(c.first)}) in ${describeScope(scope)} → SyntaxError before anything runs`,
+        scope.kind === "switch"
+            ? `all cases share one block – wrap each case body in { } to give it its own scope`
+            : `drop the second ${c.kinds[1]} and assign to the existing binding, or rename it`)));
+}
+
+function ruleImplicitGlobals(analysis) {
+    const seen = new Set();
+    return analysis.implicitGlobals.filter(ref => !seen.has(ref.name) && seen.add(ref.name)).map(ref => {
+        const fn = ref.scope.variableScope;
+        const where = fn.kind === "function" ? `inside ${fn.label}` : "at the top level";
+        return finding("implicit-global", ref.identifier,
+            `'${ref.name}' is assigned ${where} but never declared – sloppy mode creates a global (strict mode throws ReferenceError)`,
+            `declare it with const / let where it belongs (e.g. 'const ${ref.name} = …'), or return it instead of leaking it; add "use strict" to catch these`);
+    });
+}
+
+function ruleShadowing(analysis) {
+    const out = [];
+    for (const scope of analysis.scopes) {
+        if (!scope.parent) continue;
+        for (const binding of scope.bindings.values()) {
+            if (binding.kind === "function-name") continue;
+            const outer = scope.parent.lookup(binding.name);
+            // a class name inside its own class scope is the same class
+            if (!outer || (scope.kind === "class" && outer.declarations[0].node === binding.declarations[0].node)) continue;
+            out.push(finding("shadowing", binding.identifiers[0],
+                `'${binding.name}' (${binding.kind}) shadows the ${outer.kind} declared on line ${outer.line} in ${describeScope(outer.scope)} – code in this scope can't reach the outer one`,
+                binding.kind === "param"
+                    ? `rename the parameter if the outer '${binding.name}' is needed here`
+                    : `rename it (e.g. 'next${binding.name[0].toUpperCase()}${binding.name.slice(1)}'), or assign to the outer binding instead of declaring a new one`));
+        }
+    }
+    return out;
+}
+
+function ruleVarOutsideBlock(analysis) {
+    const out = [];
+    for (const scope of analysis.scopes) {
+        for (const binding of scope.bindings.values()) {
+            if (binding.kind !== "var") continue;
+            // the innermost block each declaration sits in (for-loop heads are left alone)
+            const blocks = binding.declarations.map(d => scopeAt(analysis, d.node.start))
+                .map(s => (s === scope || s.kind === "for" ? null : s));
+            if (blocks.some(b => !b)) continue;
+            const outside = binding.references.find(ref => !ref.init && ref.scope.variableScope === scope &&
+                !blocks.some(b => contains(b.node, ref.identifier.start)));
+            if (!outside) continue;
+            const block = blocks[0];
+            out.push(finding("var-outside-block", outside.identifier,
+                `'${binding.name}' is declared with var inside the ${block.node.parentNode && block.node.parentNode.type === "IfStatement" ? "if" : block.kind} block on line ${lineOf(block.node)} but used outside it – it is undefined whenever that block didn't run`,
+                `declare it before the block with a default ('let ${binding.name} = …;') and assign it inside`));
+        }
+    }
+    return out;
+}
+
+function callName(call) {
+    const callee = call.callee;
+    if (callee.type === "Identifier") return callee.name;
+    if (callee.type === "MemberExpression" && !callee.computed) return callee.property.name;
+    return null;
+}
+
+// How a function created in a loop outlives the iteration, or null if it doesn't
+function escapeKind(fn) {
+    const parent = fn.parentNode;
+    if (!parent) return null;
+    if (parent.type === "CallExpression" && parent.arguments.includes(fn)) {
+        const name = callName(parent);
+        if (SYNC_CALLBACKS.has(name)) return null;
+        if (name === "push" || name === "unshift" || name === "set" || name === "add") return "stored";
+        return ASYNC_CALLBACKS.has(name) ? `async:${name}` : `callback:${name || "a call"}`;
+    }
+    if (parent.type === "NewExpression" && parent.arguments.includes(fn)) return "callback:new";
+    if (parent.type === "CallExpression" && parent.callee === fn) return null;     // IIFE runs now
+    return "stored";
+}
+
+function ruleLoopClosure(analysis) {
+    const loops = [];
+    walk(analysis.ast, node => {
+        if (LOOPS.has(node.type)) loops.push(node);
+    });
+    const out = [];
+    const reported = new Set();
+    for (const ref of analysis.references) {
+        const binding = ref.binding;
+        if (!binding || ref.write || (binding.kind !== "var" && binding.kind !== "let" && binding.kind !== "param")) continue;
+        const fns = capturingFunctions(ref);
+        if (!fns.length) continue;
+        const outer = fns[fns.length - 1];
+        // innermost loop around the function that also changes the captured binding
+        const loop = loops.filter(l => contains(l, outer.start) && !contains(outer, l.start))
+            .reverse()
+            .find(l => {
+                const perIteration = l.scope && l.scope.bindings.get(binding.name) === binding;
+                const changed = binding.references.some(r => r.write && contains(l, r.identifier.start) && r.scope.variableScope === binding.scope.variableScope);
+                return !perIteration && changed && binding.scope.variableScope === scopeAt(analysis, l.start).variableScope;
+            });
+        if (!loop) continue;
+        // The read comes late if any function on the way outlives its call: a setTimeout
+        // callback inside a forEach callback does, though forEach calls its own right away
+        const fn = fns.find(f => escapeKind(f));
+        if (!fn || reported.has(`${binding.name}:${fn.start}`)) continue;
+        const escape = escapeKind(fn);
+        reported.add(`${binding.name}:${fn.start}`);
+        const [how, api] = escape.split(":");
+        const what = how === "async" ? `the ${api}() callback` : how === "callback" ? `the callback passed to ${api}()` : "the function stored";
+        const head = loop.type === "ForStatement" && loop.init && loop.init.type === "VariableDeclaration" && loop.init.kind === "var" &&
+            loop.init.declarations.some(d => d.id.name === binding.name);
+        out.push(finding("loop-closure", ref.identifier,
+            `${what} in the loop on line ${lineOf(loop)} captures '${binding.name}' (${binding.kind}, shared by every iteration) – ${how === "async" ? "by the time it runs" : "when it's called later"} it sees the final value`,
+            head
+                ? `use 'let ${binding.name}' in the loop head so each iteration gets its own binding`
+                : `copy it into a per-iteration binding inside the loop ('const current = ${binding.name};') and capture that`));
+    }
+    return out;
+}
+
+const RULES = {
+    "tdz": ruleTDZ,
+    "loop-closure": ruleLoopClosure,
+    "implicit-global": ruleImplicitGlobals,
+    "const-reassign": ruleConstReassign,
+    "duplicate-declaration": ruleDuplicates,
+    "shadowing": ruleShadowing,
+    "var-outside-block": ruleVarOutsideBlock,
+};
+
+// analyzeSource(code, { startLine, rules }) → findings sorted by position
+// startLine: where `code` starts in its file, so lines point into the file.
+function analyzeSource(code, { startLine = 1, rules = Object.keys(RULES) } = {}) {
+    let analysis;
+    try {
+        analysis = analyze("\n".repeat(startLine - 1) + code);
+    } catch (e) {
+        return [{ rule: "parse-error", severity: "error", line: e.line, column: e.column + 1, message: e.message, fix: null }];
+    }
+    return rules.flatMap(rule => RULES[rule](analysis))
+        .sort((a, b) => a.line - b.line || a.column - b.column || a.rule.localeCompare(b.rule));
+}
+
+// What each rule must report on the puzzles of index.js (rule → lines; [] = nothing).
+// Only the listed rules are checked per puzzle.
+const FIXTURES = {
+    p1: { "tdz": [5, 8] },
+    p3: { "duplicate-declaration": [34, 38] },
+    p4: { "tdz": [46], "shadowing": [47] },
+    p5: { "loop-closure": [56], "var-outside-block": [] },
+    p6: { "const-reassign": [78] },
+    p8: { "tdz": [101, 102] },
+    p9: { "tdz": [116, 118, 122], "shadowing": [123] },
+    p10: { "duplicate-declaration": [135] },
+    p12: { "loop-closure": [173], "tdz": [] },
+    p16: { "var-outside-block": [251, 252], "tdz": [] },
+    p17: { "shadowing": [267], "const-reassign": [] },
+    p18: { "tdz": [], "implicit-global": [] },
+    s2: { "var-outside-block": [340] },
+    s3: { "const-reassign": [358] },
+    s4: { "const-reassign": [363] },
+    e1: { "tdz": [395], "loop-closure": [] },
+    e2: { "implicit-global": [410], "shadowing": [] },
+};
+
+function verify(puzzles) {
+    const failures = [];
+    for (const [id, expected] of Object.entries(FIXTURES)) {
+        const puzzle = puzzles.find(p => p.id === id);
+        const findings = analyzeSource(puzzle.code, { startLine: puzzle.startLine });
+        for (const [rule, lines] of Object.entries(expected)) {
+            const got = findings.filter(f => f.rule === rule).map(f => f.line);
+            const ok = got.length === lines.length && got.every((line, i) => line === lines[i]);
+            console.log(`${ok ? "✓" : "✗"} ${id} ${rule}: ${lines.length ? `line ${lines.join(", ")}` : "nothing"}${ok ? "" : ` — got ${got.length ? got.join(", ") : "nothing"}`}`);
+            if (!ok) failures.push({ id, rule, expected: lines, got });
+        }
+    }
+    return failures;
+}
+
+function formatFindings(title, findings) {
+    const lines = [title];
+    if (!findings.length) lines.push("  no problems found");
+    for (const f of findings) {
+        lines.push(`  ${`${f.line}:${f.column}`.padEnd(8)} ${f.severity.padEnd(8)} ${f.message}  [${f.rule}]`);
+        if (f.fix) lines.push(`  ${"".padEnd(17)} fix: ${f.fix}`);
+    }
+    return lines.join("\n");
+}
+
+function parseArgs(argv) {
+    const positional = argv.filter(a => !a.startsWith("--"));
+    return {
+        files: positional.filter(a => /\.[cm]?js$/.test(a)),
+        only: positional.filter(a => !/\.[cm]?js$/.test(a)).map(a => (/^\d+$/.test(a) ? `p${a}` : a.toLowerCase())),
+        json: argv.includes("--json"),
+        verify: argv.includes("--verify"),
+    };
+}
+
+function main() {
+    const { files, only, json, verify: verifyOnly } = parseArgs(process.argv.slice(2));
+    const puzzles = splitPuzzles(fs.readFileSync(PUZZLE_FILE, "utf8"));
+    if (verifyOnly) {
+        const failures = verify(puzzles);
+        console.log(`\n${failures.length ? `${failures.length} fixture(s) failed` : "all fixtures pass"}`);
+        process.exitCode = failures.length ? 1 : 0;
+        return;
+    }
+    const targets = files.length
+        ? files.map(file => ({ title: file, code: fs.readFileSync(file, "utf8"), startLine: 1 }))
+        : puzzles.filter(p => only.length === 0 || only.includes(p.id)).map(p => ({
+            id: p.id,
+            title: `${p.kind[0].toUpperCase()}${p.kind.slice(1)} ${p.number}: ${p.title}  (line ${p.startLine})`,
+            code: p.code,
+            startLine: p.startLine,
+        }));
+    const results = targets.map(t => ({ title: t.title, findings: analyzeSource(t.code, { startLine: t.startLine }) }));
+    console.log(json
+        ? JSON.stringify(results, null, 2)
+        : results.map(r => formatFindings(r.title, r.findings)).join("\n\n"));
+    if (results.some(r => r.findings.some(f => f.severity === "error"))) process.exitCode = 1;
+}
+
+if (require.main === module) main();
+
+module.exports = { analyzeSource, RULES, FIXTURES };
@@ -0,0 +1,449 @@
+// Scope analysis on top of js-parser.js
+//
+// Builds the scope tree the engine creates for a piece of code: which bindings each
+// environment record gets (var / let / const / function / class / param / catch / import),
+// where they are declared, and which binding every identifier reference resolves to.
+//
+// const { analyze } = require("./scopes");
+// const { globalScope, scopes, references, through } = analyze("let x = 1; x++;");
+//
+// Resolution is static, so hoisting falls out of it: a reference resolves to a binding of
+// its scope chain no matter whether the declaration comes before or after it.
+
+const { parse, childKeys } = require("./js-parser");
+
+const LEXICAL = new Set(["let", "const", "class"]);
+const FUNCTION_SCOPES = new Set(["global", "module", "function"]);
+
+class Binding {
+    constructor(name, kind, scope) {
+        this.name = name;
+        this.kind = kind;               // var | let | const | function | class | param | catch | import | function-name
+        this.scope = scope;
+        this.identifiers = [];          // declaring Identifier nodes
+        this.declarations = [];         // { id, node, declarator } – node is the declaring statement
+        this.references = [];
+    }
+
+    get line() {
+        return this.identifiers[0] ? this.identifiers[0].loc.start.line : undefined;
+    }
+
+    // let / const / class start out uninitialized (TDZ); everything else doesn't.
+    get lexical() {
+        return LEXICAL.has(this.kind);
+    }
+
+    toJSON() {
+        return { name: this.name, kind: this.kind, line: this.line, references: this.references.length };
+    }
+}
+
+class Scope {
+    constructor(kind, node, parent, id) {
+        this.id = id;
+        this.kind = kind;               // global | module | function | block | for | catch | switch | class
+        this.node = node;
+        this.parent = parent;
+        this.children = [];
+        this.bindings = new Map();
+        this.references = [];           // references made directly in this scope
+        this.conflicts = [];            // { name, first, second } – redeclarations the engine rejects
+        this.variableScope = FUNCTION_SCOPES.has(kind) ? this : parent.variableScope;
+        if (parent) parent.children.push(this);
+    }
+
+    // Name for reports: "global", "function counter", "block (line 12)" …
+    get label() {
+        const line = this.node.loc.start.line;
+        if (this.kind === "global" || this.kind === "module") return this.kind;
+        if (this.kind === "function") {
+            const name = functionName(this.node);
+            return `function ${name || "(anonymous)"} (line ${line})`;
+        }
+        if (this.kind === "class") return `class ${this.node.id ? this.node.id.name : "(anonymous)"} (line ${line})`;
+        return `${this.kind} (line ${line})`;
+    }
+
+    lookup(name) {
+        for (let scope = this; scope; scope = scope.parent) {
+            const binding = scope.bindings.get(name);
+            if (binding) return binding;
+        }
+        return null;
+    }
+
+    // Scopes from this one up to the global scope
+    chain() {
+        const chain = [];
+        for (let scope = this; scope; scope = scope.parent) chain.push(scope);
+        return chain;
+    }
+}
+
+// Best-effort name of a function node, using the variable / property / method it is assigned to
+function functionName(node) {
+    if (node.id) return node.id.name;
+    const parent = node.parentNode;
+    if (!parent) return null;
+    if (parent.type === "VariableDeclarator" && parent.id.type === "Identifier") return parent.id.name;
+    if ((parent.type === "Property" || parent.type === "MethodDefinition" || parent.type === "PropertyDefinition") && !parent.computed) {
+        return parent.key.name || parent.key.value;
+    }
+    if (parent.type === "AssignmentExpression" && parent.left.type === "Identifier") return parent.left.name;
+    if (parent.type === "AssignmentExpression" && parent.left.type === "MemberExpression" && !parent.left.computed) {
+        return parent.left.property.name;
+    }
+    return null;
+}
+
+// Identifiers a binding pattern declares: [a, { b, c: [d = 1] }, ...e] → a b d e
+function patternIdentifiers(pattern, out = []) {
+    if (!pattern) return out;
+    switch (pattern.type) {
+        case "Identifier": out.push(pattern); break;
+        case "ArrayPattern": pattern.elements.forEach(e => patternIdentifiers(e, out)); break;
+        case "ObjectPattern": pattern.properties.forEach(p => patternIdentifiers(p.type === "RestElement" ? p : p.value, out)); break;
+        case "AssignmentPattern": patternIdentifiers(pattern.left, out); break;
+        case "RestElement": patternIdentifiers(pattern.argument, out); break;
+        default: break;             // MemberExpression targets declare nothing
+    }
+    return out;
+}
+
+class ScopeBuilder {
+    constructor() {
+        this.scopes = [];
+        this.references = [];
+    }
+
+    newScope(kind, node, parent) {
+        const scope = new Scope(kind, node, parent, this.scopes.length);
+        this.scopes.push(scope);
+        node.scope = scope;
+        return scope;
+    }
+
+    declare(scope, id, kind, declaration = {}) {
+        const name = id.name;
+        const existing = scope.bindings.get(name);
+        if (existing) {
+            // var/var, var/function and function/function (sloppy, function level) are allowed
+            if (existing.lexical || LEXICAL.has(kind)) {
+                scope.conflicts.push({ name, first: existing.identifiers[0], second: id, kinds: [existing.kind, kind] });
+            }
+            existing.identifiers.push(id);
+            existing.declarations.push({ id, ...declaration });
+            if (existing.kind === "var" && kind === "function") existing.kind = "function";
+            return existing;
+        }
+        // catch (e) { let e; } – the catch body may not redeclare the parameter
+        const catchClause = scope.kind === "block" && scope.parent.kind === "catch" && scope.parent.node.body === scope.node;
+        const param = catchClause && scope.parent.bindings.get(name);
+        if (param && (LEXICAL.has(kind) || kind === "function")) {
+            scope.conflicts.push({ name, first: param.identifiers[0], second: id, kinds: ["catch", kind] });
+        }
+        const binding = new Binding(name, kind, scope);
+        binding.identifiers.push(id);
+        binding.declarations.push({ id, ...declaration });
+        scope.bindings.set(name, binding);
+        return binding;
+    }
+
+    declareVar(scope, id, declaration) {
+        // `var x` inside a block clashes with a `let x` of any block it is hoisted through
+        for (let s = scope; s !== scope.variableScope; s = s.parent) {
+            const lexical = s.bindings.get(id.name);
+            if (lexical && (lexical.lexical || lexical.blockFunction)) s.conflicts.push({ name: id.name, first: lexical.identifiers[0], second: id, kinds: [lexical.kind, "var"] });
+        }
+        const target = scope.variableScope;
+        const existing = target.bindings.get(id.name);
+        if (existing && existing.lexical) {
+            target.conflicts.push({ name: id.name, first: existing.identifiers[0], second: id, kinds: [existing.kind, "var"] });
+            existing.identifiers.push(id);
+            return existing;
+        }
+        return this.declare(target, id, existing && existing.kind === "function" ? "function" : existing && existing.kind === "param" ? "param" : "var", declaration);
+    }
+
+    reference(scope, id, { read = true, write = false, init = false, declarator = null } = {}) {
+        const ref = { identifier: id, name: id.name, scope, read, write, init, declarator, binding: null };
+        scope.references.push(ref);
+        this.references.push(ref);
+        return ref;
+    }
+
+    // Declares the identifiers of a pattern and visits its default values / computed keys.
+    bindPattern(pattern, scope, declare, refOptions) {
+        switch (pattern.type) {
+            case "Identifier":
+                declare(pattern);
+                if (refOptions) this.reference(scope, pattern, refOptions);
+                break;
+            case "ArrayPattern":
+                pattern.elements.forEach(e => e && this.bindPattern(e, scope, declare, refOptions));
+                break;
+            case "ObjectPattern":
+                for (const p of pattern.properties) {
+                    if (p.type === "RestElement") this.bindPattern(p.argument, scope, declare, refOptions);
+                    else {
+                        if (p.computed) this.visit(p.key, scope, p);
+                        this.bindPattern(p.value, scope, declare, refOptions);
+                    }
+                }
+                break;
+            case "AssignmentPattern":
+                this.bindPattern(pattern.left, scope, declare, refOptions);
+                this.visit(pattern.right, scope, pattern);
+                break;
+            case "RestElement":
+                this.bindPattern(pattern.argument, scope, declare, refOptions);
+                break;
+            default:
+                this.visit(pattern, scope);
+        }
+    }
+
+    // Assignment targets: identifiers are writes, member expressions are ordinary reads.
+    assignTarget(target, scope, { read = false } = {}) {
+        switch (target.type) {
+            case "Identifier": this.reference(scope, target, { read, write: true }); break;
+            case "ArrayPattern": target.elements.forEach(e => e && this.assignTarget(e, scope)); break;
+            case "ObjectPattern":
+                target.properties.forEach(p => {
+                    if (p.type === "RestElement") return this.assignTarget(p.argument, scope);
+                    if (p.computed) this.visit(p.key, scope, p);
+                    return this.assignTarget(p.value, scope);
+                });
+                break;
+            case "AssignmentPattern":
+                this.assignTarget(target.left, scope);
+                this.visit(target.right, scope, target);
+                break;
+            case "RestElement": this.assignTarget(target.argument, scope); break;
+            default: this.visit(target, scope);
+        }
+    }
+
+    visitFunction(node, scope) {
+        const fnScope = this.newScope("function", node, scope);
+        if (node.type === "FunctionExpression" && node.id) this.declare(fnScope, node.id, "function-name", { node });
+        for (const param of node.params) {
+            this.bindPattern(param, fnScope, id => this.declare(fnScope, id, "param", { node }), null);
+        }
+        node.body.parentNode = node;
+        if (node.body.type === "BlockStatement") {
+            node.body.scope = fnScope;
+            this.hoistFunctions(node.body.body, fnScope);
+            node.body.body.forEach(s => this.visit(s, fnScope, node.body));
+        } else {
+            this.visit(node.body, fnScope, node);
+        }
+        return fnScope;
+    }
+
+    // Function declarations are created before anything in their scope runs.
+    hoistFunctions(statements, scope) {
+        for (const s of statements) {
+            const decl = s.type === "ExportNamedDeclaration" || s.type === "ExportDefaultDeclaration" ? s.declaration : s;
+            if (decl && decl.type === "FunctionDeclaration" && decl.id) {
+                const binding = this.declare(scope, decl.id, "function", { node: decl });
+                if (scope.kind === "block" || scope.kind === "switch") binding.blockFunction = true;
+            }
+        }
+    }
+
+    block(node, scope, kind = "block") {
+        const blockScope = this.newScope(kind, node, scope);
+        const statements = node.type === "SwitchStatement" ? node.cases.flatMap(c => c.consequent) : node.body;
+        this.hoistFunctions(statements, blockScope);
+        return blockScope;
+    }
+
+    visit(node, scope, parent = null) {
+        if (!node || typeof node.type !== "string") return;
+        node.parentNode = parent;
+        switch (node.type) {
+            case "Program": {
+                const global = this.newScope(node.sourceType === "module" ? "module" : "global", node, null);
+                this.hoistFunctions(node.body, global);
+                node.body.forEach(s => this.visit(s, global, node));
+                return;
+            }
+            case "Identifier":
+                this.reference(scope, node);
+                return;
+            case "FunctionDeclaration":
+                // name already declared by hoistFunctions
+                this.visitFunction(node, scope);
+                return;
+            case "FunctionExpression":
+            case "ArrowFunctionExpression":
+                this.visitFunction(node, scope);
+                return;
+            case "ClassDeclaration":
+            case "ClassExpression": {
+                if (node.type === "ClassDeclaration" && node.id) this.declare(scope, node.id, "class", { node });
+                const classScope = this.newScope("class", node, scope);
+                if (node.type === "ClassExpression" && node.id) this.declare(classScope, node.id, "class", { node });
+                if (node.superClass) this.visit(node.superClass, classScope, node);
+                node.body.parentNode = node;
+                for (const member of node.body.body) {
+                    member.parentNode = node.body;
+                    if (member.computed) this.visit(member.key, classScope, member);
+                    if (member.type === "StaticBlock") {
+                        const staticScope = this.newScope("function", member, classScope);
+                        member.body.forEach(s => this.visit(s, staticScope, member));
+                    } else if (member.value) {
+                        this.visit(member.value, classScope, member);
+                    }
+                }
+                return;
+            }
+            case "VariableDeclaration": {
+                for (const declarator of node.declarations) {
+                    declarator.parentNode = node;
+                    const declare = node.kind === "var"
+                        ? id => this.declareVar(scope, id, { node, declarator })
+                        : id => this.declare(scope, id, node.kind, { node, declarator });
+                    const isForHead = parent && (parent.type === "ForInStatement" || parent.type === "ForOfStatement") && parent.left === node;
+                    const initialized = Boolean(declarator.init) || isForHead;
+                    this.bindPattern(declarator.id, scope, declare, initialized || node.kind !== "var"
+                        ? { read: false, write: true, init: true, declarator }
+                        : null);
+                    if (declarator.init) this.visit(declarator.init, scope, declarator);
+                }
+                return;
+            }
+            case "BlockStatement": {
+                const blockScope = this.block(node, scope);
+                node.body.forEach(s => this.visit(s, blockScope, node));
+                return;
+            }
+            case "StaticBlock":
+                return;
+            case "ForStatement":
+            case "ForInStatement":
+            case "ForOfStatement": {
+                const head = node.type === "ForStatement" ? node.init : node.left;
+                const loopScope = head && head.type === "VariableDeclaration" && head.kind !== "var"
+                    ? this.newScope("for", node, scope)
+                    : scope;
+                if (node.type === "ForStatement") {
+                    this.visit(node.init, loopScope, node);
+                    this.visit(node.test, loopScope, node);
+                    this.visit(node.update, loopScope, node);
+                } else {
+                    this.visit(node.right, loopScope, node);
+                    if (head.type === "VariableDeclaration") this.visit(head, loopScope, node);
+                    else this.assignTarget(head, loopScope);
+                }
+                this.visit(node.body, loopScope, node);
+                return;
+            }
+            case "CatchClause": {
+                const catchScope = this.newScope("catch", node, scope);
+                if (node.param) this.bindPattern(node.param, catchScope, id => this.declare(catchScope, id, "catch", { node }), null);
+                this.visit(node.body, catchScope, node);
+                return;
+            }
+            case "SwitchStatement": {
+                this.visit(node.discriminant, scope, node);
+                const switchScope = this.block(node, scope, "switch");
+                for (const c of node.cases) {
+                    c.parentNode = node;
+                    this.visit(c.test, switchScope, c);
+                    c.consequent.forEach(s => this.visit(s, switchScope, c));
+                }
+                return;
+            }
+            case "AssignmentExpression":
+                if (node.left.type === "Identifier" || node.left.type.endsWith("Pattern")) {
+                    node.left.parentNode = node;
+                    this.assignTarget(node.left, scope, { read: node.operator !== "=" });
+                } else {
+                    this.visit(node.left, scope, node);
+                }
+                this.visit(node.right, scope, node);
+                return;
+            case "UpdateExpression":
+                if (node.argument.type === "Identifier") {
+                    node.argument.parentNode = node;
+                    this.reference(scope, node.argument, { read: true, write: true });
+                } else {
+                    this.visit(node.argument, scope, node);
+                }
+                return;
+            case "MemberExpression":
+                this.visit(node.object, scope, node);
+                if (node.computed) this.visit(node.property, scope, node);
+                return;
+            case "Property":
+                if (node.computed) this.visit(node.key, scope, node);
+                this.visit(node.value, scope, node);
+                return;
+            case "LabeledStatement":
+                this.visit(node.body, scope, node);
+                return;
+            case "BreakStatement":
+            case "ContinueStatement":
+            case "MetaProperty":
+            case "PrivateIdentifier":
+                return;
+            case "ImportDeclaration":
+                for (const s of node.specifiers) this.declare(scope, s.local, "import", { node });
+                return;
+            case "ExportNamedDeclaration":
+                if (node.declaration) this.visit(node.declaration, scope, node);
+                if (!node.source) node.specifiers.forEach(s => this.reference(scope, s.local));
+                return;
+            case "ExportAllDeclaration":
+                return;
+            default:
+                for (const key of childKeys(node)) {
+                    const child = node[key];
+                    if (Array.isArray(child)) child.forEach(c => c && this.visit(c, scope, node));
+                    else if (child && typeof child.type === "string") this.visit(child, scope, node);
+                }
+        }
+    }
+
+    resolve() {
+        for (const ref of this.references) {
+            ref.binding = ref.scope.lookup(ref.name);
+            if (ref.binding) ref.binding.references.push(ref);
+        }
+    }
+}
+
+// analyze(source | ast) → { ast, globalScope, scopes, references, through, implicitGlobals }
+//   through:         references that resolve to no declaration (globals like console)
+//   implicitGlobals: assignments to undeclared names – in sloppy mode they create a global
+function analyze(input, options = {}) {
+    const ast = typeof input === "string" ? parse(input, options) : input;
+    const builder = new ScopeBuilder();
+    builder.visit(ast, null);
+    builder.resolve();
+    const through = builder.references.filter(r => !r.binding);
+    return {
+        ast,
+        globalScope: builder.scopes[0],
+        scopes: builder.scopes,
+        references: builder.references,
+        through,
+        implicitGlobals: through.filter(r => r.write && !r.init),
+    };
+}
+
+// Innermost scope whose node contains the given offset
+function scopeAt(analysis, pos) {
+    let found = analysis.globalScope;
+    for (const scope of analysis.scopes) {
+        if (scope.node.start <= pos && pos < scope.node.end && scope.node.start >= found.node.start && scope.node.end <= found.node.end) {
+            found = scope;
+        }
+    }
+    return found;
+}
+
+module.exports = { analyze, scopeAt, patternIdentifiers, functionName, Scope, Binding };
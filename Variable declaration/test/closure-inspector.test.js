@@ -0,0 +1,76 @@
+// Closure inspector: environment records, what each closure captured, and who shares what
+//
+// node --test "Variable declaration/test/"
+
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const { splitPuzzles, PUZZLE_FILE } = require("../puzzle-runner");
+const { inspect, formatTree, toDot } = require("../closure-inspector");
+
+const LOOPS = [
+    "var fns = [];",
+    "for (var i = 0; i < 3; i++) fns.push(() => i);",
+    "const lets = [];",
+    "for (let j = 0; j < 2; j++) lets.push(() => j);",
+    "console.log(fns.map(f => f()), lets.map(f => f()));",
+].join("\n");
+
+const puzzle = id => splitPuzzles(fs.readFileSync(PUZZLE_FILE, "utf8")).find(p => p.id === id);
+
+test("var closures share one binding; a let loop gives each closure its own record", async () => {
+    const result = await inspect({ code: LOOPS, startLine: 1 });
+    assert.deepStrictEqual(result.output, ["[ 3, 3, 3 ] [ 0, 1 ]"]);
+    assert.deepStrictEqual(result.shared, [{ name: "i", env: 0, closures: [1, 2, 3] }]);
+    assert.deepStrictEqual(result.separate, [{ name: "j", records: [{ env: 1, closures: [4] }, { env: 2, closures: [5] }] }]);
+    assert.deepStrictEqual(result.closures.slice(0, 5).map(c => `λ#${c.id} line ${c.line} → env#${c.env} ${c.uses.map(u => `${u.name}=${u.value}`)}`), [
+        "λ#1 line 2 → env#0 i=3",
+        "λ#2 line 2 → env#0 i=3",
+        "λ#3 line 2 → env#0 i=3",
+        "λ#4 line 4 → env#1 j=0",
+        "λ#5 line 4 → env#2 j=1",
+    ]);
+    const global = result.environments[0];
+    assert.deepStrictEqual(global.bindings.find(b => b.name === "i").history.map(h => h.value), ["undefined", "0", "1", "2", "3"]);
+    assert.deepStrictEqual(global.bindings.find(b => b.name === "lets").history[0], { line: 1, value: "<uninitialized>" });
+});
+
+test("Problem 11: the module's methods all close over the IIFE's record", async () => {
+    const result = await inspect(puzzle("p11"));
+    assert.deepStrictEqual(result.closures.map(c => `${c.name}@${c.line} → env#${c.env}`), [
+        "(anonymous)@143 → env#0",
+        "changeBy@146 → env#1",
+        "increment@151 → env#1",
+        "decrement@154 → env#1",
+        "value@157 → env#1",
+    ]);
+    assert.deepStrictEqual(result.shared, [
+        { name: "privateCount", env: 1, closures: [2, 5] },
+        { name: "changeBy", env: 1, closures: [3, 4] },
+    ]);
+});
+
+test("Problem 12: three closures over one `var i`, three over three `let i`s", async () => {
+    const result = await inspect(puzzle("p12"));
+    assert.deepStrictEqual(result.output, ["3", "3", "3", "0", "1", "2"]);
+    assert.deepStrictEqual(result.shared, [{ name: "i", env: 1, closures: [3, 4, 5] }]);
+    assert.deepStrictEqual(result.separate[0].records.map(r => r.closures), [[6], [7], [8]]);
+    assert.match(formatTree("Problem 12", result), /λ#3, λ#4, λ#5 share ONE 'i' \(env#1\)\n {2}'i' exists 3 times — env#3 for λ#6; env#4 for λ#7; env#5 for λ#8/);
+});
+
+test("toDot() draws every record with its outer link and every closure with its [[Environment]]", async () => {
+    const result = await inspect({ code: LOOPS, startLine: 1 });
+    const dot = toDot([{ id: "loops", title: "Loops", ...result }]);
+    assert.match(dot, /^digraph closures \{/);
+    assert.match(dot, /\}$/);
+    for (const env of result.environments) assert.ok(dot.includes(`g0_env${env.id} [shape=record`), `env#${env.id}`);
+    assert.match(dot, /g0_env1 -> g0_env0 \[style=dashed, label="outer"\]/);
+    for (const fn of result.closures) assert.ok(dot.includes(`g0_fn${fn.id} -> g0_env${fn.env} [label="[[Environment]]"]`), `λ#${fn.id}`);
+    assert.strictEqual((dot.match(/\{/g) || []).length, (dot.match(/\}/g) || []).length);
+});
+
+test("code that doesn't parse reports the SyntaxError and traces nothing", async () => {
+    const result = await inspect({ code: "let = ;", startLine: 1 });
+    assert.deepStrictEqual([result.environments, result.closures], [[], []]);
+    assert.deepStrictEqual(result.errors.map(e => [e.name, e.line]), [["SyntaxError", 1]]);
+});
@@ -0,0 +1,77 @@
+// Codemods: each transform's rewrite, and wrap-scope wrapping exactly once
+//
+// node --test "Variable declaration/test/"
+
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const { splitPuzzles, PUZZLE_FILE } = require("../puzzle-runner");
+const { transform } = require("../codemod");
+
+const applied = result => result.changes.filter(c => c.applied).map(c => `${c.transform}@${c.line}`);
+const wrappers = code => (code.match(/\(function \(\) \{/g) || []).length;
+
+test("Exercise 2: declare-globals, then ONE IIFE around the script", () => {
+    const exercise = splitPuzzles(fs.readFileSync(PUZZLE_FILE, "utf8")).find(p => p.id === "e2");
+    const result = transform(exercise.code);
+    assert.strictEqual(result.error, null);
+    // Lines of the exercise's own code, which starts at its marker
+    assert.deepStrictEqual(applied(result), ["wrap-scope@4", "declare-globals@5"]);
+    assert.strictEqual(result.code.trim(), [
+        "// Problematic code",
+        "(function () {",
+        "    let config;",
+        "    function setup() {",
+        "        config = { theme: \"dark\" }; // Implicit global!",
+        "        let settings = { notifications: true };",
+        "    }",
+        "",
+        "    setup();",
+        "    console.log(config); // Unexpected global",
+        "    console.log(settings); // ?",
+        "})();",
+        "",
+        "// Fix it",
+    ].join("\n"));
+    // Run again, the fixed code has nothing left to change
+    assert.deepStrictEqual(applied(transform(result.code)), []);
+});
+
+test("wrap-scope alone wraps once, even though the implicit global it can't fix stays", () => {
+    const result = transform("x = 1;\nvar y = 2;\n", { transforms: ["wrap-scope"] });
+    assert.strictEqual(wrappers(result.code), 1);
+    assert.deepStrictEqual(applied(result), ["wrap-scope@1"]);
+    assert.strictEqual(wrappers(transform("(() => {\n    x = 1;\n})();\n").code), 0);
+    assert.strictEqual(transform("var x = 1;\n", { module: true }).code, "var x = 1;\n\nexport {}; // module scope: top-level bindings stay in this file\n");
+});
+
+test("hoist-declaration moves a declaration above its first use", () => {
+    const result = transform("console.log(total);\nlet total = 1;\n");
+    assert.strictEqual(result.code, "let total = 1;\nconsole.log(total);\n");
+    assert.deepStrictEqual(applied(result), ["hoist-declaration@2"]);
+    // A function declared further down is ready already; a const declared further down isn't
+    const usesFunction = transform("console.log(total);\nconst total = sum(1, 2);\nfunction sum(a, b) { return a + b; }\n");
+    assert.strictEqual(usesFunction.code, "const total = sum(1, 2);\nconsole.log(total);\nfunction sum(a, b) { return a + b; }\n");
+    const usesConst = transform("console.log(total);\nconst total = rate * 2;\nconst rate = 3;\n", { transforms: ["hoist-declaration"] });
+    assert.deepStrictEqual(usesConst.changes.filter(c => !c.applied).map(c => c.message), [
+        "left 'const total' where it is: its initializer needs 'rate', which isn't ready at its first use",
+    ]);
+});
+
+test("loop-let turns a loop's var into let only when nothing outside the loop reads it", () => {
+    assert.strictEqual(transform("for (var i = 0; i < 3; i++) {}\n").code, "for (let i = 0; i < 3; i++) {}\n");
+    const used = transform("for (var i = 0; i < 3; i++) {}\nconsole.log(i);\n", { transforms: ["loop-let"] });
+    assert.deepStrictEqual(applied(used), []);
+});
+
+test("swap-destructuring replaces a swap through a temporary", () => {
+    const result = transform("let a = 1, b = 2;\nconst tmp = a;\na = b;\nb = tmp;\n");
+    assert.strictEqual(result.code, "let a = 1, b = 2;\n[a, b] = [b, a];\n");
+});
+
+test("declare-globals declares a name in the innermost scope every use can see", () => {
+    const result = transform("function f() { count = 1; }\nf();\n", { transforms: ["declare-globals"] });
+    assert.strictEqual(result.code, "function f() { let count; count = 1; }\nf();\n");
+    const existing = transform("function f() { process = null; }\n", { transforms: ["declare-globals"] });
+    assert.deepStrictEqual(existing.changes.map(c => [c.applied, c.message]), [[false, "left 'process' alone: it assigns to an existing global"]]);
+});
@@ -0,0 +1,62 @@
+// Hoisting & TDZ visualizer: the creation phase, the steps of the execution phase, early errors
+//
+// node --test "Variable declaration/test/"
+
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { visualize, formatVisualization } = require("../hoisting-visualizer");
+
+const CODE = [
+    "console.log(typeof f, v);",
+    "var v = 1;",
+    "function f() { return t; }",
+    "for (let i = 0; i < 2; i++) {}",
+    "let t = 2;",
+    "console.log(f());",
+].join("\n");
+
+const TDZ_ERROR = "function g() {\n    console.log(x);\n    let x = 1;\n}\ng();\n";
+
+test("the creation phase: var is undefined, functions are whole, let waits in its TDZ", async () => {
+    const { scopes } = await visualize({ code: CODE, startLine: 1 }, { run: false });
+    assert.deepStrictEqual(scopes.map(s => [s.label, s.record.map(b => `${b.name} ${b.kind} ${b.initial}`)]), [
+        ["global", ["f function ƒ f", "v var undefined", "t let <uninitialized>"]],
+        ["for (line 4)", ["i let <uninitialized>"]],
+    ]);
+    const t = scopes[0].record[2];
+    assert.deepStrictEqual([t.tdzUntil, t.early, t.closure], [5, [], [3]]); // f reads t, but only once called
+});
+
+test("the execution phase steps through scopes, iterations and bindings leaving the TDZ", async () => {
+    const { steps, error } = await visualize({ code: CODE, startLine: 1 });
+    assert.strictEqual(error, null);
+    assert.deepStrictEqual(steps.map(s => {
+        if (s.type === "log") return `${s.line} log ${s.text}`;
+        if (s.type === "enter") return `${s.line} enter ${s.label} ${JSON.stringify(s.values)} tdz ${s.tdz}`;
+        return `${s.line} ${s.type} ${JSON.stringify(s.values)}${s.leavesTDZ ? " leaves TDZ" : ""}`;
+    }), [
+        "1 enter global {\"f\":\"ƒ f\",\"v\":\"undefined\"} tdz t",
+        "1 log function undefined",
+        "2 init {\"v\":\"1\"}",
+        "4 iteration {\"i\":\"0\"}",
+        "4 iteration {\"i\":\"1\"}",
+        "5 init {\"t\":\"2\"} leaves TDZ",
+        "3 enter function f (line 3) {} tdz ",
+        "6 log 2",
+    ]);
+});
+
+test("a TDZ ReferenceError names the binding, with lines counted from startLine", async () => {
+    const result = await visualize({ code: TDZ_ERROR, startLine: 10 });
+    const last = result.steps[result.steps.length - 1];
+    assert.deepStrictEqual([last.type, last.line, last.name], ["error", 11, "ReferenceError"]);
+    assert.deepStrictEqual([last.binding.name, last.binding.scope, last.binding.tdzUntil, last.binding.early], ["x", "function g (line 10)", 12, [11]]);
+    assert.match(formatVisualization("g", result), /11 {2}✗ ReferenceError: Cannot access 'x' before initialization — 'x' \(let, function g \(line 10\)\) is in its TDZ until line 12/);
+});
+
+test("code the engine rejects never runs: a redeclaration or a syntax error", async () => {
+    const redeclared = await visualize({ code: "let a;\nlet a;\n", startLine: 1 });
+    assert.deepStrictEqual([redeclared.steps, redeclared.error], [[], { name: "SyntaxError", message: "Identifier 'a' has already been declared", line: 2 }]);
+    const broken = await visualize({ code: "let a = ;", startLine: 1 });
+    assert.deepStrictEqual([broken.scopes, broken.error.name, broken.error.line], [[], "SyntaxError", 1]);
+});
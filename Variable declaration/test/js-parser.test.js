@@ -0,0 +1,141 @@
+// js-parser: what it accepts and rejects next to V8, and the shape of what it builds
+//
+// node --test "Variable declaration/test/"
+
+const { test } = require("node:test");
+const assert = require("node:assert");
+const vm = require("node:vm");
+const { parse, walk, ParseError } = require("../js-parser");
+
+// Does V8 compile it (as a function body, so `return` and `await` in async arrows work)?
+function v8Accepts(source) {
+    try {
+        new Function(source);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+function accepts(source) {
+    try {
+        parse(source);
+        return true;
+    } catch (e) {
+        if (!(e instanceof ParseError)) throw e;
+        return false;
+    }
+}
+
+// The expression of a one-statement program
+const expression = source => parse(source).body[0].expression;
+// An expression with every operation parenthesized: 2 ** 3 ** 2 → (2 ** (3 ** 2)). Parentheses
+// of the source show doubled.
+function show(node) {
+    if (node.parenthesized) return `(${show({ ...node, parenthesized: false })})`;
+    if (node.type === "BinaryExpression" || node.type === "LogicalExpression") return `(${show(node.left)} ${node.operator} ${show(node.right)})`;
+    if (node.type === "UnaryExpression") return `${node.operator}${show(node.argument)}`;
+    if (node.type === "UpdateExpression") return node.prefix ? `${node.operator}${show(node.argument)}` : `${show(node.argument)}${node.operator}`;
+    if (node.type === "AwaitExpression") return `await ${show(node.argument)}`;
+    return node.name || String(node.value);
+}
+
+test("a unary operand on the left of ** is a SyntaxError, as in V8", () => {
+    const sources = [
+        "-1 ** 2;",
+        "+x ** 2;",
+        "!x ** 2;",
+        "typeof x ** 2;",
+        "void x ** 2;",
+        "delete x.y ** 2;",
+        "2 * -1 ** 2;",
+        "async () => { await x ** 2; };",
+        "(-1) ** 2;",
+        "2 ** -1;",
+        "-(1 ** 2);",
+        "++x ** 2;",
+        "x++ ** 2;",
+        "async () => { (await x) ** 2; };",
+    ];
+    for (const source of sources) assert.strictEqual(accepts(source), v8Accepts(source), source);
+    assert.throws(() => parse("let y = -1 ** 2;"), { name: "SyntaxError", line: 1, column: 8, message: /^Unary operator used immediately before exponentiation expression \(1:9\)$/ });
+});
+
+test("operators group by precedence, ** to the right and the rest to the left", () => {
+    assert.strictEqual(show(expression("2 ** 3 ** 2;")), "(2 ** (3 ** 2))");
+    assert.strictEqual(show(expression("a - b - c;")), "((a - b) - c)");
+    assert.strictEqual(show(expression("a + b * c ** d;")), "(a + (b * (c ** d)))");
+    assert.strictEqual(show(expression("(-a) ** b;")), "((-a) ** b)");
+    assert.strictEqual(show(expression("a || b && c;")), "(a || (b && c))");
+    assert.strictEqual(show(expression("a ?? (b || c);")), "(a ?? ((b || c)))");
+    assert.throws(() => parse("a ?? b || c;"), /Cannot mix \?\? with \|\| or && without parentheses/);
+});
+
+test("other early errors the notes lean on are rejected too", () => {
+    const sources = [
+        "const a;",
+        "let let = 1;",
+        "throw\nnew Error();",
+        "try {}",
+        "({ get x(a) {} });",
+        "1 = 2;",
+        "for (const i = 0; i < 1; i++) {}",
+        "let [a] = [1];",
+        "x\n++y;",
+    ];
+    for (const source of sources) assert.strictEqual(accepts(source), v8Accepts(source), source);
+});
+
+test("a / right after an if, while, for or with head starts a regex; after any other ) it divides", () => {
+    const regexOf = statement => statement.expression.callee.object.regex;
+    assert.deepStrictEqual(regexOf(parse("if (x) /re/.test(s);").body[0].consequent), { pattern: "re", flags: "" });
+    assert.deepStrictEqual(regexOf(parse("while (i--) /a/g.exec(s);").body[0].body), { pattern: "a", flags: "g" });
+    assert.deepStrictEqual(regexOf(parse("for (;;) /a/.test(s);").body[0].body), { pattern: "a", flags: "" });
+    assert.deepStrictEqual(regexOf(parse("for (const k in o) /a/.test(k);").body[0].body), { pattern: "a", flags: "" });
+    assert.deepStrictEqual(regexOf(parse("with (o) /a/.test(s);").body[0].body), { pattern: "a", flags: "" });
+    assert.strictEqual(show(expression("(a) / b / c;")), "(((a) / b) / c)");
+    assert.strictEqual(show(parse("if ((a) / 2) {}").body[0].test), "((a) / 2)");
+});
+
+test("new.target only inside a function, a class field or a static block, as in V8", () => {
+    const v8AcceptsScript = source => {
+        try {
+            new vm.Script(source);
+            return true;
+        } catch {
+            return false;
+        }
+    };
+    const sources = [
+        "new.target;",
+        "() => new.target;",
+        "function f() { return new.target; }",
+        "function f() { return () => new.target; }",
+        "({ m() { return new.target; } });",
+        "class A { x = new.target; static { new.target; } }",
+        "function f() { new.foo; }",
+    ];
+    for (const source of sources) assert.strictEqual(accepts(source), v8AcceptsScript(source), source);
+    assert.throws(() => parse("new.target;"), /new\.target expression is not allowed here/);
+});
+
+test("nodes carry offsets and lines, and walk() visits them in source order", () => {
+    const program = parse("let a = 1;\nfunction f(b) {\n  return a + b;\n}\n");
+    const [declaration, fn] = program.body;
+    assert.deepStrictEqual([declaration.type, declaration.start, declaration.end], ["VariableDeclaration", 0, 10]);
+    assert.deepStrictEqual([fn.loc.start, fn.loc.end], [{ line: 2, column: 0 }, { line: 4, column: 1 }]);
+
+    const names = [];
+    walk(program, node => { if (node.type === "Identifier") names.push(`${node.name}@${node.loc.start.line}`); });
+    assert.deepStrictEqual(names, ["a@1", "f@2", "b@2", "a@3", "b@3"]);
+
+    const skipped = [];
+    walk(program, { enter: node => (node.type === "FunctionDeclaration" ? false : undefined), leave: node => skipped.push(node.type) });
+    assert.deepStrictEqual(skipped, ["Identifier", "Literal", "VariableDeclarator", "VariableDeclaration", "Program"]);
+});
+
+test("import / export make the source a module", () => {
+    assert.strictEqual(parse("import x from \"y\";\n").sourceType, "module");
+    assert.strictEqual(parse("export const a = 1;\n").sourceType, "module");
+    assert.strictEqual(parse("const a = 1;\n").sourceType, "script");
+});
@@ -0,0 +1,91 @@
+// Puzzle runner: splitting, running in a sandbox, and line numbers into the file run
+//
+// node --test "Variable declaration/test/"
+
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { spawnSync } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { splitPuzzles, runPuzzle, runAll, formatReport, PUZZLE_FILE } = require("../puzzle-runner");
+
+const SOURCE = [
+    "// Problem 1: Logs",                                     // 1
+    "console.log('a', 1);",                                   // 2
+    "setTimeout(() => console.log('later'), 5);",             // 3
+    "// Problem 2: Throws",                                   // 4
+    "let x = 1;",                                             // 5
+    "x();",                                                   // 6
+    "// 🎯 Advanced Level",                                    // 7
+    "console.log('in no puzzle');",                           // 8
+    "Snippet 3: Async",                                       // 9
+    "(async () => { throw new RangeError('rejected'); })();", // 10
+].join("\n");
+
+const OTHER_FILE = path.join(os.tmpdir(), "puzzles.js");
+
+test("splitPuzzles() keeps each puzzle's lines where they were, and remembers the file", () => {
+    const puzzles = splitPuzzles(SOURCE, OTHER_FILE);
+    assert.deepStrictEqual(puzzles.map(p => [p.id, p.kind, p.number, p.title, p.startLine, p.file]), [
+        ["p1", "problem", 1, "Logs", 1, OTHER_FILE],
+        ["p2", "problem", 2, "Throws", 4, OTHER_FILE],
+        ["s3", "snippet", 3, "Async", 9, OTHER_FILE],
+    ]);
+    // The marker line is blanked, and a section title ends the puzzle before it
+    assert.strictEqual(puzzles[1].code, "\nlet x = 1;\nx();\n");
+    assert.strictEqual(splitPuzzles("// Exercise 1: Default\n")[0].file, PUZZLE_FILE);
+});
+
+test("output, errors and async failures carry line numbers in the file the puzzle came from", async () => {
+    const [logs, throws, rejects] = splitPuzzles(SOURCE, OTHER_FILE);
+
+    const logged = await runPuzzle(logs);
+    assert.deepStrictEqual(logged.output, ["a 1", "later"]);
+    assert.deepStrictEqual(logged.log.map(entry => [entry.line, entry.values]), [[2, ["a", "1"]], [3, ["later"]]]);
+    assert.deepStrictEqual(logged.errors, []);
+
+    assert.deepStrictEqual((await runPuzzle(throws)).errors, [{ name: "TypeError", message: "x is not a function", line: 6 }]);
+
+    // node:test fails whichever test leaves a rejection unhandled, so this one runs on its own
+    const script = `
+        const { runPuzzle } = require(${JSON.stringify(require.resolve("../puzzle-runner"))});
+        runPuzzle(${JSON.stringify(rejects)}).then(r => console.log(JSON.stringify(r.errors)));
+    `;
+    const { stdout } = spawnSync(process.execPath, ["-e", script], { encoding: "utf8", timeout: 10000 });
+    assert.deepStrictEqual(JSON.parse(stdout), [{ name: "RangeError", message: "rejected", line: 10 }]);
+
+    const [early] = splitPuzzles("// Problem 1: Early error\nlet a;\nlet a;\n", OTHER_FILE);
+    assert.deepStrictEqual((await runPuzzle(early)).errors.map(e => [e.name, e.line]), [["SyntaxError", 3]]);
+});
+
+test("env decides whether there is a window, and the limits cut runaway puzzles off", async () => {
+    const [probe] = splitPuzzles("// Problem 1: Window\nconsole.log(typeof window, typeof window !== 'undefined' && window === this);\n");
+    assert.deepStrictEqual((await runPuzzle(probe)).output, ["object true"]);
+    assert.deepStrictEqual((await runPuzzle(probe, { env: "node" })).output, ["undefined false"]);
+
+    const [spin] = splitPuzzles("// Problem 1: Spin\nwhile (true) {}\n");
+    const spun = await runPuzzle(spin, { syncTimeoutMs: 50 });
+    assert.match(spun.errors[0].message, /timed out after 50ms/);
+
+    const [slow] = splitPuzzles("// Problem 1: Slow\nsetTimeout(() => console.log('never'), 60000);\n");
+    const cut = await runPuzzle(slow, { waitMs: 30 });
+    assert.deepStrictEqual([cut.output, cut.timedOut], [[], true]);
+});
+
+test("runAll() runs index.js, or the file it is given", async () => {
+    const results = await runAll({ only: ["p3", "p4"] });
+    assert.deepStrictEqual(results.map(r => r.errors.map(e => `${e.name} line ${e.line}`)), [
+        ["SyntaxError line 34"],
+        ["ReferenceError line 46"],
+    ]);
+    assert.match(formatReport(results), /^Problem 3: Redeclaration {2}\(line 27\)\n {2}✗ SyntaxError: Identifier 'count' has already been declared \(line 34\)/);
+
+    fs.writeFileSync(OTHER_FILE, SOURCE);
+    try {
+        const [throws] = await runAll({ file: OTHER_FILE, only: ["p2"] });
+        assert.deepStrictEqual([throws.file, throws.errors[0].line], [OTHER_FILE, 6]);
+    } finally {
+        fs.unlinkSync(OTHER_FILE);
+    }
+});
@@ -0,0 +1,82 @@
+// Quiz mode: reading questions and answers off the notes, and checking them by running the code
+//
+// node --test "Variable declaration/test/"
+
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const { splitPuzzles, PUZZLE_FILE } = require("../puzzle-runner");
+const { parseAnswer, extractQuestions, checkPuzzle, quiz, matches, formatCheck } = require("../quiz");
+
+const PUZZLE = splitPuzzles([
+    "// Problem 1: Practice",
+    "var i = 3;",
+    "console.log(i, i); // What's output? ❌ 3 3 because var",
+    "console.log('x'); // ? ❌ 'y'",
+    "console.log(typeof i); // ?",
+    "let k = 1; // SyntaxError",
+    "if (false) {",
+    "    console.log(i); // What's output? ❌ 3",
+    "}",
+    "console.log(j); // What happens? ✅ ReferenceError",
+    "// console.log(i); // ? a commented-out line is no question",
+].join("\n"))[0];
+
+test("parseAnswer() reads an error name or the printed values and ignores the prose after them", () => {
+    assert.deepStrictEqual(parseAnswer("SyntaxError (Duplicate declaration)"), { error: "SyntaxError" });
+    assert.deepStrictEqual(parseAnswer("3 3 3 var shares the same reference"), { values: ["3", "3", "3"] });
+    assert.deepStrictEqual(parseAnswer("'hello' undefined then"), { values: ["hello", "undefined"] });
+    assert.deepStrictEqual(parseAnswer("it depends"), { text: "it depends" });
+    assert.strictEqual(parseAnswer("  "), null);
+});
+
+test("extractQuestions() finds the question lines, with the answers the notes give", () => {
+    const questions = extractQuestions(PUZZLE);
+    assert.deepStrictEqual(questions.map(q => [q.key, q.code, q.question, q.expected]), [
+        ["p1:3", "console.log(i, i);", "What's output?", { values: ["3", "3"] }],
+        ["p1:4", "console.log('x');", "?", { values: ["y"] }],
+        ["p1:5", "console.log(typeof i);", "?", null],
+        ["p1:6", "let k = 1;", "What happens?", { error: "SyntaxError" }],
+        ["p1:8", "console.log(i);", "What's output?", { values: ["3"] }],
+        ["p1:10", "console.log(j);", "What happens?", { error: "ReferenceError" }],
+    ]);
+});
+
+test("matches() compares an answer with what the line did", () => {
+    assert.ok(matches({ error: "TypeError" }, { error: "TypeError" }));
+    assert.ok(!matches({ values: ["1"] }, { error: "TypeError" }));
+    assert.ok(matches({ values: ["3", "3", "3"] }, { text: "i: 3 i: 3 i: 3", lastValues: ["3", "3", "3"] }));
+    assert.ok(matches({ text: "{ a: 1 }" }, { text: "{ a: 1 }", lastValues: ["{ a: 1 }"] }));
+    assert.ok(matches({ text: "nothing" }, { nothing: true }));
+    assert.ok(!matches({ values: ["1"] }, { notRun: true }));
+});
+
+test("checkPuzzle() runs the puzzle and marks each answer right, wrong, unasked or never run", async () => {
+    const { questions } = await checkPuzzle(PUZZLE);
+    assert.deepStrictEqual(questions.map(q => [q.line, q.status]), [
+        [3, "pass"],
+        [4, "fail"],
+        [5, "unanswered"],
+        [6, "fail"], // the line runs fine: only a redeclaration would be a SyntaxError
+        [8, "not-run"],
+        [10, "pass"],
+    ]);
+    assert.deepStrictEqual(questions[2].actual, { text: "number", lastValues: ["number"] });
+    assert.match(formatCheck([{ puzzle: PUZZLE, questions }]), /Inline answers: 2 match, 2 wrong, 1 on lines that never run$/);
+});
+
+test("quiz() scores the learner's answers to the unanswered questions", async () => {
+    const checked = [await checkPuzzle(PUZZLE)];
+    const { scored, correct, total } = await quiz(checked, { answers: { "p1:5": "number" } });
+    assert.deepStrictEqual(scored, [{ key: "p1:5", reply: "number", correct: true, actual: "number" }]);
+    assert.deepStrictEqual([correct, total], [1, 1]);
+    assert.strictEqual((await quiz(checked, { answers: { "p1:5": "referenceerror" } })).correct, 0);
+});
+
+test("the notes' own inline answers all hold", async () => {
+    const checked = [];
+    for (const puzzle of splitPuzzles(fs.readFileSync(PUZZLE_FILE, "utf8"))) checked.push(await checkPuzzle(puzzle));
+    const answered = checked.flatMap(c => c.questions).filter(q => q.expected);
+    assert.deepStrictEqual(answered.filter(q => q.status === "fail").map(q => q.key), []);
+    assert.ok(answered.filter(q => q.status === "pass").length >= 5);
+});
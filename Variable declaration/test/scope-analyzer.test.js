@@ -0,0 +1,41 @@
+// Scope analyzer: the puzzle fixtures, and callbacks created in a loop
+//
+// node --test "Variable declaration/test/"
+
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const { splitPuzzles, PUZZLE_FILE } = require("../puzzle-runner");
+const { analyzeSource, FIXTURES } = require("../scope-analyzer");
+
+const loopClosures = code => analyzeSource(code, { rules: ["loop-closure"] }).map(f => `${f.line}:${f.column}`);
+
+test("every rule reports what FIXTURES says on the puzzles", () => {
+    const puzzles = splitPuzzles(fs.readFileSync(PUZZLE_FILE, "utf8"));
+    for (const [id, expected] of Object.entries(FIXTURES)) {
+        const puzzle = puzzles.find(p => p.id === id);
+        const findings = analyzeSource(puzzle.code, { startLine: puzzle.startLine });
+        for (const [rule, lines] of Object.entries(expected)) {
+            assert.deepStrictEqual(findings.filter(f => f.rule === rule).map(f => f.line), lines, `${id} ${rule}`);
+        }
+    }
+});
+
+test("loop-closure follows a var into a timer callback nested in a forEach callback", () => {
+    const code = [
+        "var items = [1, 2];",
+        "for (var i = 0; i < 3; i++) {",
+        "    items.forEach(item => {",
+        "        setTimeout(() => console.log(i, item), 0);",
+        "    });",
+        "}",
+    ].join("\n");
+    assert.deepStrictEqual(loopClosures(code), ["4:38"]);
+    const [finding] = analyzeSource(code, { rules: ["loop-closure"] });
+    assert.match(finding.message, /^the setTimeout\(\) callback in the loop on line 2 captures 'i'/);
+});
+
+test("loop-closure leaves callbacks that all run before the loop moves on alone", () => {
+    assert.deepStrictEqual(loopClosures("for (var j = 0; j < 3; j++) {\n    [1].forEach(n => [n].map(m => j + m));\n}\n"), []);
+    assert.deepStrictEqual(loopClosures("for (let k = 0; k < 3; k++) {\n    [1].forEach(() => setTimeout(() => k));\n}\n"), []);
+});
@@ -0,0 +1,1465 @@
+"use strict";
+// The shared case table: feature name → [[label, t => ({ this, args, probe })], …]
+//
+// Every implementation of a feature – the coding/polyfills one and each Polyfills.md
+// variant – runs the same cases, and so does the native method they are compared with.
+// Cases are rebuilt for each run (see harness.js), callbacks are strict-mode functions so
+// they see thisArg exactly as passed, and `t` provides spies, logging getters and STOP.
+
+const { show } = require("./harness");
+
+const CASES = {};
+
+function add(feature, label, make) {
+    (CASES[feature] = CASES[feature] || []).push([label, make]);
+}
+
+const describe = value => show(value, new Map());
+
+class SubArray extends Array {}
+
+// ─── shared fixtures ────────────────────────────────────────────────────────────────
+
+// Receivers for the Array.prototype methods
+const ARRAYS = {
+    "dense array": () => [1, 2, 3, 4, 5],
+    "sparse array": () => [1, , 3, , 5],
+    "only holes": () => [, , ,],
+    "empty array": () => [],
+    "undefined, null, NaN and ±0": () => [undefined, null, NaN, -0, 0],
+    "nested arrays": () => [[1, 2], [3, [4]], 5],
+    "array-like": () => ({ length: 3, 0: "a", 2: "c" }),
+    "array-like, string length": () => ({ length: "2", 0: "a", 1: "b", 2: "c" }),
+    "array-like, fractional length": () => ({ length: 2.9, 0: "a", 1: "b", 2: "c" }),
+    "array-like, negative length": () => ({ length: -3, 0: "a" }),
+    "array-like, no length": () => ({ 0: "a", 1: "b" }),
+    "string receiver": () => "abc",
+    "number receiver": () => 42,
+    "array with an extra property": () => Object.assign([1, 2, 3], { extra: "x" }),
+    "index inherited from the prototype": () => {
+        const array = [1, , 3];
+        Object.setPrototypeOf(array, Object.create(Array.prototype, { 1: { value: "inherited", enumerable: true } }));
+        return array;
+    },
+    "Array subclass": () => SubArray.from([1, 2, 3]),
+    "logged length": t => t.getter({ 0: "a", 1: "b" }, "length", 2),
+    "logged elements": t => t.getter(t.getter([, , "c"], 0, "a"), 1, "b"),
+};
+
+// Integer-ish arguments: indices, positions, depths, counts
+const INDICES = [
+    0, 1, 2, -1, -2, -0, 2.5, -2.5, NaN, Infinity, -Infinity, "1", "-1", "abc", "", undefined, null, true, false,
+    1e21, -1e21, 2 ** 32, 2 ** 32 + 1, 2 ** 53, [], [2], { valueOf: () => 1 }, Symbol("index"), 1n,
+];
+
+// Callbacks that change the array under iteration, applied to dense and sparse arrays
+const MUTATIONS = {
+    "callback pushes": (array, i) => {
+        if (i === 0) Array.prototype.push.call(array, "pushed");
+    },
+    "callback deletes the next element": (array, i) => {
+        delete array[i + 1];
+    },
+    "callback shrinks the array": (array, i) => {
+        if (i === 0) array.length = 2;
+    },
+    "callback fills the next slot": (array, i) => {
+        array[i + 1] = "filled";
+    },
+};
+
+const stringOf = value => (typeof value === "symbol" ? value.toString() : String(value));
+
+// ─── Array.prototype: callback methods ──────────────────────────────────────────────
+
+const CALLBACK_METHODS = {
+    "Array.prototype.map": (x, i) => `${i}:${stringOf(x)}`,
+    "Array.prototype.filter": (x, i) => i % 2 === 0,
+    "Array.prototype.forEach": () => "ignored",
+    "Array.prototype.some": x => x === 3 || x === "c",
+    "Array.prototype.every": x => x !== 3 && x !== "c",
+    "Array.prototype.find": x => x === 3 || x === "c" || x === undefined,
+    "Array.prototype.findIndex": x => x === 3 || x === "c" || x === undefined,
+    "Array.prototype.findLast": x => x === 1 || x === "a" || x === undefined,
+    "Array.prototype.findLastIndex": x => x === 1 || x === "a" || x === undefined,
+    "Array.prototype.flatMap": (x, i) => (i % 2 ? [x, [x]] : x),
+};
+
+for (const [feature, body] of Object.entries(CALLBACK_METHODS)) {
+    for (const [label, receiver] of Object.entries(ARRAYS)) {
+        add(feature, label, t => ({ this: receiver(t), args: [t.spy(body)] }));
+    }
+    for (const [label, mutate] of Object.entries(MUTATIONS)) {
+        for (const receiver of ["dense array", "sparse array"]) {
+            add(feature, `${receiver}, ${label}`, t => ({
+                this: ARRAYS[receiver](t),
+                args: [
+                    t.spy((x, i, array) => {
+                        mutate(array, i);
+                        return body(x, i);
+                    }),
+                ],
+            }));
+        }
+    }
+    add(feature, "thisArg object", t => ({ this: [1, 2, 3], args: [t.spy(body), t.thisArg] }));
+    add(feature, "primitive thisArg", t => ({ this: [1, 2, 3], args: [t.spy(body), "primitive"] }));
+    add(feature, "explicit undefined thisArg", t => ({ this: [1, 2, 3], args: [t.spy(body), undefined] }));
+    add(feature, "length beyond 2^53", t => ({
+        this: { length: 2 ** 53 + 10, 0: "a", 1: "b", 2: "c" },
+        args: [
+            t.spy((x, i) => {
+                if (i >= 2) throw t.STOP;
+                return body(x, i);
+            }),
+        ],
+    }));
+    add(feature, "null receiver", t => ({ this: null, args: [t.spy(body)] }));
+    add(feature, "undefined receiver", t => ({ this: undefined, args: [t.spy(body)] }));
+    add(feature, "no callback", () => ({ this: [1, 2, 3], args: [] }));
+    add(feature, "object as callback", () => ({ this: [1, 2, 3], args: [{}] }));
+    add(feature, "non-callable callback on an empty array", () => ({ this: [], args: ["nope"] }));
+    add(feature, "length is read before the callback is checked", t => ({ this: t.getter({}, "length", 0), args: [null] }));
+    add(feature, "callback throws", t => ({
+        this: [1, 2, 3],
+        args: [
+            t.spy(() => {
+                throw new RangeError("from the callback");
+            }),
+        ],
+    }));
+}
+
+// ─── Array.prototype.reduce / reduceRight ───────────────────────────────────────────
+
+const joinAccumulator = (accumulator, x, i) => `${stringOf(accumulator)}|${i}:${stringOf(x)}`;
+
+for (const feature of ["Array.prototype.reduce", "Array.prototype.reduceRight"]) {
+    for (const [label, receiver] of Object.entries(ARRAYS)) {
+        add(feature, label, t => ({ this: receiver(t), args: [t.spy(joinAccumulator)] }));
+        add(feature, `${label}, initial value`, t => ({ this: receiver(t), args: [t.spy(joinAccumulator), "init"] }));
+    }
+    for (const [label, mutate] of Object.entries(MUTATIONS)) {
+        add(feature, `dense array, ${label}`, t => ({
+            this: [1, 2, 3, 4, 5],
+            args: [
+                t.spy((accumulator, x, i, array) => {
+                    mutate(array, i);
+                    return joinAccumulator(accumulator, x, i);
+                }),
+                "init",
+            ],
+        }));
+    }
+    add(feature, "empty array without an initial value", t => ({ this: [], args: [t.spy(joinAccumulator)] }));
+    add(feature, "holes only without an initial value", t => ({ this: [, , ,], args: [t.spy(joinAccumulator)] }));
+    add(feature, "one element without an initial value", t => ({ this: [7], args: [t.spy(joinAccumulator)] }));
+    add(feature, "one element after holes", t => ({ this: [, , 7, ,], args: [t.spy(joinAccumulator)] }));
+    add(feature, "explicit undefined initial value", t => ({ this: [1, 2], args: [t.spy(joinAccumulator), undefined] }));
+    add(feature, "empty array with an initial value", t => ({ this: [], args: [t.spy(joinAccumulator), 0] }));
+    add(feature, "sum", () => ({ this: [1, 2, 3, 4], args: [(a, b) => a + b] }));
+    add(feature, "null receiver", t => ({ this: null, args: [t.spy(joinAccumulator)] }));
+    add(feature, "no callback", () => ({ this: [1, 2], args: [] }));
+    add(feature, "non-callable callback on an empty array", () => ({ this: [], args: [{}, 0] }));
+    add(feature, "length is read before the callback is checked", t => ({ this: t.getter({}, "length", 0), args: [null, 0] }));
+}
+
+// ─── Array.prototype: flat / includes / at / with / concat ──────────────────────────
+
+const DEEP = () => [1, [2, [3, [4, [5]]]]];
+
+for (const depth of INDICES) {
+    add("Array.prototype.flat", `depth ${describe(depth)}`, () => ({ this: DEEP(), args: [depth] }));
+}
+for (const [label, receiver] of Object.entries(ARRAYS)) {
+    add("Array.prototype.flat", label, t => ({ this: receiver(t), args: [] }));
+}
+add("Array.prototype.flat", "holes at every level", () => ({ this: [1, , [2, , [3, , 4]]], args: [Infinity] }));
+add("Array.prototype.flat", "array-likes inside are kept", () => ({ this: [{ length: 1, 0: "x" }, ["y"]], args: [] }));
+add("Array.prototype.flat", "no depth", () => ({ this: DEEP(), args: [] }));
+add("Array.prototype.flat", "empty nested arrays", () => ({ this: [[], [[]], [[], [1]]], args: [Infinity] }));
+add("Array.prototype.flat", "null receiver", () => ({ this: null, args: [] }));
+add("Array.prototype.flatMap", "mapper returns nested arrays", () => ({ this: [1, 2], args: [x => [[x], x]] }));
+add("Array.prototype.flatMap", "mapper returns array-likes", () => ({ this: [1, 2], args: [x => ({ length: 1, 0: x })] }));
+add("Array.prototype.flatMap", "mapper returns sparse arrays", () => ({ this: [1, 2], args: [x => [x, , x]] }));
+
+const INCLUDES_SEARCHES = [
+    ["NaN in [NaN]", () => [NaN], NaN],
+    ["0 in [-0]", () => [-0], 0],
+    ["-0 in [0]", () => [0], -0],
+    ["undefined in a sparse array", () => [1, , 3], undefined],
+    ["undefined in an empty array", () => [], undefined],
+    ['"1" in [1]', () => [1], "1"],
+    ["object identity", () => [{}], {}],
+    ['"b" in a string receiver', () => "abc", "b"],
+    ['"c" in an array-like', () => ({ length: 3, 2: "c" }), "c"],
+    ["3 in a dense array", () => [1, 2, 3, 4, 5], 3],
+    ["null in [undefined]", () => [undefined], null],
+];
+for (const [label, receiver, search] of INCLUDES_SEARCHES) {
+    add("Array.prototype.includes", label, () => ({ this: receiver(), args: [search] }));
+}
+for (const fromIndex of INDICES) {
+    add("Array.prototype.includes", `fromIndex ${describe(fromIndex)}`, () => ({ this: [1, 2, 3, 1], args: [1, fromIndex] }));
+}
+add("Array.prototype.includes", "fromIndex is not read for an empty array", t => ({ this: [], args: [1, t.getter({}, "valueOf", () => 0)] }));
+add("Array.prototype.includes", "logged elements", t => ({ this: ARRAYS["logged elements"](t), args: ["b"] }));
+add("Array.prototype.includes", "null receiver", () => ({ this: null, args: [1] }));
+
+for (const index of INDICES) {
+    add("Array.prototype.at", `index ${describe(index)}`, () => ({ this: ["a", "b", "c"], args: [index] }));
+    add("Array.prototype.with", `index ${describe(index)}`, () => ({ this: ["a", "b", "c"], args: [index, "X"] }));
+}
+for (const [label, receiver] of Object.entries(ARRAYS)) {
+    add("Array.prototype.at", label, t => ({ this: receiver(t), args: [-1] }));
+    add("Array.prototype.with", label, t => ({ this: receiver(t), args: [0, "X"] }));
+}
+add("Array.prototype.at", "no index", () => ({ this: [1, 2], args: [] }));
+add("Array.prototype.at", "null receiver", () => ({ this: null, args: [0] }));
+add("Array.prototype.with", "hole read as undefined", () => ({ this: [1, , 3], args: [2, "X"] }));
+add("Array.prototype.with", "null receiver", () => ({ this: null, args: [0, 1] }));
+
+const CONCAT_ARGS = [
+    ["values and arrays", () => [3, [4, 5], [[6]]]],
+    ["sparse array argument", () => [[7, , 9]]],
+    ["array-like argument", () => [{ length: 2, 0: "a", 1: "b" }]],
+    ["spreadable array-like", () => [{ length: 2, 0: "a", 1: "b", [Symbol.isConcatSpreadable]: true }]],
+    ["array marked not spreadable", () => [Object.assign([1, 2], { [Symbol.isConcatSpreadable]: false })]],
+    ["string argument", () => ["xy"]],
+    ["no arguments", () => []],
+    ["null and undefined", () => [null, undefined]],
+    ["empty arrays", () => [[], [[]]]],
+];
+for (const [receiverLabel, receiver] of [["dense array", ARRAYS["dense array"]], ["sparse array", ARRAYS["sparse array"]], ["empty array", ARRAYS["empty array"]]]) {
+    for (const [label, args] of CONCAT_ARGS) {
+        add("Array.prototype.concat", `${receiverLabel}, ${label}`, () => ({ this: receiver(), args: args() }));
+    }
+}
+for (const [label, receiver] of Object.entries(ARRAYS)) {
+    add("Array.prototype.concat", `${label} as receiver`, t => ({ this: receiver(t), args: ["z"] }));
+}
+add("Array.prototype.concat", "null receiver", () => ({ this: null, args: [1] }));
+
+// ─── Array.prototype: change array by copy ──────────────────────────────────────────
+
+for (const [label, receiver] of Object.entries(ARRAYS)) {
+    add("Array.prototype.toSorted", label, t => ({ this: receiver(t), args: [] }));
+    add("Array.prototype.toReversed", label, t => ({ this: receiver(t), args: [] }));
+    add("Array.prototype.toSpliced", label, t => ({ this: receiver(t), args: [1, 1, "X"] }));
+}
+const byNumber = (a, b) => a - b;
+add("Array.prototype.toSorted", "default order compares strings", () => ({ this: [3, 1, 10, 2, 21], args: [] }));
+add("Array.prototype.toSorted", "numeric comparator", () => ({ this: [3, 1, 10, 2, 21], args: [byNumber] }));
+add("Array.prototype.toSorted", "undefined and holes go last", () => ({ this: [3, undefined, , 1, , 2], args: [] }));
+add("Array.prototype.toSorted", "stable for equal keys", () => ({
+    this: [{ k: 2, id: "a" }, { k: 1, id: "b" }, { k: 2, id: "c" }, { k: 1, id: "d" }],
+    args: [(a, b) => a.k - b.k],
+}));
+add("Array.prototype.toSorted", "explicit undefined comparator", () => ({ this: [2, 1], args: [undefined] }));
+add("Array.prototype.toSorted", "null comparator", () => ({ this: [2, 1], args: [null] }));
+add("Array.prototype.toSorted", "non-callable comparator on an empty array", () => ({ this: [], args: ["nope"] }));
+add("Array.prototype.toSorted", "comparator is checked before the receiver", () => ({ this: null, args: [{}] }));
+add("Array.prototype.toSorted", "null receiver", () => ({ this: null, args: [] }));
+add("Array.prototype.toReversed", "null receiver", () => ({ this: null, args: [] }));
+
+const SPLICE_ARGS = [
+    [], [1], [1, 2], [1, 2, "a", "b"], [-2], [-2, 1], [NaN, NaN], [Infinity], [-Infinity, 1], [undefined], [undefined, undefined],
+    [2, -1], [2, Infinity, "x"], [0, 0, "x", "y", "z"], ["1", "2"], [5, 0, "end"], [6, 0, "past the end"],
+];
+for (const args of SPLICE_ARGS) {
+    add("Array.prototype.toSpliced", `(${args.map(describe).join(", ")})`, () => ({ this: [1, 2, 3, 4, 5], args }));
+}
+add("Array.prototype.toSpliced", "sparse array, nothing removed", () => ({ this: [1, , 3], args: [0, 0] }));
+add("Array.prototype.toSpliced", "new length beyond 2^53 - 1", () => ({ this: { length: 2 ** 53 - 1 }, args: [0, 0, "x"] }));
+add("Array.prototype.toSpliced", "null receiver", () => ({ this: null, args: [] }));
+
+// ─── Array.from / Array.isArray / Array.of ──────────────────────────────────────────
+
+function Collection(length) {
+    this.constructedWith = [...arguments];
+}
+
+const FROM_ITEMS = [
+    ["array", () => [1, 2, 3]],
+    ["sparse array (iterated)", () => [1, , 3]],
+    ["Set", () => new Set([1, 2, 2, 3])],
+    ["Map", () => new Map([["a", 1], ["b", 2]])],
+    ["string with astral characters", () => "a😀b"],
+    ["array-like", () => ({ length: 3, 0: "a", 2: "c" })],
+    ["array-like with only a length", () => ({ length: 2 })],
+    ["array-like, fractional length", () => ({ length: 1.5, 0: "a", 1: "b" })],
+    ["number", () => 5],
+    ["boolean", () => true],
+    ["empty object", () => ({})],
+    ["arguments object", () => (function () {
+        return arguments;
+    })("x", "y")],
+    ["typed array", () => new Uint8Array([1, 2])],
+];
+for (const [label, items] of FROM_ITEMS) {
+    add("Array.from", label, () => ({ args: [items()] }));
+    add("Array.from", `${label}, mapped`, t => ({ args: [items(), t.spy((x, i) => [i, x]), t.thisArg] }));
+}
+add("Array.from", "generator", t => ({
+    args: [
+        (function* () {
+            t.log("generator started");
+            yield "first";
+            yield "second";
+        })(),
+    ],
+}));
+add("Array.from", "iterator is closed when mapFn throws", t => {
+    let i = 0;
+    const iterable = {
+        [Symbol.iterator]: () => ({
+            next: () => ({ done: false, value: i++ }),
+            return: () => {
+                t.log("return() called");
+                return {};
+            },
+        }),
+    };
+    return {
+        args: [
+            iterable,
+            x => {
+                if (x === 2) throw t.STOP;
+                return x;
+            },
+        ],
+    };
+});
+add("Array.from", "iterator result that is not an object", () => ({ args: [{ [Symbol.iterator]: () => ({ next: () => 1 }) }] }));
+add("Array.from", "non-callable Symbol.iterator", () => ({ args: [{ [Symbol.iterator]: 1 }] }));
+add("Array.from", "Symbol.iterator is null, so array-like", () => ({ args: [{ [Symbol.iterator]: null, length: 1, 0: "x" }] }));
+add("Array.from", "null", () => ({ args: [null] }));
+add("Array.from", "undefined", () => ({ args: [undefined] }));
+add("Array.from", "no arguments", () => ({ args: [] }));
+add("Array.from", "non-callable mapFn", () => ({ args: [[1], "nope"] }));
+add("Array.from", "explicit undefined mapFn", () => ({ args: [[1], undefined] }));
+add("Array.from", "custom constructor as this, iterable", () => ({ this: Collection, args: [[1, 2]] }));
+add("Array.from", "custom constructor as this, array-like", () => ({ this: Collection, args: [{ length: 2, 0: "a", 1: "b" }] }));
+add("Array.from", "non-constructor as this", () => ({ this: () => {}, args: [[1, 2]] }));
+add("Array.from", "Array subclass as this", () => ({ this: SubArray, args: [[1, 2]] }));
+
+const IS_ARRAY = [
+    ["[]", () => []],
+    ["[1, 2]", () => [1, 2]],
+    ["new Array(3)", () => new Array(3)],
+    ["Array.prototype", () => Array.prototype],
+    ["Array subclass", () => new SubArray()],
+    ["proxy of an array", () => new Proxy([], {})],
+    ["proxy of a proxy of an array", () => new Proxy(new Proxy([1], {}), {})],
+    ["revoked proxy", () => {
+        const { proxy, revoke } = Proxy.revocable([], {});
+        revoke();
+        return proxy;
+    }],
+    ["proxy of an object, with throwing traps", () => new Proxy({}, {
+        get() {
+            throw new Error("get trap");
+        },
+        getPrototypeOf() {
+            throw new Error("getPrototypeOf trap");
+        },
+    })],
+    ["plain object", () => ({})],
+    ["array-like", () => ({ length: 0 })],
+    ["object inheriting from Array.prototype", () => Object.create(Array.prototype)],
+    ['Symbol.toStringTag "Array"', () => ({ [Symbol.toStringTag]: "Array" })],
+    ['array with Symbol.toStringTag "Object"', () => Object.assign([1], { [Symbol.toStringTag]: "Object" })],
+    ["typed array", () => new Uint8Array(2)],
+    ["string", () => "abc"],
+    ["arguments object", () => (function () {
+        return arguments;
+    })()],
+    ["null", () => null],
+    ["undefined", () => undefined],
+];
+for (const [label, value] of IS_ARRAY) {
+    add("Array.isArray", label, () => ({ args: [value()] }));
+}
+add("Array.isArray", "no argument", () => ({ args: [] }));
+
+const OF_ARGS = [[], [7], [1, 2, 3], [undefined], [[1]], [null, , 3], ["a", { b: 1 }]];
+for (const args of OF_ARGS) {
+    add("Array.of", `(${args.map(describe).join(", ")})`, () => ({ args }));
+}
+add("Array.of", "custom constructor as this", () => ({ this: Collection, args: [1, 2] }));
+add("Array.of", "non-constructor as this", () => ({ this: () => {}, args: [1, 2] }));
+add("Array.of", "Array subclass as this", () => ({ this: SubArray, args: [1, 2] }));
+
+// ─── String.prototype ───────────────────────────────────────────────────────────────
+
+const WHITESPACE_STRINGS = [
+    "  hello  ",
+    "\t\n\v\f\r hello \u00a0\ufeff",
+    "\u2028\u2029x\u3000\u1680",
+    "\u2000\u200a spaces \u202f\u205f",
+    "\u200bzero-width\u200b",
+    "\u180emongolian vowel separator\u180e",
+    "\u0085next line\u0085",
+    "",
+    "   ",
+    "no-space",
+    "a b  c",
+];
+const NON_STRING_RECEIVERS = [
+    ["number receiver", () => 123],
+    ["boolean receiver", () => true],
+    ["object with toString", t => ({ toString: t.spy(() => " obj ", "toString") })],
+    ["array receiver", () => [" a", "b "]],
+    ["null receiver", () => null],
+    ["undefined receiver", () => undefined],
+    ["Symbol receiver", () => Symbol("s")],
+];
+
+for (const feature of ["trim", "trimStart", "trimEnd", "trimLeft", "trimRight"].map(name => `String.prototype.${name}`)) {
+    for (const string of WHITESPACE_STRINGS) {
+        add(feature, describe(string), () => ({ this: string, args: [] }));
+    }
+    for (const [label, receiver] of NON_STRING_RECEIVERS) {
+        add(feature, label, t => ({ this: receiver(t), args: [] }));
+    }
+}
+
+const SEARCHES = ["hello", "world", "", "o w", "HELLO", "hello world!", "d", undefined, null, 1, { toString: () => "hello" }];
+const POSITIONS = [undefined, 0, 1, 6, -1, NaN, Infinity, -Infinity, "6", 11, 12, 1.5, null];
+for (const feature of ["startsWith", "endsWith", "includes"].map(name => `String.prototype.${name}`)) {
+    for (const search of SEARCHES) {
+        for (const position of POSITIONS) {
+            add(feature, `${describe(search)} at ${describe(position)}`, () => ({ this: "hello world", args: [search, position] }));
+        }
+    }
+    add(feature, "RegExp search", () => ({ this: "hello", args: [/h/] }));
+    add(feature, "RegExp with Symbol.match = false", () => {
+        const regexp = /h/;
+        regexp[Symbol.match] = false;
+        return { this: "/h/", args: [regexp] };
+    });
+    add(feature, "object with a truthy Symbol.match", () => ({ this: "hello", args: [{ [Symbol.match]: true }] }));
+    add(feature, "Symbol search", () => ({ this: "hello", args: [Symbol("h")] }));
+    add(feature, "Symbol position", () => ({ this: "hello", args: ["h", Symbol("p")] }));
+    add(feature, "no arguments", () => ({ this: "undefined", args: [] }));
+    add(feature, "astral characters", () => ({ this: "a😀b", args: ["😀", 1] }));
+    for (const [label, receiver] of NON_STRING_RECEIVERS) {
+        add(feature, label, t => ({ this: receiver(t), args: ["1"] }));
+    }
+}
+
+// Kept small: a polyfill that appends one copy at a time would take far too long on a
+// count near the string length limit
+const COUNTS = [0, 1, 3, 2.9, "2", -1, -0.5, NaN, Infinity, -Infinity, undefined, null, true, [2], Symbol("n")];
+for (const count of COUNTS) {
+    add("String.prototype.repeat", `"ab" × ${describe(count)}`, () => ({ this: "ab", args: [count] }));
+    add("String.prototype.repeat", `"" × ${describe(count)}`, () => ({ this: "", args: [count] }));
+}
+add("String.prototype.repeat", "astral characters", () => ({ this: "😀", args: [3] }));
+for (const [label, receiver] of NON_STRING_RECEIVERS) {
+    add("String.prototype.repeat", label, t => ({ this: receiver(t), args: [2] }));
+}
+
+const MAX_LENGTHS = [0, 2, 3, 5, 10, -1, NaN, "6", 5.9, undefined, null, true];
+const FILLERS = [undefined, "", "-", "12", "😀", 0, null, { toString: () => "o" }];
+for (const feature of ["String.prototype.padStart", "String.prototype.padEnd"]) {
+    for (const maxLength of MAX_LENGTHS) {
+        for (const filler of FILLERS) {
+            add(feature, `(${describe(maxLength)}, ${describe(filler)})`, () => ({ this: "abc", args: [maxLength, filler] }));
+        }
+    }
+    add(feature, "one argument", () => ({ this: "abc", args: [6] }));
+    add(feature, "Infinity with an empty filler", () => ({ this: "abc", args: [Infinity, ""] }));
+    add(feature, "2^53 with an empty filler", () => ({ this: "abc", args: [2 ** 53, ""] }));
+    add(feature, "Symbol filler", () => ({ this: "abc", args: [5, Symbol("f")] }));
+    add(feature, "astral receiver", () => ({ this: "😀", args: [5, "ab"] }));
+    for (const [label, receiver] of NON_STRING_RECEIVERS) {
+        add(feature, label, t => ({ this: receiver(t), args: [6, "*"] }));
+    }
+}
+
+const REPLACE_RECEIVERS = ["aaa", "a.b.c", "", "abcabc", "x"];
+const REPLACE_SEARCHES = [
+    ["a", () => "a"],
+    ["empty string", () => ""],
+    ['"."', () => "."],
+    ['"abc"', () => "abc"],
+    ['"z"', () => "z"],
+    ["undefined", () => undefined],
+    ["global RegExp", () => /a/g],
+    ["global case-insensitive RegExp", () => /B/gi],
+    ["non-global RegExp", () => /a/],
+    ["object with toString", () => ({ toString: () => "a" })],
+];
+const REPLACEMENTS = [
+    ["-", () => "-"],
+    ["$&$&", () => "$&$&"],
+    ["$$", () => "$$"],
+    ["$`", () => "$`"],
+    ["$'", () => "$'"],
+    ["$1", () => "$1"],
+    ["$<n>", () => "$<n>"],
+    ["empty", () => ""],
+    ["function", t => t.spy((...args) => `[${args.length}]`, "replacer")],
+    ["undefined", () => undefined],
+];
+for (const receiver of REPLACE_RECEIVERS) {
+    for (const [searchLabel, search] of REPLACE_SEARCHES) {
+        for (const [replacementLabel, replacement] of REPLACEMENTS) {
+            add("String.prototype.replaceAll", `${describe(receiver)}: ${searchLabel} → ${replacementLabel}`, t => ({
+                this: receiver,
+                args: [search(), replacement(t)],
+            }));
+        }
+    }
+}
+add("String.prototype.replaceAll", "object with Symbol.replace", t => ({
+    this: "abc",
+    args: [{ [Symbol.replace]: t.spy(() => "custom", "Symbol.replace") }, "x"],
+}));
+add("String.prototype.replaceAll", "RegExp without flags getter result", () => {
+    const regexp = /a/g;
+    Object.defineProperty(regexp, "flags", { value: undefined });
+    return { this: "aa", args: [regexp, "b"] };
+});
+add("String.prototype.replaceAll", "no arguments", () => ({ this: "undefined", args: [] }));
+for (const [label, receiver] of NON_STRING_RECEIVERS) {
+    add("String.prototype.replaceAll", label, t => ({ this: receiver(t), args: ["1", "one"] }));
+}
+
+// ─── Object ─────────────────────────────────────────────────────────────────────────
+
+const symbolKey = Symbol("key");
+const OBJECTS = [
+    ["plain object", () => ({ a: 1, b: 2 })],
+    ["integer-like keys come first", () => ({ b: 1, 2: "two", a: 2, 1: "one", "-1": "negative" })],
+    ["Symbol key", () => ({ a: 1, [symbolKey]: 2 })],
+    ["non-enumerable property", () => Object.defineProperty({ a: 1 }, "hidden", { value: 2, enumerable: false })],
+    ["logged getter", t => t.getter({ a: 1 }, "b", 2)],
+    ["inherited properties", () => Object.create({ inherited: 1 }, { own: { value: 2, enumerable: true } })],
+    ["null prototype", () => Object.assign(Object.create(null), { a: 1 })],
+    ["getter hides a later key", () => {
+        const object = {
+            get a() {
+                Object.defineProperty(this, "b", { enumerable: false });
+                return 1;
+            },
+            b: 2,
+        };
+        return object;
+    }],
+    ["getter deletes a later key", () => ({
+        get a() {
+            delete this.b;
+            return 1;
+        },
+        b: 2,
+    })],
+    ["array", () => ["x", , "z"]],
+    ["string", () => "ab"],
+    ["number", () => 5],
+    ["boolean", () => true],
+    ["function with a property", () => Object.assign(function named() {}, { prop: 1 })],
+    ["Map", () => new Map([["a", 1]])],
+    ["empty object", () => ({})],
+    ["null", () => null],
+    ["undefined", () => undefined],
+    ["Symbol", () => Symbol("s")],
+];
+for (const feature of ["Object.keys", "Object.values", "Object.entries"]) {
+    for (const [label, value] of OBJECTS) {
+        add(feature, label, t => ({ args: [value(t)] }));
+    }
+    add(feature, "no argument", () => ({ args: [] }));
+}
+
+const ENTRIES = [
+    ["array of pairs", () => [["a", 1], ["b", 2]]],
+    ["Map", () => new Map([["a", 1], [2, "two"]])],
+    ["Set of pairs", () => new Set([["a", 1]])],
+    ["duplicate keys", () => [["a", 1], ["a", 2]]],
+    ["Symbol key", () => [[symbolKey, 1]]],
+    ["number and object keys", () => [[1, "one"], [{ toString: () => "obj" }, "object"]]],
+    ["entries that are array-likes", () => [{ 0: "k", 1: "v", length: 2 }]],
+    ["short entries", () => [["only key"], []]],
+    ["string entry", () => ["ab"]],
+    ["null entry", () => [null]],
+    ["empty", () => []],
+    ["array-like of pairs (not iterable)", () => ({ length: 1, 0: ["a", 1] })],
+    ["null", () => null],
+    ["undefined", () => undefined],
+    ["string", () => "ab"],
+    ["number", () => 1],
+];
+for (const [label, entries] of ENTRIES) {
+    add("Object.fromEntries", label, () => ({ args: [entries()] }));
+}
+add("Object.fromEntries", "generator", () => ({
+    args: [
+        (function* () {
+            yield ["a", 1];
+            yield ["b", 2];
+        })(),
+    ],
+}));
+add("Object.fromEntries", "logged entry reads", t => ({ args: [[t.getter(t.getter({}, 0, "k"), 1, "v")]] }));
+add("Object.fromEntries", "iterator is closed on a bad entry", t => {
+    const iterable = {
+        [Symbol.iterator]: () => ({
+            next: () => ({ done: false, value: 42 }),
+            return: () => {
+                t.log("return() called");
+                return {};
+            },
+        }),
+    };
+    return { args: [iterable] };
+});
+
+const ASSIGNS = [
+    ["one source", () => [{}, { a: 1 }]],
+    ["several sources, later wins", () => [{ a: 0 }, { a: 1, b: 1 }, { b: 2 }]],
+    ["null and undefined sources", () => [{}, null, undefined, { b: 2 }]],
+    ["string source", () => [{}, "ab"]],
+    ["array source", () => [{}, [1, 2]]],
+    ["number and boolean sources", () => [{}, 42, true]],
+    ["Symbol key", () => [{}, { [symbolKey]: 1, a: 2 }]],
+    ["non-enumerable property", () => [{}, Object.defineProperty({ a: 1 }, "hidden", { value: 2, enumerable: false })]],
+    ["inherited properties", () => [{}, Object.create({ inherited: 1 }, { own: { value: 2, enumerable: true } })]],
+    ["number target", () => [1, { a: 1 }]],
+    ["string target", () => ["xy", { a: 1 }]],
+    ["null target", () => [null, { a: 1 }]],
+    ["undefined target", () => [undefined]],
+    ["target only", () => [{ a: 1 }]],
+    ["frozen target", () => [Object.freeze({ a: 1 }), { a: 2 }]],
+    ["read-only property on the target", () => [Object.defineProperty({}, "a", { value: 1, enumerable: true }), { a: 2 }]],
+    ["array target", () => [[1, 2, 3], ["x"]]],
+    ["__proto__ in the source", () => [{}, JSON.parse('{"__proto__": {"polluted": true}}')]],
+];
+for (const [label, args] of ASSIGNS) {
+    add("Object.assign", label, () => ({ args: args() }));
+}
+add("Object.assign", "getter on the source, setter on the target", t => ({ args: [t.getter({}, "a", 0), t.getter({}, "a", 1)] }));
+add("Object.assign", "no arguments", () => ({ args: [] }));
+
+const SAME_VALUE_PAIRS = [
+    [NaN, NaN], [0, -0], [-0, -0], [-0, 0], [1, 1], [1, "1"], [null, undefined], [undefined, undefined],
+    ["a", "a"], [Infinity, Infinity], [Infinity, -Infinity], [NaN, 0 / 0], [true, 1], [symbolKey, symbolKey], [1n, 1n], [1n, 1],
+];
+for (const pair of SAME_VALUE_PAIRS) {
+    add("Object.is", `(${pair.map(describe).join(", ")})`, () => ({ args: pair }));
+}
+add("Object.is", "same object", () => {
+    const object = {};
+    return { args: [object, object] };
+});
+add("Object.is", "two empty objects", () => ({ args: [{}, {}] }));
+add("Object.is", "one argument", () => ({ args: [undefined] }));
+add("Object.is", "no arguments", () => ({ args: [] }));
+
+const INTEGRITY_TARGETS = [
+    ["plain object with a nested one", () => ({ a: 1, nested: { b: 2 } })],
+    ["array", () => [1, 2, 3]],
+    ["accessor property", t => t.getter({ a: 1 }, "b", 2)],
+    ["Symbol key", () => ({ [symbolKey]: 1 })],
+    ["non-enumerable property", () => Object.defineProperty({}, "hidden", { value: 1, writable: true, configurable: true })],
+    ["already frozen", () => Object.freeze({ a: 1 })],
+    ["non-extensible", () => Object.preventExtensions({ a: 1 })],
+    ["function", () => function f() {}],
+    ["empty typed array", () => new Uint8Array(0)],
+    ["typed array with elements", () => new Uint8Array(2)],
+    ["number", () => 1],
+    ["string", () => "s"],
+    ["null", () => null],
+    ["undefined", () => undefined],
+    ["Symbol", () => symbolKey],
+];
+for (const feature of ["Object.freeze", "Object.seal", "Object.preventExtensions", "Object.isExtensible"]) {
+    for (const [label, target] of INTEGRITY_TARGETS) {
+        add(feature, label, t => ({ args: [target(t)] }));
+    }
+    add(feature, "no argument", () => ({ args: [] }));
+}
+add("Object.isExtensible", "empty object", () => ({ args: [{}] }));
+add("Object.isExtensible", "sealed object", () => ({ args: [Object.seal({})] }));
+
+const CREATES = [
+    ["null", () => [null]],
+    ["object", () => [{ x: 1 }]],
+    ["Array.prototype", () => [Array.prototype]],
+    ["Object.prototype", () => [Object.prototype]],
+    ["with property descriptors", () => [{ x: 1 }, { y: { value: 2, enumerable: true }, z: { value: 3 } }]],
+    ["null prototype with an accessor", () => [null, { a: { get: () => 1, enumerable: true } }]],
+    ["explicit undefined properties", () => [{}, undefined]],
+    ["null properties", () => [{}, null]],
+    ["non-object descriptor", () => [{}, { a: 1 }]],
+    ["function as prototype", () => [function Base() {}]],
+    ["number", () => [1]],
+    ["string", () => ["proto"]],
+    ["undefined", () => [undefined]],
+    ["no arguments", () => []],
+];
+for (const [label, args] of CREATES) {
+    add("Object.create", label, () => ({ args: args() }));
+}
+
+// Object.groupBy / Map.groupBy take (items, callback); section 36's method form is
+// called with the items as `this` by the loader
+const parity = x => (x % 2 ? "odd" : "even");
+const GROUPINGS = [
+    ["numbers by parity", () => [1, 2, 3, 4, 5], () => parity],
+    ["index argument", () => ["a", "b", "c"], () => (x, i) => i % 2],
+    ["string is iterated by code point", () => "a😀ab", () => x => x],
+    ["Set", () => new Set([1, 2, 3]), () => parity],
+    ["number keys", () => [1.5, 2.5, 1.2], () => Math.floor],
+    ["Symbol keys", () => [1, 2], () => x => (x === 1 ? symbolKey : "plain")],
+    ["-0 and +0 keys", () => [1, 2], () => x => (x === 1 ? -0 : 0)],
+    ["NaN keys", () => [1, 2], () => () => NaN],
+    ["object keys", () => [1, 2], () => () => ({})],
+    ["__proto__ key", () => [1], () => () => "__proto__"],
+    ["sparse array (iterated)", () => [1, , 3], () => x => String(x)],
+    ["empty", () => [], () => parity],
+    ["array-like (not iterable)", () => ({ length: 2, 0: 1, 1: 2 }), () => parity],
+    ["null", () => null, () => parity],
+    ["non-callable callback", () => [1], () => "nope"],
+];
+for (const feature of ["Object.groupBy", "Map.groupBy"]) {
+    for (const [label, items, callback] of GROUPINGS) {
+        add(feature, label, () => ({ args: [items(), callback()] }));
+    }
+    add(feature, "callback arguments", t => ({ args: [[1, 2, 3], t.spy(parity)] }));
+    add(feature, "callback throws", t => ({
+        args: [
+            [1, 2],
+            () => {
+                throw t.STOP;
+            },
+        ],
+    }));
+}
+
+// ─── Function.prototype ─────────────────────────────────────────────────────────────
+
+// Functions made with Function() are sloppy mode: `this` gets boxed / defaulted
+const sloppyThis = () => Function("return [this, ...arguments];");
+const strictThis = () =>
+    function strict(...args) {
+        return [this, ...args];
+    };
+
+function greet(greeting, punctuation) {
+    return `${greeting}, ${this && this.name}${punctuation}`;
+}
+
+function Point(x, y) {
+    this.x = x;
+    this.y = y;
+}
+
+class Shape {
+    constructor(kind) {
+        this.kind = kind;
+    }
+}
+
+const BINDS = [
+    ["this and one argument", () => greet, () => [{ name: "Ada" }, "Hi"], bound => bound("!")],
+    ["no arguments", () => greet, () => [], bound => bound("Hi", "?")],
+    ["more arguments than parameters", () => greet, () => [null, 1, 2, 3], bound => bound()],
+    ["strict function, primitive this", strictThis, () => [5, "a"], bound => bound("b")],
+    ["sloppy function, primitive this", sloppyThis, () => [5, "a"], bound => bound("b")],
+    ["sloppy function, null this", sloppyThis, () => [null], bound => bound()],
+    ["new on the bound function", () => Point, () => [{ ignored: true }, 1], bound => {
+        const point = new bound(2);
+        return [point, point instanceof Point, point instanceof bound, Object.getPrototypeOf(point) === Point.prototype];
+    }],
+    ["class: new works, call throws", () => Shape, () => [null, "circle"], bound => [new bound(), (() => {
+        try {
+            return bound();
+        } catch (error) {
+            return error;
+        }
+    })()]],
+    ["arrow function ignores this", () => (...args) => args, () => [{ ignored: true }, 1], bound => bound(2)],
+    ["bound function bound again", () => greet.bind({ name: "first" }, "Hello"), () => [{ name: "second" }], bound => bound("!")],
+    ["instanceof against the bound function", () => Point, () => [null], bound => [new Point() instanceof bound, {} instanceof bound]],
+    ["non-number length", () => Object.defineProperty(function f(a, b) {}, "length", { value: "3" }), () => [null, 1], bound => bound.length],
+    ["Infinity length", () => Object.defineProperty(function f() {}, "length", { value: Infinity }), () => [null, 1], bound => bound.length],
+    ["-Infinity length", () => Object.defineProperty(function f() {}, "length", { value: -Infinity }), () => [null], bound => bound.length],
+    ["fractional length", () => Object.defineProperty(function f() {}, "length", { value: 2.5 }), () => [null, 1], bound => bound.length],
+    ["no own length", () => {
+        const fn = function f(a, b) {};
+        delete fn.length;
+        return fn;
+    }, () => [null], bound => bound.length],
+    ["non-string name", () => Object.defineProperty(function f() {}, "name", { value: 42 }), () => [null], bound => bound.name],
+    ["anonymous function", () => [function () {}][0], () => [null], bound => bound.name],
+    ["prototype of the bound function", () => Point, () => [null], bound => [bound.prototype, "prototype" in bound]],
+];
+for (const [label, target, args, probe] of BINDS) {
+    add("Function.prototype.bind", label, () => ({ this: target(), args: args(), probe }));
+}
+add("Function.prototype.bind", "non-function receiver", () => ({ this: {}, args: [null] }));
+add("Function.prototype.bind", "null receiver", () => ({ this: null, args: [null] }));
+add("Function.prototype.bind", "callable-looking object", () => ({ this: { call() {}, apply() {} }, args: [null] }));
+
+const CALLS = [
+    ["object this", strictThis, () => [{ a: 1 }, 1, 2]],
+    ["strict function, null this", strictThis, () => [null]],
+    ["strict function, undefined this", strictThis, () => [undefined]],
+    ["strict function, primitive this", strictThis, () => ["str", 1]],
+    ["sloppy function, null this", sloppyThis, () => [null, 1]],
+    ["sloppy function, primitive this", sloppyThis, () => [7]],
+    ["no arguments at all", strictThis, () => []],
+    ["frozen this", strictThis, () => [Object.freeze({ frozen: true })]],
+    ["this sees no extra properties", () =>
+        function ownKeys() {
+            return Reflect.ownKeys(this);
+        }, () => [{ a: 1 }]],
+    ["built-in function", () => Math.max, () => [null, 1, 5, 3]],
+    ["class constructor", () => Shape, () => [{}]],
+    ["arguments object", () => function () {
+        return arguments;
+    }, () => [null, "x", "y"]],
+];
+for (const [label, fn, args] of CALLS) {
+    add("Function.prototype.call", label, () => ({ this: fn(), args: args() }));
+    add("Function.prototype.apply", label, () => {
+        const [thisArg, ...rest] = args();
+        return { this: fn(), args: args().length ? [thisArg, rest] : [] };
+    });
+}
+add("Function.prototype.call", "non-function receiver", () => ({ this: {}, args: [null] }));
+add("Function.prototype.call", "null receiver", () => ({ this: null, args: [null] }));
+const APPLY_ARGUMENTS = [
+    ["array-like arguments", () => ({ length: 2, 0: "a", 1: "b" })],
+    ["sparse arguments", () => [1, , 3]],
+    ["null arguments", () => null],
+    ["undefined arguments", () => undefined],
+    ["number arguments", () => 1],
+    ["string arguments", () => "ab"],
+    ["empty object arguments", () => ({})],
+    ["arguments with a string length", () => ({ length: "1", 0: "x" })],
+];
+for (const [label, argArray] of APPLY_ARGUMENTS) {
+    add("Function.prototype.apply", label, () => ({ this: strictThis(), args: [null, argArray()] }));
+}
+add("Function.prototype.apply", "non-function receiver", () => ({ this: {}, args: [null, []] }));
+
+// ─── Number ─────────────────────────────────────────────────────────────────────────
+
+const NUMBERISH = [
+    NaN, 0, -0, 1, 1.5, -7, 2 ** 53, 2 ** 53 + 2, 1e300, 5e-324, Infinity, -Infinity, Number.MAX_VALUE,
+    "5", "NaN", "", null, undefined, true, [], {}, new Number(5), 1n, Symbol("n"),
+];
+for (const feature of ["Number.isNaN", "Number.isFinite", "Number.isInteger"]) {
+    for (const value of NUMBERISH) {
+        add(feature, describe(value), () => ({ args: [value] }));
+    }
+    add(feature, "no argument", () => ({ args: [] }));
+}
+
+const NUMERIC_STRINGS = [
+    "42", "  42px", "-17", "+5", "-0", "0", "3.99", "0x1F", "-0xff", "0X", "0b101", "0o17", "017", "1e3", "1E-2", ".5", "5.", "-.5",
+    "Infinity", "-Infinity", "infinity", "  \n\t 12 ", "\u00a07", "\u200b7", "1_000", "abc", "", "-", "+", "z", "Z1", "9007199254740993",
+    "123456789012345678901234567890", "1e1000", "  -12.5e-1x", "0.0000001", "1.7976931348623159e308", "\u0663",
+];
+const RADIXES = [undefined, 0, 2, 8, 10, 16, 36, 1, 37, -1, "16", 16.9, NaN, 2 ** 32 + 16, null];
+for (const string of NUMERIC_STRINGS) {
+    add("Number.parseFloat", describe(string), () => ({ args: [string] }));
+    for (const radix of RADIXES) {
+        add("Number.parseInt", `${describe(string)}, radix ${describe(radix)}`, () => ({ args: [string, radix] }));
+    }
+}
+for (const value of [null, undefined, 42, -0, 1e21, 0.0000005, true, { toString: () => "0x10" }, [" 12 "], Symbol("s")]) {
+    add("Number.parseFloat", `non-string ${describe(value)}`, () => ({ args: [value] }));
+    add("Number.parseInt", `non-string ${describe(value)}`, () => ({ args: [value] }));
+}
+add("Number.parseInt", "string is converted before the radix", t => ({
+    args: [{ toString: t.spy(() => "10", "toString") }, { valueOf: t.spy(() => 16, "valueOf") }],
+}));
+
+// ─── Iterator ───────────────────────────────────────────────────────────────────────
+
+// 0, 1, 2, … without end; like the t.iterator() ones, it logs its next() calls
+function counter(t) {
+    let n = 0;
+    const iterator = t.iterator([]);
+    iterator.next = function next() {
+        t.log("counter.next()");
+        return { value: n++, done: false };
+    };
+    return iterator;
+}
+
+// Probes for the lazy helpers: pull everything (at most 8 results), stop after one value,
+// stop before the first – the source's next() / return() calls show in the probe events
+const drain = helper => {
+    const results = [];
+    for (let i = 0; i < 8; i++) {
+        const result = helper.next();
+        results.push(result);
+        if (result.done) break;
+    }
+    return results;
+};
+const stopAfterOne = helper => [helper.next(), helper.return(), helper.next()];
+const stopBeforeStart = helper => [helper.return(), helper.next()];
+
+const ITERATOR_SOURCES = {
+    "five values": t => t.iterator([1, 2, 3, 4, 5]),
+    "empty": t => t.iterator([]),
+    "no return() method": t => t.iterator([1, 2, 3, 4, 5], { returns: false }),
+    "not inheriting from Iterator.prototype": t => t.iterator([1, 2, 3], { inherit: false }),
+    "array iterator": () => [1, 2, 3, 4][Symbol.iterator](),
+    "generator": t =>
+        (function* () {
+            try {
+                yield 1;
+                yield 3;
+                yield 5;
+            } finally {
+                t.log("generator finally");
+            }
+        })(),
+};
+
+// Receivers every helper must handle the same way; `args` builds the arguments
+function addIteratorEdgeCases(feature, args, probe) {
+    add(feature, "next is read once, up front", t => {
+        const iterator = t.iterator([1, 2, 3]);
+        return { this: t.getter(iterator, "next", iterator.next), args: args(t), probe };
+    });
+    add(feature, "results read through getters", t => {
+        let n = 0;
+        const iterator = t.iterator([]);
+        iterator.next = () => (n++ < 3 ? t.getter(t.getter({}, "done", false), "value", n) : { done: true });
+        return { this: iterator, args: args(t), probe };
+    });
+    add(feature, "next returns a primitive", t => ({ this: Object.assign(t.iterator([]), { next: () => 1 }), args: args(t), probe }));
+    add(feature, "next throws", t => ({
+        this: Object.assign(t.iterator([]), {
+            next: () => {
+                throw new RangeError("from next");
+            },
+        }),
+        args: args(t),
+        probe,
+    }));
+    add(feature, "next is not callable", t => ({ this: Object.assign(t.iterator([]), { next: 1 }), args: args(t), probe }));
+    add(feature, "null receiver", t => ({ this: null, args: args(t) }));
+    add(feature, "undefined receiver", t => ({ this: undefined, args: args(t) }));
+    add(feature, "number receiver", t => ({ this: 42, args: args(t) }));
+    add(feature, "array receiver (iterable, not an iterator)", t => ({ this: [1, 2], args: args(t), probe }));
+}
+
+const ITERATOR_CALLBACK_METHODS = {
+    "Iterator.prototype.map": (x, i) => `${i}:${stringOf(x)}`,
+    "Iterator.prototype.filter": (x, i) => i % 2 === 0,
+    "Iterator.prototype.flatMap": (x, i) => (i % 2 ? [x, `${i}`] : []),
+    "Iterator.prototype.forEach": () => "ignored",
+    "Iterator.prototype.some": x => x === 3,
+    "Iterator.prototype.every": x => x !== 3,
+    "Iterator.prototype.find": x => x === 3,
+};
+const LAZY_HELPERS = ["Iterator.prototype.map", "Iterator.prototype.filter", "Iterator.prototype.flatMap"];
+
+for (const [feature, body] of Object.entries(ITERATOR_CALLBACK_METHODS)) {
+    const probe = LAZY_HELPERS.includes(feature) ? drain : undefined;
+    for (const [label, receiver] of Object.entries(ITERATOR_SOURCES)) {
+        add(feature, label, t => ({ this: receiver(t), args: [t.spy(body)], probe }));
+    }
+    addIteratorEdgeCases(feature, t => [t.spy(body)], probe);
+    add(feature, "no callback", t => ({ this: t.iterator([1, 2]), args: [], probe }));
+    add(feature, "non-callable callback", t => ({ this: t.iterator([1, 2]), args: [{}], probe }));
+    add(feature, "callback throws", t => ({
+        this: t.iterator([1, 2, 3]),
+        args: [
+            t.spy(() => {
+                throw new RangeError("from the callback");
+            }),
+        ],
+        probe,
+    }));
+    add(feature, "callback throws, source has no return()", t => ({
+        this: t.iterator([1, 2, 3], { returns: false }),
+        args: [
+            t.spy(() => {
+                throw new RangeError("from the callback");
+            }),
+        ],
+        probe,
+    }));
+    add(feature, "infinite source", t => ({
+        this: counter(t),
+        args: [
+            t.spy((x, i) => {
+                if (i > 6) throw t.STOP;
+                return body(x === 0 ? 3 : x, i);
+            }),
+        ],
+        probe,
+    }));
+    if (probe) {
+        add(feature, "returned after one value", t => ({ this: t.iterator([1, 2, 3, 4, 5]), args: [t.spy(body)], probe: stopAfterOne }));
+        add(feature, "returned before the first next()", t => ({ this: t.iterator([1, 2, 3]), args: [t.spy(body)], probe: stopBeforeStart }));
+        add(feature, "returned before the first next(), no return()", t => ({
+            this: t.iterator([1, 2, 3], { returns: false }),
+            args: [t.spy(body)],
+            probe: stopBeforeStart,
+        }));
+    }
+}
+
+// flatMap takes iterables and iterators, but no strings or other primitives
+const FLAT_MAPPED = [
+    ["mapper returns a string", () => () => "ab"],
+    ["mapper returns a String object", () => () => new String("ab")],
+    ["mapper returns a number", () => () => 5],
+    ["mapper returns null", () => () => null],
+    ["mapper returns a Set", () => x => new Set([x, x])],
+    ["mapper returns an iterator, not an iterable", t => x => t.iterator([x, x * 10], { name: "inner", inherit: false })],
+    ["mapper returns an iterable whose Symbol.iterator is not callable", () => () => ({ [Symbol.iterator]: 1 })],
+    ["mapper returns an iterable whose Symbol.iterator returns a primitive", () => () => ({ [Symbol.iterator]: () => 1 })],
+];
+for (const [label, mapper] of FLAT_MAPPED) {
+    add("Iterator.prototype.flatMap", label, t => ({ this: t.iterator([1, 2]), args: [t.spy(mapper(t))], probe: drain }));
+}
+add("Iterator.prototype.flatMap", "returned inside an inner iterator", t => ({
+    this: t.iterator([1, 2]),
+    args: [t.spy(x => t.iterator([x, x * 10], { name: "inner" }))],
+    probe: stopAfterOne,
+}));
+add("Iterator.prototype.flatMap", "inner return() throws", t => ({
+    this: t.iterator([1, 2]),
+    args: [
+        t.spy(x =>
+            Object.assign(t.iterator([x, x * 10], { name: "inner" }), {
+                return: () => {
+                    throw new RangeError("from inner return()");
+                },
+            })
+        ),
+    ],
+    probe: stopAfterOne,
+}));
+
+const LIMITS = [0, 1, 2, 10, Infinity, -0, -1, -0.5, 2.5, NaN, "2", undefined, null, true, [3], { valueOf: () => 1 }, Symbol("limit"), 1n];
+for (const feature of ["Iterator.prototype.take", "Iterator.prototype.drop"]) {
+    for (const limit of LIMITS) {
+        add(feature, `limit ${describe(limit)}`, t => ({ this: t.iterator([1, 2, 3, 4, 5]), args: [limit], probe: drain }));
+    }
+    add(feature, "no limit", t => ({ this: t.iterator([1, 2, 3]), args: [], probe: drain }));
+    add(feature, "limit is converted before next is read", t => {
+        const iterator = t.iterator([1, 2, 3]);
+        return { this: t.getter(iterator, "next", iterator.next), args: [{ valueOf: t.spy(() => 1, "valueOf") }], probe: drain };
+    });
+    add(feature, "invalid limit, source has return()", t => ({ this: t.iterator([1, 2, 3]), args: [-1] }));
+    add(feature, "infinite source", t => ({ this: counter(t), args: [3], probe: drain }));
+    add(feature, "returned after one value", t => ({ this: t.iterator([1, 2, 3, 4, 5]), args: [1], probe: stopAfterOne }));
+    add(feature, "returned before the first next()", t => ({ this: t.iterator([1, 2, 3]), args: [1], probe: stopBeforeStart }));
+    addIteratorEdgeCases(feature, () => [1], drain);
+}
+
+for (const [label, receiver] of Object.entries(ITERATOR_SOURCES)) {
+    add("Iterator.prototype.reduce", label, t => ({ this: receiver(t), args: [t.spy(joinAccumulator)] }));
+    add("Iterator.prototype.reduce", `${label}, initial value`, t => ({ this: receiver(t), args: [t.spy(joinAccumulator), "init"] }));
+    add("Iterator.prototype.toArray", label, t => ({ this: receiver(t) }));
+}
+add("Iterator.prototype.reduce", "explicit undefined initial value", t => ({ this: t.iterator([1, 2]), args: [t.spy(joinAccumulator), undefined] }));
+add("Iterator.prototype.reduce", "no reducer", t => ({ this: t.iterator([1, 2]), args: [] }));
+add("Iterator.prototype.reduce", "non-callable reducer", t => ({ this: t.iterator([1, 2]), args: ["nope", 0] }));
+add("Iterator.prototype.reduce", "reducer throws", t => ({
+    this: t.iterator([1, 2, 3]),
+    args: [
+        t.spy(() => {
+            throw new RangeError("from the reducer");
+        }),
+    ],
+}));
+addIteratorEdgeCases("Iterator.prototype.reduce", t => [t.spy(joinAccumulator)]);
+addIteratorEdgeCases("Iterator.prototype.toArray", () => []);
+add("Iterator.prototype.toArray", "arguments are ignored", t => ({ this: t.iterator([1]), args: [t.spy(), "x"] }));
+
+// An iterator that inherits from Iterator.prototype comes back as it is: <arg0>
+const ITERATOR_FROM = [
+    ["array", () => [1, 2, 3]],
+    ["string with astral characters", () => "a😀b"],
+    ["String object", () => new String("ab")],
+    ["Set", () => new Set([1, 2])],
+    ["Map", () => new Map([["a", 1]])],
+    ["generator", () => (function* () {
+        yield "g";
+    })()],
+    ["iterator inheriting from Iterator.prototype", t => t.iterator([1, 2])],
+    ["iterator not inheriting from Iterator.prototype", t => t.iterator([1, 2], { inherit: false })],
+    ["iterator without return()", t => t.iterator([1, 2], { inherit: false, returns: false })],
+    ["iterable whose iterator doesn't inherit", t => ({ [Symbol.iterator]: t.spy(() => t.iterator([1, 2], { inherit: false }), "Symbol.iterator") })],
+    ["Symbol.iterator is null", t => Object.assign(t.iterator([1], { inherit: false }), { [Symbol.iterator]: null })],
+    ["Symbol.iterator is not callable", () => ({ [Symbol.iterator]: 1 })],
+    ["Symbol.iterator returns a primitive", () => ({ [Symbol.iterator]: () => 1 })],
+    ["object without next", () => ({})],
+    ["function with a next", t => Object.assign(function () {}, { next: t.spy(() => ({ done: true }), "next") })],
+    ["number", () => 5],
+    ["boolean", () => true],
+    ["symbol", () => Symbol("s")],
+    ["null", () => null],
+    ["undefined", () => undefined],
+];
+for (const [label, object] of ITERATOR_FROM) {
+    add("Iterator.from", label, t => ({ args: [object(t)], probe: drain }));
+    add("Iterator.from", `${label}, returned after one value`, t => ({ args: [object(t)], probe: stopAfterOne }));
+}
+add("Iterator.from", "no arguments", () => ({ args: [] }));
+add("Iterator.from", "next is read once, up front", t => {
+    const iterator = t.iterator([1, 2], { inherit: false });
+    return { args: [t.getter(iterator, "next", iterator.next)], probe: drain };
+});
+add("Iterator.from", "wrapper methods on another object", t => ({
+    args: [t.iterator([1], { inherit: false })],
+    probe: wrapper => {
+        const { next } = Object.getPrototypeOf(wrapper);
+        try {
+            return next.call({});
+        } catch (error) {
+            return error;
+        }
+    },
+}));
+
+add("Iterator", "called without new", () => ({ args: [] }));
+add("Iterator", "called with an argument", () => ({ args: [[1, 2]] }));
+
+// ─── Set.prototype ──────────────────────────────────────────────────────────────────
+
+class SubSet extends Set {}
+
+// A set-like over `values`: size is a logged getter, has() and keys() are spies and
+// keys() hands out a logged iterator. has / keys / size replace the defaults.
+function setLike(t, values, options = {}) {
+    const object = {
+        has: t.spy(options.has || (value => values.includes(value)), "has"),
+        keys: t.spy(options.keys || (() => t.iterator(values, { name: "keys", inherit: false })), "keys"),
+    };
+    return t.getter(object, "size", "size" in options ? options.size : values.length);
+}
+
+const SET_ARGUMENTS = [
+    ["Set with some in common", () => new Set([2, 3, 4])],
+    ["larger Set", () => new Set([0, 1, 2, 3, 4, 5])],
+    ["same elements", () => new Set([3, 2, 1])],
+    ["empty Set", () => new Set()],
+    ["Set with -0, NaN and objects", () => new Set([-0, NaN, {}])],
+    ["Set subclass", () => new SubSet([3, 1])],
+    ["Map (its keys count)", () => new Map([[1, "one"], [4, "four"]])],
+    ["smaller set-like", t => setLike(t, [3, 9])],
+    ["larger set-like", t => setLike(t, [0, 1, 2, 3, 4, 5])],
+    ["set-like of the same size", t => setLike(t, [3, 4, 5])],
+    ["set-like with -0", t => setLike(t, [-0, 2])],
+    ["set-like with repeated keys", t => setLike(t, [4, 4, 1])],
+    ["set-like whose size understates it", t => setLike(t, [1, 2, 3, 4], { size: 1 })],
+    ["set-like whose size overstates it", t => setLike(t, [2], { size: 100 })],
+    ["set-like with a string size", t => setLike(t, [2], { size: "1" })],
+    ["set-like with a fractional size", t => setLike(t, [2], { size: 1.5 })],
+    ["set-like with size Infinity", t => setLike(t, [2], { size: Infinity })],
+    ["set-like with size -0.5", t => setLike(t, [], { size: -0.5 })],
+    ["set-like with a negative size", t => setLike(t, [2], { size: -1 })],
+    ["set-like with a NaN size", t => setLike(t, [2], { size: NaN })],
+    ["set-like with an undefined size", t => setLike(t, [2], { size: undefined })],
+    ["set-like with a BigInt size", t => setLike(t, [2], { size: 1n })],
+    ["set-like with an object size", t => setLike(t, [2], { size: { valueOf: t.spy(() => 1, "valueOf") } })],
+    ["set-like whose has() is not callable", t => Object.assign(setLike(t, [2]), { has: 1 })],
+    ["set-like whose keys() is not callable", t => Object.assign(setLike(t, [2]), { keys: undefined })],
+    ["set-like whose keys() returns a primitive", t => setLike(t, [2], { keys: () => 1 })],
+    ["set-like whose keys iterator has no next()", t => setLike(t, [2], { keys: () => ({}) })],
+    ["set-like whose has() returns non-booleans", t => setLike(t, [2, 3], { has: value => (value === 2 ? "yes" : 0) })],
+    ["set-like whose has() throws", t =>
+        setLike(t, [2, 3], {
+            has: () => {
+                throw new RangeError("from has()");
+            },
+        })],
+    ["array (no size)", () => [1, 2]],
+    ["null", () => null],
+    ["number", () => 5],
+];
+
+const SET_RECEIVERS = {
+    "Set": () => new Set([1, 2, 3]),
+    "empty Set": () => new Set(),
+};
+
+const SET_METHODS = ["union", "intersection", "difference", "symmetricDifference", "isSubsetOf", "isSupersetOf", "isDisjointFrom"];
+
+for (const method of SET_METHODS) {
+    const feature = `Set.prototype.${method}`;
+    for (const [receiverLabel, receiver] of Object.entries(SET_RECEIVERS)) {
+        for (const [label, other] of SET_ARGUMENTS) {
+            add(feature, `${receiverLabel}, ${label}`, t => ({ this: receiver(), args: [other(t)] }));
+        }
+    }
+    add(feature, "Set subclass receiver", () => ({ this: new SubSet([1, 2]), args: [new Set([2, 5])] }));
+    add(feature, "receiver with its own has and Symbol.iterator", t => ({
+        this: Object.assign(new Set([1, 2, 3]), {
+            has: t.spy(() => true, "own has"),
+            [Symbol.iterator]: t.spy(() => [9][Symbol.iterator](), "own Symbol.iterator"),
+        }),
+        args: [new Set([2, 3, 4])],
+    }));
+    add(feature, "has() deletes from the receiver", t => {
+        const set = new Set([1, 2, 3]);
+        return {
+            this: set,
+            args: [
+                setLike(t, [1, 2, 3, 4], {
+                    has: value => {
+                        set.delete(3);
+                        return value !== 2;
+                    },
+                }),
+            ],
+        };
+    });
+    add(feature, "has() adds to the receiver", t => {
+        const set = new Set([1, 2, 3]);
+        return {
+            this: set,
+            args: [
+                setLike(t, [1, 2, 3, 10], {
+                    has: value => {
+                        if (value < 10) set.add(value + 10);
+                        return true;
+                    },
+                }),
+            ],
+        };
+    });
+    add(feature, "keys iterator deletes from the receiver", t => {
+        const set = new Set([1, 2, 3]);
+        const keys = () => {
+            const iterator = t.iterator([3, 1, 2], { name: "keys", inherit: false });
+            const next = iterator.next;
+            iterator.next = () => {
+                set.delete(1);
+                return next();
+            };
+            return iterator;
+        };
+        return { this: set, args: [setLike(t, [3, 1, 2], { size: 1, keys })] };
+    });
+    add(feature, "Map receiver", () => ({ this: new Map([[1, 1]]), args: [new Set([1])] }));
+    add(feature, "set-like receiver", t => ({ this: setLike(t, [1]), args: [new Set([1])] }));
+    add(feature, "null receiver", () => ({ this: null, args: [new Set([1])] }));
+    add(feature, "no argument", () => ({ this: new Set([1]), args: [] }));
+}
+
+// ─── Array.fromAsync / Promise ───────────────────────────────────────────────────────
+
+// Features whose result is a promise: run.js observes them with observeAsync
+const ASYNC = new Set(["Array.fromAsync", "Promise", "Promise.try", "Promise.allSettled", "Promise.any", "Promise.prototype.finally"]);
+
+// Rejects without an unhandled Promise.reject() lying around while the case is built
+const rejecting = reason => ({ then: (resolve, reject) => reject(reason) });
+
+const FROM_ASYNC_ITEMS = [
+    ...FROM_ITEMS,
+    ["array of promises", () => [Promise.resolve(1), 2, Promise.resolve(3)]],
+    ["array-like of promises", () => ({ length: 2, 0: Promise.resolve("x"), 1: "y" })],
+    ["array of thenables", t => [{ then: t.spy(resolve => resolve("thenable"), "then") }]],
+    ["async iterator", t => t.asyncIterator(["a", "b"])],
+    ["async generator", t =>
+        (async function* () {
+            t.log("generator started");
+            yield 1;
+            yield Promise.resolve(2);
+        })()],
+    ["async iterator yielding a promise (not awaited)", t => t.asyncIterator([Promise.resolve("inner")])],
+    ["sync iterator yielding a rejecting thenable", t => t.iterator([1, rejecting(new RangeError("rejected")), 3])],
+    ["async iterator result that is not an object", () => ({ [Symbol.asyncIterator]: () => ({ next: () => Promise.resolve(1) }) })],
+    ["async iterator whose next() rejects", () => ({ [Symbol.asyncIterator]: () => ({ next: () => rejecting(new RangeError("from next")) }) })],
+    ["Symbol.asyncIterator is not callable", () => ({ [Symbol.asyncIterator]: 1 })],
+    ["Symbol.asyncIterator is null, Symbol.iterator used", t => Object.assign(t.iterator([1, 2]), { [Symbol.asyncIterator]: null })],
+];
+for (const [label, items] of FROM_ASYNC_ITEMS) {
+    add("Array.fromAsync", label, t => ({ args: [items(t)] }));
+    add("Array.fromAsync", `${label}, mapped`, t => ({ args: [items(t), t.spy((x, i) => [i, x]), t.thisArg] }));
+}
+add("Array.fromAsync", "mapFn returns a promise", t => ({ args: [[1, 2], t.spy(x => Promise.resolve(x * 2))] }));
+add("Array.fromAsync", "sync iterator is closed when mapFn throws", t => ({ args: [t.iterator([1, 2, 3]), () => Promise.reject(t.STOP)] }));
+add("Array.fromAsync", "async iterator is closed when mapFn throws", t => ({
+    args: [
+        t.asyncIterator([1, 2, 3]),
+        () => {
+            throw t.STOP;
+        },
+    ],
+}));
+add("Array.fromAsync", "null", () => ({ args: [null] }));
+add("Array.fromAsync", "undefined", () => ({ args: [undefined] }));
+add("Array.fromAsync", "no arguments", () => ({ args: [] }));
+add("Array.fromAsync", "non-callable mapFn", () => ({ args: [[1], "nope"] }));
+add("Array.fromAsync", "non-callable mapFn, nothing is read", t => ({ args: [t.getter({}, "length", 1), {}] }));
+add("Array.fromAsync", "explicit undefined mapFn", () => ({ args: [[1], undefined] }));
+add("Array.fromAsync", "custom constructor as this, iterable", () => ({ this: Collection, args: [[1, 2]] }));
+add("Array.fromAsync", "custom constructor as this, array-like", () => ({ this: Collection, args: [{ length: 2, 0: "a", 1: "b" }] }));
+add("Array.fromAsync", "non-constructor as this", () => ({ this: () => {}, args: [[1, 2]] }));
+add("Array.fromAsync", "Array subclass as this", () => ({ this: SubArray, args: [[1, 2]] }));
+
+class SubPromise extends Promise {}
+
+const TRY_CALLBACKS = [
+    ["callback returns a value", () => () => 42],
+    ["callback throws", () => () => {
+        throw new RangeError("thrown");
+    }],
+    ["callback throws a non-error", () => () => {
+        throw "plain";
+    }],
+    ["callback returns a fulfilled promise", () => () => Promise.resolve("inner")],
+    ["callback returns a rejecting thenable", () => () => rejecting(new TypeError("from then"))],
+    ["callback returns a thenable", t => () => ({ then: t.spy(resolve => resolve("thenable"), "then") })],
+    ["callback returns a promise of a promise", () => () => Promise.resolve(Promise.resolve("deep"))],
+];
+for (const [label, callback] of TRY_CALLBACKS) {
+    add("Promise.try", label, t => ({ args: [t.spy(callback(t))] }));
+    add("Promise.try", `${label}, Promise subclass as this`, t => ({ this: SubPromise, args: [t.spy(callback(t))] }));
+}
+add("Promise.try", "arguments are passed through", t => ({ args: [t.spy((...args) => args), 1, "two", t.thisArg] }));
+add("Promise.try", "no callback", () => ({ args: [] }));
+add("Promise.try", "non-callable callback", () => ({ args: ["nope"] }));
+add("Promise.try", "non-constructor as this", t => ({ this: {}, args: [t.spy()] }));
+add("Promise.try", "undefined this", t => ({ this: undefined, args: [t.spy()] }));
+add("Promise.try", "executor-capturing constructor as this", t => ({
+    this: function Capture(executor) {
+        t.log("constructed");
+        executor(
+            t.spy(() => {}, "resolve"),
+            t.spy(() => {}, "reject")
+        );
+    },
+    args: [t.spy(() => "value")],
+}));
+
+// The constructor: what the executor's resolve / reject make of the promise
+const EXECUTORS = [
+    ["resolve with a value", () => resolve => resolve(42)],
+    ["reject", () => (resolve, reject) => reject(new RangeError("rejected"))],
+    ["executor throws", () => () => {
+        throw new RangeError("thrown");
+    }],
+    ["throw after resolve is ignored", () => resolve => {
+        resolve("first");
+        throw new RangeError("ignored");
+    }],
+    ["only the first of resolve / reject counts", () => (resolve, reject) => {
+        resolve("first");
+        reject(new RangeError("second"));
+        resolve("third");
+    }],
+    ["resolve with a thenable", t => resolve => resolve({ then: t.spy(onFulfilled => onFulfilled("thenable"), "then") })],
+    ["resolve with a rejecting thenable", () => resolve => resolve(rejecting(new TypeError("from then")))],
+    ["resolve with a native promise", () => resolve => resolve(Promise.resolve("native"))],
+    ["resolve with a thenable whose then getter throws", () => resolve => resolve(Object.defineProperty({}, "then", {
+        get() {
+            throw new RangeError("then getter");
+        },
+    }))],
+    ["resolve with an object whose then is not callable", () => resolve => resolve({ then: 1 })],
+    ["executor never settles", () => () => {}],
+];
+for (const [label, executor] of EXECUTORS) {
+    add("Promise", label, t => ({ construct: true, args: [executor(t)] }));
+}
+add("Promise", "executor gets resolve and reject, called as a function", t => ({ construct: true, args: [t.spy((resolve, reject) => resolve([typeof resolve, typeof reject, resolve.length, reject.length]), "executor")] }));
+add("Promise", "executor is not callable", () => ({ construct: true, args: ["nope"] }));
+add("Promise", "no executor", () => ({ construct: true, args: [] }));
+add("Promise", "called without new", t => ({ args: [t.spy()] }));
+
+// Items for allSettled / any; rejections come from thenables, so no rejected native
+// promise is left unhandled while a case is built
+const COMBINATOR_ITEMS = [
+    ["values and promises", () => [1, Promise.resolve(2), { then: resolve => resolve(3) }]],
+    ["fulfilled and rejected", () => [Promise.resolve("ok"), rejecting(new RangeError("no")), 3]],
+    ["only rejections", () => [rejecting(new RangeError("a")), rejecting("b")]],
+    ["empty array", () => []],
+    ["a Set", () => new Set([1, rejecting("r")])],
+    ["a string, iterated by code point", () => "a😀"],
+    ["iterator closed when Promise.resolve throws", t => t.iterator([1, 2])],
+    ["not iterable", () => 42],
+    ["iterator next() throws", () => ({
+        [Symbol.iterator]: () => ({
+            next() {
+                throw new RangeError("next");
+            },
+        }),
+    })],
+];
+for (const feature of ["Promise.allSettled", "Promise.any"]) {
+    for (const [label, items] of COMBINATOR_ITEMS) {
+        const patched = label.startsWith("iterator closed");
+        add(feature, label, t => ({
+            this: patched ? class extends Promise {
+                static resolve() {
+                    throw t.STOP;
+                }
+            } : Promise,
+            args: [items(t)],
+        }));
+    }
+    add(feature, "no arguments", () => ({ args: [] }));
+    add(feature, "Promise subclass as this", () => ({ this: SubPromise, args: [[1, rejecting("r")]] }));
+    add(feature, "non-constructor as this", () => ({ this: {}, args: [[1]] }));
+    add(feature, "each item's then gets called once, with two functions", t => ({
+        args: [[{ then: t.spy((resolve, reject) => resolve([typeof resolve, typeof reject]), "then") }]],
+    }));
+}
+
+add("Promise.withResolvers", "a native Promise", () => ({ this: Promise, probe: ({ promise, resolve, reject }) => [promise instanceof Promise, resolve.length, reject.length] }));
+add("Promise.withResolvers", "Promise subclass as this", () => ({ this: SubPromise, probe: ({ promise }) => promise instanceof SubPromise }));
+add("Promise.withResolvers", "executor-capturing constructor as this", t => ({
+    this: function Capture(executor) {
+        t.log("constructed");
+        executor(t.label(() => {}, "resolve"), t.label(() => {}, "reject"));
+    },
+}));
+add("Promise.withResolvers", "non-constructor as this", () => ({ this: {} }));
+add("Promise.withResolvers", "undefined this", () => ({ this: undefined }));
+
+// finally() on a promise (or any thenable) `this`
+const FINALLY_CALLBACKS = [
+    ["callback returns a value", () => () => "ignored"],
+    ["callback throws", () => () => {
+        throw new RangeError("from finally");
+    }],
+    ["callback returns a rejecting thenable", () => () => rejecting(new TypeError("from thenable"))],
+    ["callback returns a fulfilled promise", () => () => Promise.resolve("ignored")],
+];
+const FINALLY_RECEIVERS = [
+    ["fulfilled", () => Promise.resolve("value")],
+    ["rejected", () => rejecting(new RangeError("reason"))],
+];
+for (const [receiverLabel, receiver] of FINALLY_RECEIVERS) {
+    for (const [label, callback] of FINALLY_CALLBACKS) {
+        add("Promise.prototype.finally", `${receiverLabel}, ${label}`, t => ({
+            this: receiverLabel === "rejected" ? Promise.resolve(receiver()) : receiver(),
+            args: [t.spy(callback(t), "onFinally")],
+        }));
+    }
+    add("Promise.prototype.finally", `${receiverLabel}, non-callable onFinally`, () => ({
+        this: receiverLabel === "rejected" ? Promise.resolve(receiver()) : receiver(),
+        args: ["nope"],
+    }));
+}
+add("Promise.prototype.finally", "Promise subclass as this", t => ({ this: SubPromise.resolve(1), args: [t.spy(() => {}, "onFinally")] }));
+add("Promise.prototype.finally", "thenable object as this", t => ({
+    this: { then: t.spy((onFulfilled, onRejected) => [typeof onFulfilled, typeof onRejected], "then") },
+    args: [t.spy(() => {}, "onFinally")],
+}));
+add("Promise.prototype.finally", "thenable object as this, non-callable onFinally", t => ({
+    this: { then: t.spy((...handlers) => handlers, "then") },
+    args: [42],
+}));
+add("Promise.prototype.finally", "primitive this", () => ({ this: 1, args: [() => {}] }));
+add("Promise.prototype.finally", "no arguments", () => ({ this: Promise.resolve("value"), args: [] }));
+
+module.exports = { CASES, ASYNC };
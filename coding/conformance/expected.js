@@ -0,0 +1,566 @@
+// Divergences that were looked at and are kept, each with the reason
+//
+// run.js counts these apart from the others and exits 1 only for a divergence that is not
+// listed here. An entry that stops diverging is reported, so the list doesn't outlive
+// what it describes.
+//
+// { [group of run.js]: { [implementation]: { [case label]: why it differs } } }
+//
+// An implementation is named as run.js prints it: the feature for coding/polyfills, and
+// "variant → feature" for Polyfills.md, whose variant names repeat (myMap of Array and of
+// Iterator). A reason in place of the labels keeps every divergence of that variant: the
+// markdown's parseInt, parseFloat and replaceAll take another road altogether, and nearly
+// all of their cases differ.
+
+// { label: reason } for each label
+const because = (reason, labels) => Object.fromEntries(labels.map(label => [label, reason]));
+
+// Polyfills.md, by cause; most variants share a few of them
+const LENGTH_AS_IS = "uses length as it is, without ToLength: a negative one never ends, a fractional one isn't " +
+    "floored, one beyond 2^53 - 1 isn't capped";
+const NO_SPECIES = "always builds a plain Array; the built-in goes through ArraySpeciesCreate";
+const SLOPPY_THIS = "sloppy-mode code: a null or undefined this becomes globalThis, where the built-in throws a " +
+    "TypeError";
+const CALLBACK_FIRST = "checks the callback before reading length; the built-in reads length first";
+const ARRAYS_ONLY = "goes through this.reduce / this.map, so anything but a real array throws or misreads";
+const CALLBACK_NOT_CHECKED = "checks the callback only when it calls it, so an empty array takes anything";
+const REREADS = "reads length and each element again on every step, so elements added by the callback are " +
+    "visited";
+const UNDEFINED_INITIAL_VALUE = "tells a missing initial value by undefined, not by the number of arguments";
+const DEPTH_AS_IS = "uses depth without ToIntegerOrInfinity, so 2.5 isn't truncated and 1n isn't rejected";
+const LENGTH_EACH_STEP = "reads length again on every step instead of once";
+const HOLES_FLATTENED = "copies the mapper's arrays hole for hole; the built-in skips the holes";
+const INDEX_AS_IS = "uses the index without ToIntegerOrInfinity, so Infinity and indices of 2^32 and beyond are " +
+    "misread";
+const CONCAT_SPREADING = "spreads by Array.isArray / length, ignoring Symbol.isConcatSpreadable, and treats the " +
+    "receiver like an argument";
+const THROUGH_REPLACE = "calls this.replace, so a receiver that isn't a string throws instead of being converted";
+const FEW_WHITESPACES = "knows only a few whitespace characters, not every WhiteSpace and LineTerminator";
+const POSITION_AS_IS = "uses the position without ToIntegerOrInfinity, so NaN and 1.5 aren't truncated";
+const SEARCH_NOT_CHECKED = "doesn't reject a RegExp (IsRegExp) or a Symbol search string with a TypeError";
+const THROUGH_INDEX_OF = "calls this.indexOf, so a receiver that isn't a string throws instead of being " +
+    "converted";
+const COUNT_AS_IS = "uses count without ToIntegerOrInfinity, so -0.5, 2.9, NaN and undefined are misread";
+const SYMBOL_FILLER = "converts the filler with String(), which takes a Symbol; the built-in throws a TypeError";
+const KEYS_SYMBOLS = "lists symbol keys too";
+const KEYS_UP_FRONT = "doesn't check that a key is still there and enumerable when its turn comes";
+const FROM_ENTRIES_INDEXED = "indexes the argument and its entries instead of iterating them";
+const SLOPPY_ASSIGNMENT = "sloppy-mode code: a failed assignment is silent, where the built-in throws a " +
+    "TypeError";
+const OWN_NAMES_ONLY = "goes through Object.getOwnPropertyNames, so symbol keys aren't frozen or sealed";
+const NON_OBJECT_THROWS = "throws on a primitive, which the built-in returns unchanged";
+const SEAL_TYPED_ARRAY = "throws as the spec says; V8 leaves the elements configurable and calls the view sealed";
+const EXTENSIBLE_MARKER = "can't make an object non-extensible, so it adds a __preventExtensions__ property, " +
+    "which only its own isExtensible reads";
+const BIND_ORDINARY = "returns an ordinary function: its name and length don't come from the target, this and " +
+    "new don't go through the way a bound function's do";
+const BIND_NOT_CHECKED = "doesn't check that the receiver is callable";
+const WINDOW_THIS = "replaces a falsy this with window, which Node doesn't have, so the call throws a " +
+    "ReferenceError before anything else is looked at";
+const TEMPORARY_KEY = "calls the function as a method under a temporary key of this: the key can't be set on a " +
+    "primitive or frozen this, the function sees it, and it stays behind when the call throws";
+const FROM_BY_LENGTH = "indexes the source by length instead of iterating it, so Sets, Maps, generators and " +
+    "astral characters come out wrong and iterator errors don't surface";
+const NEW_THIS = "creates the result with new this(length) whatever this is; the built-in calls a constructor " +
+    "with no argument for an iterable and falls back to Array when this isn't one";
+const ISARRAY_TO_STRING = "asks Object.prototype.toString, which Symbol.toStringTag changes and a proxy's traps " +
+    "see";
+const ISARRAY_INSTANCEOF = "uses instanceof Array, which follows the prototype chain instead of asking whether " +
+    "it is an array";
+const PLAIN_ARRAY_OF = "always builds a plain Array, whatever constructor this is";
+const CREATE_ACCESSORS = "copies descriptors by hand and skips accessors when the prototype is null";
+const GROUP_BY_PROTOTYPE = "builds the result with Object.fromEntries, so it inherits from Object.prototype " +
+    "instead of null";
+const GROUP_BY_INDEX = "indexes the items by length >>> 0 instead of iterating them: holes are skipped, strings " +
+    "split into code units, Sets come out empty, array-likes and null are accepted";
+const GROUP_BY_KEY_READ = "groups by the key itself and converts it to a property key only at the end, so keys " +
+    "that convert alike overwrite each other";
+const GROUP_BY_ARRAY_ARGUMENT = "passes the items as a third argument, like the array methods";
+const HOLES_KEPT = "copies holes as holes; the change-array-by-copy methods read every index, so holes become " +
+    "undefined";
+const SPLICE_ARGUMENTS = "reads a missing, undefined or infinite start / skipCount differently, and the length " +
+    "check throws a RangeError, not a TypeError";
+const ITERATOR_FROM_WRAPS = "always wraps, with next and return as own properties of the wrapper; the built-in's " +
+    "wrapper inherits them, and an iterator that inherits from Iterator.prototype comes back as it is";
+const GENERATOR_HELPER = "a generator: the receiver and the argument are only looked at on the first next(), and " +
+    "a return() before it doesn't close the underlying iterator";
+const DROP_REREADS = "re-yields each result's value, so the getters of the underlying results run again";
+const RETURN_VALUE_KEPT = "return() hands back the inner iterator's result; the built-in answers { value: " +
+    "undefined, done: true }";
+const SET_RECEIVER = "reads the receiver through its public has and Symbol.iterator, which its own properties " +
+    "can replace; the built-in uses its internal set data";
+const FROM_ASYNC_NOT_CLOSED = "a thenable that rejects doesn't close the sync iterator it came from";
+const WHOLE_PARSE_INT = "a digit loop of its own: the radix isn't truncated to an integer, a string without " +
+    "digits gives 0 instead of NaN, 0x counts only without a radix and a leading 0 means octal, objects " +
+    "aren't converted, and long results aren't rounded like the built-in's";
+const WHOLE_PARSE_FLOAT = "a digit loop of its own: no Infinity, a string without digits gives 0 instead of NaN, " +
+    "objects aren't converted, and the result isn't correctly rounded";
+const WHOLE_REPLACE_ALL = "splits and joins on the search string, so replacement patterns ($&, $$, $`, $') and " +
+    "replacer functions aren't applied and a search value that isn't a string isn't converted";
+
+module.exports = {
+    "coding/polyfills": {
+        "Function.prototype.bind": {
+            "prototype of the bound function":
+                "only the engine makes a constructor without a prototype property; an ordinary function's can't be " +
+                "deleted, so the bound function shares its target's, which keeps instanceof and new right",
+        },
+        "Object.seal": {
+            "typed array with elements":
+                "the spec's typed-array [[DefineOwnProperty]] refuses { configurable: false }, so SetIntegrityLevel " +
+                "throws; V8 leaves the elements configurable and calls the view sealed",
+        },
+        "Number.parseInt": {
+            '"9007199254740993", radix 36':
+                "correctly rounded; V8 rounds exactly only for radix 10 and powers of two, and the spec allows " +
+                "an approximation for the other radices",
+        },
+    },
+    "Polyfills.md": {
+        "myMap → Array.prototype.map": {
+            ...because(LENGTH_AS_IS, ["array-like, negative length", "length beyond 2^53"]),
+            ...because(NO_SPECIES, ["Array subclass"]),
+            ...because(SLOPPY_THIS, ["null receiver", "undefined receiver"]),
+            ...because(CALLBACK_FIRST, ["length is read before the callback is checked"]),
+        },
+        "myMap2 → Array.prototype.map": {
+            ...because(LENGTH_AS_IS, ["array-like, negative length", "length beyond 2^53"]),
+            ...because(NO_SPECIES, ["Array subclass"]),
+            ...because(SLOPPY_THIS, ["null receiver", "undefined receiver"]),
+            ...because(CALLBACK_FIRST, ["length is read before the callback is checked"]),
+        },
+        "myMap3 → Array.prototype.map": {
+            ...because(ARRAYS_ONLY, [
+                "array-like", "array-like, string length", "array-like, fractional length",
+                "array-like, negative length", "array-like, no length", "string receiver", "number receiver",
+                "Array subclass", "logged length",
+            ]),
+            ...because(CALLBACK_NOT_CHECKED, ["non-callable callback on an empty array"]),
+        },
+        "myFilter → Array.prototype.filter": {
+            ...because(LENGTH_AS_IS, ["array-like, negative length"]),
+            ...because(NO_SPECIES, ["Array subclass"]),
+            ...because(SLOPPY_THIS, ["null receiver", "undefined receiver"]),
+            ...because(CALLBACK_FIRST, ["length is read before the callback is checked"]),
+        },
+        "myFilter2 → Array.prototype.filter": {
+            ...because(LENGTH_AS_IS, ["array-like, fractional length"]),
+            ...because(NO_SPECIES, ["Array subclass"]),
+            ...because(REREADS, [
+                "logged length", "logged elements", "dense array, callback pushes", "sparse array, callback pushes",
+                "dense array, callback fills the next slot", "sparse array, callback fills the next slot",
+            ]),
+            ...because(SLOPPY_THIS, ["null receiver", "undefined receiver"]),
+            ...because(CALLBACK_NOT_CHECKED, ["non-callable callback on an empty array"]),
+            ...because(CALLBACK_FIRST, ["length is read before the callback is checked"]),
+        },
+        "myFilter3 → Array.prototype.filter": {
+            ...because(ARRAYS_ONLY, [
+                "array-like", "array-like, string length", "array-like, fractional length",
+                "array-like, negative length", "array-like, no length", "string receiver", "number receiver",
+                "Array subclass", "logged length", "length beyond 2^53",
+                "length is read before the callback is checked",
+            ]),
+            ...because(CALLBACK_NOT_CHECKED, ["non-callable callback on an empty array"]),
+        },
+        "myReduce → Array.prototype.reduce": {
+            ...because(LENGTH_AS_IS, ["array-like, negative length", "array-like, negative length, initial value"]),
+            ...because(CALLBACK_FIRST, ["length is read before the callback is checked"]),
+        },
+        "myReduce2 → Array.prototype.reduce": {
+            ...because(LENGTH_AS_IS, ["array-like, negative length", "array-like, negative length, initial value"]),
+            ...because(UNDEFINED_INITIAL_VALUE, ["explicit undefined initial value"]),
+            ...because(CALLBACK_FIRST, ["length is read before the callback is checked"]),
+        },
+        "myReduceRight → Array.prototype.reduceRight": {
+            ...because(LENGTH_AS_IS, ["array-like, negative length", "array-like, negative length, initial value"]),
+            ...because(CALLBACK_FIRST, ["length is read before the callback is checked"]),
+        },
+        "myForEach → Array.prototype.forEach": {
+            ...because(LENGTH_AS_IS, ["array-like, negative length"]),
+            ...because(SLOPPY_THIS, ["null receiver", "undefined receiver"]),
+            ...because(CALLBACK_FIRST, ["length is read before the callback is checked"]),
+        },
+        "myForEach2 → Array.prototype.forEach": {
+            ...because(LENGTH_AS_IS, ["array-like, fractional length"]),
+            ...because(SLOPPY_THIS, ["null receiver", "undefined receiver"]),
+            ...because(CALLBACK_NOT_CHECKED, ["non-callable callback on an empty array"]),
+            ...because(CALLBACK_FIRST, ["length is read before the callback is checked"]),
+        },
+        "myFind → Array.prototype.find": {
+            ...because(LENGTH_AS_IS, ["array-like, negative length"]),
+            ...because(SLOPPY_THIS, ["null receiver", "undefined receiver"]),
+            ...because(CALLBACK_FIRST, ["length is read before the callback is checked"]),
+        },
+        "myFindIndex → Array.prototype.findIndex": {
+            ...because(LENGTH_AS_IS, ["array-like, negative length"]),
+            ...because(SLOPPY_THIS, ["null receiver", "undefined receiver"]),
+            ...because(CALLBACK_FIRST, ["length is read before the callback is checked"]),
+        },
+        "myFindLast → Array.prototype.findLast": {
+            ...because(LENGTH_AS_IS, ["array-like, negative length", "length beyond 2^53"]),
+            ...because(SLOPPY_THIS, ["null receiver", "undefined receiver"]),
+            ...because(CALLBACK_FIRST, ["length is read before the callback is checked"]),
+        },
+        "myFindLastIndex → Array.prototype.findLastIndex": {
+            ...because(LENGTH_AS_IS, ["array-like, negative length", "length beyond 2^53"]),
+            ...because(SLOPPY_THIS, ["null receiver", "undefined receiver"]),
+            ...because(CALLBACK_FIRST, ["length is read before the callback is checked"]),
+        },
+        "mySome → Array.prototype.some": {
+            ...because(LENGTH_AS_IS, ["array-like, negative length"]),
+            ...because(SLOPPY_THIS, ["null receiver", "undefined receiver"]),
+            ...because(CALLBACK_FIRST, ["length is read before the callback is checked"]),
+        },
+        "myEvery → Array.prototype.every": {
+            ...because(LENGTH_AS_IS, ["array-like, negative length"]),
+            ...because(SLOPPY_THIS, ["null receiver", "undefined receiver"]),
+            ...because(CALLBACK_FIRST, ["length is read before the callback is checked"]),
+        },
+        "myFlat → Array.prototype.flat": {
+            ...because(DEPTH_AS_IS, ["depth 2.5", "depth 1n"]),
+            ...because(LENGTH_AS_IS, ["array-like, fractional length"]),
+            ...because(NO_SPECIES, ["Array subclass"]),
+            ...because(LENGTH_EACH_STEP, ["logged length"]),
+            ...because(SLOPPY_THIS, ["null receiver"]),
+        },
+        "myFlatMap → Array.prototype.flatMap": {
+            ...because(LENGTH_AS_IS, ["array-like, negative length"]),
+            ...because(NO_SPECIES, ["Array subclass"]),
+            ...because(SLOPPY_THIS, ["null receiver", "undefined receiver"]),
+            ...because(CALLBACK_FIRST, ["length is read before the callback is checked"]),
+            ...because(HOLES_FLATTENED, ["mapper returns sparse arrays"]),
+        },
+        "myFlatMap2 → Array.prototype.flatMap": {
+            ...because(ARRAYS_ONLY, [
+                "array-like", "array-like, string length", "array-like, fractional length",
+                "array-like, negative length", "array-like, no length", "string receiver", "number receiver",
+                "Array subclass", "logged length", "length beyond 2^53",
+                "length is read before the callback is checked",
+            ]),
+        },
+        "myIncludes → Array.prototype.includes": {
+            ...because(INDEX_AS_IS, [
+                "fromIndex Infinity", "fromIndex 1e+21", "fromIndex -1e+21", "fromIndex 4294967296",
+                "fromIndex 4294967297", "fromIndex 9007199254740992",
+            ]),
+            ...because(SLOPPY_THIS, ["null receiver"]),
+        },
+        "myAt → Array.prototype.at": {
+            ...because(INDEX_AS_IS, [
+                "index Infinity", "index -Infinity", "index 4294967296", "index 4294967297", "index 9007199254740992",
+            ]),
+            ...because(SLOPPY_THIS, ["null receiver"]),
+        },
+        "myConcat → Array.prototype.concat": {
+            ...because(CONCAT_SPREADING, [
+                "dense array, spreadable array-like", "dense array, array marked not spreadable",
+                "sparse array, spreadable array-like", "sparse array, array marked not spreadable",
+                "empty array, spreadable array-like", "empty array, array marked not spreadable",
+                "array-like as receiver", "array-like, string length as receiver",
+                "array-like, fractional length as receiver", "array-like, negative length as receiver",
+                "array-like, no length as receiver", "string receiver as receiver", "number receiver as receiver",
+                "Array subclass as receiver", "logged length as receiver",
+            ]),
+            ...because(SLOPPY_THIS, ["null receiver"]),
+        },
+        "myTrim → String.prototype.trim": {
+            ...because(THROUGH_REPLACE, [
+                "number receiver", "boolean receiver", "object with toString", "array receiver",
+            ]),
+        },
+        "myTrimStart → String.prototype.trimStart": {
+            ...because(THROUGH_REPLACE, [
+                "number receiver", "boolean receiver", "object with toString", "array receiver",
+            ]),
+        },
+        "myTrimLeft → String.prototype.trimLeft": {
+            ...because(THROUGH_REPLACE, [
+                "number receiver", "boolean receiver", "object with toString", "array receiver",
+            ]),
+        },
+        "myTrimEnd → String.prototype.trimEnd": {
+            ...because(THROUGH_REPLACE, [
+                "number receiver", "boolean receiver", "object with toString", "array receiver",
+            ]),
+        },
+        "myTrimRight → String.prototype.trimRight": {
+            ...because(THROUGH_REPLACE, [
+                "number receiver", "boolean receiver", "object with toString", "array receiver",
+            ]),
+        },
+        "myTrim2 → String.prototype.trim": {
+            ...because(FEW_WHITESPACES, ['"  x　 "', '"   spaces   "']),
+            ...because(THROUGH_REPLACE, [
+                "number receiver", "boolean receiver", "object with toString", "array receiver",
+            ]),
+        },
+        "myStartsWith → String.prototype.startsWith": {
+            ...because(POSITION_AS_IS, ['"hello" at NaN', '{toString: [Function "toString" length 0]} at NaN']),
+            ...because(SEARCH_NOT_CHECKED, ["RegExp search", "object with a truthy Symbol.match", "Symbol search"]),
+            ...because(SLOPPY_THIS, ["null receiver", "undefined receiver"]),
+        },
+        "myEndsWith → String.prototype.endsWith": {
+            ...because(SEARCH_NOT_CHECKED, ["RegExp search", "object with a truthy Symbol.match", "Symbol search"]),
+            ...because(SLOPPY_THIS, ["null receiver", "undefined receiver"]),
+        },
+        "myIncludes → String.prototype.includes": {
+            ...because(POSITION_AS_IS, [
+                '"hello" at NaN', '"world" at NaN', '"world" at 1.5', '"o w" at NaN', '"o w" at 1.5', '"d" at NaN',
+                '"d" at 1.5', '{toString: [Function "toString" length 0]} at NaN',
+            ]),
+            ...because(SEARCH_NOT_CHECKED, ["RegExp search", "object with a truthy Symbol.match", "Symbol search"]),
+            ...because(SLOPPY_THIS, ["null receiver", "undefined receiver"]),
+        },
+        "myIncludes2 → String.prototype.includes": {
+            ...because(SEARCH_NOT_CHECKED, ["RegExp search", "object with a truthy Symbol.match"]),
+            ...because(THROUGH_INDEX_OF, ["number receiver", "boolean receiver", "object with toString"]),
+        },
+        "myRepeat → String.prototype.repeat": {
+            ...because(COUNT_AS_IS, ['"ab" × -0.5', '"" × -0.5']),
+            ...because(SLOPPY_THIS, ["null receiver", "undefined receiver"]),
+        },
+        "myRepeat2 → String.prototype.repeat": {
+            ...because(COUNT_AS_IS, [
+                '"ab" × 2.9', '"ab" × -0.5', '"" × -0.5', '"ab" × NaN', '"" × NaN', '"ab" × undefined',
+                '"" × undefined',
+            ]),
+            ...because(SLOPPY_THIS, ["null receiver", "undefined receiver"]),
+        },
+        "myPadStart → String.prototype.padStart": {
+            ...because(SYMBOL_FILLER, ["Symbol filler"]),
+            ...because(SLOPPY_THIS, ["null receiver", "undefined receiver"]),
+        },
+        "myPadEnd → String.prototype.padEnd": {
+            ...because(SYMBOL_FILLER, ["Symbol filler"]),
+            ...because(SLOPPY_THIS, ["null receiver", "undefined receiver"]),
+        },
+        "myReplaceAll → String.prototype.replaceAll": WHOLE_REPLACE_ALL,
+        "myKeys2 → Object.keys": {
+            ...because(KEYS_SYMBOLS, ["Symbol key"]),
+        },
+        "myValues → Object.values": {
+            ...because(KEYS_UP_FRONT, ["getter hides a later key"]),
+        },
+        "myEntries → Object.entries": {
+            ...because(KEYS_UP_FRONT, ["getter hides a later key"]),
+        },
+        "myFromEntries → Object.fromEntries": {
+            ...because(FROM_ENTRIES_INDEXED, [
+                "entries that are array-likes", "string entry", "array-like of pairs (not iterable)", "string",
+                "number", "logged entry reads",
+            ]),
+        },
+        "myAssign → Object.assign": {
+            ...because(SLOPPY_ASSIGNMENT, ["frozen target", "read-only property on the target"]),
+        },
+        "myFreeze → Object.freeze": {
+            ...because(OWN_NAMES_ONLY, ["Symbol key"]),
+            ...because(NON_OBJECT_THROWS, ["null", "undefined", "no argument"]),
+        },
+        "mySeal → Object.seal": {
+            ...because(OWN_NAMES_ONLY, ["Symbol key"]),
+            ...because(SEAL_TYPED_ARRAY, ["typed array with elements"]),
+            ...because(NON_OBJECT_THROWS, ["string", "null", "undefined", "no argument"]),
+        },
+        "myPreventExtensions → Object.preventExtensions": {
+            ...because(EXTENSIBLE_MARKER, [
+                "plain object with a nested one", "array", "accessor property", "Symbol key", "non-enumerable property",
+                "empty typed array", "typed array with elements",
+            ]),
+            ...because(NON_OBJECT_THROWS, ["null", "undefined", "no argument"]),
+        },
+        "myIsExtensible → Object.isExtensible": {
+            ...because(EXTENSIBLE_MARKER, [
+                "already frozen", "non-extensible", "number", "string", "null", "undefined", "Symbol", "no argument",
+                "sealed object",
+            ]),
+        },
+        "myBind → Function.prototype.bind": {
+            ...because(BIND_ORDINARY, [
+                "this and one argument", "no arguments", "more arguments than parameters",
+                "strict function, primitive this", "sloppy function, primitive this", "sloppy function, null this",
+                "new on the bound function", "class: new works, call throws", "arrow function ignores this",
+                "bound function bound again", "instanceof against the bound function", "non-number length",
+                "Infinity length", "-Infinity length", "fractional length", "no own length", "non-string name",
+                "anonymous function", "prototype of the bound function",
+            ]),
+        },
+        "myBind2 → Function.prototype.bind": {
+            ...because(BIND_ORDINARY, [
+                "this and one argument", "no arguments", "more arguments than parameters",
+                "strict function, primitive this", "sloppy function, primitive this", "sloppy function, null this",
+                "new on the bound function", "class: new works, call throws", "arrow function ignores this",
+                "bound function bound again", "instanceof against the bound function", "non-number length",
+                "Infinity length", "-Infinity length", "fractional length", "no own length", "non-string name",
+                "anonymous function", "prototype of the bound function",
+            ]),
+            ...because(BIND_NOT_CHECKED, ["non-function receiver", "null receiver", "callable-looking object"]),
+        },
+        "myCall → Function.prototype.call": {
+            ...because(WINDOW_THIS, [
+                "strict function, null this", "strict function, undefined this", "sloppy function, null this",
+                "no arguments at all", "built-in function", "arguments object",
+            ]),
+            ...because(TEMPORARY_KEY, [
+                "strict function, primitive this", "sloppy function, primitive this", "frozen this",
+                "this sees no extra properties", "class constructor",
+            ]),
+        },
+        "myApply → Function.prototype.apply": {
+            ...because(WINDOW_THIS, [
+                "strict function, null this", "strict function, undefined this", "sloppy function, null this",
+                "no arguments at all", "built-in function", "arguments object", "array-like arguments",
+                "sparse arguments", "null arguments", "undefined arguments", "number arguments", "string arguments",
+                "empty object arguments", "arguments with a string length",
+            ]),
+            ...because(TEMPORARY_KEY, [
+                "strict function, primitive this", "sloppy function, primitive this", "frozen this",
+                "this sees no extra properties", "class constructor",
+            ]),
+        },
+        "myParseInt → Number.parseInt": WHOLE_PARSE_INT,
+        "myParseFloat → Number.parseFloat": WHOLE_PARSE_FLOAT,
+        "myFrom → Array.from": {
+            ...because(FROM_BY_LENGTH, [
+                "Set", "Set, mapped", "Map", "Map, mapped", "string with astral characters",
+                "string with astral characters, mapped", "generator", "iterator is closed when mapFn throws",
+                "iterator result that is not an object", "non-callable Symbol.iterator",
+            ]),
+            ...because(NEW_THIS, ["custom constructor as this, iterable", "non-constructor as this"]),
+        },
+        "myIsArray → Array.isArray": {
+            ...because(ISARRAY_TO_STRING, [
+                "proxy of an object, with throwing traps", 'Symbol.toStringTag "Array"',
+                'array with Symbol.toStringTag "Object"',
+            ]),
+        },
+        "myIsArray2 → Array.isArray": {
+            ...because(ISARRAY_INSTANCEOF, [
+                "Array subclass", "proxy of an object, with throwing traps", "object inheriting from Array.prototype",
+            ]),
+        },
+        "myOf → Array.of": {
+            ...because(PLAIN_ARRAY_OF, ["custom constructor as this", "Array subclass as this"]),
+        },
+        "myCreate → Object.create": {
+            ...because(CREATE_ACCESSORS, ["null prototype with an accessor"]),
+        },
+        "myGroupBy → Object.groupBy": {
+            ...because(GROUP_BY_PROTOTYPE, [
+                "numbers by parity", "index argument", "number keys", "Symbol keys", "-0 and +0 keys", "NaN keys",
+                "__proto__ key", "empty",
+            ]),
+            ...because(GROUP_BY_INDEX, [
+                "string is iterated by code point", "Set", "sparse array (iterated)", "array-like (not iterable)",
+                "null",
+            ]),
+            ...because(GROUP_BY_KEY_READ, ["object keys"]),
+            ...because(GROUP_BY_ARRAY_ARGUMENT, ["callback arguments"]),
+        },
+        "myGroupByToMap → Map.groupBy": {
+            ...because(GROUP_BY_INDEX, [
+                "string is iterated by code point", "Set", "sparse array (iterated)", "array-like (not iterable)",
+                "null",
+            ]),
+            ...because(GROUP_BY_ARRAY_ARGUMENT, ["callback arguments"]),
+        },
+        "myToSorted → Array.prototype.toSorted": {
+            ...because(HOLES_KEPT, ["sparse array", "only holes", "array-like", "undefined and holes go last"]),
+            ...because(LENGTH_AS_IS, ["array-like, negative length"]),
+            ...because(SLOPPY_THIS, ["null receiver"]),
+        },
+        "myToReversed → Array.prototype.toReversed": {
+            ...because(HOLES_KEPT, ["sparse array", "only holes", "array-like"]),
+            ...because(LENGTH_AS_IS, ["array-like, negative length"]),
+            ...because(SLOPPY_THIS, ["null receiver"]),
+        },
+        "myToSpliced → Array.prototype.toSpliced": {
+            ...because(HOLES_KEPT, ["sparse array", "only holes", "sparse array, nothing removed"]),
+            ...because(LENGTH_AS_IS, ["array-like, negative length"]),
+            ...because(SPLICE_ARGUMENTS, [
+                "()", "(Infinity)", "(undefined, undefined)", '(2, Infinity, "x")', "new length beyond 2^53 - 1",
+            ]),
+            ...because(SLOPPY_THIS, ["null receiver"]),
+        },
+        "myWith → Array.prototype.with": {
+            ...because(INDEX_AS_IS, [
+                "index Infinity", "index -Infinity", "index 4294967296", "index 4294967297", "index 9007199254740992",
+            ]),
+            ...because(HOLES_KEPT, [
+                "sparse array", "only holes", "array-like", "logged elements", "hole read as undefined",
+            ]),
+            ...because(LENGTH_AS_IS, ["array-like, negative length"]),
+            ...because(SLOPPY_THIS, ["null receiver"]),
+        },
+        "myFrom → Iterator.from": {
+            ...because(ITERATOR_FROM_WRAPS, [
+                "iterator not inheriting from Iterator.prototype",
+                "iterator not inheriting from Iterator.prototype, returned after one value",
+                "iterator without return()", "iterator without return(), returned after one value",
+                "iterable whose iterator doesn't inherit",
+                "iterable whose iterator doesn't inherit, returned after one value", "Symbol.iterator is null",
+                "Symbol.iterator is null, returned after one value", "object without next",
+                "object without next, returned after one value", "function with a next",
+                "function with a next, returned after one value", "next is read once, up front",
+                "wrapper methods on another object",
+            ]),
+        },
+        "myMap → Iterator.prototype.map": {
+            ...because(GENERATOR_HELPER, [
+                "null receiver", "undefined receiver", "number receiver", "returned before the first next()",
+            ]),
+        },
+        "myFilter → Iterator.prototype.filter": {
+            ...because(GENERATOR_HELPER, [
+                "null receiver", "undefined receiver", "number receiver", "returned before the first next()",
+            ]),
+        },
+        "myTake → Iterator.prototype.take": {
+            ...because(GENERATOR_HELPER, [
+                "limit 1n", "returned before the first next()", "null receiver", "undefined receiver",
+                "number receiver",
+            ]),
+        },
+        "myDrop → Iterator.prototype.drop": {
+            ...because(GENERATOR_HELPER, [
+                "limit 1n", "returned before the first next()", "null receiver", "undefined receiver",
+                "number receiver",
+            ]),
+            ...because(DROP_REREADS, ["results read through getters"]),
+        },
+        "myFlatMap → Iterator.prototype.flatMap": {
+            ...because(GENERATOR_HELPER, [
+                "null receiver", "undefined receiver", "number receiver", "returned before the first next()",
+            ]),
+            ...because(RETURN_VALUE_KEPT, ["returned inside an inner iterator"]),
+        },
+        "myUnion → Set.prototype.union": {
+            ...because(SET_RECEIVER, ["receiver with its own has and Symbol.iterator"]),
+        },
+        "myIntersection → Set.prototype.intersection": {
+            ...because(SET_RECEIVER, ["receiver with its own has and Symbol.iterator"]),
+        },
+        "myDifference → Set.prototype.difference": {
+            ...because(SET_RECEIVER, ["receiver with its own has and Symbol.iterator"]),
+        },
+        "mySymmetricDifference → Set.prototype.symmetricDifference": {
+            ...because(SET_RECEIVER, ["receiver with its own has and Symbol.iterator"]),
+        },
+        "myIsSubsetOf → Set.prototype.isSubsetOf": {
+            ...because(SET_RECEIVER, ["receiver with its own has and Symbol.iterator"]),
+        },
+        "myIsSupersetOf → Set.prototype.isSupersetOf": {
+            ...because(SET_RECEIVER, ["receiver with its own has and Symbol.iterator"]),
+        },
+        "myIsDisjointFrom → Set.prototype.isDisjointFrom": {
+            ...because(SET_RECEIVER, ["receiver with its own has and Symbol.iterator"]),
+        },
+        "myFromAsync → Array.fromAsync": {
+            ...because(FROM_ASYNC_NOT_CLOSED, [
+                "sync iterator yielding a rejecting thenable", "sync iterator yielding a rejecting thenable, mapped",
+            ]),
+            ...because(NEW_THIS, ["non-constructor as this"]),
+        },
+    },
+};
@@ -0,0 +1,60 @@
+// Implementations fuzz.js is known to find disagreeing, each with the reason
+//
+// fuzz.js counts these apart and exits 1 only for a disagreement that is not listed here.
+// Whether a run finds one depends on the inputs the seed generates, so an entry that
+// agreed on every input is mentioned, not treated as stale. The same gaps are in
+// expected.js, case by case.
+//
+// { [group of fuzz.js]: { [implementation, as fuzz.js prints it]: why it disagrees } }
+
+module.exports = {
+    "coding/polyfills": {
+        "Number.parseInt":
+            "long radix-36 strings: the library rounds correctly, V8 approximates outside radix 10 and the powers of two",
+    },
+    "Polyfills.md": {
+        "myMap3 → Array.prototype.map": "goes through this.reduce, so an array-like receiver throws",
+        "myFilter2 → Array.prototype.filter":
+            "re-reads length on every step, so elements the callback pushes are visited",
+        "myFilter3 → Array.prototype.filter": "goes through this.reduce, so an array-like receiver throws",
+        "myReduce2 → Array.prototype.reduce": "takes an explicit undefined initial value for a missing one",
+        "myForEach2 → Array.prototype.forEach": "doesn't floor a fractional length, so it visits one index too many",
+        "myFlat → Array.prototype.flat": "doesn't truncate a fractional depth",
+        "myFlatMap2 → Array.prototype.flatMap": "goes through this.map, so an array-like receiver throws",
+        "myIncludes → Array.prototype.includes": "doesn't clamp fromIndex: Infinity and 2^32 wrap around",
+        "myAt → Array.prototype.at": "indices of 2^32 and beyond wrap around",
+        "myConcat → Array.prototype.concat": "spreads an array-like receiver instead of adding it as one element",
+        "myTrim2 → String.prototype.trim": "knows only a few whitespace characters",
+        "myStartsWith → String.prototype.startsWith": "doesn't truncate a fractional position",
+        "myEndsWith → String.prototype.endsWith": "doesn't truncate a fractional end position",
+        "myIncludes → String.prototype.includes": "doesn't truncate a fractional or NaN position",
+        "myRepeat → String.prototype.repeat": "a count of -0.5 throws a RangeError instead of counting as 0",
+        "myRepeat2 → String.prototype.repeat": "doesn't truncate the count, and -0.5 throws a RangeError",
+        "myPadStart → String.prototype.padStart":
+            "a target length of Infinity gives the string back instead of a RangeError",
+        "myPadEnd → String.prototype.padEnd":
+            "a target length of Infinity gives the string back instead of a RangeError",
+        "myReplaceAll → String.prototype.replaceAll":
+            "splits and joins, so replacement patterns and replacer functions aren't applied",
+        "myFreeze → Object.freeze": "throws on a primitive, which the built-in returns unchanged",
+        "mySeal → Object.seal": "throws on a primitive, which the built-in returns unchanged",
+        "myPreventExtensions → Object.preventExtensions": "marks the object with a __preventExtensions__ property",
+        "myIsExtensible → Object.isExtensible":
+            "calls primitives extensible, and only reads its own __preventExtensions__ marker",
+        "myBind → Function.prototype.bind": "an ordinary function: the name and length don't come from the target",
+        "myBind2 → Function.prototype.bind": "an ordinary function: the name and length don't come from the target",
+        "myCall → Function.prototype.call": "replaces a falsy this with window, which Node doesn't have",
+        "myApply → Function.prototype.apply": "replaces a falsy this with window, which Node doesn't have",
+        "myParseInt → Number.parseInt": "a digit loop of its own: a string without digits gives 0, not NaN, and more",
+        "myParseFloat → Number.parseFloat":
+            "a digit loop of its own: a string without digits gives 0, not NaN, and more",
+        "myGroupBy → Object.groupBy": "the result inherits from Object.prototype instead of null",
+        "myGroupByToMap → Map.groupBy": "passes the items to the callback as a third argument",
+        "myToSorted → Array.prototype.toSorted": "copies holes as holes instead of undefined",
+        "myToReversed → Array.prototype.toReversed": "copies holes as holes instead of undefined",
+        "myToSpliced → Array.prototype.toSpliced": "copies holes as holes instead of undefined",
+        "myWith → Array.prototype.with": "copies holes as holes instead of undefined",
+        "myFrom → Iterator.from": "always wraps, with next and return as own properties of the wrapper",
+        "myFromAsync → Array.fromAsync": "a thenable that rejects doesn't close the sync iterator it came from",
+    },
+};
@@ -0,0 +1,145 @@
+// Property-based run: every polyfill next to the native built-in, on generated inputs
+//
+// For each implementation, properties.js generates inputs of growing size and the
+// implementation must agree with the native method on all of them (compared as in
+// run.js, and with coding/polyfills where the engine has no native yet). The first
+// disagreement is shrunk to a minimal input that still shows it. Runs are seeded – per
+// feature, so filtering doesn't change what a feature gets – and a failure prints the
+// seed that reproduces it. Implementations known to disagree are listed in
+// fuzz-expected.js; the run fails only on the others.
+//
+// node coding/conformance/fuzz.js                       → coding/polyfills and Polyfills.md
+// node coding/conformance/fuzz.js --md String.prototype.padStart
+// node coding/conformance/fuzz.js --lib --runs 1000     → more inputs per implementation
+// node coding/conformance/fuzz.js --seed 1234           → repeat an earlier run
+// node coding/conformance/fuzz.js --all                 → the expected disagreements in full too
+
+const { observe, observeAsync, compare, describeDivergence } = require("./harness");
+const { ASYNC } = require("./cases");
+const { PROPERTIES, toCase } = require("./properties");
+const { loadMarkdownPolyfills } = require("./markdown");
+const { check, checkAsync, hashSeed } = require("./property");
+const { findReferences } = require("./references");
+const { option, positionals } = require("./options");
+const EXPECTED = require("./fuzz-expected");
+
+const REFERENCES = findReferences(Object.keys(PROPERTIES));
+
+const displayName = ({ name, feature }) => (name === feature ? name : `${name} → ${feature}`);
+
+// → { implementation, skipped } or { implementation, result } with result from check()
+async function fuzz(implementation, { seed, runs }) {
+    const arbitrary = PROPERTIES[implementation.feature];
+    const reference = REFERENCES.get(implementation.feature);
+    if (!arbitrary) return { implementation, skipped: "no generator" };
+    if (!reference || (implementation.library && reference.name !== "native")) {
+        return { implementation, skipped: `no native ${implementation.feature} to compare with` };
+    }
+
+    const options = { seed: hashSeed(seed, implementation.feature), runs };
+    const disagreement = (actual, expected) => {
+        const fields = compare(actual, expected);
+        return fields.length ? { fields, actual, expected } : undefined;
+    };
+    if (!ASYNC.has(implementation.feature)) {
+        const agrees = value => {
+            const make = toCase(value);
+            const expected = observe(reference.fn, make, { owner: reference.owner });
+            return disagreement(observe(implementation.fn, make, { owner: reference.owner, call: implementation.call }), expected);
+        };
+        return { implementation, reference, result: check(arbitrary, agrees, options) };
+    }
+    const agrees = async value => {
+        const make = toCase(value);
+        const expected = await observeAsync(reference.fn, make, { owner: reference.owner });
+        return disagreement(await observeAsync(implementation.fn, make, { owner: reference.owner, call: implementation.call }), expected);
+    };
+    return { implementation, reference, result: await checkAsync(arbitrary, agrees, options) };
+}
+
+// A disagreement fuzz-expected.js gives a reason for is listed in full only with --all
+function report({ implementation, reference, skipped, result }, { seed, reason: expected, showAll }) {
+    const name = displayName(implementation);
+    if (skipped) return [`  – ${name}  (${skipped})`];
+    const against = reference.name === "native" ? "" : ", against coding/polyfills";
+    if (result.passed) return [`  ✓ ${name}  (${result.runs} inputs${against})`];
+
+    const found = `input ${result.runs}, ${result.shrinks} shrink${result.shrinks === 1 ? "" : "s"}`;
+    const lines = [expected ? `  ✓ ${name}  (${found}, expected${against})` : `  ✗ ${name}  (${found}${against})`];
+    if (implementation.where) lines[0] += `  ${implementation.where}`;
+    if (expected && !showAll) return lines;
+    if (expected) lines.push(`     expected: ${expected}`);
+    const { reason } = result;
+    if (reason && reason.fields) {
+        lines.push(...describeDivergence(reason.actual, reason.expected, reason.fields, reference.name).map(line => `  ${line}`));
+    } else {
+        lines.push(`     the check itself failed: ${reason instanceof Error ? reason.stack : String(reason)}`);
+    }
+    lines.push(`     reproduce: node coding/conformance/fuzz.js --seed ${seed} ${implementation.feature}`);
+    return lines;
+}
+
+function selected(feature, filters) {
+    return !filters.length || filters.some(filter => feature === filter || feature.startsWith(`${filter}.`));
+}
+
+async function main() {
+    const argv = process.argv.slice(2);
+    const seed = option(argv, "--seed", Date.now() % 2 ** 31);
+    const runs = option(argv, "--runs", 100);
+    const filters = positionals(argv, ["--seed", "--runs"]);
+    const onlyLibrary = argv.includes("--lib");
+    const onlyMarkdown = argv.includes("--md");
+    const showAll = argv.includes("--all");
+
+    console.log(`seed ${seed}, ${runs} inputs per implementation`);
+    let checked = 0;
+    let failed = 0;
+    let expectedCount = 0;
+    const unseen = [];
+    const run = async (title, implementations) => {
+        console.log(`\n${title}`);
+        for (const implementation of implementations) {
+            const outcome = await fuzz(implementation, { seed, runs });
+            const reason = (EXPECTED[title] || {})[displayName(implementation)];
+            if (!outcome.skipped) checked++;
+            if (outcome.result && !outcome.result.passed) {
+                if (reason) expectedCount++;
+                else failed++;
+            } else if (reason && !outcome.skipped) {
+                unseen.push(displayName(implementation));
+            }
+            console.log(report(outcome, { seed, reason, showAll }).join("\n"));
+        }
+    };
+
+    if (!onlyMarkdown) {
+        const library = require("../polyfills").features
+            .filter(({ name }) => selected(name, filters))
+            .map(({ name, value }) => ({ name, feature: name, fn: value, library: true }));
+        await run("coding/polyfills", library);
+    }
+    if (!onlyLibrary) {
+        const markdown = loadMarkdownPolyfills();
+        try {
+            markdown.errors.forEach(({ section, line, error }) => console.log(`Polyfills.md §${section} (line ${line}) failed to load: ${error.message}`));
+            const variants = markdown.variants
+                .filter(({ feature }) => selected(feature, filters))
+                .map(variant => ({ ...variant, name: variant.variant, where: `Polyfills.md §${variant.section}` }));
+            await run("Polyfills.md", variants);
+        } finally {
+            markdown.uninstall();
+        }
+    }
+
+    // Generated inputs may just not have hit it this time, so this is no failure
+    if (unseen.length) {
+        console.log("\nListed in fuzz-expected.js but agreeing on every input this run (more --runs may still find it):");
+        unseen.forEach(name => console.log(`  ${name}`));
+    }
+
+    console.log(`\n${checked} implementations, ${runs} inputs each: ${failed} disagree with the native method, ${expectedCount} as expected`);
+    process.exitCode = failed ? 1 : 0;
+}
+
+main();
@@ -0,0 +1,390 @@
+"use strict";
+// Side-by-side runs of an implementation and the native built-in
+//
+// A case is a function of a toolkit `t` that returns { this, args, probe?, construct? } –
+// built fresh for every run, so callbacks that mutate their array start from the same
+// state each time; `construct: true` calls the implementation with new instead. One run is observed as four strings, and two runs agree when all four do:
+//   result  what came back (or `throws TypeError`; messages differ between engines), or
+//           for the promise-returning methods what the promise settled to
+//   events  spy calls and getter reads, in order, serialized at the moment they happen
+//   after   the receiver and every object argument once the call is over
+//   probe   what case.probe(result) gives – calling a bound function, say
+
+const vm = require("vm");
+const { types } = require("util");
+
+// ─── serializing values ─────────────────────────────────────────────────────────────
+
+const WELL_KNOWN = new Map([
+    [globalThis, "globalThis"],
+    [Object.prototype, "Object.prototype"],
+    [Array.prototype, "Array.prototype"],
+    [Function.prototype, "Function.prototype"],
+]);
+
+// Collections are read through the built-in iterators: a case may patch the instance's
+const mapEntries = Map.prototype.entries;
+const setValues = Set.prototype.values;
+
+const isIndex = key => typeof key === "string" && String(Number(key) >>> 0) === key && key !== "4294967295";
+
+// Like util.inspect, but total and deterministic: holes, -0, property attributes,
+// prototypes and integrity levels all show, and labelled objects print as <label>
+function show(value, labels, seen = new Set()) {
+    if (labels.has(value)) return `<${labels.get(value)}>`;
+    if (WELL_KNOWN.has(value)) return `<${WELL_KNOWN.get(value)}>`;
+    switch (typeof value) {
+        case "undefined":
+            return "undefined";
+        case "number":
+            return Object.is(value, -0) ? "-0" : String(value);
+        case "bigint":
+            return `${value}n`;
+        case "string":
+            return JSON.stringify(value);
+        case "symbol":
+            return value.toString();
+        case "boolean":
+            return String(value);
+    }
+    if (value === null) return "null";
+    if (seen.has(value)) return "<circular>";
+    seen.add(value);
+    try {
+        return showObject(value, labels, seen);
+    } finally {
+        seen.delete(value);
+    }
+}
+
+function showObject(value, labels, seen) {
+    const inner = v => show(v, labels, seen);
+    // Looking inside would run its traps, or throw once it is revoked
+    if (types.isProxy(value)) return "[Proxy]";
+    if (value instanceof Error) return `${value.constructor.name}`;
+
+    let head = "";
+    if (typeof value === "function") {
+        head = `[Function ${JSON.stringify(value.name)} length ${value.length}] `;
+    } else if (Array.isArray(value)) {
+        if (Object.getPrototypeOf(value) !== Array.prototype) head = `${prototypeName(value, labels)} `;
+    } else {
+        const tag = Object.prototype.toString.call(value).slice(8, -1);
+        if (["Number", "String", "Boolean", "Symbol", "BigInt"].includes(tag)) {
+            head = `[${tag}: ${inner(value.valueOf())}] `;
+        } else if (value instanceof Map) {
+            head = `Map(${[...mapEntries.call(value)].map(([k, v]) => `${inner(k)} => ${inner(v)}`).join(", ")}) `;
+        } else if (value instanceof Set) {
+            head = `Set(${[...setValues.call(value)].map(inner).join(", ")}) `;
+        }
+        const proto = Object.getPrototypeOf(value);
+        if (proto !== Object.prototype && !(value instanceof Map) && !(value instanceof Set) && !head) {
+            head = `${prototypeName(value, labels)} `;
+        }
+    }
+
+    const frozen = Object.isFrozen(value);
+    let integrity = "";
+    if (frozen) integrity = "frozen ";
+    else if (Object.isSealed(value)) integrity = "sealed ";
+    else if (!Object.isExtensible(value)) integrity = "non-extensible ";
+
+    const parts = [];
+    const keys = Reflect.ownKeys(value);
+    if (Array.isArray(value)) {
+        let holes = 0;
+        const flushHoles = () => {
+            if (holes) parts.push(holes === 1 ? "<hole>" : `<${holes} holes>`);
+            holes = 0;
+        };
+        for (let i = 0; i < value.length; i++) {
+            if (Object.prototype.hasOwnProperty.call(value, i)) {
+                flushHoles();
+                parts.push(property(value, String(i), inner, frozen, true));
+            } else {
+                holes++;
+            }
+        }
+        flushHoles();
+    }
+    for (const key of keys) {
+        if (Array.isArray(value) && (isIndex(key) || key === "length")) continue;
+        if (typeof value === "function" && ["length", "name", "prototype"].includes(key)) continue;
+        if (head.startsWith("[String:") && (isIndex(key) || key === "length")) continue;
+        parts.push(property(value, key, inner, frozen, false));
+    }
+    const body = Array.isArray(value) ? `[${parts.join(", ")}]` : parts.length || !head ? `{${parts.join(", ")}}` : "";
+    return `${integrity}${head}${body}`.trim();
+}
+
+function prototypeName(value, labels) {
+    const proto = Object.getPrototypeOf(value);
+    if (proto === null) return "[null prototype]";
+    if (labels.has(proto)) return `[proto <${labels.get(proto)}>]`;
+    if (WELL_KNOWN.has(proto)) return `[proto <${WELL_KNOWN.get(proto)}>]`;
+    const ctor = Object.getOwnPropertyDescriptor(proto, "constructor");
+    return ctor && typeof ctor.value === "function" ? ctor.value.name || "[anonymous class]" : "[proto object]";
+}
+
+// `key: value`, with the attributes that differ from a plain assignment spelled out;
+// accessors are described, never called
+function property(object, key, inner, frozen, element) {
+    const descriptor = Object.getOwnPropertyDescriptor(object, key);
+    const flags = [];
+    if (!descriptor.enumerable) flags.push("hidden");
+    if (!frozen) {
+        if (descriptor.writable === false) flags.push("readonly");
+        if (!descriptor.configurable) flags.push("permanent");
+    }
+    const shown = "value" in descriptor ? inner(descriptor.value) : `[${descriptor.get ? "Getter" : ""}${descriptor.get && descriptor.set ? "/" : ""}${descriptor.set ? "Setter" : ""}]`;
+    const name = typeof key === "symbol" ? `[${key.toString()}]` : element ? "" : /^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key);
+    const prefix = flags.length ? `(${flags.join(" ")}) ` : "";
+    return element ? `${prefix}${shown}` : `${prefix}${name}: ${shown}`;
+}
+
+// ─── the toolkit a case is built with ───────────────────────────────────────────────
+
+const STOP = Symbol("stop");
+
+const IteratorPrototype = Object.getPrototypeOf(Object.getPrototypeOf([][Symbol.iterator]()));
+
+function toolkit(labels, events) {
+    const label = (value, name) => {
+        if (value !== null && (typeof value === "object" || typeof value === "function") && !labels.has(value)) {
+            labels.set(value, name);
+        }
+        return value;
+    };
+    return {
+        label,
+        // An object whose only job is to be recognisable when passed back as `this`
+        thisArg: label({ marker: true }, "thisArg"),
+        // Records every call: the `this` it got and its arguments
+        spy(fn = () => undefined, name = "callback") {
+            return function (...args) {
+                events.push(`${name}(this=${show(this, labels)}; ${args.map(arg => show(arg, labels)).join(", ")})`);
+                return Reflect.apply(fn, this, args);
+            };
+        },
+        // An accessor that logs its reads (and writes)
+        getter(object, key, value) {
+            let current = value;
+            Object.defineProperty(object, key, {
+                get() {
+                    events.push(`get ${String(key)}`);
+                    return current;
+                },
+                set(next) {
+                    events.push(`set ${String(key)} = ${show(next, labels)}`);
+                    current = next;
+                },
+                enumerable: true,
+                configurable: true,
+            });
+            return object;
+        },
+        // An iterator over `values` that logs next() and return() as `name.next()` – it
+        // inherits the helpers like a built-in iterator, unless inherit is false
+        iterator(values, { name = "source", inherit = true, returns = true } = {}) {
+            let index = 0;
+            const iterator = Object.create(inherit ? IteratorPrototype : Object.prototype);
+            iterator.next = function next() {
+                events.push(`${name}.next()`);
+                return index < values.length ? { value: values[index++], done: false } : { value: undefined, done: true };
+            };
+            if (returns) {
+                iterator.return = function () {
+                    events.push(`${name}.return()`);
+                    return { value: "returned", done: true };
+                };
+            }
+            return iterator;
+        },
+        // An async iterator over `values` that logs next() and return() as `async next()`
+        asyncIterator(values, { returns = true } = {}) {
+            let index = 0;
+            const iterator = {
+                [Symbol.asyncIterator]() {
+                    return this;
+                },
+                next() {
+                    events.push("async next()");
+                    return Promise.resolve(index < values.length ? { value: values[index++], done: false } : { value: undefined, done: true });
+                },
+            };
+            if (returns) {
+                iterator.return = () => {
+                    events.push("async return()");
+                    return Promise.resolve({ value: undefined, done: true });
+                };
+            }
+            return iterator;
+        },
+        log: message => events.push(message),
+        // Throw this from a callback to end the call early, e.g. on an endless array-like
+        STOP,
+    };
+}
+
+// ─── running and comparing ──────────────────────────────────────────────────────────
+
+// Calls run under a time limit: a polyfill that takes `length >>> 0` turns a length of -3
+// into 4294967293 iterations, and that should be reported rather than hang the run.
+// A vm script timeout also interrupts the functions the script calls.
+const TIME_LIMIT = 500;
+const THUNK = Symbol.for("conformance.thunk");
+const timedCall = new vm.Script("globalThis[Symbol.for('conformance.thunk')]()");
+
+function withTimeLimit(thunk) {
+    Object.defineProperty(globalThis, THUNK, { value: thunk, configurable: true });
+    try {
+        return timedCall.runInThisContext({ timeout: TIME_LIMIT });
+    } finally {
+        delete globalThis[THUNK];
+    }
+}
+
+function outcomeOfThrow(error, labels) {
+    if (error === STOP) return "throws <stop>";
+    if (error && error.code === "ERR_SCRIPT_EXECUTION_TIMEOUT") return `did not finish within ${TIME_LIMIT} ms`;
+    return `throws ${error instanceof Error ? error.constructor.name : show(error, labels)}`;
+}
+
+// Calls the implementation on a freshly built case; call(fn, thisValue, args) invokes it
+// and defaults to a plain method call
+function start(fn, makeCase, { owner, call } = {}) {
+    const labels = new Map();
+    const events = [];
+    const t = toolkit(labels, events);
+    const testCase = makeCase(t);
+    const thisValue = "this" in testCase ? testCase.this : owner;
+    const args = testCase.args || [];
+
+    // What the call was given, printed before it can change anything
+    const input = [
+        thisValue !== owner ? `this ${show(thisValue, labels)}` : "",
+        `${testCase.construct ? "new " : ""}args (${args.map(arg => show(arg, labels)).join(", ")})`,
+    ]
+        .filter(Boolean)
+        .join("  ");
+    if (thisValue !== owner) t.label(thisValue, "this");
+    args.forEach((arg, i) => t.label(arg, `arg${i}`));
+    // What new creates inherits from the implementation's own prototype: the same label
+    // for both makes `new MyPromise()` and `new Promise()` print alike
+    if (testCase.construct) t.label(fn.prototype, "prototype");
+
+    const run = { labels, events, t, testCase, owner, thisValue, args, input, threw: false, error: null };
+    try {
+        run.result = withTimeLimit(() => {
+            if (testCase.construct) return Reflect.construct(fn, args);
+            return call ? call(fn, thisValue, args) : Reflect.apply(fn, thisValue, args);
+        });
+        run.shown = show(run.result, labels);
+    } catch (e) {
+        run.threw = true;
+        run.error = e;
+        run.shown = outcomeOfThrow(e, labels);
+    }
+    return run;
+}
+
+function finish({ labels, events, t, testCase, owner, thisValue, args, input, threw, error, result, shown }) {
+    const outcome = { input, result: shown };
+    outcome.events = events.join("\n");
+
+    // The receiver and arguments themselves, printed in full rather than as <this> / <argN>
+    const unlabelled = value => {
+        const name = labels.get(value);
+        labels.delete(value);
+        try {
+            return show(value, labels);
+        } finally {
+            if (name !== undefined) labels.set(value, name);
+        }
+    };
+    const touched = [thisValue !== owner ? thisValue : undefined, ...args].filter(value => value !== null && typeof value === "object");
+    outcome.after = touched.map(unlabelled).join("\n");
+
+    if (testCase.probe) {
+        if (threw) {
+            outcome.probe = "";
+        } else {
+            const before = events.length;
+            try {
+                outcome.probe = show(withTimeLimit(() => testCase.probe(result, t)), labels);
+            } catch (e) {
+                outcome.probe = outcomeOfThrow(e, labels);
+            }
+            outcome.probe += events.slice(before).map(event => `\n${event}`).join("");
+        }
+    } else {
+        outcome.probe = "";
+    }
+    outcome.message = error instanceof Error ? error.message : "";
+    return outcome;
+}
+
+function observe(fn, makeCase, options) {
+    return finish(start(fn, makeCase, options));
+}
+
+// For the methods that return a promise (Array.fromAsync, Promise.try, …): the result is
+// what the promise settles to – `Promise fulfilled with [1, 2]`, `Promise rejected with
+// TypeError` – and the events include everything up to then. A promise still pending
+// after the time limit is reported as such. An `await` loop that never ends can't be
+// interrupted, though: it starves the timer as well.
+async function observeAsync(fn, makeCase, options) {
+    const run = start(fn, makeCase, options);
+    const { result, labels } = run;
+    if (run.threw || result === null || (typeof result !== "object" && typeof result !== "function")) return finish(run);
+
+    let then;
+    try {
+        then = result.then;
+    } catch (e) {
+        run.shown = `then getter ${outcomeOfThrow(e, labels)}`;
+        return finish(run);
+    }
+    if (typeof then !== "function") return finish(run);
+
+    const kind = result instanceof Promise || run.testCase.construct ? prototypeName(result, labels) : "thenable";
+    let timer;
+    const settled = await Promise.race([
+        Promise.resolve(result).then(
+            value => `${kind} fulfilled with ${show(value, labels)}`,
+            reason => {
+                run.error = reason;
+                return `${kind} rejected with ${reason === STOP ? "<stop>" : reason instanceof Error ? reason.constructor.name : show(reason, labels)}`;
+            }
+        ),
+        new Promise(resolve => {
+            timer = setTimeout(() => resolve(`${kind} still pending after ${TIME_LIMIT} ms`), TIME_LIMIT);
+        }),
+    ]);
+    clearTimeout(timer);
+    run.shown = settled;
+    return finish(run);
+}
+
+const FIELDS = ["result", "events", "after", "probe"];
+
+// → the fields that differ, or [] when the runs agree
+function compare(actual, expected) {
+    return FIELDS.filter(field => actual[field] !== expected[field]);
+}
+
+// The differing fields as report lines: polyfill above the reference (the native method,
+// or the library where there is none), multi-line values aligned
+function describeDivergence(actual, expected, fields, reference = "native") {
+    const lines = [`   ${actual.input}`];
+    for (const field of FIELDS.filter(f => fields.includes(f))) {
+        const pad = " ".repeat(field.length + 2);
+        const indent = text => text.split("\n").join(`\n   ${pad}          `);
+        lines.push(`   ${field}  polyfill: ${indent(actual[field] || "(none)")}`);
+        lines.push(`   ${pad}${`${reference}:`.padEnd(10)}${indent(expected[field] || "(none)")}`);
+    }
+    if (actual.message && fields.includes("result")) lines.push(`   message: ${actual.message}`);
+    return lines;
+}
+
+module.exports = { show, observe, observeAsync, compare, describeDivergence, toolkit, FIELDS, STOP };
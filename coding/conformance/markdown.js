@@ -0,0 +1,138 @@
+// The polyfills exactly as Polyfills.md shows them
+//
+// Every ```javascript block of sections 1–42 is evaluated (31, the Promise class, has its
+// own Promises/A+ run), and each `X.myName = …` / `X.prototype.myName = …` it defines
+// becomes a variant of the built-in it imitates: myMap, myMap2 and myMap3 are all
+// variants of Array.prototype.map. The methods stay where the markdown put them until
+// uninstall(), because some variants call others (myTrimLeft is myTrimStart). Globals a
+// block creates (section 39's Iterator, on engines without one) go at uninstall() too.
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const POLYFILLS = path.join(__dirname, "..", "Polyfills.md");
+
+// Looked up on every snapshot: Iterator may only exist once section 39 has run
+const owners = () => ({
+    "Array": Array,
+    "Array.prototype": Array.prototype,
+    "String.prototype": String.prototype,
+    "Object": Object,
+    "Function.prototype": Function.prototype,
+    "Number": Number,
+    "Iterator": globalThis.Iterator,
+    "Iterator.prototype": Object.getPrototypeOf(Object.getPrototypeOf([][Symbol.iterator]())),
+    "Set.prototype": Set.prototype,
+    "Promise": Promise,
+});
+
+// Section 36 is the withdrawn Array.prototype.groupBy proposal: a method on the items
+// rather than a static taking them
+const RENAMED = {
+    myGroupBy: "Object.groupBy",
+    myGroupByToMap: "Map.groupBy",
+};
+
+const callOnFirstArgument = (fn, thisValue, [items, ...rest]) => Reflect.apply(fn, items, rest);
+
+// { number, title, blocks: [{ code, line }] } for each "### **N. …**" section
+function readSections(source) {
+    const lines = source.split("\n");
+    const sections = [];
+    let section = null;
+    let block = null;
+    lines.forEach((line, i) => {
+        const heading = /^### \*\*(\d+)\.\s*(.*?)\*\*/.exec(line);
+        if (/^##\s/.test(line) && !/^###/.test(line)) section = null;
+        if (heading) {
+            section = { number: Number(heading[1]), title: heading[2], blocks: [] };
+            sections.push(section);
+        } else if (section && !block && line.trim() === "```javascript") {
+            block = { code: [], line: i + 2 };
+        } else if (block && line.trim() === "```") {
+            section.blocks.push({ code: block.code.join("\n"), line: block.line });
+            block = null;
+        } else if (block) {
+            block.code.push(line);
+        }
+    });
+    return sections;
+}
+
+function snapshot() {
+    const keys = new Map();
+    for (const [name, owner] of Object.entries(owners())) {
+        if (owner === undefined) continue;
+        for (const key of Object.getOwnPropertyNames(owner)) {
+            if (key.startsWith("my")) keys.set(`${name}.${key}`, owner[key]);
+        }
+    }
+    return keys;
+}
+
+function featureOf(ownerName, variant) {
+    if (RENAMED[variant]) return RENAMED[variant];
+    const base = variant.slice(2).replace(/\d+$/, "");
+    return `${ownerName}.${base[0].toLowerCase()}${base.slice(1)}`;
+}
+
+// → { variants: [{ feature, variant, section, line, fn, call }], errors, uninstall() }
+function loadMarkdownPolyfills({ file = POLYFILLS } = {}) {
+    const sections = readSections(fs.readFileSync(file, "utf8")).filter(section => section.number !== 31);
+    const before = snapshot();
+    const globals = new Set(Object.getOwnPropertyNames(globalThis));
+    const variants = [];
+    const errors = [];
+
+    // The blocks end with usage examples that log; keep them quiet
+    const consoleMethods = ["log", "info", "warn", "error", "table"];
+    const saved = consoleMethods.map(method => console[method]);
+    consoleMethods.forEach(method => (console[method] = () => {}));
+    try {
+        for (const section of sections) {
+            for (const block of section.blocks) {
+                const defined = snapshot();
+                try {
+                    vm.runInThisContext(`(function () {\n${block.code}\n})()`, { filename: file, lineOffset: block.line - 2 });
+                } catch (error) {
+                    errors.push({ section: section.number, line: block.line, error });
+                }
+                for (const [name, fn] of snapshot()) {
+                    if (defined.get(name) === fn || typeof fn !== "function") continue;
+                    const ownerName = name.slice(0, name.lastIndexOf("."));
+                    const variant = name.slice(ownerName.length + 1);
+                    variants.push({
+                        feature: featureOf(ownerName, variant),
+                        variant,
+                        section: section.number,
+                        line: block.line,
+                        fn,
+                        call: RENAMED[variant] ? callOnFirstArgument : undefined,
+                    });
+                }
+            }
+        }
+    } finally {
+        consoleMethods.forEach((method, i) => (console[method] = saved[i]));
+    }
+
+    function uninstall() {
+        for (const [name, owner] of Object.entries(owners())) {
+            if (owner === undefined) continue;
+            for (const key of Object.getOwnPropertyNames(owner)) {
+                const fullName = `${name}.${key}`;
+                if (!key.startsWith("my") || before.get(fullName) === owner[key]) continue;
+                if (before.has(fullName)) owner[key] = before.get(fullName);
+                else delete owner[key];
+            }
+        }
+        for (const name of Object.getOwnPropertyNames(globalThis)) {
+            if (!globals.has(name)) delete globalThis[name];
+        }
+    }
+
+    return { variants, errors, uninstall };
+}
+
+module.exports = { loadMarkdownPolyfills, readSections, POLYFILLS };
@@ -0,0 +1,20 @@
+"use strict";
+// Command-line options of the runners here and in coding/variants
+//
+// --name value options take a non-negative integer (--seed 1234, --runs 1000); the other
+// arguments are flags (--lib) and names to filter by.
+
+function option(argv, name, fallback) {
+    const i = argv.indexOf(name);
+    if (i === -1) return fallback;
+    const value = Number(argv[i + 1]);
+    if (!Number.isSafeInteger(value) || value < 0) throw new TypeError(`${name} expects a non-negative integer, got ${argv[i + 1]}`);
+    return value;
+}
+
+// The arguments that are neither a flag nor the value of one of the `valued` options
+function positionals(argv, valued) {
+    return argv.filter((arg, i) => !arg.startsWith("--") && !valued.includes(argv[i - 1]));
+}
+
+module.exports = { option, positionals };
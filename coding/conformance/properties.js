@@ -0,0 +1,469 @@
+"use strict";
+// Generated inputs for each feature: feature name → arbitrary of { this, args, probe }
+//
+// The hand-written table in cases.js checks the corners someone thought of; these check
+// the ones nobody did. Generated values are plain data, so they can be shrunk and
+// printed; toCase() turns one into a harness case, building fresh arrays and objects for
+// every run and replacing the markers below with live values:
+//   fn("name")   a spy around FUNCTIONS.name, labelled <name> in reports
+//   THIS_ARG     t.thisArg
+//   ABSENT       a trailing argument left out altogether
+//   IteratorOf   a logging t.iterator() over the values
+//   SetOf        a Set, a Map (keys) or a set-like with logging size / has / keys
+//   AsyncIteratorOf  a logging t.asyncIterator() over the values
+//   Settles      a promise of the value, a thenable, or a thenable that rejects with it
+// A `probe` entry is a list of arguments to call the result with (for bind), or DRAIN to
+// pull the values out of an iterator the call returned.
+
+const {
+    integer,
+    boolean,
+    constant,
+    constantFrom,
+    oneOf,
+    frequency,
+    tuple,
+    record,
+    array,
+    string,
+    ascii,
+    unicode,
+    nested,
+} = require("./property");
+
+// ─── markers ────────────────────────────────────────────────────────────────────────
+
+class Named {
+    constructor(name) {
+        this.name = name;
+    }
+}
+
+class IteratorOf {
+    constructor(values, { inherit = true, returns = true } = {}) {
+        this.values = values;
+        this.inherit = inherit;
+        this.returns = returns;
+    }
+}
+
+// size null: the true size; a number makes a set-like lie about it
+class SetOf {
+    constructor(values, kind = "Set", size = null) {
+        this.values = values;
+        this.kind = kind;
+        this.size = size;
+    }
+}
+
+// how: "promise", "thenable" or "rejects" – a thenable too, so no rejected promise is left
+// unhandled when a run doesn't get to it
+class Settles {
+    constructor(value, how) {
+        this.value = value;
+        this.how = how;
+    }
+}
+
+class AsyncIteratorOf {
+    constructor(values, { returns = true } = {}) {
+        this.values = values;
+        this.returns = returns;
+    }
+}
+
+const THIS_ARG = Symbol("thisArg");
+const ABSENT = Symbol("absent");
+const DRAIN = Symbol("drain");
+
+const byKey = value => `${typeof value}:${String(value)}`;
+
+// Strict-mode functions (this file is strict), so the spies see `this` exactly as passed
+const FUNCTIONS = {
+    identity: x => x,
+    index: (x, i) => i,
+    describe: (x, i) => `${i}:${String(x)}`,
+    isNumber: x => typeof x === "number",
+    isEvenIndex: (x, i) => i % 2 === 0,
+    isUndefined: x => x === undefined,
+    pair: x => [x, x],
+    nest: x => [[x]],
+    pushes: (x, i, array) => {
+        if (i === 0) Array.prototype.push.call(array, "pushed");
+    },
+    deletesNext: (x, i, array) => {
+        delete array[i + 1];
+    },
+    fillsNext: (x, i, array) => {
+        array[i + 1] = "filled";
+    },
+    join: (accumulator, x, i) => `${String(accumulator)}|${i}:${String(x)}`,
+    byKey: (a, b) => (byKey(a) < byKey(b) ? -1 : byKey(a) > byKey(b) ? 1 : 0),
+    kind: x => (typeof x === "number" ? (x % 2 ? "odd" : "even") : typeof x),
+    match: (match, offset) => `<${match}@${offset}>`,
+    collect: function (a, b) {
+        return [this, ...arguments];
+    },
+    sloppyCollect: Function("a", "b", "return [this, ...arguments];"),
+    throwsAtTwo: (x, i) => {
+        if (i === 2) throw new RangeError("at index 2");
+        return x;
+    },
+    throws: x => {
+        throw x;
+    },
+    promise: x => Promise.resolve(x),
+    rejects: x => ({ then: (resolve, reject) => reject(x) }),
+};
+
+const fn = (...names) => constantFrom(...names).map(name => new Named(name));
+
+// ─── building cases ─────────────────────────────────────────────────────────────────
+
+function materialize(value, t) {
+    if (value === THIS_ARG) return t.thisArg;
+    if (value instanceof Named) return t.label(t.spy(FUNCTIONS[value.name], value.name), value.name);
+    if (value instanceof IteratorOf) {
+        return t.iterator(materialize(value.values, t), { inherit: value.inherit, returns: value.returns });
+    }
+    if (value instanceof AsyncIteratorOf) return t.asyncIterator(materialize(value.values, t), { returns: value.returns });
+    if (value instanceof SetOf) return materializeSet(value, t);
+    if (value instanceof Settles) return settle(materialize(value.value, t), value.how, t);
+    if (Array.isArray(value)) {
+        const copy = [];
+        copy.length = value.length;
+        value.forEach((element, i) => (copy[i] = materialize(element, t)));
+        return copy;
+    }
+    if (value !== null && typeof value === "object") {
+        const copy = Object.getPrototypeOf(value) === null ? Object.create(null) : {};
+        for (const key of Object.keys(value)) copy[key] = materialize(value[key], t);
+        return copy;
+    }
+    return value;
+}
+
+function materializeSet({ values, kind, size }, t) {
+    const elements = materialize(values, t);
+    if (kind === "Set") return new Set(elements);
+    if (kind === "Map") return new Map(elements.map(element => [element, "value"]));
+    const setLike = {
+        has: t.spy(element => elements.includes(element), "has"),
+        keys: t.spy(() => t.iterator(elements, { name: "keys", inherit: false }), "keys"),
+    };
+    return t.getter(setLike, "size", size === null ? elements.length : size);
+}
+
+function settle(value, how, t) {
+    if (how === "promise") return Promise.resolve(value);
+    return { then: t.spy(how === "thenable" ? resolve => resolve(value) : (resolve, reject) => reject(value), "then") };
+}
+
+// Up to 20 results, or until done
+function drain(iterator) {
+    const results = [];
+    for (let i = 0; i < 20; i++) {
+        const result = iterator.next();
+        results.push(result);
+        if (result.done) break;
+    }
+    return results;
+}
+
+// The functions in `this` position (bind / call / apply) are called, not spied on
+function materializeReceiver(value, t) {
+    return value instanceof Named ? t.label(FUNCTIONS[value.name], value.name) : materialize(value, t);
+}
+
+function toCase({ this: thisValue, args = [], probe }) {
+    return t => {
+        const trimmed = [...args];
+        while (trimmed.length && trimmed[trimmed.length - 1] === ABSENT) trimmed.pop();
+        const testCase = { args: trimmed.map(arg => materialize(arg, t)) };
+        if (thisValue !== undefined) testCase.this = materializeReceiver(thisValue, t);
+        if (probe === DRAIN) testCase.probe = drain;
+        else if (probe) testCase.probe = result => result(...materialize(probe, t));
+        return testCase;
+    };
+}
+
+// ─── shared generators ──────────────────────────────────────────────────────────────
+
+const optional = arbitrary => frequency([1, constant(ABSENT)], [3, arbitrary]);
+
+const PRIMITIVE = frequency(
+    [4, integer(-10, 10)],
+    [2, string(ascii(), { maxLength: 3 })],
+    [1, constantFrom(undefined, null, NaN, -0, true, Infinity, 1.5)]
+);
+
+// Integer-ish arguments: mostly small integers, sometimes the conversions' corner cases
+const INDEX = frequency(
+    [4, integer(-6, 6)],
+    [1, constantFrom(undefined, NaN, Infinity, -Infinity, 1.5, -1.5, "1", "", null, true, 2 ** 32, 1e21, -0)]
+);
+
+const ELEMENTS = array(frequency([5, PRIMITIVE], [1, array(PRIMITIVE, { maxLength: 3 })]), { holes: 0.15 });
+
+// { 0: …, 1: …, length } with a length that may not match the elements
+const arrayLike = elements =>
+    tuple(elements, constantFrom("exact", "shorter", "longer", "fractional", "string", "none")).map(([values, kind]) => {
+        const object = {};
+        values.forEach((element, i) => (object[i] = element));
+        const n = values.length;
+        const lengths = { exact: n, shorter: Math.max(0, n - 1), longer: n + 1, fractional: n + 0.5, string: String(n) };
+        if (kind in lengths) object.length = lengths[kind];
+        return object;
+    });
+
+const ARRAY_LIKE = arrayLike(ELEMENTS);
+
+const RECEIVER = frequency([5, ELEMENTS], [1, ARRAY_LIKE]);
+
+const KEY = constantFrom("a", "b", "c", "0", "1", "10", "-1", "1.5", "length", "__proto__x");
+
+const OBJECT = array(tuple(KEY, PRIMITIVE), { maxLength: 5 }).map(entries => Object.fromEntries(entries));
+
+const ANY = frequency([4, PRIMITIVE], [1, ELEMENTS], [1, OBJECT]);
+
+// Strings from a small alphabet, so searches actually find something
+const TEXT = string(constantFrom(0x61, 0x62, 0x20, 0x24, 0x41), { maxLength: 8 });
+
+// Whitespace-heavy text for the trims: every space and line terminator, and a few
+// characters that look like whitespace but aren't
+const SPACEY = string(
+    frequency(
+        [2, ascii()],
+        [3, constantFrom(0x20, 0x09, 0x0a, 0x0b, 0x0c, 0x0d, 0xa0, 0x1680, 0x2000, 0x200a, 0x2028, 0x2029, 0x202f, 0x205f, 0x3000, 0xfeff)],
+        [1, constantFrom(0x200b, 0x180e, 0x85)]
+    )
+);
+
+// ─── Array.prototype ────────────────────────────────────────────────────────────────
+
+const PROPERTIES = {};
+
+const CALLBACKS = {
+    "Array.prototype.map": fn("describe", "index", "identity", "pushes", "deletesNext", "fillsNext"),
+    "Array.prototype.filter": fn("isEvenIndex", "isNumber", "isUndefined", "pushes", "deletesNext"),
+    "Array.prototype.forEach": fn("identity", "pushes", "deletesNext", "fillsNext"),
+    "Array.prototype.some": fn("isUndefined", "isNumber", "pushes", "deletesNext"),
+    "Array.prototype.every": fn("isNumber", "isEvenIndex", "pushes", "deletesNext"),
+    "Array.prototype.find": fn("isUndefined", "isNumber", "deletesNext", "fillsNext"),
+    "Array.prototype.findIndex": fn("isUndefined", "isNumber", "deletesNext", "fillsNext"),
+    "Array.prototype.findLast": fn("isUndefined", "isNumber", "pushes", "deletesNext"),
+    "Array.prototype.findLastIndex": fn("isUndefined", "isNumber", "pushes", "deletesNext"),
+    "Array.prototype.flatMap": fn("pair", "nest", "identity", "index", "pushes"),
+};
+
+for (const [feature, callback] of Object.entries(CALLBACKS)) {
+    PROPERTIES[feature] = record({
+        this: RECEIVER,
+        args: tuple(callback, optional(oneOf(constant(THIS_ARG), PRIMITIVE))),
+    });
+}
+
+for (const feature of ["Array.prototype.reduce", "Array.prototype.reduceRight"]) {
+    PROPERTIES[feature] = record({ this: RECEIVER, args: tuple(fn("join", "index"), optional(PRIMITIVE)) });
+}
+
+PROPERTIES["Array.prototype.flat"] = record({
+    this: array(nested(PRIMITIVE, { depth: 4, holes: 0.15 }), { maxLength: 5, holes: 0.15 }),
+    args: tuple(optional(frequency([3, integer(-1, 5)], [1, constantFrom(Infinity, -Infinity, NaN, 1.5, "2", null, undefined)]))),
+});
+
+PROPERTIES["Array.prototype.includes"] = record({ this: RECEIVER, args: tuple(PRIMITIVE, optional(INDEX)) });
+PROPERTIES["Array.prototype.at"] = record({ this: RECEIVER, args: tuple(INDEX) });
+PROPERTIES["Array.prototype.with"] = record({ this: RECEIVER, args: tuple(INDEX, PRIMITIVE) });
+PROPERTIES["Array.prototype.concat"] = record({ this: RECEIVER, args: array(oneOf(PRIMITIVE, ELEMENTS), { maxLength: 3 }) });
+PROPERTIES["Array.prototype.toSorted"] = record({ this: RECEIVER, args: tuple(optional(fn("byKey"))) });
+PROPERTIES["Array.prototype.toReversed"] = record({ this: RECEIVER });
+PROPERTIES["Array.prototype.toSpliced"] = record({
+    this: RECEIVER,
+    args: tuple(optional(INDEX), optional(INDEX), array(PRIMITIVE, { maxLength: 3 })).map(([start, deleteCount, items]) =>
+        items.length ? [start, deleteCount, ...items] : [start, deleteCount]
+    ),
+});
+
+// ─── Array ──────────────────────────────────────────────────────────────────────────
+
+PROPERTIES["Array.from"] = record({
+    args: tuple(oneOf(ELEMENTS, ARRAY_LIKE, TEXT), optional(fn("describe", "index"))),
+});
+PROPERTIES["Array.isArray"] = record({ args: tuple(ANY) });
+PROPERTIES["Array.of"] = record({ args: array(PRIMITIVE, { maxLength: 5 }) });
+
+// ─── String.prototype ───────────────────────────────────────────────────────────────
+
+for (const feature of ["trim", "trimStart", "trimEnd", "trimLeft", "trimRight"]) {
+    PROPERTIES[`String.prototype.${feature}`] = record({ this: SPACEY });
+}
+
+for (const feature of ["startsWith", "endsWith", "includes"]) {
+    PROPERTIES[`String.prototype.${feature}`] = record({
+        this: TEXT,
+        args: tuple(oneOf(TEXT, PRIMITIVE), optional(INDEX)),
+    });
+}
+
+PROPERTIES["String.prototype.repeat"] = record({
+    this: string(unicode(), { maxLength: 4 }),
+    args: tuple(frequency([4, integer(-1, 6)], [1, constantFrom(1.5, -0.5, NaN, "2", null, undefined, Infinity)])),
+});
+
+for (const feature of ["padStart", "padEnd"]) {
+    PROPERTIES[`String.prototype.${feature}`] = record({
+        this: string(unicode(), { maxLength: 6 }),
+        args: tuple(frequency([4, integer(-2, 16)], [1, INDEX]), optional(oneOf(string(unicode(), { maxLength: 4 }), PRIMITIVE))),
+    });
+}
+
+PROPERTIES["String.prototype.replaceAll"] = record({
+    this: TEXT,
+    args: tuple(
+        string(constantFrom(0x61, 0x62, 0x24), { maxLength: 3 }),
+        oneOf(string(constantFrom(0x61, 0x78, 0x24, 0x26, 0x60, 0x27), { maxLength: 4 }), fn("match"))
+    ),
+});
+
+// ─── Object ─────────────────────────────────────────────────────────────────────────
+
+for (const feature of ["keys", "values", "entries", "freeze", "seal", "preventExtensions", "isExtensible"]) {
+    PROPERTIES[`Object.${feature}`] = record({ args: tuple(ANY) });
+}
+
+PROPERTIES["Object.fromEntries"] = record({
+    args: tuple(array(oneOf(tuple(KEY, PRIMITIVE), tuple(KEY)), { maxLength: 5 })),
+});
+PROPERTIES["Object.assign"] = record({
+    args: tuple(OBJECT, array(oneOf(OBJECT, PRIMITIVE, TEXT), { maxLength: 3 })).map(([target, sources]) => [target, ...sources]),
+});
+PROPERTIES["Object.is"] = record({ args: tuple(PRIMITIVE, PRIMITIVE) });
+PROPERTIES["Object.create"] = record({
+    args: tuple(oneOf(constant(null), OBJECT)),
+});
+
+for (const feature of ["Object.groupBy", "Map.groupBy"]) {
+    PROPERTIES[feature] = record({ args: tuple(oneOf(ELEMENTS, TEXT), fn("kind", "index")) });
+}
+
+// ─── Function.prototype ─────────────────────────────────────────────────────────────
+
+const TARGET = fn("collect", "sloppyCollect");
+const THIS_VALUE = oneOf(constant(THIS_ARG), PRIMITIVE);
+
+PROPERTIES["Function.prototype.bind"] = record({
+    this: TARGET,
+    args: tuple(optional(THIS_VALUE), array(PRIMITIVE, { maxLength: 3 })).map(([thisArg, bound]) => [thisArg, ...bound]),
+    probe: array(PRIMITIVE, { maxLength: 3 }),
+});
+PROPERTIES["Function.prototype.call"] = record({
+    this: TARGET,
+    args: tuple(optional(THIS_VALUE), array(PRIMITIVE, { maxLength: 3 })).map(([thisArg, rest]) => [thisArg, ...rest]),
+});
+PROPERTIES["Function.prototype.apply"] = record({
+    this: TARGET,
+    args: tuple(optional(THIS_VALUE), optional(oneOf(ELEMENTS, ARRAY_LIKE, constant(null)))),
+});
+
+// ─── Number ─────────────────────────────────────────────────────────────────────────
+
+const NUMBERISH = frequency(
+    [3, PRIMITIVE],
+    [1, constantFrom(2 ** 53, 2 ** 53 + 2, -(2 ** 53), 5e-324, 1e21, 0.1, -Infinity, "5", 5n)]
+);
+
+for (const feature of ["isNaN", "isFinite", "isInteger"]) {
+    PROPERTIES[`Number.${feature}`] = record({ args: tuple(NUMBERISH) });
+}
+
+const TOKENS = ["1", "0", "7", "9", "a", "f", "z", ".", "e", "-", "+", " ", "\n", "0x", "Infinity", "_"];
+const NUMERIC_TEXT = array(constantFrom(...TOKENS), { maxLength: 8 }).map(tokens => tokens.join(""));
+
+PROPERTIES["Number.parseInt"] = record({
+    args: tuple(NUMERIC_TEXT, optional(frequency([3, integer(0, 37)], [1, constantFrom(-1, 16.9, "16", NaN, 2 ** 32 + 16)]))),
+});
+PROPERTIES["Number.parseFloat"] = record({ args: tuple(NUMERIC_TEXT) });
+
+// ─── Iterator ───────────────────────────────────────────────────────────────────────
+
+const ITERATOR = tuple(array(PRIMITIVE, { maxLength: 8 }), boolean()).map(([values, returns]) => new IteratorOf(values, { returns }));
+const LIMIT = frequency([3, integer(0, 10)], [1, constantFrom(Infinity, -1, NaN, 1.5, "2", undefined, null)]);
+
+const ITERATOR_CALLBACKS = {
+    "Iterator.prototype.map": fn("describe", "index", "identity", "throwsAtTwo"),
+    "Iterator.prototype.filter": fn("isEvenIndex", "isNumber", "isUndefined", "throwsAtTwo"),
+    "Iterator.prototype.flatMap": fn("pair", "nest", "identity", "throwsAtTwo"),
+    "Iterator.prototype.forEach": fn("identity", "throwsAtTwo"),
+    "Iterator.prototype.some": fn("isUndefined", "isNumber", "throwsAtTwo"),
+    "Iterator.prototype.every": fn("isNumber", "isEvenIndex", "throwsAtTwo"),
+    "Iterator.prototype.find": fn("isUndefined", "isNumber", "throwsAtTwo"),
+};
+const LAZY = ["Iterator.prototype.map", "Iterator.prototype.filter", "Iterator.prototype.flatMap"];
+
+for (const [feature, callback] of Object.entries(ITERATOR_CALLBACKS)) {
+    const shape = { this: ITERATOR, args: tuple(callback) };
+    if (LAZY.includes(feature)) shape.probe = constant(DRAIN);
+    PROPERTIES[feature] = record(shape);
+}
+for (const feature of ["Iterator.prototype.take", "Iterator.prototype.drop"]) {
+    PROPERTIES[feature] = record({ this: ITERATOR, args: tuple(optional(LIMIT)), probe: constant(DRAIN) });
+}
+PROPERTIES["Iterator.prototype.reduce"] = record({ this: ITERATOR, args: tuple(fn("join", "index"), optional(PRIMITIVE)) });
+PROPERTIES["Iterator.prototype.toArray"] = record({ this: ITERATOR });
+PROPERTIES["Iterator.from"] = record({
+    args: tuple(
+        oneOf(
+            ITERATOR,
+            ITERATOR.map(({ values, returns }) => new IteratorOf(values, { inherit: false, returns })),
+            ELEMENTS,
+            TEXT,
+            PRIMITIVE
+        )
+    ),
+    probe: constant(DRAIN),
+});
+
+// ─── Set.prototype ──────────────────────────────────────────────────────────────────
+
+const SET_ELEMENTS = array(constantFrom(1, 2, 3, 0, -0, 4, "1", NaN, undefined, null), { maxLength: 6 });
+const SET = SET_ELEMENTS.map(values => new SetOf(values));
+const SET_LIKE = frequency(
+    [3, tuple(SET_ELEMENTS, constantFrom("Set", "Map", "set-like")).map(([values, kind]) => new SetOf(values, kind))],
+    [1, tuple(SET_ELEMENTS, frequency([3, integer(0, 8)], [1, constantFrom(Infinity, -1, NaN, 1.5)])).map(([values, size]) => new SetOf(values, "set-like", size))]
+);
+
+for (const method of ["union", "intersection", "difference", "symmetricDifference", "isSubsetOf", "isSupersetOf", "isDisjointFrom"]) {
+    PROPERTIES[`Set.prototype.${method}`] = record({ this: SET, args: tuple(SET_LIKE) });
+}
+
+// ─── Array.fromAsync / Promise.try ──────────────────────────────────────────────────
+
+// Mostly plain values, some promises and thenables, now and then one that rejects
+const AWAITED = frequency(
+    [6, PRIMITIVE],
+    [2, tuple(PRIMITIVE, frequency([3, constant("promise")], [2, constant("thenable")], [1, constant("rejects")])).map(([value, how]) => new Settles(value, how))]
+);
+const AWAITED_ELEMENTS = array(AWAITED, { maxLength: 8, holes: 0.15 });
+
+PROPERTIES["Array.fromAsync"] = record({
+    args: tuple(
+        oneOf(
+            AWAITED_ELEMENTS,
+            arrayLike(AWAITED_ELEMENTS),
+            TEXT,
+            tuple(array(AWAITED, { maxLength: 8 }), boolean()).map(([values, returns]) => new IteratorOf(values, { returns })),
+            tuple(array(AWAITED, { maxLength: 8 }), boolean()).map(([values, returns]) => new AsyncIteratorOf(values, { returns }))
+        ),
+        optional(fn("describe", "index", "promise", "rejects", "throwsAtTwo")),
+        optional(constant(THIS_ARG))
+    ).map(([items, mapFn, thisArg]) => (mapFn === ABSENT ? [items] : [items, mapFn, thisArg])),
+});
+
+PROPERTIES["Promise.try"] = record({
+    args: tuple(fn("identity", "describe", "promise", "rejects", "throws", "collect", "sloppyCollect"), array(AWAITED, { maxLength: 3 })).map(
+        ([callback, rest]) => [callback, ...rest]
+    ),
+});
+
+module.exports = { PROPERTIES, FUNCTIONS, toCase };
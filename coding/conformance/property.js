@@ -0,0 +1,330 @@
+"use strict";
+// A small property-based testing engine: seeded generators, integrated shrinking
+//
+// An arbitrary is { generate(random, size) → tree }, where a tree is a generated value
+// together with its shrinks – simpler trees, tried first to last. Building shrinking into
+// the generated trees (rather than into the values) means map, oneOf and friends shrink
+// correctly without knowing anything about each other.
+//
+// check(arbitrary, property) runs the property on generated values of growing size; on
+// the first failure it walks down the shrink tree, always taking the first simpler value
+// that still fails, and reports that one along with the seed that reproduces the run.
+// checkAsync() does the same for a property that returns a promise.
+
+// ─── random numbers ─────────────────────────────────────────────────────────────────
+
+// mulberry32: 32 bits of state, fast, and the same sequence on every platform
+function random(seed) {
+    let state = seed >>> 0;
+    const next = () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let z = state;
+        z = Math.imul(z ^ (z >>> 15), z | 1);
+        z ^= z + Math.imul(z ^ (z >>> 7), z | 61);
+        return ((z ^ (z >>> 14)) >>> 0) / 2 ** 32;
+    };
+    return {
+        next,
+        // an integer in [min, max]
+        int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+        bool: (probability = 0.5) => next() < probability,
+    };
+}
+
+// A string (a feature name, say) to a seed, so one feature's runs don't depend on which
+// others were selected
+function hashSeed(seed, text) {
+    let hash = seed >>> 0;
+    for (let i = 0; i < text.length; i++) hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193) >>> 0;
+    return hash;
+}
+
+// ─── shrink trees ───────────────────────────────────────────────────────────────────
+
+const tree = (value, shrinks = () => []) => ({ value, shrinks });
+
+function mapTree(t, fn) {
+    return tree(fn(t.value), function* () {
+        for (const child of t.shrinks()) yield mapTree(child, fn);
+    });
+}
+
+// Candidates between `from` and `to`, closest to `to` first: to, halfway, three quarters …
+function* towards(to, from) {
+    let diff = from - to;
+    while (diff !== 0 && Number.isSafeInteger(diff)) {
+        yield from - diff;
+        diff = Math.trunc(diff / 2);
+    }
+}
+
+function integerTree(value, target) {
+    return tree(value, function* () {
+        for (const smaller of towards(target, value)) yield integerTree(smaller, target);
+    });
+}
+
+// Shrinks a list of trees: drop chunks (halves, quarters … single elements), then
+// shrink each element in place. Lists never get shorter than minLength.
+function listTree(trees, minLength) {
+    return tree(
+        trees.map(t => t.value),
+        function* () {
+            for (let chunk = trees.length - minLength; chunk > 0; chunk = Math.floor(chunk / 2)) {
+                for (let start = 0; start + chunk <= trees.length; start += chunk) {
+                    yield listTree([...trees.slice(0, start), ...trees.slice(start + chunk)], minLength);
+                }
+            }
+            for (let i = 0; i < trees.length; i++) {
+                for (const child of trees[i].shrinks()) {
+                    yield listTree([...trees.slice(0, i), child, ...trees.slice(i + 1)], minLength);
+                }
+            }
+        }
+    );
+}
+
+// ─── arbitraries ────────────────────────────────────────────────────────────────────
+
+class Arbitrary {
+    constructor(generate) {
+        this.generate = generate;
+    }
+
+    map(fn) {
+        return new Arbitrary((rand, size) => mapTree(this.generate(rand, size), fn));
+    }
+
+    // A value generated from this one's: the outer value shrinks first, the dependent
+    // one is then regenerated from the same random choices
+    chain(fn) {
+        return new Arbitrary((rand, size) => {
+            const seed = rand.int(0, 2 ** 32 - 1);
+            const outer = this.generate(rand, size);
+            const bound = t => {
+                const inner = fn(t.value).generate(random(seed), size);
+                return tree(inner.value, function* () {
+                    for (const child of t.shrinks()) yield bound(child);
+                    yield* inner.shrinks();
+                });
+            };
+            return bound(outer);
+        });
+    }
+
+    // Keeps generating until `predicate` holds; shrinks are filtered the same way
+    filter(predicate) {
+        const keep = t =>
+            tree(t.value, function* () {
+                for (const child of t.shrinks()) if (predicate(child.value)) yield keep(child);
+            });
+        return new Arbitrary((rand, size) => {
+            for (let attempt = 0; attempt < 100; attempt++) {
+                const t = this.generate(rand, size);
+                if (predicate(t.value)) return keep(t);
+            }
+            throw new Error("filter: no value satisfied the predicate in 100 attempts");
+        });
+    }
+}
+
+// Integers in [min, max], shrinking towards 0 (or the end of the range nearest to it)
+function integer(min = -100, max = 100) {
+    const target = Math.min(Math.max(0, min), max);
+    return new Arbitrary(rand => integerTree(rand.int(min, max), target));
+}
+
+// Like integer(), with the range scaled by the run's size: small values come first
+function sized(min, max) {
+    return new Arbitrary((rand, size) => {
+        const scale = Math.max(size, 1) / 100;
+        return integer(Math.max(min, Math.round(min * scale)), Math.min(max, Math.round(max * scale))).generate(rand, size);
+    });
+}
+
+// true shrinks to false
+const boolean = () => constantFrom(false, true);
+
+// One of the values, shrinking towards the first
+function constantFrom(...values) {
+    return integer(0, values.length - 1).map(i => values[i]);
+}
+
+// A value from one of the arbitraries, shrinking within it and then towards the first
+// arbitrary (a value generated from it at the same size)
+function oneOf(...arbitraries) {
+    return frequency(...arbitraries.map(arbitrary => [1, arbitrary]));
+}
+
+function frequency(...weighted) {
+    const total = weighted.reduce((sum, [weight]) => sum + weight, 0);
+    return new Arbitrary((rand, size) => {
+        let pick = rand.next() * total;
+        let index = 0;
+        while (pick >= weighted[index][0]) pick -= weighted[index++][0];
+        const chosen = weighted[index][1].generate(rand, size);
+        if (index === 0) return chosen;
+        const simplest = weighted[0][1].generate(rand, size);
+        return tree(chosen.value, function* () {
+            yield simplest;
+            yield* chosen.shrinks();
+        });
+    });
+}
+
+function tuple(...arbitraries) {
+    return new Arbitrary((rand, size) => listTree(arbitraries.map(arbitrary => arbitrary.generate(rand, size)), arbitraries.length));
+}
+
+// { key: arbitrary } → objects with those keys
+function record(shape) {
+    const keys = Object.keys(shape);
+    return tuple(...keys.map(key => shape[key])).map(values => Object.fromEntries(keys.map((key, i) => [key, values[i]])));
+}
+
+// A marker for a missing element; array({ holes }) turns it into a real hole
+const HOLE = Symbol("hole");
+
+// Arrays of `element`, up to maxLength long (scaled down for small sizes). With
+// `holes`, a fraction of the slots are left empty, and shrinking can fill them.
+function array(element, { minLength = 0, maxLength = 10, holes = 0 } = {}) {
+    const slot = holes ? frequency([1 - holes, element], [holes, constant(HOLE)]) : element;
+    return new Arbitrary((rand, size) => {
+        const longest = Math.max(minLength, Math.min(maxLength, Math.ceil((maxLength * size) / 100)));
+        const length = rand.int(minLength, longest);
+        const trees = Array.from({ length }, () => slot.generate(rand, size));
+        return mapTree(listTree(trees, minLength), values => {
+            const result = [];
+            result.length = values.length;
+            values.forEach((value, i) => value !== HOLE && (result[i] = value));
+            return result;
+        });
+    });
+}
+
+const constant = value => new Arbitrary(() => tree(value));
+
+// Code points → a string; shrinks drop characters and simplify the rest towards "a"
+function string(codePoint = ascii(), { minLength = 0, maxLength = 10 } = {}) {
+    return array(codePoint, { minLength, maxLength }).map(codePoints => String.fromCodePoint(...codePoints));
+}
+
+// Printable ASCII, shrinking towards "a"
+const ascii = () => integer(0, 0x5e).map(n => ((n + 0x41) % 0x5f) + 0x20);
+
+// Any code point, mostly from the interesting corners: ASCII, whitespace, the Basic
+// Multilingual Plane, astral characters (two UTF-16 units) and lone surrogates
+function unicode() {
+    return frequency(
+        [4, ascii()],
+        [1, constantFrom(0x09, 0x0a, 0xa0, 0x1680, 0x2000, 0x2028, 0x3000, 0xfeff, 0x200b)],
+        [2, integer(0xa1, 0xffff).filter(n => n < 0xd800 || n > 0xdfff)],
+        [2, integer(0x10000, 0x10ffff)],
+        [1, integer(0xd800, 0xdfff)]
+    );
+}
+
+// Arrays nested up to `depth` levels, with `leaf` values at the bottom
+function nested(leaf, { depth = 3, maxLength = 4, holes = 0 } = {}) {
+    if (depth === 0) return leaf;
+    return frequency([2, leaf], [1, array(nested(leaf, { depth: depth - 1, maxLength, holes }), { maxLength, holes })]);
+}
+
+// ─── running a property ─────────────────────────────────────────────────────────────
+
+// The property returns (or throws) to report a failure: anything but undefined / true
+// counts as one, and what it returned is kept as the explanation
+const verdict = outcome => (outcome === undefined || outcome === true ? null : { reason: outcome });
+
+function evaluate(property, value) {
+    try {
+        return verdict(property(value));
+    } catch (error) {
+        return { reason: error };
+    }
+}
+
+async function evaluateAsync(property, value) {
+    try {
+        return verdict(await property(value));
+    } catch (error) {
+        return { reason: error };
+    }
+}
+
+// The search itself, for check() and checkAsync() to drive: it yields each value to try
+// and is sent back its failure, or null
+function* search(arbitrary, { seed = Date.now() >>> 0, runs = 100, maxSize = 100, maxShrinks = 1000, shrinkTime = 10000 } = {}) {
+    const rand = random(seed);
+    for (let run = 0; run < runs; run++) {
+        const size = runs === 1 ? maxSize : Math.round((run * maxSize) / (runs - 1));
+        let current = arbitrary.generate(rand, size);
+        let failure = yield current.value;
+        if (!failure) continue;
+
+        const original = current.value;
+        let shrinks = 0;
+        let attempts = 0;
+        let progress = true;
+        const deadline = Date.now() + shrinkTime;
+        const exhausted = () => attempts >= maxShrinks || Date.now() > deadline;
+        while (progress && !exhausted()) {
+            progress = false;
+            for (const child of current.shrinks()) {
+                if (exhausted()) break;
+                attempts++;
+                const childFailure = yield child.value;
+                if (childFailure) {
+                    current = child;
+                    failure = childFailure;
+                    shrinks++;
+                    progress = true;
+                    break;
+                }
+            }
+        }
+        return { passed: false, runs: run + 1, seed, original, counterexample: current.value, reason: failure.reason, shrinks };
+    }
+    return { passed: true, runs, seed };
+}
+
+// → { passed, runs, seed } or { passed: false, runs, seed, original, counterexample,
+//   reason, shrinks }. Shrinking stops after maxShrinks property calls or shrinkTime ms,
+//   whichever comes first, with the simplest failure found so far.
+function check(arbitrary, property, options) {
+    const steps = search(arbitrary, options);
+    let step = steps.next();
+    while (!step.done) step = steps.next(evaluate(property, step.value));
+    return step.value;
+}
+
+// check() for a property that returns a promise: the values are tried one at a time
+async function checkAsync(arbitrary, property, options) {
+    const steps = search(arbitrary, options);
+    let step = steps.next();
+    while (!step.done) step = steps.next(await evaluateAsync(property, step.value));
+    return step.value;
+}
+
+module.exports = {
+    Arbitrary,
+    HOLE,
+    random,
+    hashSeed,
+    check,
+    checkAsync,
+    integer,
+    sized,
+    boolean,
+    constant,
+    constantFrom,
+    oneOf,
+    frequency,
+    tuple,
+    record,
+    array,
+    string,
+    ascii,
+    unicode,
+    nested,
+};
@@ -0,0 +1,34 @@
+"use strict";
+// What each implementation is compared with
+//
+// The native built-in, looked up before anything is loaded. Where the engine predates a
+// feature – the Iterator helpers and Set methods before Node 22, Promise.try before
+// Node 23 – the Polyfills.md variants are compared with coding/polyfills instead. The
+// library's own version of such a feature has nothing to be compared with; run on a
+// newer Node to check it.
+
+function resolve(path, root = globalThis) {
+    let value = root;
+    for (const part of path) value = value == null ? undefined : value[part];
+    return value;
+}
+
+// features → Map of feature → { owner, fn, name: "native" | "library" } or undefined
+function findReferences(features) {
+    const { ponyfill } = require("../polyfills");
+    return new Map(
+        features.map(feature => {
+            const path = feature.split(".");
+            const key = path[path.length - 1];
+            const owner = resolve(path.slice(0, -1));
+            if (owner != null && typeof owner[key] === "function") {
+                return [feature, { owner, fn: owner[key], name: "native" }];
+            }
+            const libraryOwner = resolve(path.slice(0, -1), ponyfill);
+            const fn = libraryOwner == null ? undefined : libraryOwner[key];
+            return [feature, typeof fn === "function" ? { owner: owner != null ? owner : libraryOwner, fn, name: "library" } : undefined];
+        })
+    );
+}
+
+module.exports = { findReferences };
@@ -0,0 +1,166 @@
+// Conformance run: every polyfill next to the native built-in, over the shared case table
+//
+// Each case of cases.js runs once through the native method and once through the
+// polyfill, on fresh inputs, and the two runs are compared: return value or error type,
+// callback and getter activity, the state the inputs are left in (see harness.js).
+// Features the engine doesn't have yet are compared with coding/polyfills instead (see
+// references.js). Divergences listed in expected.js were reviewed and are kept; the run
+// fails only on the others.
+//
+// node coding/conformance/run.js                        → coding/polyfills and Polyfills.md
+// node coding/conformance/run.js --lib                  → only coding/polyfills
+// node coding/conformance/run.js --md                   → only the Polyfills.md variants
+// node coding/conformance/run.js Array.prototype.at String   → features by name or prefix
+// node coding/conformance/run.js --all                  → every divergence, not 3 per polyfill,
+//                                                          and the expected ones with their reason
+
+const { observe, observeAsync, compare, describeDivergence } = require("./harness");
+const { CASES, ASYNC } = require("./cases");
+const { loadMarkdownPolyfills } = require("./markdown");
+const { findReferences } = require("./references");
+const EXPECTED = require("./expected");
+
+const SHOWN_PER_IMPLEMENTATION = 3;
+
+const REFERENCES = findReferences(Object.keys(CASES));
+
+// "myMap → Iterator.prototype.map"; a library polyfill is just its feature
+const displayName = ({ name, feature }) => (name === feature ? name : `${name} → ${feature}`);
+
+// The reason expected.js gives for a divergence of this case: a reason for every label, or
+// the one given for the whole implementation
+const reasonFor = (entries, label) => (typeof entries === "string" ? entries : entries[label]);
+
+// → { implementation, reference, cases, divergences: [{ label, fields, actual, expected, reason? }], skipped }
+// A divergence expected.js lists has its `reason`
+async function check(implementation, expectedHere = {}) {
+    const cases = CASES[implementation.feature];
+    const reference = REFERENCES.get(implementation.feature);
+    if (!cases) return { implementation, cases: 0, divergences: [], skipped: "no cases" };
+    if (!reference || (implementation.library && reference.name !== "native")) {
+        return { implementation, cases: 0, divergences: [], skipped: `no native ${implementation.feature} to compare with` };
+    }
+
+    const run = ASYNC.has(implementation.feature) ? observeAsync : observe;
+    const divergences = [];
+    for (const [label, make] of cases) {
+        const expected = await run(reference.fn, make, { owner: reference.owner });
+        const actual = await run(implementation.fn, make, { owner: reference.owner, call: implementation.call });
+        const fields = compare(actual, expected);
+        if (fields.length) divergences.push({ label, fields, actual, expected, reason: reasonFor(expectedHere, label) });
+    }
+    return { implementation, reference, cases: cases.length, divergences };
+}
+
+function formatDivergence(number, { implementation, reference }, { label, fields, actual, expected, reason }) {
+    const lines = [`${number}) ${implementation.name} – ${implementation.feature} – ${label}`];
+    if (implementation.where) lines[0] += `  (${implementation.where})`;
+    if (reason) lines.push(`   expected: ${reason}`);
+    return [...lines, ...describeDivergence(actual, expected, fields, reference.name)].join("\n");
+}
+
+async function checkAll(implementations, expected = {}) {
+    const reports = [];
+    for (const implementation of implementations) reports.push(await check(implementation, expected[displayName(implementation)]));
+    return reports;
+}
+
+// expected.js entries of the implementations that ran whose case no longer diverges
+function staleEntries(title, reports) {
+    const stale = [];
+    for (const { implementation, divergences, skipped } of reports) {
+        const entries = (EXPECTED[title] || {})[displayName(implementation)] || {};
+        if (skipped) continue;
+        if (typeof entries === "string") {
+            if (!divergences.length) stale.push(displayName(implementation));
+            continue;
+        }
+        for (const label of Object.keys(entries)) {
+            if (!divergences.some(d => d.label === label)) stale.push(`${displayName(implementation)} – ${label}`);
+        }
+    }
+    return stale;
+}
+
+function selected(feature, filters) {
+    return !filters.length || filters.some(filter => feature === filter || feature.startsWith(`${filter}.`));
+}
+
+async function main() {
+    const argv = process.argv.slice(2);
+    const filters = argv.filter(arg => !arg.startsWith("--"));
+    const onlyLibrary = argv.includes("--lib");
+    const onlyMarkdown = argv.includes("--md");
+    const showAll = argv.includes("--all");
+
+    const groups = [];
+    if (!onlyMarkdown) {
+        const library = require("../polyfills").features
+            .filter(({ name }) => selected(name, filters))
+            .map(({ name, value }) => ({ name, feature: name, fn: value, library: true }));
+        groups.push({ title: "coding/polyfills", reports: await checkAll(library, EXPECTED["coding/polyfills"]) });
+    }
+    if (!onlyLibrary) {
+        const markdown = loadMarkdownPolyfills();
+        try {
+            markdown.errors.forEach(({ section, line, error }) => console.log(`Polyfills.md §${section} (line ${line}) failed to load: ${error.message}`));
+            const variants = markdown.variants
+                .filter(({ feature }) => selected(feature, filters))
+                .map(variant => ({ ...variant, name: variant.variant, where: `Polyfills.md §${variant.section}` }));
+            groups.push({ title: "Polyfills.md", reports: await checkAll(variants, EXPECTED["Polyfills.md"]) });
+        } finally {
+            markdown.uninstall();
+        }
+    }
+
+    let totalCases = 0;
+    let disagreeing = 0;
+    let newCount = 0;
+    let expectedCount = 0;
+    const details = [];
+    const stale = [];
+    for (const { title, reports } of groups) {
+        console.log(`\n${title}`);
+        stale.push(...staleEntries(title, reports));
+        for (const report of reports) {
+            const { implementation, reference, cases, divergences, skipped } = report;
+            const name = displayName(implementation);
+            if (skipped) {
+                console.log(`  – ${name}  (${skipped})`);
+                continue;
+            }
+            totalCases += cases;
+            const unexpected = divergences.filter(d => !d.reason);
+            newCount += unexpected.length;
+            expectedCount += divergences.length - unexpected.length;
+            if (unexpected.length) disagreeing++;
+            const against = reference.name === "native" ? "" : ", against coding/polyfills";
+            const kept = divergences.length > unexpected.length ? `, ${divergences.length - unexpected.length} expected` : "";
+            console.log(`  ${unexpected.length ? "✗" : "✓"} ${name}  (${cases - divergences.length}/${cases}${kept}${against})`);
+            const listed = showAll ? divergences : unexpected;
+            const shown = showAll ? listed : listed.slice(0, SHOWN_PER_IMPLEMENTATION);
+            shown.forEach(divergence => details.push([report, divergence]));
+            if (shown.length < listed.length) {
+                details.push([report, null, listed.length - shown.length]);
+            }
+        }
+    }
+
+    if (details.length) console.log("\nDivergences");
+    let number = 0;
+    for (const [report, divergence, hidden] of details) {
+        if (divergence) console.log(`\n${formatDivergence(++number, report, divergence)}`);
+        else console.log(`\n   … ${hidden} more for ${displayName(report.implementation)} (--all to list them)`);
+    }
+
+    if (stale.length) {
+        console.log("\nListed in expected.js but no longer diverging (remove them there):");
+        stale.forEach(entry => console.log(`  ${entry}`));
+    }
+
+    const implementations = groups.reduce((sum, { reports }) => sum + reports.filter(r => !r.skipped).length, 0);
+    console.log(`\n${totalCases} cases over ${implementations} implementations: ${newCount} divergences in ${disagreeing} of them, ${expectedCount} expected`);
+    process.exitCode = newCount ? 1 : 0;
+}
+
+main();
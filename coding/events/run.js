@@ -0,0 +1,152 @@
+"use strict";
+// Compatibility run: the EventEmitter of coding/README.md (question 88) next to node:events
+//
+// Every scenario of scenarios.js runs once with require("events") and once with the
+// markdown's class, each logging what it sees – listener calls and their `this`, return
+// values, errors (by name and code: the messages are Node's to word), leak warnings,
+// what the promises and iterators give. Two runs agree when the logs are the same, line
+// for line. The wildcard scenarios have no node:events side: the markdown's class runs
+// alone, against the log written down with each. The class comes from coding/extracted/,
+// extracted again first when the markdown has changed since.
+//
+// node coding/events/run.js                  → every scenario
+// node coding/events/run.js once removeAll   → scenarios whose label has one of these
+// node coding/events/run.js wildcards        → the wildcard scenarios
+
+const NodeEventEmitter = require("events");
+const { show } = require("../conformance/harness");
+const { question } = require("../extract/load");
+
+const { SCENARIOS, WILDCARD_SCENARIOS } = require("./scenarios");
+
+const TIME_LIMIT = 1000; // ms, for a scenario waiting on a promise that never settles
+
+// The question's module: EventEmitter and the pattern helpers next to it
+function loadMarkdownEmitter() {
+    const module = question("questions", 88);
+    return { module, source: module.EventEmitter.variants[0].source };
+}
+
+// ─── one run ────────────────────────────────────────────────────────────────────────
+
+function describe(value, labels) {
+    if (labels.has(value)) return `<${labels.get(value)}>`;
+    if (typeof value === "function") {
+        return labels.has(value.listener) ? `<wrapper of ${labels.get(value.listener)}>` : "[function]";
+    }
+    if (value instanceof Error) return value.code ? `${value.name} ${value.code}` : value.name;
+    if (Array.isArray(value)) return `[${value.map(v => describe(v, labels)).join(", ")}]`;
+    if (value !== null && typeof value === "object") {
+        return `{${Object.entries(value).map(([key, v]) => `${key}: ${describe(v, labels)}`).join(", ")}}`;
+    }
+    return show(value, new Map());
+}
+
+function toolkit(EventEmitter, log, labels) {
+    return {
+        log,
+        emitter(name, options) {
+            const emitter = new EventEmitter(options);
+            labels.set(emitter, name);
+            return emitter;
+        },
+        spy(name, behavior) {
+            const spy = function (...args) {
+                log(`${name}(${args.map(arg => describe(arg, labels)).join(", ")}) this=${describe(this, labels)}`);
+                return behavior ? behavior.apply(this, args) : undefined;
+            };
+            labels.set(spy, name);
+            return spy;
+        },
+        attempt(label, thunk) {
+            try {
+                log(label, "→", thunk());
+            } catch (error) {
+                log(label, "throws", error);
+            }
+        },
+        settle: () => new Promise(resolve => setTimeout(resolve, 0)),
+    };
+}
+
+// → the lines logged
+async function play(EventEmitter, run) {
+    const lines = [];
+    const labels = new Map();
+    const log = (...values) => lines.push(values.map(v => (typeof v === "string" ? v : describe(v, labels))).join(" "));
+    const { emitWarning } = process;
+    process.emitWarning = warning => log("warning", warning.name, warning.type, warning.count, warning.emitter);
+
+    let timer;
+    try {
+        const limit = new Promise(resolve => {
+            timer = setTimeout(() => resolve("timeout"), TIME_LIMIT);
+        });
+        const outcome = await Promise.race([Promise.resolve().then(() => run(EventEmitter, toolkit(EventEmitter, log, labels))), limit]);
+        if (outcome === "timeout") log(`… did not finish within ${TIME_LIMIT} ms`);
+    } catch (error) {
+        log("the scenario throws", error);
+    } finally {
+        clearTimeout(timer);
+        process.emitWarning = emitWarning;
+    }
+    return lines;
+}
+
+// ─── reporting ──────────────────────────────────────────────────────────────────────
+
+function formatDivergence(number, label, actual, expected, source, against) {
+    const lines = [`${number}) ${label}`];
+    const length = Math.max(actual.length, expected.length);
+    for (let i = 0; i < length; i++) {
+        if (actual[i] === expected[i]) {
+            lines.push(`     ${actual[i]}`);
+            continue;
+        }
+        if (i < expected.length) lines.push(`   - ${expected[i]}`);
+        if (i < actual.length) lines.push(`   + ${actual[i]}`);
+    }
+    lines.push(`   (- ${against}, + ${source})`);
+    return lines.join("\n");
+}
+
+async function main() {
+    const filters = process.argv.slice(2).filter(arg => !arg.startsWith("--"));
+    // A filter naming a section – node:events or wildcards – selects all of it
+    const selected = (list, section) =>
+        list.filter(([label]) => !filters.length || filters.some(filter => filter === section || label.includes(filter)));
+    const scenarios = selected(SCENARIOS, "node:events");
+    const wildcards = selected(WILDCARD_SCENARIOS, "wildcards");
+    const { module, source } = loadMarkdownEmitter();
+    const { EventEmitter } = module;
+
+    const divergences = [];
+    const compare = (label, actual, expected, against) => {
+        const same = actual.length === expected.length && actual.every((line, i) => line === expected[i]);
+        console.log(`  ${same ? "✓" : "✗"} ${label}`);
+        if (!same) divergences.push([label, actual, expected, against]);
+    };
+
+    console.log(`EventEmitter of ${source} against node:events`);
+    for (const [label, run] of scenarios) {
+        const expected = await play(NodeEventEmitter, run);
+        compare(label, await play(EventEmitter, run), expected, "node:events");
+    }
+    if (wildcards.length) console.log("\nWildcards, against the expected logs in scenarios.js");
+    for (const [label, run, expected] of wildcards) {
+        compare(label, await play(EventEmitter, (_, t) => run(module, t)), expected, "expected");
+    }
+
+    if (divergences.length) console.log("\nDivergences");
+    divergences.forEach(([label, actual, expected, against], i) => {
+        console.log(`\n${formatDivergence(i + 1, label, actual, expected, source, against)}`);
+    });
+    const count = scenarios.length + wildcards.length;
+    console.log(`\n${count} scenarios: ${divergences.length} where the two differ`);
+    process.exitCode = divergences.length ? 1 : 0;
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,598 @@
+"use strict";
+// The compatibility scenarios: [[label, async (EventEmitter, t) => …], …]
+//
+// Each scenario drives one EventEmitter class – node:events, then the markdown's – and
+// writes down what it sees with t.log. The run compares the two logs line by line.
+//   t.emitter(name, options)  a new emitter, shown as <name>
+//   t.spy(name, behavior)     a listener logging its calls and `this`, shown as <name>
+//   t.attempt(label, thunk)   logs what thunk returns, or the error it throws
+//   t.settle()                lets pending promise callbacks and timers of 0 ms run
+// MaxListenersExceededWarning goes to the log too, through process.emitWarning.
+//
+// node:events has no wildcards, so WILDCARD_SCENARIOS – [[label, run, expected], …] – run
+// the markdown's class alone and compare its log with the lines written down with each.
+// Their run gets the question's module (EventEmitter, isPattern, matchesPattern) in
+// place of the class.
+
+const SCENARIOS = [];
+const WILDCARD_SCENARIOS = [];
+
+function scenario(label, run) {
+    SCENARIOS.push([label, run]);
+}
+
+function wildcardScenario(label, expected, run) {
+    WILDCARD_SCENARIOS.push([label, run, expected]);
+}
+
+// ─── on, emit ───────────────────────────────────────────────────────────────────────
+
+scenario("emit calls the listeners in order, with the emitter as this", (EventEmitter, t) => {
+    const e = t.emitter("e");
+    e.on("x", t.spy("a"));
+    e.on("x", t.spy("b"));
+    t.attempt("emit x", () => e.emit("x", 1, "two", [3]));
+});
+
+scenario("emit without listeners returns false", (EventEmitter, t) => {
+    const e = t.emitter("e");
+    t.attempt("emit x", () => e.emit("x"));
+    e.on("y", t.spy("a"));
+    t.attempt("emit x", () => e.emit("x"));
+});
+
+scenario("on, addListener and the other adders return the emitter", (EventEmitter, t) => {
+    const e = t.emitter("e");
+    const a = t.spy("a");
+    for (const method of ["on", "addListener", "prependListener", "once", "prependOnceListener", "off", "removeListener"]) {
+        t.attempt(method, () => e[method]("x", a));
+    }
+    t.attempt("removeAllListeners", () => e.removeAllListeners("x"));
+    t.attempt("setMaxListeners", () => e.setMaxListeners(3));
+});
+
+scenario("the same listener added twice runs twice", (EventEmitter, t) => {
+    const e = t.emitter("e");
+    const a = t.spy("a");
+    e.on("x", a).on("x", a);
+    e.emit("x", 1);
+    t.log(e.listenerCount("x"));
+});
+
+scenario("a listener added during emit runs from the next emit", (EventEmitter, t) => {
+    const e = t.emitter("e");
+    const late = t.spy("late");
+    e.on("x", t.spy("a", () => e.on("x", late)));
+    e.emit("x", 1);
+    e.emit("x", 2);
+});
+
+scenario("a listener removed during emit still runs in that emit", (EventEmitter, t) => {
+    const e = t.emitter("e");
+    const b = t.spy("b");
+    e.on("x", t.spy("a", () => e.off("x", b)));
+    e.on("x", b);
+    e.emit("x", 1);
+    e.emit("x", 2);
+});
+
+scenario("a listener that throws stops the emit", (EventEmitter, t) => {
+    const e = t.emitter("e");
+    e.on("x", t.spy("a", () => {
+        throw new RangeError("bad");
+    }));
+    e.on("x", t.spy("b"));
+    t.attempt("emit x", () => e.emit("x"));
+    t.log(e.listenerCount("x"));
+});
+
+scenario("non-function listeners are refused", (EventEmitter, t) => {
+    const e = t.emitter("e");
+    for (const method of ["on", "prependListener", "once", "prependOnceListener", "off"]) {
+        t.attempt(`${method}(null)`, () => e[method]("x", null));
+        t.attempt(`${method}({})`, () => e[method]("x", {}));
+    }
+    t.log(e.eventNames());
+});
+
+scenario("symbols are event names too", (EventEmitter, t) => {
+    const e = t.emitter("e");
+    const event = Symbol("ready");
+    e.on(event, t.spy("a"));
+    t.attempt("emit", () => e.emit(event, "go"));
+    t.log(e.eventNames());
+    t.log(e.listenerCount(event));
+});
+
+scenario("'user.*' is a name like any other", (EventEmitter, t) => {
+    const e = t.emitter("e");
+    e.on("user.*", t.spy("any"));
+    t.attempt("emit user.login", () => e.emit("user.login"));
+    t.attempt("emit user.*", () => e.emit("user.*", 1));
+});
+
+// ─── prepend, once ──────────────────────────────────────────────────────────────────
+
+scenario("prependListener and prependOnceListener go first", (EventEmitter, t) => {
+    const e = t.emitter("e");
+    e.on("x", t.spy("a"));
+    e.prependListener("x", t.spy("b"));
+    e.prependOnceListener("x", t.spy("c"));
+    e.emit("x", 1);
+    e.emit("x", 2);
+    t.log(e.listeners("x"));
+});
+
+scenario("once runs once", (EventEmitter, t) => {
+    const e = t.emitter("e");
+    e.once("x", t.spy("a"));
+    t.attempt("first", () => e.emit("x", 1));
+    t.attempt("second", () => e.emit("x", 2));
+    t.log(e.eventNames());
+});
+
+scenario("a once listener emitting its own event runs once", (EventEmitter, t) => {
+    const e = t.emitter("e");
+    e.once("x", t.spy("a", () => e.emit("x", "again")));
+    e.on("x", t.spy("b"));
+    e.emit("x", "first");
+});
+
+scenario("a once listener can be removed by the original function", (EventEmitter, t) => {
+    const e = t.emitter("e");
+    const a = t.spy("a");
+    e.once("x", a);
+    e.off("x", a);
+    t.attempt("emit x", () => e.emit("x"));
+});
+
+scenario("rawListeners gives once wrappers, listeners the originals", (EventEmitter, t) => {
+    const e = t.emitter("e");
+    e.once("x", t.spy("a"));
+    e.on("x", t.spy("b"));
+    t.log(e.listeners("x"));
+    const [wrapper, plain] = e.rawListeners("x");
+    t.log(wrapper.listener, plain.listener);
+    wrapper("called by hand");
+    t.log(e.listeners("x"));
+    wrapper("and again");
+});
+
+scenario("the arrays given out are copies", (EventEmitter, t) => {
+    const e = t.emitter("e");
+    e.on("x", t.spy("a"));
+    e.listeners("x").push(t.spy("b"));
+    e.rawListeners("x").length = 0;
+    e.eventNames().push("y");
+    t.log(e.listenerCount("x"), e.eventNames());
+    e.emit("x");
+});
+
+// ─── removing ───────────────────────────────────────────────────────────────────────
+
+scenario("off removes the latest registration of a listener", (EventEmitter, t) => {
+    const e = t.emitter("e");
+    const a = t.spy("a");
+    e.on("x", a).on("x", t.spy("b")).on("x", a);
+    e.off("x", a);
+    e.emit("x");
+});
+
+scenario("off of an unknown listener or event changes nothing", (EventEmitter, t) => {
+    const e = t.emitter("e");
+    e.on("x", t.spy("a"));
+    e.off("x", t.spy("b"));
+    e.off("y", t.spy("c"));
+    t.log(e.eventNames(), e.listenerCount("x"));
+});
+
+scenario("an event goes from eventNames with its last listener", (EventEmitter, t) => {
+    const e = t.emitter("e");
+    const a = t.spy("a");
+    e.on("x", a).on("y", t.spy("b"));
+    t.log(e.eventNames());
+    e.off("x", a);
+    t.log(e.eventNames());
+    e.on("x", a);
+    t.log(e.eventNames());
+});
+
+scenario("removeAllListeners(event) and removeAllListeners()", (EventEmitter, t) => {
+    const e = t.emitter("e");
+    e.on("x", t.spy("a")).on("x", t.spy("b")).on("y", t.spy("c"));
+    e.removeAllListeners("x");
+    t.log(e.eventNames());
+    e.removeAllListeners("nothing");
+    e.on("z", t.spy("d"));
+    e.removeAllListeners();
+    t.log(e.eventNames());
+    t.attempt("emit y", () => e.emit("y"));
+});
+
+// ─── newListener, removeListener ────────────────────────────────────────────────────
+
+scenario("newListener comes before the listener is added, with the original", (EventEmitter, t) => {
+    const e = t.emitter("e");
+    e.on("newListener", t.spy("watch", (event, listener) => t.log("count then", e.listenerCount(event), listener)));
+    e.on("x", t.spy("a"));
+    e.once("x", t.spy("b"));
+    e.prependListener("y", t.spy("c"));
+});
+
+scenario("a listener added from newListener goes first", (EventEmitter, t) => {
+    const e = t.emitter("e");
+    const early = t.spy("early");
+    e.once("newListener", (event) => {
+        if (event === "x") e.on("x", early);
+    });
+    e.on("x", t.spy("a"));
+    e.emit("x");
+});
+
+scenario("removeListener tells which listener went", (EventEmitter, t) => {
+    const e = t.emitter("e");
+    e.on("removeListener", t.spy("gone"));
+    const a = t.spy("a");
+    const b = t.spy("b");
+    e.on("x", a);
+    e.off("x", a);
+    e.once("x", a);
+    e.off("x", a);
+    e.once("x", a).once("x", b);
+    e.off("x", a);
+    e.off("x", b);
+});
+
+scenario("once listeners firing tell removeListener", (EventEmitter, t) => {
+    const e = t.emitter("e");
+    e.on("removeListener", t.spy("gone"));
+    e.once("x", t.spy("a"));
+    e.emit("x");
+    e.once("x", t.spy("b")).once("x", t.spy("c"));
+    e.emit("x");
+});
+
+scenario("removeAllListeners tells removeListener, last in first out", (EventEmitter, t) => {
+    const e = t.emitter("e");
+    e.on("removeListener", t.spy("gone"));
+    e.on("x", t.spy("a")).once("x", t.spy("b")).on("x", t.spy("c"));
+    e.once("y", t.spy("d"));
+    e.removeAllListeners("x");
+    e.on("x", t.spy("e"));
+    e.removeAllListeners();
+    t.log(e.eventNames());
+});
+
+// ─── counting ───────────────────────────────────────────────────────────────────────
+
+scenario("listenerCount, of an event or of one listener", (EventEmitter, t) => {
+    const e = t.emitter("e");
+    const a = t.spy("a");
+    e.on("x", a).once("x", a).on("x", t.spy("b"));
+    t.log(e.listenerCount("x"), e.listenerCount("x", a), e.listenerCount("x", t.spy("c")), e.listenerCount("y"));
+    e.emit("x");
+    t.log(e.listenerCount("x"), e.listenerCount("x", a));
+});
+
+// ─── max listeners ──────────────────────────────────────────────────────────────────
+
+scenario("ten listeners by default, a warning at the eleventh", (EventEmitter, t) => {
+    const e = t.emitter("e");
+    t.log(EventEmitter.defaultMaxListeners, e.getMaxListeners());
+    for (let i = 0; i < 12; i++) e.on("x", t.spy(`a${i}`));
+    t.log("added 12");
+    for (let i = 0; i < 11; i++) e.on("y", t.spy(`b${i}`));
+});
+
+scenario("setMaxListeners moves the limit, warned once per event", (EventEmitter, t) => {
+    const e = t.emitter("e");
+    e.setMaxListeners(1);
+    t.log(e.getMaxListeners());
+    const a = t.spy("a");
+    e.on("x", a).on("x", a).on("x", a);
+    e.removeAllListeners("x");
+    t.log("added again");
+    e.on("x", a).on("x", a);
+});
+
+scenario("0 and Infinity are no limit", (EventEmitter, t) => {
+    const e = t.emitter("e");
+    e.setMaxListeners(0);
+    for (let i = 0; i < 20; i++) e.on("x", t.spy(`a${i}`));
+    e.setMaxListeners(Infinity);
+    for (let i = 0; i < 20; i++) e.on("y", t.spy(`b${i}`));
+    t.log(e.getMaxListeners(), e.listenerCount("x") + e.listenerCount("y"));
+});
+
+scenario("setMaxListeners wants a non-negative number", (EventEmitter, t) => {
+    const e = t.emitter("e");
+    for (const n of [-1, NaN, "1", undefined]) t.attempt(`setMaxListeners(${String(n)})`, () => e.setMaxListeners(n));
+    t.log(e.getMaxListeners());
+});
+
+scenario("defaultMaxListeners counts for emitters without their own limit", (EventEmitter, t) => {
+    const saved = EventEmitter.defaultMaxListeners;
+    try {
+        const e = t.emitter("e");
+        const f = t.emitter("f").setMaxListeners(5);
+        EventEmitter.defaultMaxListeners = 2;
+        t.log(e.getMaxListeners(), f.getMaxListeners());
+        for (let i = 0; i < 3; i++) e.on("x", t.spy(`a${i}`)) && f.on("x", t.spy(`b${i}`));
+    } finally {
+        EventEmitter.defaultMaxListeners = saved;
+    }
+});
+
+// ─── 'error' ────────────────────────────────────────────────────────────────────────
+
+scenario("an unheard 'error' throws the Error it's given", (EventEmitter, t) => {
+    const e = t.emitter("e");
+    const error = new SyntaxError("broken");
+    try {
+        e.emit("error", error);
+    } catch (thrown) {
+        t.log("the same error", thrown === error);
+    }
+});
+
+scenario("an unheard 'error' wraps anything else", (EventEmitter, t) => {
+    const e = t.emitter("e");
+    for (const reason of ["boom", 42, undefined, null]) {
+        try {
+            e.emit("error", reason);
+        } catch (thrown) {
+            t.log(thrown, thrown.context);
+        }
+    }
+});
+
+scenario("a listener for 'error' takes it instead", (EventEmitter, t) => {
+    const e = t.emitter("e");
+    e.once("error", t.spy("handler"));
+    t.attempt("first", () => e.emit("error", "boom"));
+    t.attempt("second", () => e.emit("error", "boom"));
+});
+
+// ─── EventEmitter.once ──────────────────────────────────────────────────────────────
+
+scenario("once(emitter, event) resolves with the arguments", async (EventEmitter, t) => {
+    const e = t.emitter("e");
+    const promise = EventEmitter.once(e, "x");
+    t.log(e.listenerCount("x"), e.listenerCount("error"));
+    e.emit("x", 1, 2);
+    e.emit("x", 3);
+    t.log(await promise);
+    t.log(e.listenerCount("x"), e.listenerCount("error"));
+});
+
+scenario("once(emitter, event) rejects on 'error'", async (EventEmitter, t) => {
+    const e = t.emitter("e");
+    const promise = EventEmitter.once(e, "x");
+    t.attempt("emit error", () => e.emit("error", new TypeError("nope")));
+    await promise.then(value => t.log("resolved", value), reason => t.log("rejected", reason));
+    t.log(e.listenerCount("x"), e.listenerCount("error"));
+});
+
+scenario("once(emitter, 'error') resolves with the error", async (EventEmitter, t) => {
+    const e = t.emitter("e");
+    const promise = EventEmitter.once(e, "error");
+    t.attempt("emit error", () => e.emit("error", "boom"));
+    t.log(await promise);
+});
+
+scenario("once(emitter, event, { signal }) rejects when it aborts", async (EventEmitter, t) => {
+    const e = t.emitter("e");
+    const controller = new AbortController();
+    const promise = EventEmitter.once(e, "x", { signal: controller.signal });
+    controller.abort("changed my mind");
+    await promise.then(value => t.log("resolved", value), reason => t.log("rejected", reason, reason.cause));
+    t.log(e.listenerCount("x"), e.listenerCount("error"));
+    t.attempt("emit x", () => e.emit("x"));
+});
+
+scenario("once(emitter, event, { signal }) with an aborted signal", async (EventEmitter, t) => {
+    const e = t.emitter("e");
+    let promise;
+    t.attempt("call", () => {
+        promise = EventEmitter.once(e, "x", { signal: AbortSignal.abort("already") });
+    });
+    await promise.then(value => t.log("resolved", value), reason => t.log("rejected", reason, reason.cause));
+    t.log(e.eventNames());
+});
+
+// ─── EventEmitter.on ────────────────────────────────────────────────────────────────
+
+scenario("on(emitter, event) yields the events, queued ones first", async (EventEmitter, t) => {
+    const e = t.emitter("e");
+    const iterator = EventEmitter.on(e, "x");
+    e.emit("x", 1);
+    e.emit("x", 2, "b");
+    t.log(await iterator.next());
+    t.log(await iterator.next());
+    const pending = iterator.next();
+    e.emit("x", 3);
+    t.log(await pending);
+    t.log(e.listenerCount("x"), e.listenerCount("error"));
+});
+
+scenario("leaving the loop removes the listeners", async (EventEmitter, t) => {
+    const e = t.emitter("e");
+    setTimeout(() => {
+        e.emit("x", 1);
+        e.emit("x", 2);
+        e.emit("x", 3);
+    }, 0);
+    for await (const args of EventEmitter.on(e, "x")) {
+        t.log(args);
+        if (args[0] === 2) break;
+    }
+    t.log(e.listenerCount("x"), e.listenerCount("error"));
+});
+
+scenario("return() ends the waiting next()", async (EventEmitter, t) => {
+    const e = t.emitter("e");
+    const iterator = EventEmitter.on(e, "x");
+    const pending = iterator.next();
+    t.log(await iterator.return());
+    t.log(await pending);
+    t.log(await iterator.next());
+    e.emit("x", 1);
+    t.log(e.eventNames());
+});
+
+scenario("'error' rejects the waiting next(), then the iterator is done", async (EventEmitter, t) => {
+    const e = t.emitter("e");
+    const iterator = EventEmitter.on(e, "x");
+    const pending = iterator.next();
+    e.emit("error", new RangeError("lost"));
+    await pending.then(value => t.log("resolved", value), reason => t.log("rejected", reason));
+    t.log(await iterator.next());
+    t.log(e.eventNames());
+});
+
+scenario("an 'error' nobody waits for comes after the queued events", async (EventEmitter, t) => {
+    const e = t.emitter("e");
+    const iterator = EventEmitter.on(e, "x");
+    e.emit("x", 1);
+    e.emit("error", new RangeError("lost"));
+    e.emit("x", 2);
+    t.log(await iterator.next());
+    await iterator.next().then(value => t.log("resolved", value), reason => t.log("rejected", reason));
+    t.log(await iterator.next());
+});
+
+scenario("on(emitter, event, { signal }) throws AbortError when it aborts", async (EventEmitter, t) => {
+    const e = t.emitter("e");
+    const controller = new AbortController();
+    t.attempt("already aborted", () => EventEmitter.on(e, "x", { signal: AbortSignal.abort() }));
+    const iterator = EventEmitter.on(e, "x", { signal: controller.signal });
+    const pending = iterator.next();
+    controller.abort();
+    await pending.then(value => t.log("resolved", value), reason => t.log("rejected", reason));
+    t.log(await iterator.next());
+    t.log(e.eventNames());
+});
+
+// ─── wildcards ──────────────────────────────────────────────────────────────────────
+
+wildcardScenario(
+    "isPattern: a name with a segment that is exactly * or **",
+    [
+        'isPattern "user.*" → true',
+        'isPattern "**" → true',
+        'isPattern "*.login" → true',
+        'isPattern "user.login" → false',
+        'isPattern "user*" → false',
+        'isPattern "user.**x" → false',
+    ],
+    ({ isPattern }, t) => {
+        for (const name of ["user.*", "**", "*.login", "user.login", "user*", "user.**x"]) {
+            t.attempt(`isPattern ${JSON.stringify(name)}`, () => isPattern(name));
+        }
+    }
+);
+
+wildcardScenario(
+    "matchesPattern: * is one segment, ** any number of them, none included",
+    [
+        '"user.*" "user.login" → true',
+        '"user.*" "user" → false',
+        '"user.*" "user.a.b" → false',
+        '"user.**" "user" → true',
+        '"user.**" "user.a.b" → true',
+        '"**.login" "login" → true',
+        '"a.**.b" "a.b" → true',
+        '"a.**.b" "a.x.y.b" → true',
+        '"a.**.b" "a.x.y" → false',
+        '"*.*" "a" → false',
+    ],
+    ({ matchesPattern }, t) => {
+        const pairs = [
+            ["user.*", "user.login"], ["user.*", "user"], ["user.*", "user.a.b"],
+            ["user.**", "user"], ["user.**", "user.a.b"], ["**.login", "login"],
+            ["a.**.b", "a.b"], ["a.**.b", "a.x.y.b"], ["a.**.b", "a.x.y"], ["*.*", "a"],
+        ];
+        for (const [pattern, event] of pairs) {
+            t.attempt(`${JSON.stringify(pattern)} ${JSON.stringify(event)}`, () => matchesPattern(pattern.split("."), event.split(".")));
+        }
+    }
+);
+
+wildcardScenario(
+    "** matches zero segments: a listener for user.** hears user",
+    [
+        'any("user", 1) this=<e>',
+        'emit user → true',
+        'any("user.login", 2) this=<e>',
+        'emit user.login → true',
+        'any("user.a.b", 3) this=<e>',
+        'emit user.a.b → true',
+        'emit users → false',
+    ],
+    (question, t) => {
+        const e = t.emitter("e", { wildcard: true });
+        e.on("user.**", t.spy("any"));
+        t.attempt("emit user", () => e.emit("user", 1));
+        t.attempt("emit user.login", () => e.emit("user.login", 2));
+        t.attempt("emit user.a.b", () => e.emit("user.a.b", 3));
+        t.attempt("emit users", () => e.emit("users", 4));
+    }
+);
+
+wildcardScenario(
+    "the event's own listeners run first, then the patterns', in the order the patterns came",
+    [
+        "exact0(1) this=<e>",
+        "exact1(1) this=<e>",
+        'all("user.login", 1) this=<e>',
+        'star("user.login", 1) this=<e>',
+        'all("order.paid", 2) this=<e>',
+    ],
+    (question, t) => {
+        const e = t.emitter("e", { wildcard: true });
+        e.on("**", t.spy("all"));
+        e.on("user.*", t.spy("star"));
+        e.on("user.login", t.spy("exact1"));
+        e.prependListener("user.login", t.spy("exact0"));
+        e.emit("user.login", 1);
+        e.emit("order.paid", 2);
+    }
+);
+
+wildcardScenario(
+    "a once listener on a pattern goes after its first match; a pattern counts as its own event",
+    [
+        "listeners of user.* 1, of user.login 0",
+        'first("user.login", 1) this=<e>',
+        "emit user.logout → false",
+        "[]",
+    ],
+    (question, t) => {
+        const e = t.emitter("e", { wildcard: true });
+        e.once("user.*", t.spy("first"));
+        t.log(`listeners of user.* ${e.listenerCount("user.*")}, of user.login ${e.listenerCount("user.login")}`);
+        e.emit("user.login", 1);
+        t.attempt("emit user.logout", () => e.emit("user.logout", 2));
+        t.log(e.eventNames());
+    }
+);
+
+wildcardScenario(
+    "emitting a pattern by name calls its own listeners; without { wildcard } it's a plain name",
+    [
+        "star(1) this=<e>",
+        "emit user.login → false",
+        "plainStar(3) this=<plain>",
+    ],
+    (question, t) => {
+        const e = t.emitter("e", { wildcard: true });
+        e.on("user.*", t.spy("star"));
+        e.emit("user.*", 1);
+        const plain = t.emitter("plain");
+        plain.on("user.*", t.spy("plainStar"));
+        t.attempt("emit user.login", () => plain.emit("user.login", 2));
+        plain.emit("user.*", 3);
+    }
+);
+
+module.exports = { SCENARIOS, WILDCARD_SCENARIOS };
@@ -0,0 +1,250 @@
+// What one ```javascript block defines, and what it only demonstrates
+//
+// A block's top-level statements split in two. Definitions go into the question's
+// module:
+//   - function and class declarations, and consts bound to a function, arrow or class
+//   - assignments hanging something off one of those, or a function off a built-in
+//     (`curry.placeholder = …`, `Function.prototype.curry = function …`)
+//   - any other declaration the definitions read (a lookup table, a shared cache),
+//     unless it needs the browser to be created
+// Everything else – calls, `const result = fn(input)`, console.log lines – is an
+// example, and goes into the question's tests instead of running on import.
+// `console.log(x); // value` examples whose comment starts with a plain literal become
+// assertions: `// 6`, `// [1, 2]`, `// "bab" or "aba"`, `// 21 (trailing zeros removed)`,
+// `// true 1` for two values – inside callbacks and async functions too.
+
+const { parse, walk } = require("../../Variable declaration/js-parser");
+const { analyze, patternIdentifiers } = require("../../Variable declaration/scopes");
+
+const FUNCTIONS = new Set(["FunctionExpression", "ArrowFunctionExpression", "ClassExpression"]);
+
+// Globals the examples may reach for that a Node test can't (or shouldn't) provide
+const BROWSER = new Set([
+    "window", "document", "navigator", "location", "localStorage", "sessionStorage",
+    "requestAnimationFrame", "cancelAnimationFrame", "XMLHttpRequest", "Image", "HTMLElement",
+    "IntersectionObserver", "MutationObserver", "ResizeObserver", "fetch",
+]);
+
+function rootIdentifier(node) {
+    while (node.type === "MemberExpression") node = node.object;
+    return node.type === "Identifier" ? node.name : null;
+}
+
+function declaredNames(node) {
+    if (node.type === "FunctionDeclaration" || node.type === "ClassDeclaration") return [node.id.name];
+    if (node.type === "VariableDeclaration") return node.declarations.flatMap(d => patternIdentifiers(d.id).map(id => id.name));
+    return [];
+}
+
+function isFunctionDeclaration(node) {
+    if (node.type === "FunctionDeclaration" || node.type === "ClassDeclaration") return true;
+    return node.type === "VariableDeclaration" && node.declarations.every(d => d.id.type === "Identifier" && d.init && FUNCTIONS.has(d.init.type));
+}
+
+function isAttachment(node, functions) {
+    if (node.type !== "ExpressionStatement") return false;
+    const { expression } = node;
+    if (expression.type !== "AssignmentExpression" || expression.left.type !== "MemberExpression") return false;
+    const root = rootIdentifier(expression.left);
+    if (root === null) return false;
+    return functions.has(root) || (FUNCTIONS.has(expression.right.type) && typeof globalThis[root] === "function");
+}
+
+// ─── expected values ────────────────────────────────────────────────────────────────
+
+// Literals only: numbers (signed), strings, booleans, null / undefined / NaN / Infinity,
+// templates without substitutions, and arrays and plain objects of those
+function isLiteral(node) {
+    switch (node.type) {
+        case "Literal":
+            return !node.regex;
+        case "TemplateLiteral":
+            return node.expressions.length === 0;
+        case "Identifier":
+            return ["undefined", "NaN", "Infinity"].includes(node.name);
+        case "UnaryExpression":
+            return (node.operator === "-" || node.operator === "+") && isLiteral(node.argument) &&
+                (typeof node.argument.value === "number" || node.argument.name === "Infinity");
+        case "ArrayExpression":
+            return node.elements.every(element => element !== null && isLiteral(element));
+        case "ObjectExpression":
+            return node.properties.every(p => p.type === "Property" && p.kind === "init" && !p.computed && !p.method && !p.shorthand && isLiteral(p.value));
+        default:
+            return false;
+    }
+}
+
+function parsesAsLiteral(text) {
+    if (!text) return false;
+    try {
+        const { body } = parse(`(${text});`);
+        return body.length === 1 && isLiteral(body[0].expression);
+    } catch (error) {
+        return false;
+    }
+}
+
+// The comment of `console.log(x); // comment` → the source of each value it allows, or
+// null when the comment is prose ("Cache hit", "'Hello' after 500ms"). With `count`
+// arguments logged, the comment lists as many values, space-separated (`// true 1`), and
+// the one value allowed is their array.
+function expectedValues(comment, count = 1) {
+    const text = comment.trim();
+    const candidates = [text];
+    // A note at the end: "21 (trailing zeros removed)", "undefined – past its ttl"
+    for (let i = text.indexOf(" ("); i !== -1; i = text.indexOf(" (", i + 1)) {
+        if (text.endsWith(")")) candidates.push(text.slice(0, i).trim());
+    }
+    for (let i = text.indexOf(" – "); i !== -1; i = text.indexOf(" – ", i + 1)) candidates.push(text.slice(0, i).trim());
+    for (const candidate of candidates) {
+        if (count > 1) {
+            const values = candidate.split(/\s+/);
+            if (values.length === count && values.every(parsesAsLiteral)) return [`[${values.join(", ")}]`];
+            continue;
+        }
+        if (parsesAsLiteral(candidate)) return [candidate];
+        const alternatives = candidate.split(/\s+or\s+/);
+        if (alternatives.length > 1 && alternatives.every(parsesAsLiteral)) return alternatives;
+    }
+    return null;
+}
+
+const isConsoleLog = node =>
+    node.type === "CallExpression" && node.callee.type === "MemberExpression" && !node.callee.computed &&
+    node.callee.object.type === "Identifier" && node.callee.object.name === "console" && node.callee.property.name === "log";
+
+// Every console.log(…) of the examples – at the top level, in a callback or after an
+// await – followed on its last line by a comment giving the value. A line with two
+// console.log calls is left alone: the comment could be about either.
+function loggedAssertions(examples, comments, code) {
+    const calls = [];
+    for (const s of examples) {
+        walk(s.node, node => {
+            if (isConsoleLog(node)) calls.push({ call: node, statement: s.node });
+        });
+    }
+    const lines = calls.map(({ call }) => call.loc.end.line);
+    return calls.flatMap(({ call, statement }, i) => {
+        const args = call.arguments;
+        if (!args.length || args.some(arg => arg.type === "SpreadElement")) return [];
+        if (lines.indexOf(lines[i]) !== lines.lastIndexOf(lines[i])) return [];
+        const comment = comments.find(c => c.type === "Line" && c.start >= call.end && c.loc.start.line === lines[i]);
+        if (!comment || code.slice(call.end, comment.start).includes("\n")) return [];
+        const expected = expectedValues(comment.value, args.length);
+        if (!expected) return [];
+        return [{
+            statement: statement.start,
+            call: [call.start, call.end],
+            open: code.indexOf("(", call.callee.end) + 1,
+            arguments: [args[0].start, args[args.length - 1].end],
+            count: args.length,
+            expected,
+            line: call.loc.start.line,
+        }];
+    });
+}
+
+// ─── the block ──────────────────────────────────────────────────────────────────────
+
+// Each statement owns the comments and blank lines above it and the comment after it
+// on its last line, so the pieces can be put back together either side of the split
+function chunks(code, body) {
+    let start = 0;
+    return body.map((node, i) => {
+        const next = body[i + 1];
+        let end = code.length;
+        if (next) {
+            const lineEnd = code.indexOf("\n", node.end);
+            end = lineEnd === -1 || next.start < lineEnd ? next.start : lineEnd;
+        }
+        const chunk = { start, end };
+        start = end;
+        return chunk;
+    });
+}
+
+// analyzeBlock(code) → {
+//   statements:  [{ node, kind: "definition" | "example", start, end, declares }]
+//   declared:    every name the definitions declare, in order
+//   exported:    [{ name, line }] the functions and classes among them
+//   free:        names the definitions use without declaring (globals, other blocks)
+//   needs:       names the examples use without declaring
+//   uses:        definition name → the top-level and free names its statement reads
+//   assertions:  [{ statement, call: [start, end], open, arguments: [start, end], count,
+//                  expected, line }] in examples, statement being where its statement starts
+//   templates:   [start, end] of template literals, whose lines mustn't be re-indented
+// }
+// Throws the parser's SyntaxError for a block that doesn't parse.
+function analyzeBlock(code) {
+    const analysis = analyze(code);
+    const { ast, globalScope } = analysis;
+    const body = ast.body;
+    const pieces = chunks(code, body);
+
+    const functions = new Set(body.filter(isFunctionDeclaration).flatMap(declaredNames));
+    const statements = body.map((node, i) => ({
+        node,
+        kind: isFunctionDeclaration(node) || isAttachment(node, functions) ? "definition" : "example",
+        start: pieces[i].start,
+        end: pieces[i].end,
+        declares: declaredNames(node),
+    }));
+    const statementAt = pos => statements.find(s => s.node.start <= pos && pos < s.node.end);
+
+    // Which statement declares each top-level name, and what each statement reads
+    const declaredBy = new Map();
+    for (const s of statements) for (const name of s.declares) declaredBy.set(name, s);
+    const reads = new Map(statements.map(s => [s, { topLevel: new Set(), free: new Set() }]));
+    for (const ref of analysis.references) {
+        const s = statementAt(ref.identifier.start);
+        if (!s) continue;
+        if (!ref.binding) reads.get(s).free.add(ref.name);
+        else if (ref.binding.scope === globalScope && !s.declares.includes(ref.name)) reads.get(s).topLevel.add(ref.name);
+    }
+
+    // Declarations the definitions read are definitions too, until nothing changes
+    for (let changed = true; changed; ) {
+        changed = false;
+        for (const s of statements) {
+            if (s.kind !== "definition") continue;
+            for (const name of reads.get(s).topLevel) {
+                const source = declaredBy.get(name);
+                if (!source || source.kind === "definition" || source.node.type !== "VariableDeclaration") continue;
+                if ([...reads.get(source).free].some(free => BROWSER.has(free))) continue;
+                source.kind = "definition";
+                changed = true;
+            }
+        }
+    }
+
+    const definitions = statements.filter(s => s.kind === "definition");
+    const examples = statements.filter(s => s.kind === "example");
+    const declared = definitions.flatMap(s => s.declares);
+    const exported = definitions
+        .filter(s => isFunctionDeclaration(s.node))
+        .flatMap(s => s.declares.map(name => ({ name, line: s.node.loc.start.line })));
+
+    const free = new Set(definitions.flatMap(s => [...reads.get(s).free]));
+    const exampleDeclared = new Set(examples.flatMap(s => s.declares));
+    const needs = new Set();
+    for (const s of examples) {
+        for (const name of reads.get(s).free) needs.add(name);
+        for (const name of reads.get(s).topLevel) if (!exampleDeclared.has(name)) needs.add(name);
+    }
+    const uses = new Map();
+    for (const s of definitions) {
+        const { topLevel, free: freeNames } = reads.get(s);
+        for (const name of s.declares) uses.set(name, new Set([...topLevel, ...freeNames]));
+    }
+
+    const assertions = loggedAssertions(examples, ast.comments, code);
+
+    const templates = [];
+    walk(ast, node => {
+        if (node.type === "TemplateLiteral") templates.push([node.start, node.end]);
+    });
+
+    return { statements, declared, exported, free, needs, uses, assertions, templates };
+}
+
+module.exports = { analyzeBlock, expectedValues, BROWSER };
@@ -0,0 +1,371 @@
+// The module and the test file generated for each question
+//
+// A question's module runs its blocks' definitions in order, each block in a function
+// of its own – Solution 3 may define reverseString again, and mustn't clash with
+// Solution 1's – taking what it uses from earlier blocks as parameters and returning
+// what it declares. Numbered variants share one export: reverseArray, reverseArray2 and
+// reverseArray3 (or five reverseString blocks) export reverseArray, the first of them,
+// with all of them on reverseArray.variants. A name no block of the question declares
+// comes from the nearest question of the same README exporting it (MinHeap, say).
+//
+// The test file has one test that the exports are there, and one per block with
+// examples, running them as the markdown shows them – with the names they use taken
+// from the module. Examples needing the browser, or a name the markdown never defines,
+// are skipped with that as the reason. For a question the markdown shows no examples
+// of, only the exports are checked (coding/variants/agree.js still compares its
+// solutions with each other).
+
+const path = require("path");
+const { BROWSER } = require("./blocks");
+
+const GENERATED = "Generated by coding/extract/extract.js";
+const NODE_LOCALS = new Set(["require", "module", "exports", "__dirname", "__filename", "arguments"]);
+
+const isGlobal = name => NODE_LOCALS.has(name) || (name in globalThis && !BROWSER.has(name));
+
+function fileName(question, count) {
+    return `${String(question.number).padStart(String(count).length, "0")}-${question.slug}`;
+}
+
+const where = (question, line) => `${question.source}:${line}`;
+
+// ─── planning ───────────────────────────────────────────────────────────────────────
+
+// Grouping key: reverseArray2 → reverseArray when the question defines reverseArray too
+function baseName(name, names) {
+    const base = name.replace(/\d+$/, "");
+    return base !== name && base && names.has(base) ? base : name;
+}
+
+function planGroups(question) {
+    const names = new Set(question.blocks.flatMap(b => b.analysis.exported.map(e => e.name)));
+    const groups = new Map();
+    question.blocks.forEach((block, index) => {
+        for (const { name, line } of block.analysis.exported) {
+            const key = baseName(name, names);
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push({ name, index, source: where(question, block.line + line - 1) });
+        }
+    });
+    // The variant named like the export comes first, wherever it was declared
+    for (const [key, list] of groups) {
+        const exact = list.findIndex(v => v.name === key);
+        if (exact > 0) list.unshift(...list.splice(exact, 1));
+    }
+    return groups;
+}
+
+// Block that provides `name` to block `index`: the latest one before it, else (for
+// examples only, which run after every definition) the first one after it
+function providerOf(question, name, index, { later }) {
+    for (let i = index - (later ? 0 : 1); i >= 0; i--) {
+        if (question.blocks[i].analysis.declared.includes(name)) return i;
+    }
+    if (!later) return -1;
+    return question.blocks.findIndex((block, i) => i > index && block.analysis.declared.includes(name));
+}
+
+// plan(questions) sets question.file, .groups, .imports and .testImports ({ name →
+// question }) and per block .params (from earlier blocks) and .scope / .skip for its
+// examples
+function plan(questions) {
+    const counts = {};
+    for (const q of questions) counts[q.collection] = (counts[q.collection] || 0) + 1;
+    for (const q of questions) {
+        q.file = path.posix.join(q.collection, fileName(q, counts[q.collection]));
+        q.groups = planGroups(q);
+        q.imports = new Map();
+        q.testImports = new Map();
+    }
+
+    // Another question of the same README exporting `name`: the nearest earlier one,
+    // else the nearest later one
+    const importFor = (q, name) => {
+        const candidates = questions.filter(other => other !== q && other.source === q.source && other.groups.has(name));
+        const position = questions.indexOf(q);
+        const earlier = candidates.filter(other => questions.indexOf(other) < position).pop();
+        return earlier || candidates[0] || null;
+    };
+
+    for (const q of questions) {
+        q.blocks.forEach((block, index) => {
+            const { free, needs } = block.analysis;
+            block.params = [];
+            for (const name of free) {
+                if (providerOf(q, name, index, { later: false }) !== -1) block.params.push(name);
+                else if (!isGlobal(name) && !q.imports.has(name) && importFor(q, name)) q.imports.set(name, importFor(q, name));
+            }
+
+            // The examples' names: from a block of the module, another question or the
+            // globals; failing those, the test is skipped
+            block.scope = new Map();
+            const browser = new Set();
+            const missing = new Set();
+            // A name the examples use themselves is visited as theirs, even when a
+            // definition they use reaches it first
+            const visit = (name, seen, through) => {
+                if (seen.has(name) || (through && needs.has(name))) return;
+                seen.add(name);
+                const provider = providerOf(q, name, index, { later: true });
+                if (provider !== -1) {
+                    if (!through) block.scope.set(name, provider);
+                    const used = q.blocks[provider].analysis.uses.get(name) || new Set();
+                    for (const next of used) visit(next, seen, through || name);
+                } else if (BROWSER.has(name)) {
+                    browser.add(through ? `${name} (through ${through})` : name);
+                } else if (isGlobal(name)) {
+                    // fine as it is
+                } else if (importFor(q, name)) {
+                    if (!through) q.testImports.set(name, importFor(q, name));
+                } else if (!through) {
+                    missing.add(name);
+                }
+            };
+            const seen = new Set();
+            for (const name of needs) visit(name, seen, null);
+
+            block.skip = null;
+            if (browser.size) block.skip = `needs the browser: ${[...browser].join(", ")}`;
+            else if (missing.size) block.skip = `uses ${[...missing].join(", ")}, which the markdown doesn't define`;
+        });
+    }
+    dropCycles(questions);
+    return questions;
+}
+
+// Imports between questions must not go round in a circle, or one of the modules would
+// see the other half-loaded; the import closing a cycle is dropped
+function dropCycles(questions) {
+    const reaches = (from, to, seen = new Set()) => {
+        if (from === to) return true;
+        if (seen.has(from)) return false;
+        seen.add(from);
+        return [...from.imports.values()].some(next => reaches(next, to, seen));
+    };
+    for (const q of questions) {
+        for (const [name, other] of [...q.imports]) {
+            q.imports.delete(name);
+            if (!reaches(other, q)) q.imports.set(name, other);
+        }
+    }
+}
+
+// ─── source text ────────────────────────────────────────────────────────────────────
+
+// The lines of code.slice(start, end), with `replacements` ([start, end, text] in
+// ascending order, none spanning a line break it doesn't keep) applied and every line
+// indented – except blank ones and those inside a multi-line template literal
+function excerpt(code, start, end, replacements, templates, prefix) {
+    // The line break ending the statement before isn't part of this one's lines
+    if (code[start] === "\n") start++;
+    let text = "";
+    let pos = start;
+    for (const [from, to, replacement] of replacements) {
+        text += code.slice(pos, from) + replacement;
+        pos = to;
+    }
+    text += code.slice(pos, end);
+
+    const lineStarts = [start];
+    for (let i = code.indexOf("\n", start); i !== -1 && i < end; i = code.indexOf("\n", i + 1)) lineStarts.push(i + 1);
+    return text
+        .split("\n")
+        .map((line, i) => {
+            const at = lineStarts[i];
+            const inTemplate = templates.some(([s, e]) => s < at && at < e);
+            return line.trim() === "" ? "" : inTemplate ? line : prefix + line;
+        })
+        .join("\n");
+}
+
+// The statements of one kind, each with the comments it owns, blank lines at the ends
+// trimmed
+function piecesOf(block, kind, prefix, rewrite = () => []) {
+    const { code } = block;
+    const { statements, templates } = block.analysis;
+    return statements
+        .filter(s => s.kind === kind)
+        .map(s => excerpt(code, s.start, s.end, rewrite(s), templates, prefix))
+        .join("\n")
+        .replace(/^\n+|\s+$/g, "");
+}
+
+function header(lines) {
+    return lines.map(line => (line ? `// ${line}` : "//")).join("\n");
+}
+
+function requirePath(from, to) {
+    const relative = path.posix.relative(path.posix.dirname(from), to);
+    return relative.startsWith(".") ? relative : `./${relative}`;
+}
+
+function importLines(q, imports) {
+    const byModule = new Map();
+    for (const [name, other] of imports) {
+        if (!byModule.has(other)) byModule.set(other, []);
+        byModule.get(other).push(name);
+    }
+    return [...byModule].map(([other, names]) => `const { ${names.join(", ")} } = require("${requirePath(q.file, other.file)}");`);
+}
+
+function moduleSource(q) {
+    const first = q.blocks[0].line;
+    const out = [
+        header([
+            `Question ${q.number} of ${q.source}: ${q.title}`,
+            "",
+            `${GENERATED} from the code blocks at ${where(q, first)}`,
+            "onwards – edit the markdown and extract again rather than this file.",
+        ]),
+        "",
+        `const { variants } = require("${requirePath(q.file, "../extract/runtime")}");`,
+        ...importLines(q, q.imports),
+    ];
+
+    q.blocks.forEach((block, index) => {
+        const name = `block${index + 1}`;
+        const body = piecesOf(block, "definition", "    ");
+        out.push("", `// ${where(q, block.line)}${block.label ? ` – ${block.label}` : ""}`);
+        if (!body) {
+            out.push(`const ${name} = {};`);
+            return;
+        }
+        const providers = [...new Set(block.params.map(param => providerOf(q, param, index, { later: false })))].sort((a, b) => a - b);
+        const params = block.params.length ? `{ ${block.params.join(", ")} }` : "";
+        const args = providers.length ? `{ ${providers.map(i => `...block${i + 1}`).join(", ")} }` : "";
+        out.push(
+            `const ${name} = (function (${params}) {`,
+            body,
+            "",
+            `    return { ${block.analysis.declared.join(", ")} };`,
+            `})(${args});`
+        );
+    });
+
+    out.push("", "module.exports = {");
+    for (const [key, list] of q.groups) {
+        out.push(`    ${key}: variants([`);
+        for (const { name, index, source } of list) out.push(`        ["${name}", "${source}", block${index + 1}.${name}],`);
+        out.push("    ]),");
+    }
+    out.push(
+        "};",
+        "",
+        "// Everything each block declares, for the generated tests",
+        `Object.defineProperty(module.exports, "blocks", { value: [${q.blocks.map((b, i) => `block${i + 1}`).join(", ")}] });`,
+        ""
+    );
+    return out.join("\n");
+}
+
+const literal = value => JSON.stringify(value);
+
+function assertionRewrite(q, block) {
+    const byStatement = new Map();
+    for (const assertion of block.analysis.assertions) {
+        if (!byStatement.has(assertion.statement)) byStatement.set(assertion.statement, []);
+        byStatement.get(assertion.statement).push(assertion);
+    }
+    return statement => {
+        const assertions = byStatement.get(statement.node.start) || [];
+        // console.log(x) → expectLogged("file:line", x, value), keeping x's line breaks;
+        // console.log(x, y) → expectLogged("file:line", [x, y], [value, value])
+        return assertions
+            .flatMap(({ call, open, arguments: [first, last], count, expected, line }) => {
+                const at = literal(where(q, block.line + line - 1));
+                const close = call[1] - 1;
+                const several = count > 1;
+                return [
+                    [call[0], open, `expectLogged(${at}, `],
+                    ...(several ? [[first, first, "["], [last, last, "]"]] : []),
+                    [close, close + 1, `, ${expected.join(", ")})`],
+                ];
+            })
+            .sort((a, b) => a[0] - b[0]);
+    };
+}
+
+// Where each of the block's assertions is, for runExamples to check they all ran
+const assertionSites = (q, block) => [...new Set(block.analysis.assertions.map(a => where(q, block.line + a.line - 1)))];
+
+const hasExamples = block => block.analysis.statements.some(s => s.kind === "example");
+
+function testSource(q) {
+    const moduleName = `./${path.posix.basename(q.file)}`;
+    const out = [
+        header([
+            `Tests for question ${q.number} of ${q.source}: ${q.title}`,
+            "",
+            `${GENERATED} – edit the markdown and extract again rather`,
+            "than this file. Each block's examples run under a virtual clock, and a",
+            "`console.log(x); // value` line checks x against the value – and fails",
+            "the test when it never runs.",
+        ]),
+        "",
+        `const { test } = require("node:test");`,
+        `const { runExamples, expectLogged, checkExports } = require("${requirePath(q.file, "../extract/runtime")}");`,
+        `const question = require("${moduleName}");`,
+        ...importLines(q, q.testImports),
+    ];
+    if (q.blocks.some(block => block.scope.size)) out.push("", "const { blocks } = question;");
+
+    const exports = [...q.groups.keys()];
+    if (exports.length) {
+        out.push("", `test("exports ${exports.join(", ")}", () => checkExports(question, [${exports.map(literal).join(", ")}]));`);
+    }
+
+    q.blocks.forEach((block, index) => {
+        const examples = piecesOf(block, "example", "        ", assertionRewrite(q, block));
+        if (!examples) return;
+        const title = `examples at ${where(q, block.line)}${block.label ? ` (${block.label})` : ""}`;
+        const options = block.skip ? `{ skip: ${literal(block.skip)} }, ` : "";
+        const fromBlocks = new Map();
+        for (const [name, provider] of block.scope) {
+            if (!fromBlocks.has(provider)) fromBlocks.set(provider, []);
+            fromBlocks.get(provider).push(name);
+        }
+        out.push("", `test(${literal(title)}, ${options}() =>`, "    runExamples(() => {");
+        for (const [provider, names] of [...fromBlocks].sort((a, b) => a[0] - b[0])) {
+            out.push(`        const { ${names.join(", ")} } = blocks[${provider}];`);
+        }
+        if (fromBlocks.size) out.push("");
+        const sites = assertionSites(q, block);
+        if (!sites.length) out.push(examples, "    }));");
+        else out.push(examples, "    }, [", ...sites.map(site => `        ${literal(site)},`), "    ]));");
+    });
+    out.push("");
+    return out.join("\n");
+}
+
+// The catalog of every module, for code that goes through all of them
+function indexSource(questions) {
+    const out = [
+        header([
+            "Every extracted question",
+            "",
+            `${GENERATED}. Modules load on demand:`,
+            "",
+            "const { questions } = require(\"./coding/extracted\");",
+            "questions.find(q => q.collection === \"questions\" && q.number === 9).load().flattenArray",
+        ]),
+        "",
+        "const questions = [",
+    ];
+    for (const q of questions) {
+        out.push(
+            "    {",
+            `        collection: ${literal(q.collection)},`,
+            `        number: ${q.number},`,
+            `        title: ${literal(q.title)},`,
+            `        source: ${literal(where(q, q.line))},`,
+            `        exports: ${literal([...q.groups.keys()])},`,
+            `        examples: ${q.blocks.filter(b => hasExamples(b) && !b.skip).length},`,
+            `        load: () => require("./${q.file}"),`,
+            "    },"
+        );
+    }
+    out.push("];", "", "module.exports = { questions };", "");
+    return out.join("\n");
+}
+
+module.exports = { plan, moduleSource, testSource, indexSource, hasExamples, GENERATED };
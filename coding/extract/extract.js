@@ -0,0 +1,125 @@
+// Extracts the coding questions' code blocks into modules and tests
+//
+// Every ```javascript block of coding/README.md and of the must-practice README is
+// parsed – by Variable declaration/js-parser.js for its structure, and by V8 – and each
+// question becomes a module of its definitions and a node:test file of its examples,
+// under coding/extracted/ (see emit.js for what goes where). A block that doesn't parse
+// fails the run, and nothing is written.
+//
+// node coding/extract/extract.js            → regenerates coding/extracted/
+// node coding/extract/extract.js --check    → parses and analyzes every block, writes nothing
+// node coding/extract/extract.js --untested → also lists the questions without examples
+// node --test coding/extracted/             → runs the generated tests
+// node --test 'coding/extracted/**/*.test.js'  → the same on Node 21 and later
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const { SOURCES, ROOT, readQuestions } = require("./markdown");
+const { analyzeBlock } = require("./blocks");
+const { plan, moduleSource, testSource, indexSource, hasExamples, GENERATED } = require("./emit");
+
+const OUT = path.join(ROOT, "coding", "extracted");
+
+// → null, or the error with where it is: "coding/README.md:7839:5"
+function check(source, block) {
+    try {
+        block.analysis = analyzeBlock(block.code);
+    } catch (error) {
+        if (typeof error.line !== "number") throw error;
+        const message = error.message.replace(/ \(\d+:\d+\)$/, "");
+        return { where: `${source}:${block.line + error.line - 1}:${error.column + 1}`, message };
+    }
+    try {
+        new vm.Script(block.code);
+    } catch (error) {
+        return { where: `${source}:${block.line}`, message: `${error.message} (V8)` };
+    }
+    return null;
+}
+
+// Files an earlier run wrote, told apart by their header so nothing else gets deleted
+function previousOutput(dir) {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+        const file = path.join(dir, entry.name);
+        if (entry.isDirectory()) return previousOutput(file);
+        return entry.name.endsWith(".js") && fs.readFileSync(file, "utf8").includes(GENERATED) ? [file] : [];
+    });
+}
+
+// A module's source must compile the way Node will wrap it
+function compiles(file, source) {
+    try {
+        vm.compileFunction(source, ["exports", "require", "module", "__filename", "__dirname"], { filename: file });
+        return null;
+    } catch (error) {
+        return { where: path.relative(ROOT, file), message: `generated code doesn't compile: ${error.message}` };
+    }
+}
+
+function main() {
+    const checkOnly = process.argv.includes("--check");
+    const questions = [];
+    const errors = [];
+    const counts = [];
+
+    for (const source of SOURCES) {
+        const read = readQuestions(source);
+        const blocks = [...read.questions.flatMap(q => q.blocks), ...read.orphans];
+        for (const block of blocks) {
+            const error = check(source.file, block);
+            if (error) errors.push(error);
+        }
+        questions.push(...read.questions);
+        counts.push(`${source.file}: ${read.questions.length} questions, ${blocks.length} blocks`);
+    }
+
+    console.log(counts.join("\n"));
+    if (errors.length) {
+        console.log(`\n${errors.length} block${errors.length === 1 ? "" : "s"} failed to parse:`);
+        for (const { where, message } of errors) console.log(`  ${where}  ${message}`);
+        process.exitCode = 1;
+        return;
+    }
+
+    plan(questions);
+    const files = new Map();
+    for (const q of questions) {
+        files.set(path.join(OUT, `${q.file}.js`), moduleSource(q));
+        files.set(path.join(OUT, `${q.file}.test.js`), testSource(q));
+    }
+    files.set(path.join(OUT, "index.js"), indexSource(questions));
+
+    const broken = [...files].map(([file, source]) => compiles(file, source)).filter(Boolean);
+    if (broken.length) {
+        for (const { where, message } of broken) console.log(`  ${where}  ${message}`);
+        process.exitCode = 1;
+        return;
+    }
+
+    const blocks = questions.flatMap(q => q.blocks);
+    const examples = blocks.filter(hasExamples);
+    const skipped = examples.filter(b => b.skip);
+    const assertions = blocks.reduce((n, b) => n + b.analysis.assertions.length, 0);
+    console.log(
+        `\n${questions.length} modules; ${examples.length} blocks of examples (${skipped.length} skipped), ` +
+        `${assertions} logged values checked`
+    );
+    // Their tests only check the exports
+    const untested = questions.filter(q => !q.blocks.some(hasExamples));
+    console.log(`${untested.length} questions without examples in the markdown: only their exports are checked`);
+    if (process.argv.includes("--untested")) {
+        for (const q of untested) console.log(`  ${q.source}:${q.line}  ${q.title}`);
+    }
+    if (checkOnly) return;
+
+    for (const file of previousOutput(OUT)) fs.unlinkSync(file);
+    for (const [file, source] of files) {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, source);
+    }
+    console.log(`written to ${path.relative(ROOT, OUT)}/ – run them with node --test ${path.relative(ROOT, OUT)}/`);
+}
+
+main();
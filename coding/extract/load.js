@@ -0,0 +1,53 @@
+"use strict";
+// The extracted questions for code outside coding/extract/, extracting them first
+//
+// coding/extracted/ is generated and not checked in, so whatever reuses a question's
+// solution goes through here: when the directory is missing, or older than the READMEs
+// or the extractor, extract.js runs again before anything loads.
+//
+// const { question } = require("./coding/extract/load");
+// question("additional", 40).TokenBucketRateLimiter
+// questions()                → the list coding/extracted/index.js exports
+
+const fs = require("fs");
+const path = require("path");
+const { execFileSync } = require("child_process");
+const { SOURCES, ROOT } = require("./markdown");
+
+const EXTRACTED = path.join(ROOT, "coding", "extracted");
+const INDEX = path.join(EXTRACTED, "index.js");
+
+const modified = file => fs.statSync(file).mtimeMs;
+
+function stale() {
+    if (!fs.existsSync(INDEX)) return true;
+    const inputs = [
+        ...SOURCES.map(source => path.join(ROOT, source.file)),
+        ...fs.readdirSync(__dirname).map(name => path.join(__dirname, name)),
+    ];
+    const written = modified(INDEX);
+    return inputs.some(file => modified(file) > written);
+}
+
+function ensureExtracted() {
+    if (!stale()) return;
+    try {
+        execFileSync(process.execPath, [path.join(__dirname, "extract.js")], { cwd: ROOT, encoding: "utf8", stdio: "pipe" });
+    } catch (error) {
+        throw new Error(`node coding/extract/extract.js failed, so coding/extracted/ can't be loaded:\n${error.stdout || error.message}`);
+    }
+}
+
+function questions() {
+    ensureExtracted();
+    return require(EXTRACTED).questions;
+}
+
+// collection: "questions" | "additional" | "must-practice"
+function question(collection, number) {
+    const found = questions().find(q => q.collection === collection && q.number === number);
+    if (!found) throw new Error(`coding/extracted/ has no ${collection} question ${number}`);
+    return found.load();
+}
+
+module.exports = { questions, question, EXTRACTED };
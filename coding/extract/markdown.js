@@ -0,0 +1,113 @@
+// The coding questions as the READMEs lay them out
+//
+// coding/README.md numbers its questions "### **N. Title**", twice over: the hundred of the
+// first part and the fifty of "Additional 50 …", each part under its own "# " heading. The
+// must-practice README has one "## Topic" per question instead, with "#### N. …" headings
+// and "**Solution N: …**" lines labelling the blocks, a "### Test Cases" block for some
+// topics and a "### Complexity Analysis" table for most.
+//
+// readQuestions(source) → { questions, orphans } where every question is
+//   { source, collection, number, title, line, blocks: [{ code, line, label }],
+//     complexity: [{ title, line, columns, rows: [{ cells, line }] }] }
+// and orphans are the blocks outside any question (still parsed, never extracted).
+
+const fs = require("fs");
+const path = require("path");
+
+const ROOT = path.join(__dirname, "..", "..");
+
+const SOURCES = [
+    { file: "coding/README.md", layout: "numbered", collections: ["questions", "additional"] },
+    { file: "12. Coding Questions (Must practice)/README.md", layout: "topics", collections: ["must-practice"] },
+];
+
+// Titles become file names: "Check if string is palindrome" → "check-if-string-is-palindrome"
+function slugify(title, maxLength = 48) {
+    const slug = title
+        .toLowerCase()
+        .replace(/&/g, " and ")
+        .replace(/[^a-z0-9]+/g, "-")
+        .replace(/^-+|-+$/g, "");
+    if (slug.length <= maxLength) return slug;
+    const cut = slug.slice(0, maxLength + 1);
+    return cut.slice(0, cut.lastIndexOf("-") > 0 ? cut.lastIndexOf("-") : maxLength);
+}
+
+const stripEmphasis = text => text.replace(/\*\*/g, "").trim();
+
+function readQuestions({ file, layout, collections }) {
+    const lines = fs.readFileSync(path.join(ROOT, file), "utf8").split("\n");
+    const questions = [];
+    const orphans = [];
+    let part = -1;
+    let question = null;
+    let block = null;
+    let heading = null;
+    let solution = null;
+    let table = null;
+
+    const open = (number, title, line) => {
+        question = { source: file, collection: collections[Math.max(part, 0)], number, title, line, blocks: [], complexity: [] };
+        questions.push(question);
+        heading = solution = table = null;
+    };
+
+    lines.forEach((text, i) => {
+        const line = i + 1;
+        if (block) {
+            if (text.trim() === "```") {
+                const code = block.code.join("\n");
+                if (question) question.blocks.push({ code, line: block.line, label: block.label });
+                else orphans.push({ code, line: block.line });
+                block = null;
+            } else {
+                block.code.push(text);
+            }
+            return;
+        }
+        if (text.trim() === "```javascript") {
+            block = { code: [], line: line + 1, label: solution ? (heading ? `${heading} – ${solution}` : solution) : heading };
+            return;
+        }
+
+        if (/^# /.test(text)) {
+            part++;
+            question = null;
+        }
+        const numbered = layout === "numbered" && /^### \*\*(\d+)\.\s*(.*?)\*\*/.exec(text);
+        if (numbered) return open(Number(numbered[1]), numbered[2], line);
+        if (layout === "numbered" && /^##\s/.test(text) && !/^###/.test(text)) question = null;
+
+        if (layout === "topics" && /^## /.test(text)) {
+            // Overview, table of contents and tips have no code and end up dropped below
+            return open(questions.length + 1, stripEmphasis(text.slice(3)), line);
+        }
+        if (!question) return;
+
+        const subheading = /^#{3,4}\s+(.*)/.exec(text);
+        if (subheading) {
+            heading = stripEmphasis(subheading[1]);
+            solution = null;
+            table = /^complexity analysis/i.test(heading) ? { title: heading, line, columns: null, rows: [] } : null;
+            if (table) question.complexity.push(table);
+            return;
+        }
+        const row = table && /^\s*\|(.*)\|\s*$/.exec(text);
+        if (row) {
+            const cells = row[1].split("|").map(cell => stripEmphasis(cell));
+            if (!table.columns) table.columns = cells;
+            else if (!cells.every(cell => /^:?-+:?$/.test(cell))) table.rows.push({ cells, line });
+            return;
+        }
+        const bold = /^\*\*(.+?)\*\*\s*$/.exec(text.trim());
+        if (bold) solution = bold[1].replace(/:$/, "");
+    });
+
+    // Topics without code (Overview, tips) aren't questions; number the rest in order
+    const kept = questions.filter(q => q.blocks.length);
+    if (layout === "topics") kept.forEach((q, i) => (q.number = i + 1));
+    for (const q of kept) q.slug = slugify(q.title);
+    return { questions: kept, orphans };
+}
+
+module.exports = { SOURCES, ROOT, readQuestions, slugify };
@@ -0,0 +1,174 @@
+// What the extracted modules and their generated tests load
+//
+// variants(list)        → the first implementation, with every one of them on .variants
+// runExamples(body, sites)
+//                       → runs a block's examples under a virtual clock, console muted,
+//                         failing when one of the assertions at `sites` never ran
+// expectLogged(where, actual, ...expected)
+//                       → the check a `console.log(x); // value` line turns into
+// checkExports(module, names)
+//
+// The clock replaces setTimeout / setInterval (and their clear functions) and Date.now
+// while the examples run, then fires the timers they left in order, letting promise
+// callbacks settle between two timers – so `debounced(); debounced();` followed by
+// `setTimeout(check, 500)` takes no real time, and a retry with exponential backoff
+// neither. Timers still pending after an hour of virtual time, or after 10 000 of them
+// have fired (a setInterval nobody clears), are dropped.
+
+const assert = require("assert");
+const util = require("util");
+
+const realSetImmediate = setImmediate;
+const CLOCKED = ["setTimeout", "clearTimeout", "setInterval", "clearInterval"];
+
+// ─── the modules ────────────────────────────────────────────────────────────────────
+
+// [[name, "file:line", fn], …] → fn of the first entry, the whole list on its
+// non-enumerable `variants` as { name, source, fn }
+function variants(list) {
+    const primary = list[0][2];
+    const all = list.map(([name, source, fn]) => ({ name, source, fn }));
+    Object.defineProperty(primary, "variants", { value: all, configurable: true, writable: true });
+    return primary;
+}
+
+// ─── the virtual clock ──────────────────────────────────────────────────────────────
+
+function installClock() {
+    const saved = { now: Date.now };
+    for (const name of CLOCKED) saved[name] = globalThis[name];
+    const clock = { now: Date.now(), timers: new Map(), nextId: 1 };
+
+    const schedule = (callback, delay, args, repeat) => {
+        if (typeof callback !== "function") throw new TypeError(`The "callback" argument must be of type function. Received ${util.inspect(callback)}`);
+        const wait = Math.max(0, Number(delay) || 0);
+        const id = clock.nextId++;
+        clock.timers.set(id, { id, callback, args, at: clock.now + wait, every: repeat ? Math.max(1, wait) : 0 });
+        return id;
+    };
+    const cancel = id => {
+        clock.timers.delete(id);
+    };
+    globalThis.setTimeout = (callback, delay, ...args) => schedule(callback, delay, args, false);
+    globalThis.setInterval = (callback, delay, ...args) => schedule(callback, delay, args, true);
+    globalThis.clearTimeout = cancel;
+    globalThis.clearInterval = cancel;
+    Date.now = () => clock.now;
+
+    clock.uninstall = () => {
+        for (const name of CLOCKED) globalThis[name] = saved[name];
+        Date.now = saved.now;
+    };
+    return clock;
+}
+
+// Lets every promise callback queued so far run (and the ones those queue)
+const settle = () => new Promise(resolve => realSetImmediate(resolve));
+
+async function runTimers(clock, errors, { maxTime = 60 * 60 * 1000, maxTimers = 10000 } = {}) {
+    const start = clock.now;
+    for (let fired = 0; fired < maxTimers; fired++) {
+        await settle();
+        let next = null;
+        for (const timer of clock.timers.values()) {
+            if (!next || timer.at < next.at) next = timer;
+        }
+        if (!next || next.at - start > maxTime) return;
+        clock.now = Math.max(clock.now, next.at);
+        if (next.every) next.at += next.every;
+        else clock.timers.delete(next.id);
+        try {
+            next.callback(...next.args);
+        } catch (error) {
+            errors.push(error);
+        }
+    }
+}
+
+// ─── running the examples ───────────────────────────────────────────────────────────
+
+function muteConsole() {
+    const saved = {};
+    const logged = [];
+    for (const key of Object.keys(console)) {
+        if (typeof console[key] !== "function") continue;
+        saved[key] = console[key];
+        console[key] = (...args) => {
+            logged.push(`${key}: ${util.format(...args)}`);
+        };
+    }
+    return {
+        logged,
+        restore() {
+            Object.assign(console, saved);
+        },
+    };
+}
+
+// Where expectLogged has checked a value during the current runExamples
+let checked = new Set();
+
+// Runs body (the examples), then their timers. Fails with whatever the examples throw,
+// synchronously or from a callback, with any promise they leave rejected unhandled, and
+// when a callback or an async function holding one of the assertions never got there.
+async function runExamples(body, sites = []) {
+    const errors = [];
+    checked = new Set();
+    const onRejection = reason => errors.push(reason);
+    const output = muteConsole();
+    const clock = installClock();
+    process.on("unhandledRejection", onRejection);
+    try {
+        body();
+        await runTimers(clock, errors);
+        await settle();
+    } finally {
+        clock.uninstall();
+        output.restore();
+        process.removeListener("unhandledRejection", onRejection);
+    }
+    const missed = sites.filter(site => !checked.has(site));
+    if (missed.length) errors.push(new assert.AssertionError({ message: `never logged, so not checked: ${missed.join(", ")}` }));
+    if (errors.length === 1) throw errors[0];
+    if (errors.length) throw new AggregateError(errors, `${errors.length} errors in the examples' callbacks`);
+    return output.logged;
+}
+
+// ─── checks ─────────────────────────────────────────────────────────────────────────
+
+// Compared the way the two would look logged: arrays and objects by their own
+// enumerable contents, whatever their prototype, and everything else with Object.is
+function like(actual, expected) {
+    if (Array.isArray(expected)) {
+        return Array.isArray(actual) && actual.length === expected.length && expected.every((value, i) => like(actual[i], value));
+    }
+    if (expected !== null && typeof expected === "object") {
+        if (actual === null || typeof actual !== "object" || Array.isArray(actual)) return false;
+        const keys = Object.keys(expected);
+        return Object.keys(actual).length === keys.length &&
+            keys.every(key => Object.prototype.hasOwnProperty.call(actual, key) && like(actual[key], expected[key]));
+    }
+    return Object.is(actual, expected);
+}
+
+function expectLogged(where, actual, ...expected) {
+    checked.add(where);
+    if (expected.some(value => like(actual, value))) return;
+    throw new assert.AssertionError({
+        message: `${where} logs ${util.inspect(actual)}; the markdown says ${expected.map(value => util.inspect(value)).join(" or ")}`,
+        actual,
+        expected: expected.length === 1 ? expected[0] : expected,
+        operator: "expectLogged",
+    });
+}
+
+function checkExports(module, names) {
+    assert.deepStrictEqual(Object.keys(module), names);
+    for (const name of names) {
+        for (const { name: variant, source, fn } of module[name].variants) {
+            assert.ok(typeof fn === "function", `${variant} (${source}) is ${typeof fn}, not a function`);
+        }
+    }
+}
+
+module.exports = { variants, runExamples, expectLogged, checkExports, like };
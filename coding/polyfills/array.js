@@ -0,0 +1,479 @@
+"use strict";
+// Array polyfills – Polyfills.md sections 1–10, 32–38 and 41, written against the spec:
+// lengths go through ToLength, indices through ToIntegerOrInfinity, holes are skipped
+// where the built-in skips them (and read as undefined where it does not), and map /
+// filter / flat / flatMap / concat build their result with Symbol.species.
+
+const {
+    MAX_SAFE_LENGTH,
+    toObject,
+    toIntegerOrInfinity,
+    lengthOfArrayLike,
+    requireCallable,
+    isObject,
+    isConstructor,
+    sameValueZero,
+    createDataProperty,
+    arraySpeciesCreate,
+    getMethod,
+    iteratorCloseAfterError,
+    features,
+} = require("./spec");
+
+// ─── 1–6: iteration ─────────────────────────────────────────────────────────────────
+
+function map(callbackfn, thisArg) {
+    const O = toObject(this, "Array.prototype.map");
+    const len = lengthOfArrayLike(O);
+    requireCallable(callbackfn);
+    const A = arraySpeciesCreate(O, len);
+    for (let k = 0; k < len; k++) {
+        if (k in O) createDataProperty(A, k, callbackfn.call(thisArg, O[k], k, O));
+    }
+    return A;
+}
+
+function filter(callbackfn, thisArg) {
+    const O = toObject(this, "Array.prototype.filter");
+    const len = lengthOfArrayLike(O);
+    requireCallable(callbackfn);
+    const A = arraySpeciesCreate(O, 0);
+    let to = 0;
+    for (let k = 0; k < len; k++) {
+        if (!(k in O)) continue;
+        const kValue = O[k];
+        if (callbackfn.call(thisArg, kValue, k, O)) createDataProperty(A, to++, kValue);
+    }
+    return A;
+}
+
+function reduce(callbackfn, initialValue) {
+    const O = toObject(this, "Array.prototype.reduce");
+    const len = lengthOfArrayLike(O);
+    requireCallable(callbackfn);
+    let k = 0;
+    let accumulator;
+    if (arguments.length >= 2) {
+        accumulator = initialValue;
+    } else {
+        while (k < len && !(k in O)) k++;
+        if (k >= len) throw new TypeError("Reduce of empty array with no initial value");
+        accumulator = O[k++];
+    }
+    for (; k < len; k++) {
+        if (k in O) accumulator = callbackfn(accumulator, O[k], k, O);
+    }
+    return accumulator;
+}
+
+function reduceRight(callbackfn, initialValue) {
+    const O = toObject(this, "Array.prototype.reduceRight");
+    const len = lengthOfArrayLike(O);
+    requireCallable(callbackfn);
+    let k = len - 1;
+    let accumulator;
+    if (arguments.length >= 2) {
+        accumulator = initialValue;
+    } else {
+        while (k >= 0 && !(k in O)) k--;
+        if (k < 0) throw new TypeError("Reduce of empty array with no initial value");
+        accumulator = O[k--];
+    }
+    for (; k >= 0; k--) {
+        if (k in O) accumulator = callbackfn(accumulator, O[k], k, O);
+    }
+    return accumulator;
+}
+
+function forEach(callbackfn, thisArg) {
+    const O = toObject(this, "Array.prototype.forEach");
+    const len = lengthOfArrayLike(O);
+    requireCallable(callbackfn);
+    for (let k = 0; k < len; k++) {
+        if (k in O) callbackfn.call(thisArg, O[k], k, O);
+    }
+}
+
+// find and friends visit holes too (as undefined)
+function findViaPredicate(O, predicate, thisArg, fromEnd) {
+    const len = lengthOfArrayLike(O);
+    requireCallable(predicate);
+    for (let i = 0; i < len; i++) {
+        const k = fromEnd ? len - 1 - i : i;
+        const kValue = O[k];
+        if (predicate.call(thisArg, kValue, k, O)) return { index: k, value: kValue };
+    }
+    return { index: -1, value: undefined };
+}
+
+function find(predicate, thisArg) {
+    return findViaPredicate(toObject(this, "Array.prototype.find"), predicate, thisArg, false).value;
+}
+
+function findIndex(predicate, thisArg) {
+    return findViaPredicate(toObject(this, "Array.prototype.findIndex"), predicate, thisArg, false).index;
+}
+
+function findLast(predicate, thisArg) {
+    return findViaPredicate(toObject(this, "Array.prototype.findLast"), predicate, thisArg, true).value;
+}
+
+function findLastIndex(predicate, thisArg) {
+    return findViaPredicate(toObject(this, "Array.prototype.findLastIndex"), predicate, thisArg, true).index;
+}
+
+function some(callbackfn, thisArg) {
+    const O = toObject(this, "Array.prototype.some");
+    const len = lengthOfArrayLike(O);
+    requireCallable(callbackfn);
+    for (let k = 0; k < len; k++) {
+        if (k in O && callbackfn.call(thisArg, O[k], k, O)) return true;
+    }
+    return false;
+}
+
+function every(callbackfn, thisArg) {
+    const O = toObject(this, "Array.prototype.every");
+    const len = lengthOfArrayLike(O);
+    requireCallable(callbackfn);
+    for (let k = 0; k < len; k++) {
+        if (k in O && !callbackfn.call(thisArg, O[k], k, O)) return false;
+    }
+    return true;
+}
+
+// ─── 7: flat / flatMap ──────────────────────────────────────────────────────────────
+
+function flattenIntoArray(target, source, sourceLen, start, depth, mapper, thisArg) {
+    let targetIndex = start;
+    for (let k = 0; k < sourceLen; k++) {
+        if (!(k in source)) continue;
+        let element = source[k];
+        if (mapper) element = mapper.call(thisArg, element, k, source);
+        if (depth > 0 && Array.isArray(element)) {
+            targetIndex = flattenIntoArray(target, element, lengthOfArrayLike(element), targetIndex, depth - 1);
+        } else {
+            if (targetIndex >= MAX_SAFE_LENGTH) throw new TypeError("Array length exceeds the maximum safe length");
+            createDataProperty(target, targetIndex++, element);
+        }
+    }
+    return targetIndex;
+}
+
+function flat(depth) {
+    const O = toObject(this, "Array.prototype.flat");
+    const sourceLen = lengthOfArrayLike(O);
+    const depthNum = depth === undefined ? 1 : Math.max(toIntegerOrInfinity(depth), 0);
+    const A = arraySpeciesCreate(O, 0);
+    flattenIntoArray(A, O, sourceLen, 0, depthNum);
+    return A;
+}
+
+function flatMap(mapperFunction, thisArg) {
+    const O = toObject(this, "Array.prototype.flatMap");
+    const sourceLen = lengthOfArrayLike(O);
+    requireCallable(mapperFunction, "flatMap mapper function is not callable");
+    const A = arraySpeciesCreate(O, 0);
+    flattenIntoArray(A, O, sourceLen, 0, 1, mapperFunction, thisArg);
+    return A;
+}
+
+// ─── 8–10: includes / at / concat ───────────────────────────────────────────────────
+
+function includes(searchElement, fromIndex) {
+    const O = toObject(this, "Array.prototype.includes");
+    const len = lengthOfArrayLike(O);
+    if (len === 0) return false;
+    const n = toIntegerOrInfinity(fromIndex);
+    if (n === Infinity) return false;
+    for (let k = n >= 0 ? n : Math.max(len + n, 0); k < len; k++) {
+        if (sameValueZero(O[k], searchElement)) return true;
+    }
+    return false;
+}
+
+function at(index) {
+    const O = toObject(this, "Array.prototype.at");
+    const len = lengthOfArrayLike(O);
+    const relativeIndex = toIntegerOrInfinity(index);
+    const k = relativeIndex >= 0 ? relativeIndex : len + relativeIndex;
+    return k < 0 || k >= len ? undefined : O[k];
+}
+
+function isConcatSpreadable(O) {
+    if (!isObject(O)) return false;
+    const spreadable = O[Symbol.isConcatSpreadable];
+    return spreadable !== undefined ? Boolean(spreadable) : Array.isArray(O);
+}
+
+function concat(...items) {
+    const O = toObject(this, "Array.prototype.concat");
+    const A = arraySpeciesCreate(O, 0);
+    let n = 0;
+    for (const E of [O, ...items]) {
+        if (isConcatSpreadable(E)) {
+            const len = lengthOfArrayLike(E);
+            if (n + len > MAX_SAFE_LENGTH) throw new TypeError("Array length exceeds the maximum safe length");
+            for (let k = 0; k < len; k++, n++) {
+                if (k in E) createDataProperty(A, n, E[k]);
+            }
+        } else {
+            if (n >= MAX_SAFE_LENGTH) throw new TypeError("Array length exceeds the maximum safe length");
+            createDataProperty(A, n++, E);
+        }
+    }
+    A.length = n;
+    return A;
+}
+
+// ─── 32–34: Array.from / Array.isArray / Array.of ───────────────────────────────────
+
+function closeIterator(iterator) {
+    try {
+        const returnMethod = iterator.return;
+        if (returnMethod != null) returnMethod.call(iterator);
+    } catch (error) {
+        // the error that made us close wins over one thrown by return()
+    }
+}
+
+// Iterables first (Set, Map, strings by code point, generators), then array-likes;
+// `this` is used as the constructor when it is one, so subclasses get their own type
+function from(items, mapfn, thisArg) {
+    const C = this;
+    const mapping = mapfn !== undefined;
+    if (mapping) requireCallable(mapfn);
+    if (items == null) throw new TypeError(`${items} is not iterable`);
+
+    const usingIterator = items[Symbol.iterator];
+    if (usingIterator != null) {
+        requireCallable(usingIterator, "Array.from: items[Symbol.iterator] is not a function");
+        const A = isConstructor(C) ? new C() : [];
+        const iterator = usingIterator.call(items);
+        if (!isObject(iterator)) throw new TypeError("Result of the Symbol.iterator method is not an object");
+        const next = iterator.next;
+        for (let k = 0; ; k++) {
+            const step = next.call(iterator);
+            if (!isObject(step)) throw new TypeError(`Iterator result ${step} is not an object`);
+            if (step.done) {
+                A.length = k;
+                return A;
+            }
+            try {
+                createDataProperty(A, k, mapping ? mapfn.call(thisArg, step.value, k) : step.value);
+            } catch (error) {
+                closeIterator(iterator);
+                throw error;
+            }
+        }
+    }
+
+    const arrayLike = Object(items);
+    const len = lengthOfArrayLike(arrayLike);
+    const A = isConstructor(C) ? new C(len) : new Array(len);
+    for (let k = 0; k < len; k++) {
+        const kValue = arrayLike[k];
+        createDataProperty(A, k, mapping ? mapfn.call(thisArg, kValue, k) : kValue);
+    }
+    A.length = len;
+    return A;
+}
+
+// The [[Class]] check of Polyfills.md is fooled by Symbol.toStringTag either way, so
+// IsArray comes from the one operation that asks it of an argument without reading a
+// property first: concat spreads its argument when IsArray says so, once
+// Symbol.isConcatSpreadable is undefined. The argument goes in wrapped in a proxy that
+// answers that read and throws SPREAD at the next one (the length of an array about to
+// be spread), so `arg` itself is never touched. IsArray looks through proxies, the
+// wrapper and any `arg` is, and throws a TypeError for a revoked one.
+const nativeConcat = Array.prototype.concat;
+const SPREAD = Symbol("spread");
+const spreadProbe = {
+    get(target, key) {
+        if (key === Symbol.isConcatSpreadable) return undefined;
+        throw SPREAD;
+    },
+};
+
+function isArray(arg) {
+    if (!isObject(arg)) return false;
+    try {
+        nativeConcat.call([], new Proxy(arg, spreadProbe));
+        return false;
+    } catch (error) {
+        if (error === SPREAD) return true;
+        throw error;
+    }
+}
+
+function of(...items) {
+    const C = this;
+    const len = items.length;
+    const A = isConstructor(C) ? new C(len) : new Array(len);
+    for (let k = 0; k < len; k++) createDataProperty(A, k, items[k]);
+    A.length = len;
+    return A;
+}
+
+// ─── 41: Array.fromAsync ────────────────────────────────────────────────────────────
+
+// One step of an async iterator, or of a sync one seen through the async-from-sync
+// wrapper: there the value is awaited too, done or not, and a value that rejects closes
+// the sync iterator
+async function asyncStep(record) {
+    const { iterator, next, async } = record;
+    const result = Reflect.apply(next, iterator, []);
+    const settled = async ? await result : result;
+    if (!isObject(settled)) throw new TypeError(`Iterator result ${String(settled)} is not an object`);
+    if (async) return settled.done ? { done: true } : { done: false, value: settled.value };
+    const done = Boolean(settled.done);
+    const pending = settled.value;
+    try {
+        return { done, value: await pending };
+    } catch (error) {
+        if (done) throw error;
+        return iteratorCloseAfterError(record, error);
+    }
+}
+
+// AsyncIteratorClose after an error: return() is called (and awaited), the error wins
+async function asyncCloseAfterError({ iterator, async }, error) {
+    try {
+        const returnMethod = getMethod(iterator, "return");
+        if (returnMethod !== undefined) {
+            const result = Reflect.apply(returnMethod, iterator, []);
+            if (async) await result;
+        }
+    } catch (closeError) {
+        // the error that made us close is the one to report
+    }
+    throw error;
+}
+
+// Array.from for async iterables: values are pulled and awaited one at a time, and so
+// are mapped values. Sync iterables (their values awaited) and array-likes work too.
+// Every error, a non-callable mapfn included, rejects the promise instead of throwing.
+async function fromAsync(asyncItems, mapfn, thisArg) {
+    const C = this;
+    const mapping = mapfn !== undefined;
+    if (mapping) requireCallable(mapfn);
+
+    let record = null;
+    const usingAsyncIterator = getMethod(asyncItems, Symbol.asyncIterator);
+    const usingIterator = usingAsyncIterator === undefined ? getMethod(asyncItems, Symbol.iterator) : undefined;
+    if (usingAsyncIterator !== undefined || usingIterator !== undefined) {
+        const iterator = Reflect.apply(usingAsyncIterator || usingIterator, asyncItems, []);
+        if (!isObject(iterator)) throw new TypeError("Result of the Symbol.asyncIterator method is not an object");
+        record = { iterator, next: iterator.next, async: usingAsyncIterator !== undefined };
+    }
+
+    if (record) {
+        const A = isConstructor(C) ? new C() : [];
+        for (let k = 0; ; k++) {
+            const { done, value } = await asyncStep(record);
+            if (done) {
+                A.length = k;
+                return A;
+            }
+            let mappedValue = value;
+            try {
+                if (mapping) mappedValue = await Reflect.apply(mapfn, thisArg, [value, k]);
+                createDataProperty(A, k, mappedValue);
+            } catch (error) {
+                await asyncCloseAfterError(record, error);
+            }
+        }
+    }
+
+    const arrayLike = Object(asyncItems);
+    const len = lengthOfArrayLike(arrayLike);
+    const A = isConstructor(C) ? new C(len) : new Array(len);
+    for (let k = 0; k < len; k++) {
+        const kValue = await arrayLike[k];
+        createDataProperty(A, k, mapping ? await Reflect.apply(mapfn, thisArg, [kValue, k]) : kValue);
+    }
+    A.length = len;
+    return A;
+}
+
+// ─── 37–38: change array by copy ────────────────────────────────────────────────────
+// These always return a plain dense Array: holes come back as undefined.
+
+function toSorted(comparefn) {
+    if (comparefn !== undefined) requireCallable(comparefn, "The comparison function must be either a function or undefined");
+    const O = toObject(this, "Array.prototype.toSorted");
+    const len = lengthOfArrayLike(O);
+    const A = new Array(len);
+    for (let k = 0; k < len; k++) A[k] = O[k];
+    return Array.prototype.sort.call(A, comparefn);
+}
+
+function toReversed() {
+    const O = toObject(this, "Array.prototype.toReversed");
+    const len = lengthOfArrayLike(O);
+    const A = new Array(len);
+    for (let k = 0; k < len; k++) A[k] = O[len - 1 - k];
+    return A;
+}
+
+function toSpliced(start, skipCount, ...items) {
+    const O = toObject(this, "Array.prototype.toSpliced");
+    const len = lengthOfArrayLike(O);
+    const relativeStart = toIntegerOrInfinity(start);
+    const actualStart = relativeStart < 0 ? Math.max(len + relativeStart, 0) : Math.min(relativeStart, len);
+    let actualSkipCount;
+    if (arguments.length === 0) {
+        actualSkipCount = 0;
+    } else if (arguments.length === 1) {
+        actualSkipCount = len - actualStart;
+    } else {
+        actualSkipCount = Math.min(Math.max(toIntegerOrInfinity(skipCount), 0), len - actualStart);
+    }
+    const newLen = len + items.length - actualSkipCount;
+    if (newLen > MAX_SAFE_LENGTH) throw new TypeError("Array length exceeds the maximum safe length");
+
+    const A = new Array(newLen);
+    let i = 0;
+    for (; i < actualStart; i++) A[i] = O[i];
+    for (const item of items) A[i++] = item;
+    for (let r = actualStart + actualSkipCount; i < newLen; i++, r++) A[i] = O[r];
+    return A;
+}
+
+function arrayWith(index, value) {
+    const O = toObject(this, "Array.prototype.with");
+    const len = lengthOfArrayLike(O);
+    const relativeIndex = toIntegerOrInfinity(index);
+    const actualIndex = relativeIndex >= 0 ? relativeIndex : len + relativeIndex;
+    if (actualIndex >= len || actualIndex < 0) throw new RangeError("Invalid index : " + index);
+    const A = new Array(len);
+    for (let k = 0; k < len; k++) A[k] = k === actualIndex ? value : O[k];
+    return A;
+}
+
+module.exports = features({
+    "Array.from": [from, 1],
+    "Array.fromAsync": [fromAsync, 1],
+    "Array.isArray": [isArray, 1],
+    "Array.of": [of, 0],
+    "Array.prototype.map": [map, 1],
+    "Array.prototype.filter": [filter, 1],
+    "Array.prototype.reduce": [reduce, 1],
+    "Array.prototype.reduceRight": [reduceRight, 1],
+    "Array.prototype.forEach": [forEach, 1],
+    "Array.prototype.find": [find, 1],
+    "Array.prototype.findIndex": [findIndex, 1],
+    "Array.prototype.findLast": [findLast, 1],
+    "Array.prototype.findLastIndex": [findLastIndex, 1],
+    "Array.prototype.some": [some, 1],
+    "Array.prototype.every": [every, 1],
+    "Array.prototype.flat": [flat, 0],
+    "Array.prototype.flatMap": [flatMap, 1],
+    "Array.prototype.includes": [includes, 1],
+    "Array.prototype.at": [at, 1],
+    "Array.prototype.concat": [concat, 1],
+    "Array.prototype.toSorted": [toSorted, 1],
+    "Array.prototype.toReversed": [toReversed, 0],
+    "Array.prototype.toSpliced": [toSpliced, 2],
+    "Array.prototype.with": [arrayWith, 2],
+});
@@ -0,0 +1,66 @@
+"use strict";
+// Function polyfills – Polyfills.md sections 25–26.
+
+const { toIntegerOrInfinity, lengthOfArrayLike, requireCallable, isObject, features } = require("./spec");
+
+// Captured at load time, so bind keeps working after install({ force: true }) has
+// replaced call / apply with the versions below
+const nativeApply = Function.prototype.apply;
+
+// ─── 25: bind ───────────────────────────────────────────────────────────────────────
+// `new bound()` constructs the target (new.target is passed on, so subclasses work), and
+// name / length follow the spec: "bound f", target length minus the bound arguments.
+function bind(thisArg, ...boundArgs) {
+    const target = requireCallable(this, "Bind must be called on a function");
+
+    const bound = function (...args) {
+        const allArgs = [...boundArgs, ...args];
+        if (new.target === undefined) return nativeApply.call(target, thisArg, allArgs);
+        return Reflect.construct(target, allArgs, new.target === bound ? target : new.target);
+    };
+
+    let length = 0;
+    if (Object.prototype.hasOwnProperty.call(target, "length")) {
+        const targetLength = target.length;
+        if (typeof targetLength === "number") {
+            length = targetLength === Infinity ? Infinity : Math.max(0, toIntegerOrInfinity(targetLength) - boundArgs.length);
+        }
+    }
+    const targetName = target.name;
+    Object.defineProperty(bound, "length", { value: length, configurable: true });
+    Object.defineProperty(bound, "name", { value: `bound ${typeof targetName === "string" ? targetName : ""}`, configurable: true });
+    // Native bound functions have no prototype and answer instanceof for their target. An
+    // ordinary function's prototype can't be deleted; sharing the target's gives the
+    // same instanceof answers (and throws the same way for targets without one). What
+    // still shows is bound.prototype itself: see conformance/expected.js.
+    bound.prototype = target.prototype;
+    return bound;
+}
+
+// ─── 26: call / apply ───────────────────────────────────────────────────────────────
+
+// Polyfills.md calls fn as a method of thisArg, through a temporary key on it. That
+// can't be done faithfully: the key shows in Reflect.ownKeys(this), a strict function
+// gets globalThis for null / undefined and a wrapper object for a primitive, and frozen
+// receivers can't take the key at all. Only the engine can call a function with an
+// arbitrary this, so the call itself is Reflect.apply; what is left here is reading
+// the receiver and the argument list the way the spec does.
+function call(thisArg, ...args) {
+    return Reflect.apply(requireCallable(this, "Function.prototype.call was called on a non-function"), thisArg, args);
+}
+
+function apply(thisArg, argArray) {
+    const fn = requireCallable(this, "Function.prototype.apply was called on a non-function");
+    if (argArray == null) return Reflect.apply(fn, thisArg, []);
+    if (!isObject(argArray)) throw new TypeError("CreateListFromArrayLike called on non-object");
+    const len = lengthOfArrayLike(argArray);
+    const args = [];
+    for (let k = 0; k < len; k++) args.push(argArray[k]);
+    return Reflect.apply(fn, thisArg, args);
+}
+
+module.exports = features({
+    "Function.prototype.bind": [bind, 1],
+    "Function.prototype.call": [call, 1],
+    "Function.prototype.apply": [apply, 2],
+});
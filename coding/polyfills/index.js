@@ -0,0 +1,120 @@
+"use strict";
+// The polyfills of Polyfills.md as a library: the same methods under their real names,
+// written to the spec, installable one by one.
+//
+// const polyfills = require("./coding/polyfills");
+//
+// polyfills.install()                                       → adds whatever the runtime lacks
+// polyfills.install({ only: ["Array.prototype.at", "Object"] })   → exact names or owners
+// const { uninstall } = polyfills.install({ force: true })  → replaces natives too (for testing)
+//
+// const { ponyfill } = polyfills;                           → the same code, no globals touched
+// ponyfill.Array.prototype.at.call([1, 2, 3], -1)           → 3
+// new ponyfill.Promise(resolve => resolve(1))
+//
+// Installed methods are non-enumerable and carry the built-in's name and length, so
+// `for...in` over an array and fn.length checks behave as they do with the native ones.
+
+const FEATURES = [
+    ...require("./promise"),
+    ...require("./array"),
+    ...require("./string"),
+    ...require("./object"),
+    ...require("./function"),
+    ...require("./number"),
+    ...require("./iterator"),
+    ...require("./set"),
+];
+
+// `only` entries are feature names ("Array.prototype.at") or what they start with
+// ("Array", "String.prototype", "Promise")
+function select(only) {
+    if (only === undefined) return FEATURES;
+    const wanted = typeof only === "string" ? [only] : [...only];
+    for (const entry of wanted) {
+        if (!FEATURES.some(feature => matches(feature, entry))) {
+            throw new TypeError(`Unknown polyfill "${entry}"`);
+        }
+    }
+    return FEATURES.filter(feature => wanted.some(entry => matches(feature, entry)));
+}
+
+function matches(feature, entry) {
+    return feature.name === entry || feature.name.startsWith(`${entry}.`);
+}
+
+function ownerOf(feature) {
+    let owner = globalThis;
+    for (const part of feature.path) {
+        owner = owner == null ? undefined : owner[part];
+    }
+    return owner;
+}
+
+// A feature counts as present when its slot already holds a function. Features are
+// installed in table order, so a polyfilled Promise comes with its statics and the
+// separate Promise.* entries then find them present.
+function install({ only, force = false } = {}) {
+    const installed = [];
+    const skipped = [];
+    const replaced = [];
+
+    for (const feature of select(only)) {
+        const owner = ownerOf(feature);
+        if (owner == null || (!force && typeof owner[feature.key] === "function")) {
+            skipped.push(feature.name);
+            continue;
+        }
+        replaced.push({ owner, key: feature.key, descriptor: Object.getOwnPropertyDescriptor(owner, feature.key) });
+        Object.defineProperty(owner, feature.key, { value: feature.value, writable: true, enumerable: false, configurable: true });
+        installed.push(feature.name);
+    }
+
+    // Puts back exactly what was there before, newest first
+    function uninstall() {
+        for (const { owner, key, descriptor } of replaced.reverse()) {
+            if (descriptor) Object.defineProperty(owner, key, descriptor);
+            else delete owner[key];
+        }
+        replaced.length = 0;
+    }
+
+    return { installed, skipped, uninstall };
+}
+
+// Shaped like the globals: ponyfill.Array.from, ponyfill.String.prototype.padStart, …
+// Paths through a feature value are followed read-only (Promise's statics are already
+// on the class). Where a feature would have to be written into an object that isn't
+// the ponyfill's own – Iterator.prototype is the engine's %IteratorPrototype% – it goes
+// onto an object inheriting from that one instead, so ponyfill.Iterator is a namespace
+// (from, prototype.map, …) rather than the constructor.
+function buildPonyfill() {
+    const own = new WeakSet();
+    const node = prototype => {
+        const created = Object.create(prototype);
+        own.add(created);
+        return created;
+    };
+    const root = node(Object.prototype);
+    for (const { path, key, value } of FEATURES) {
+        const existing = path.reduce((parent, part) => (parent == null ? undefined : parent[part]), root);
+        if (existing != null && existing[key] === value) continue;
+        let parent = root;
+        for (const part of path) {
+            let child = parent[part];
+            if (!own.has(child)) {
+                child = node(child === undefined ? Object.prototype : child);
+                Object.defineProperty(parent, part, { value: child, writable: true, enumerable: true, configurable: true });
+            }
+            parent = child;
+        }
+        parent[key] = value;
+    }
+    return root;
+}
+
+module.exports = {
+    install,
+    ponyfill: buildPonyfill(),
+    features: FEATURES.map(({ name, value }) => ({ name, value })),
+};
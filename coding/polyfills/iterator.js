@@ -0,0 +1,363 @@
+"use strict";
+// Iterator helpers – Polyfills.md section 39: the Iterator global, Iterator.from and the
+// Iterator.prototype methods of ES2025.
+//
+// map / filter / take / drop / flatMap are lazy: they return an Iterator Helper that
+// pulls from the underlying iterator only as far as it is pulled itself, and closes it
+// (calls its return()) when a callback throws or the helper is returned early. The rest
+// consume the iterator on the spot. A helper's state is a generator kept in a WeakMap,
+// so helpers have no own properties, like the native ones.
+//
+// Argument errors (a non-callable mapper, a negative limit) throw without closing the
+// receiver, as shipped engines do; later drafts of the spec close it first. The
+// Iterator.prototype.constructor / @@toStringTag accessors are left out.
+
+const {
+    toIntegerOrInfinity,
+    requireCallable,
+    isObject,
+    DONE,
+    getMethod,
+    getIteratorDirect,
+    iteratorStep,
+    iteratorStepValue,
+    iteratorClose,
+    iteratorCloseAfterError,
+    features,
+} = require("./spec");
+
+// %IteratorPrototype%: every built-in iterator inherits from it, global Iterator or not
+const IteratorPrototype = Object.getPrototypeOf(Object.getPrototypeOf([][Symbol.iterator]()));
+
+function requireIterator(O, method) {
+    if (!isObject(O)) throw new TypeError(`Iterator.prototype.${method} called on non-object`);
+    return O;
+}
+
+// Calls fn, closing the iterator if it throws
+function callClosing(record, fn, args) {
+    try {
+        return Reflect.apply(fn, undefined, args);
+    } catch (error) {
+        return iteratorCloseAfterError(record, error);
+    }
+}
+
+// Yield(value), closing the underlying iterator when the helper is returned while
+// suspended here
+function* yieldClosing(value, record) {
+    let resumed = false;
+    try {
+        yield value;
+        resumed = true;
+    } finally {
+        if (!resumed) iteratorClose(record);
+    }
+}
+
+// A positive integer or Infinity; NaN and negatives are RangeErrors
+function toLimit(limit) {
+    const numLimit = +limit;
+    if (numLimit !== numLimit) throw new RangeError(`${String(limit)} must be a number`);
+    const integerLimit = toIntegerOrInfinity(numLimit);
+    if (integerLimit < 0) throw new RangeError(`${String(limit)} must be positive`);
+    return integerLimit;
+}
+
+// GetIteratorFlattenable: an iterable or an iterator itself; strings only for Iterator.from
+function getIteratorFlattenable(obj, iterateStrings) {
+    if (!isObject(obj) && !(iterateStrings && typeof obj === "string")) {
+        throw new TypeError(`${typeof obj === "symbol" ? obj.toString() : String(obj)} is not an object`);
+    }
+    const method = getMethod(obj, Symbol.iterator);
+    const iterator = method === undefined ? obj : Reflect.apply(method, obj, []);
+    if (!isObject(iterator)) throw new TypeError("Result of the Symbol.iterator method is not an object");
+    return getIteratorDirect(iterator);
+}
+
+// ─── the Iterator constructor ───────────────────────────────────────────────────────
+
+// Abstract: only subclasses can be constructed
+function Iterator() {
+    if (new.target === undefined || new.target === Iterator) {
+        throw new TypeError("Abstract class Iterator not directly constructable");
+    }
+}
+
+Object.defineProperty(Iterator, "prototype", { value: IteratorPrototype, writable: false });
+
+// ─── Iterator Helper objects ────────────────────────────────────────────────────────
+
+// helper → { generator, underlying, started }
+const helpers = new WeakMap();
+
+function helperSlot(helper, method) {
+    const slot = isObject(helper) && helpers.get(helper);
+    if (!slot) throw new TypeError(`Method Iterator Helper.prototype.${method} called on incompatible receiver`);
+    return slot;
+}
+
+const IteratorHelperPrototype = Object.create(IteratorPrototype);
+
+const helperMethods = {
+    next() {
+        const slot = helperSlot(this, "next");
+        slot.started = true;
+        return slot.generator.next();
+    },
+
+    // Before the first next() there is no suspended yield to unwind, so the underlying
+    // iterator is closed here; after it, the generator's finally blocks do it
+    return() {
+        const slot = helperSlot(this, "return");
+        if (slot.started) return slot.generator.return(undefined);
+        slot.started = true;
+        slot.generator.return(undefined);
+        iteratorClose(slot.underlying);
+        return { value: undefined, done: true };
+    },
+};
+
+for (const key of Object.keys(helperMethods)) {
+    Object.defineProperty(IteratorHelperPrototype, key, { value: helperMethods[key], writable: true, configurable: true });
+}
+Object.defineProperty(IteratorHelperPrototype, Symbol.toStringTag, { value: "Iterator Helper", configurable: true });
+
+function createHelper(underlying, closure) {
+    const helper = Object.create(IteratorHelperPrototype);
+    helpers.set(helper, { generator: closure(), underlying, started: false });
+    return helper;
+}
+
+// ─── Iterator.from ──────────────────────────────────────────────────────────────────
+
+// wrapper → the iterator record it forwards to
+const wrappers = new WeakMap();
+
+function wrapperSlot(wrapper, method) {
+    const record = isObject(wrapper) && wrappers.get(wrapper);
+    if (!record) throw new TypeError(`Method WrapForValidIteratorPrototype.${method} called on incompatible receiver`);
+    return record;
+}
+
+const WrapForValidIteratorPrototype = Object.create(IteratorPrototype);
+
+const wrapperMethods = {
+    next() {
+        const record = wrapperSlot(this, "next");
+        return Reflect.apply(record.next, record.iterator, []);
+    },
+
+    return() {
+        const { iterator } = wrapperSlot(this, "return");
+        const returnMethod = getMethod(iterator, "return");
+        if (returnMethod === undefined) return { value: undefined, done: true };
+        return Reflect.apply(returnMethod, iterator, []);
+    },
+};
+
+for (const key of Object.keys(wrapperMethods)) {
+    Object.defineProperty(WrapForValidIteratorPrototype, key, { value: wrapperMethods[key], writable: true, configurable: true });
+}
+
+// Iterators that already inherit from Iterator.prototype come back as they are; other
+// iterators (and iterables' iterators) are wrapped so they get the helpers
+function from(O) {
+    const record = getIteratorFlattenable(O, true);
+    if (Object.prototype.isPrototypeOf.call(IteratorPrototype, record.iterator)) return record.iterator;
+    const wrapper = Object.create(WrapForValidIteratorPrototype);
+    wrappers.set(wrapper, record);
+    return wrapper;
+}
+
+Object.defineProperty(Iterator, "from", { value: from, writable: true, configurable: true });
+
+// ─── lazy helpers ───────────────────────────────────────────────────────────────────
+
+function map(mapper) {
+    const O = requireIterator(this, "map");
+    requireCallable(mapper);
+    const iterated = getIteratorDirect(O);
+    return createHelper(iterated, function* () {
+        for (let counter = 0; ; counter++) {
+            const value = iteratorStepValue(iterated);
+            if (value === DONE) return;
+            yield* yieldClosing(callClosing(iterated, mapper, [value, counter]), iterated);
+        }
+    });
+}
+
+function filter(predicate) {
+    const O = requireIterator(this, "filter");
+    requireCallable(predicate);
+    const iterated = getIteratorDirect(O);
+    return createHelper(iterated, function* () {
+        for (let counter = 0; ; counter++) {
+            const value = iteratorStepValue(iterated);
+            if (value === DONE) return;
+            if (callClosing(iterated, predicate, [value, counter])) yield* yieldClosing(value, iterated);
+        }
+    });
+}
+
+// Once `limit` values are out, the underlying iterator is closed rather than drained
+function take(limit) {
+    const O = requireIterator(this, "take");
+    const integerLimit = toLimit(limit);
+    const iterated = getIteratorDirect(O);
+    return createHelper(iterated, function* () {
+        for (let remaining = integerLimit; ; ) {
+            if (remaining === 0) return iteratorClose(iterated);
+            if (remaining !== Infinity) remaining--;
+            const value = iteratorStepValue(iterated);
+            if (value === DONE) return;
+            yield* yieldClosing(value, iterated);
+        }
+    });
+}
+
+// The skipped results are stepped past without reading their values
+function drop(limit) {
+    const O = requireIterator(this, "drop");
+    const integerLimit = toLimit(limit);
+    const iterated = getIteratorDirect(O);
+    return createHelper(iterated, function* () {
+        for (let remaining = integerLimit; remaining > 0; ) {
+            if (remaining !== Infinity) remaining--;
+            if (iteratorStep(iterated) === null) return;
+        }
+        for (;;) {
+            const value = iteratorStepValue(iterated);
+            if (value === DONE) return;
+            yield* yieldClosing(value, iterated);
+        }
+    });
+}
+
+// The mapper returns an iterable or an iterator (strings are rejected, not spread into
+// characters). Returning the helper early closes the inner iterator, then the outer one.
+function flatMap(mapper) {
+    const O = requireIterator(this, "flatMap");
+    requireCallable(mapper);
+    const iterated = getIteratorDirect(O);
+    return createHelper(iterated, function* () {
+        for (let counter = 0; ; counter++) {
+            const value = iteratorStepValue(iterated);
+            if (value === DONE) return;
+            const mapped = callClosing(iterated, mapper, [value, counter]);
+            let inner;
+            try {
+                inner = getIteratorFlattenable(mapped, false);
+            } catch (error) {
+                iteratorCloseAfterError(iterated, error);
+            }
+            for (;;) {
+                let innerValue;
+                try {
+                    innerValue = iteratorStepValue(inner);
+                } catch (error) {
+                    iteratorCloseAfterError(iterated, error);
+                }
+                if (innerValue === DONE) break;
+                let resumed = false;
+                try {
+                    yield innerValue;
+                    resumed = true;
+                } finally {
+                    if (!resumed) {
+                        try {
+                            iteratorClose(inner);
+                        } catch (error) {
+                            iteratorCloseAfterError(iterated, error);
+                        }
+                        iteratorClose(iterated);
+                    }
+                }
+            }
+        }
+    });
+}
+
+// ─── consuming methods ──────────────────────────────────────────────────────────────
+
+function reduce(reducer, initialValue) {
+    const O = requireIterator(this, "reduce");
+    requireCallable(reducer);
+    const iterated = getIteratorDirect(O);
+    let accumulator = initialValue;
+    let counter = 0;
+    if (arguments.length < 2) {
+        accumulator = iteratorStepValue(iterated);
+        if (accumulator === DONE) throw new TypeError("Reduce of empty iterator with no initial value");
+        counter = 1;
+    }
+    for (; ; counter++) {
+        const value = iteratorStepValue(iterated);
+        if (value === DONE) return accumulator;
+        accumulator = callClosing(iterated, reducer, [accumulator, value, counter]);
+    }
+}
+
+function toArray() {
+    const iterated = getIteratorDirect(requireIterator(this, "toArray"));
+    const items = [];
+    for (let value = iteratorStepValue(iterated); value !== DONE; value = iteratorStepValue(iterated)) {
+        items.push(value);
+    }
+    return items;
+}
+
+function forEach(fn) {
+    const O = requireIterator(this, "forEach");
+    requireCallable(fn);
+    const iterated = getIteratorDirect(O);
+    for (let counter = 0; ; counter++) {
+        const value = iteratorStepValue(iterated);
+        if (value === DONE) return undefined;
+        callClosing(iterated, fn, [value, counter]);
+    }
+}
+
+// some / every / find stop at the first decisive value and close the iterator there
+function search(O, method, predicate, onMatch, onEnd) {
+    requireIterator(O, method);
+    requireCallable(predicate);
+    const iterated = getIteratorDirect(O);
+    for (let counter = 0; ; counter++) {
+        const value = iteratorStepValue(iterated);
+        if (value === DONE) return onEnd;
+        const outcome = onMatch(callClosing(iterated, predicate, [value, counter]), value);
+        if (outcome !== DONE) {
+            iteratorClose(iterated);
+            return outcome;
+        }
+    }
+}
+
+function some(predicate) {
+    return search(this, "some", predicate, result => (result ? true : DONE), false);
+}
+
+function every(predicate) {
+    return search(this, "every", predicate, result => (result ? DONE : false), true);
+}
+
+function find(predicate) {
+    return search(this, "find", predicate, (result, value) => (result ? value : DONE), undefined);
+}
+
+module.exports = features({
+    "Iterator": [Iterator, 0],
+    "Iterator.from": [from, 1],
+    "Iterator.prototype.map": [map, 1],
+    "Iterator.prototype.filter": [filter, 1],
+    "Iterator.prototype.take": [take, 1],
+    "Iterator.prototype.drop": [drop, 1],
+    "Iterator.prototype.flatMap": [flatMap, 1],
+    "Iterator.prototype.reduce": [reduce, 1],
+    "Iterator.prototype.toArray": [toArray, 0],
+    "Iterator.prototype.forEach": [forEach, 1],
+    "Iterator.prototype.some": [some, 1],
+    "Iterator.prototype.every": [every, 1],
+    "Iterator.prototype.find": [find, 1],
+});
@@ -0,0 +1,78 @@
+"use strict";
+// Number polyfills – Polyfills.md sections 27–30. Unlike the global isNaN / isFinite,
+// the Number versions never convert: anything that is not a number is false.
+
+const { toString, features } = require("./spec");
+
+// ─── 27–29: isNaN / isFinite / isInteger ────────────────────────────────────────────
+
+function isNaN(value) {
+    return value !== value;
+}
+
+function isFinite(value) {
+    return typeof value === "number" && value === value && value !== Infinity && value !== -Infinity;
+}
+
+function isInteger(value) {
+    return isFinite(value) && Math.trunc(value) === value;
+}
+
+// ─── 30: parseInt / parseFloat ──────────────────────────────────────────────────────
+
+const DIGITS = "0123456789abcdefghijklmnopqrstuvwxyz";
+
+// Digits are read up to the first character that isn't one. The value is built exactly
+// while it stays below 2^53; past that it is redone with BigInt and correctly rounded.
+// V8 only rounds exactly for radix 10 and powers of two, so with other radices a huge
+// result can differ in the last bit – the spec allows both.
+function parseInt(string, radix) {
+    let S = toString(string).replace(/^\s+/, "");
+    const sign = S[0] === "-" ? -1 : 1;
+    if (S[0] === "-" || S[0] === "+") S = S.slice(1);
+
+    let R = radix | 0;
+    let stripPrefix = true;
+    if (R !== 0) {
+        if (R < 2 || R > 36) return NaN;
+        if (R !== 16) stripPrefix = false;
+    } else {
+        R = 10;
+    }
+    if (stripPrefix && (S.startsWith("0x") || S.startsWith("0X"))) {
+        S = S.slice(2);
+        R = 16;
+    }
+
+    let end = 0;
+    let result = 0;
+    while (end < S.length) {
+        const digit = DIGITS.indexOf(S[end].toLowerCase());
+        if (digit === -1 || digit >= R) break;
+        result = result * R + digit;
+        end++;
+    }
+    if (end === 0) return NaN;
+    if (result > Number.MAX_SAFE_INTEGER) {
+        let exact = 0n;
+        for (let i = 0; i < end; i++) exact = exact * BigInt(R) + BigInt(DIGITS.indexOf(S[i].toLowerCase()));
+        result = Number(exact);
+    }
+    return sign * result;
+}
+
+// The longest prefix that is a StrDecimalLiteral, converted by Number()
+const DECIMAL_PREFIX = /^[+-]?(?:Infinity|(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?)/;
+
+function parseFloat(string) {
+    const match = DECIMAL_PREFIX.exec(toString(string).replace(/^\s+/, ""));
+    return match ? Number(match[0]) : NaN;
+}
+
+module.exports = features({
+    "Number.isNaN": [isNaN, 1],
+    "Number.isFinite": [isFinite, 1],
+    "Number.isInteger": [isInteger, 1],
+    "Number.parseInt": [parseInt, 2],
+    "Number.parseFloat": [parseFloat, 1],
+});
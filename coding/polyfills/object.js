@@ -0,0 +1,163 @@
+"use strict";
+// Object polyfills – Polyfills.md sections 18–24, 35 and 36.
+//
+// Object.preventExtensions and Object.isExtensible (section 24) are not here: the md
+// version fakes them with a marker property, which changes what Object.keys and JSON
+// see. Non-extensibility needs engine support, and freeze / seal below rely on it.
+//
+// Section 36 shows Array.prototype.groupBy, a proposal that was withdrawn because it broke
+// sites; it became the static Object.groupBy / Map.groupBy implemented here.
+
+const { toObject, requireObjectCoercible, requireCallable, toPropertyKey, isObject, createDataProperty, ownKeys, features } = require("./spec");
+
+// ─── 18–20: keys / values / entries ─────────────────────────────────────────────────
+
+// EnumerableOwnProperties: enumerability is checked right before each value is read, so
+// a getter that makes a later key non-enumerable keeps that key out
+function enumerableOwnProperties(object, kind) {
+    const O = toObject(object, `Object.${kind === "key" ? "keys" : kind === "value" ? "values" : "entries"}`);
+    const result = [];
+    for (const key of Object.getOwnPropertyNames(O)) {
+        const descriptor = Object.getOwnPropertyDescriptor(O, key);
+        if (!descriptor || !descriptor.enumerable) continue;
+        if (kind === "key") {
+            result.push(key);
+        } else {
+            const value = O[key];
+            result.push(kind === "value" ? value : [key, value]);
+        }
+    }
+    return result;
+}
+
+function keys(O) {
+    return enumerableOwnProperties(O, "key");
+}
+
+function values(O) {
+    return enumerableOwnProperties(O, "value");
+}
+
+function entries(O) {
+    return enumerableOwnProperties(O, "key+value");
+}
+
+// ─── 21–23: fromEntries / assign / is ───────────────────────────────────────────────
+
+// Any iterable of entry objects (Map, arrays of pairs, generators), not array-likes
+function fromEntries(iterable) {
+    requireObjectCoercible(iterable, "Object.fromEntries");
+    const obj = {};
+    for (const entry of iterable) {
+        if (!isObject(entry)) throw new TypeError(`Iterator value ${String(entry)} is not an entry object`);
+        const key = entry[0];
+        const value = entry[1];
+        createDataProperty(obj, toPropertyKey(key), value);
+    }
+    return obj;
+}
+
+// Copies own enumerable string and symbol keys with [[Get]] / [[Set]], so getters run
+// on the source and setters on the target
+function assign(target, ...sources) {
+    const to = toObject(target, "Object.assign");
+    for (const source of sources) {
+        if (source == null) continue;
+        const from = Object(source);
+        for (const key of ownKeys(from)) {
+            const descriptor = Object.getOwnPropertyDescriptor(from, key);
+            if (descriptor && descriptor.enumerable) to[key] = from[key];
+        }
+    }
+    return to;
+}
+
+function is(x, y) {
+    if (x === y) return x !== 0 || 1 / x === 1 / y;
+    return x !== x && y !== y;
+}
+
+// ─── 24: freeze / seal ──────────────────────────────────────────────────────────────
+// Primitives come back unchanged (ES2015 behaviour; ES5 threw)
+
+function setIntegrityLevel(O, level) {
+    Object.preventExtensions(O);
+    for (const key of ownKeys(O)) {
+        const descriptor = Object.getOwnPropertyDescriptor(O, key);
+        if (!descriptor) continue;
+        const frozen = level === "frozen" && "value" in descriptor;
+        Object.defineProperty(O, key, frozen ? { configurable: false, writable: false } : { configurable: false });
+    }
+    return O;
+}
+
+function freeze(O) {
+    return isObject(O) ? setIntegrityLevel(O, "frozen") : O;
+}
+
+function seal(O) {
+    return isObject(O) ? setIntegrityLevel(O, "sealed") : O;
+}
+
+// ─── 35: create ─────────────────────────────────────────────────────────────────────
+
+function create(proto, properties) {
+    if (proto !== null && !isObject(proto)) {
+        throw new TypeError(`Object prototype may only be an Object or null: ${String(proto)}`);
+    }
+    let obj;
+    if (proto === null) {
+        obj = { __proto__: null };
+    } else {
+        const F = function () {};
+        F.prototype = proto;
+        obj = new F();
+    }
+    if (properties !== undefined) Object.defineProperties(obj, properties);
+    return obj;
+}
+
+// ─── 36: groupBy ────────────────────────────────────────────────────────────────────
+
+// Groups in first-seen order. Object.groupBy keys go through ToPropertyKey; Map.groupBy
+// keys stay as they are, and a Map already compares them with SameValueZero.
+function groupBy(items, callbackfn, keyCoercion) {
+    requireObjectCoercible(items, keyCoercion === "property" ? "Object.groupBy" : "Map.groupBy");
+    requireCallable(callbackfn);
+    const groups = new Map();
+    let k = 0;
+    for (const value of items) {
+        let key = callbackfn(value, k++);
+        if (keyCoercion === "property") key = toPropertyKey(key);
+        const group = groups.get(key);
+        if (group) group.push(value);
+        else groups.set(key, [value]);
+    }
+    return groups;
+}
+
+function objectGroupBy(items, callbackfn) {
+    const obj = { __proto__: null };
+    for (const [key, elements] of groupBy(items, callbackfn, "property")) {
+        createDataProperty(obj, key, elements);
+    }
+    return obj;
+}
+
+function mapGroupBy(items, callbackfn) {
+    return groupBy(items, callbackfn, "zero");
+}
+
+module.exports = features({
+    "Object.keys": [keys, 1],
+    "Object.values": [values, 1],
+    "Object.entries": [entries, 1],
+    "Object.fromEntries": [fromEntries, 1],
+    "Object.assign": [assign, 2],
+    "Object.is": [is, 2],
+    "Object.freeze": [freeze, 1],
+    "Object.seal": [seal, 1],
+    "Object.create": [create, 2],
+    "Object.groupBy": [objectGroupBy, 2],
+    "Map.groupBy": [mapGroupBy, 2],
+});
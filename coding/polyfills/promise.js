@@ -0,0 +1,356 @@
+"use strict";
+// Promise polyfill – Polyfills.md section 31, the same Promises/A+ implementation, with
+// the parts a real global needs on top:
+//   - state lives in a WeakMap, so instances have no own properties
+//   - then / finally use Symbol.species and the combinators work for any constructor
+//     (the statics can be installed on a native Promise that lacks them)
+//   - then on anything that isn't one of these promises is a TypeError
+
+const { requireCallable, isObject, isConstructor, speciesConstructor, features } = require("./spec");
+
+// Reactions run as microtasks, in the same queue native promises use
+const schedule = typeof queueMicrotask === "function" ? queueMicrotask : callback => Promise.resolve().then(callback);
+
+// promise → { state, result, reactions, handled }
+const slots = new WeakMap();
+
+function slotsOf(promise, method) {
+    const slot = isObject(promise) && slots.get(promise);
+    if (!slot) throw new TypeError(`Method Promise.prototype.${method} called on incompatible receiver ${String(promise)}`);
+    return slot;
+}
+
+class MyPromise {
+    constructor(executor) {
+        if (new.target === undefined) throw new TypeError("Promise constructor cannot be invoked without 'new'");
+        if (typeof executor !== "function") {
+            throw new TypeError(`Promise resolver ${String(executor)} is not a function`);
+        }
+
+        slots.set(this, { state: "pending", result: undefined, reactions: [], handled: false });
+
+        const { resolve, reject } = createResolvingFunctions(this);
+
+        try {
+            executor(resolve, reject);
+        } catch (error) {
+            reject(error);
+        }
+    }
+
+    then(onFulfilled, onRejected) {
+        const slot = slotsOf(this, "then");
+        const { promise, resolve, reject } = newPromiseCapability(speciesConstructor(this, MyPromise));
+        const reaction = { onFulfilled, onRejected, resolve, reject };
+
+        if (slot.state === "pending") {
+            slot.reactions.push(reaction);
+        } else {
+            if (slot.state === "rejected" && !slot.handled) {
+                trackRejection(this, "handle");
+            }
+            queueReaction(reaction, slot);
+        }
+        slot.handled = true;
+
+        return promise;
+    }
+
+    catch(onRejected) {
+        return this.then(undefined, onRejected);
+    }
+
+    // Generic: works on any thenable object, and on native promises when installed
+    finally(onFinally) {
+        if (!isObject(this)) throw new TypeError("Promise.prototype.finally called on a non-object");
+        if (typeof onFinally !== "function") {
+            return this.then(onFinally, onFinally);
+        }
+
+        const C = speciesConstructor(this, MyPromise);
+        return this.then(
+            value => C.resolve(onFinally()).then(() => value),
+            reason => C.resolve(onFinally()).then(() => {
+                throw reason;
+            })
+        );
+    }
+
+    static resolve(value) {
+        if (!isObject(this)) throw new TypeError("Promise.resolve called on non-object");
+        if (isObject(value) && slots.has(value) && value.constructor === this) {
+            return value;
+        }
+
+        const { promise, resolve } = newPromiseCapability(this);
+        resolve(value);
+        return promise;
+    }
+
+    static reject(reason) {
+        const { promise, reject } = newPromiseCapability(this);
+        reject(reason);
+        return promise;
+    }
+
+    static withResolvers() {
+        return newPromiseCapability(this);
+    }
+
+    // Calls fn right away, and a synchronous throw rejects instead of escaping
+    static try(callbackfn, ...args) {
+        if (!isObject(this)) throw new TypeError("Promise.try called on non-object");
+        const { promise, resolve, reject } = newPromiseCapability(this);
+        try {
+            resolve(Reflect.apply(callbackfn, undefined, args));
+        } catch (error) {
+            reject(error);
+        }
+        return promise;
+    }
+
+    static all(iterable) {
+        return combine(this, iterable, {
+            onFulfilled: (value, settle) => settle(value),
+            onRejected: (reason, settle, reject) => reject(reason),
+            done: (values, resolve) => resolve(values),
+        });
+    }
+
+    static allSettled(iterable) {
+        return combine(this, iterable, {
+            onFulfilled: (value, settle) => settle({ status: "fulfilled", value }),
+            onRejected: (reason, settle) => settle({ status: "rejected", reason }),
+            done: (results, resolve) => resolve(results),
+        });
+    }
+
+    static any(iterable) {
+        return combine(this, iterable, {
+            onFulfilled: (value, settle, reject, resolve) => resolve(value),
+            onRejected: (reason, settle) => settle(reason),
+            done: (errors, resolve, reject) => reject(aggregateError(errors)),
+        });
+    }
+
+    static race(iterable) {
+        const C = this;
+        const { promise, resolve, reject } = newPromiseCapability(C);
+
+        try {
+            const promiseResolve = requireCallable(C.resolve, "Promise resolve or reject function is not callable");
+            for (const item of iterable) {
+                promiseResolve.call(C, item).then(resolve, reject);
+            }
+        } catch (error) {
+            reject(error);
+        }
+
+        return promise;
+    }
+
+    static get [Symbol.species]() {
+        return this;
+    }
+
+    // Called when a rejection is still unhandled after the current task, and when a
+    // handler shows up for one that was already reported
+    static onUnhandledRejection = (reason, promise) => {
+        console.error("Unhandled MyPromise rejection:", reason);
+    };
+
+    static onRejectionHandled = promise => {};
+}
+
+Object.defineProperty(MyPromise.prototype, Symbol.toStringTag, { value: "Promise", configurable: true });
+
+// NewPromiseCapability: a promise of C with its resolve / reject, for any constructor
+// that calls its executor the way Promise does
+function newPromiseCapability(C) {
+    if (!isConstructor(C)) throw new TypeError("Promise capability requires a constructor");
+    let resolve, reject;
+    const promise = new C((res, rej) => {
+        if (resolve !== undefined || reject !== undefined) {
+            throw new TypeError("Promise executor has already been invoked with non-undefined arguments");
+        }
+        resolve = res;
+        reject = rej;
+    });
+    requireCallable(resolve, "Promise resolve or reject function is not callable");
+    requireCallable(reject, "Promise resolve or reject function is not callable");
+    return { promise, resolve, reject };
+}
+
+const anonymous = fn => fn;
+
+// resolve / reject for one promise: only the first call of either counts
+function createResolvingFunctions(promise) {
+    let alreadyResolved = false;
+
+    // Passed through anonymous() so no name is inferred: the built-in's have name ""
+    const resolve = anonymous(resolution => {
+        if (alreadyResolved) return;
+        alreadyResolved = true;
+        resolvePromise(promise, resolution);
+    });
+
+    const reject = anonymous(reason => {
+        if (alreadyResolved) return;
+        alreadyResolved = true;
+        settle(promise, "rejected", reason);
+    });
+
+    return { resolve, reject };
+}
+
+// The Promise Resolution Procedure (A+ 2.3)
+function resolvePromise(promise, x) {
+    if (x === promise) {
+        return settle(promise, "rejected", new TypeError("Chaining cycle detected for promise"));
+    }
+
+    if (!isObject(x)) {
+        return settle(promise, "fulfilled", x);
+    }
+
+    let then;
+    try {
+        then = x.then; // read exactly once – it may be a getter
+    } catch (error) {
+        return settle(promise, "rejected", error);
+    }
+
+    if (typeof then !== "function") {
+        return settle(promise, "fulfilled", x);
+    }
+
+    // Thenables are followed in a job of their own, with fresh resolving functions
+    schedule(() => {
+        const { resolve, reject } = createResolvingFunctions(promise);
+        try {
+            then.call(x, resolve, reject);
+        } catch (error) {
+            reject(error);
+        }
+    });
+}
+
+function settle(promise, state, result) {
+    const slot = slots.get(promise);
+    const reactions = slot.reactions;
+
+    slot.state = state;
+    slot.result = result;
+    slot.reactions = [];
+    if (state === "rejected" && !slot.handled) trackRejection(promise, "reject");
+
+    reactions.forEach(reaction => queueReaction(reaction, slot));
+}
+
+function queueReaction({ onFulfilled, onRejected, resolve, reject }, slot) {
+    schedule(() => {
+        const fulfilled = slot.state === "fulfilled";
+        const handler = fulfilled ? onFulfilled : onRejected;
+
+        // A missing handler passes the result through
+        if (typeof handler !== "function") {
+            return fulfilled ? resolve(slot.result) : reject(slot.result);
+        }
+
+        let result;
+        try {
+            result = handler(slot.result);
+        } catch (error) {
+            return reject(error);
+        }
+        resolve(result);
+    });
+}
+
+// Shared loop of all / allSettled / any: one slot per item, settle(slot value) fills it,
+// and done() runs once every slot is filled
+function combine(C, iterable, { onFulfilled, onRejected, done }) {
+    const { promise, resolve, reject } = newPromiseCapability(C);
+    const results = [];
+    let remaining = 1; // released after the loop, so an empty iterable finishes too
+
+    try {
+        const promiseResolve = requireCallable(C.resolve, "Promise resolve or reject function is not callable");
+        let index = 0;
+        for (const item of iterable) {
+            const i = index++;
+            let called = false;
+            const fill = value => {
+                if (called) return;
+                called = true;
+                results[i] = value;
+                if (--remaining === 0) done(results, resolve, reject);
+            };
+
+            results[i] = undefined;
+            remaining++;
+            promiseResolve.call(C, item).then(
+                value => onFulfilled(value, fill, reject, resolve),
+                reason => onRejected(reason, fill, reject, resolve)
+            );
+        }
+
+        if (--remaining === 0) done(results, resolve, reject);
+    } catch (error) {
+        reject(error);
+    }
+
+    return promise;
+}
+
+function aggregateError(errors) {
+    if (typeof AggregateError === "function") {
+        return new AggregateError(errors, "All promises were rejected");
+    }
+
+    const error = new Error("All promises were rejected");
+    error.name = "AggregateError";
+    error.errors = errors;
+    return error;
+}
+
+// Unhandled-rejection tracking: a promise rejected without a handler is reported once
+// the current task is over, unless a handler was attached in the meantime
+const pendingRejections = new Set();
+const reportedRejections = new WeakSet();
+let rejectionCheckScheduled = false;
+
+function trackRejection(promise, operation) {
+    if (operation === "reject") {
+        pendingRejections.add(promise);
+        if (!rejectionCheckScheduled) {
+            rejectionCheckScheduled = true;
+            setTimeout(reportUnhandledRejections, 0);
+        }
+    } else if (!pendingRejections.delete(promise) && reportedRejections.has(promise)) {
+        reportedRejections.delete(promise);
+        MyPromise.onRejectionHandled(promise);
+    }
+}
+
+function reportUnhandledRejections() {
+    rejectionCheckScheduled = false;
+    const rejected = [...pendingRejections];
+    pendingRejections.clear();
+
+    rejected.forEach(promise => {
+        reportedRejections.add(promise);
+        MyPromise.onUnhandledRejection(slots.get(promise).result, promise);
+    });
+}
+
+// The class keeps its own statics; the entries below are what install() can add to a
+// native Promise that predates them
+module.exports = features({
+    "Promise": [MyPromise, 1],
+    "Promise.allSettled": [MyPromise.allSettled, 1],
+    "Promise.any": [MyPromise.any, 1],
+    "Promise.withResolvers": [MyPromise.withResolvers, 0],
+    "Promise.try": [MyPromise.try, 1],
+    "Promise.prototype.finally": [MyPromise.prototype.finally, 1],
+});
@@ -0,0 +1,196 @@
+"use strict";
+// Set methods – Polyfills.md section 40: union, intersection, difference,
+// symmetricDifference, isSubsetOf, isSupersetOf, isDisjointFrom (ES2025).
+//
+// `other` only has to be set-like: a numeric size, a has() and a keys() returning an
+// iterator – a Map qualifies, through its keys. Which side gets iterated depends on the
+// two sizes, as in the spec, so a small receiver never walks a huge or lazy set-like.
+// Results are plain Sets (no Symbol.species), with elements in the order the spec adds
+// them.
+
+const {
+    toIntegerOrInfinity,
+    requireCallable,
+    isObject,
+    DONE,
+    iteratorStepValue,
+    iteratorClose,
+    features,
+} = require("./spec");
+
+// The receiver's contents are read through the built-ins as they are now, so a
+// subclass or a patched Set.prototype.has can't change what a set contains
+const NativeSet = Set;
+const setSize = Object.getOwnPropertyDescriptor(Set.prototype, "size").get;
+const setHas = Set.prototype.has;
+const setAdd = Set.prototype.add;
+const setDelete = Set.prototype.delete;
+const setValues = Set.prototype.values;
+const setIteratorNext = Object.getPrototypeOf(new Set().values()).next;
+
+function requireSet(O, method) {
+    try {
+        setSize.call(O);
+    } catch (error) {
+        throw new TypeError(`Method Set.prototype.${method} called on incompatible receiver ${typeof O === "symbol" ? O.toString() : String(O)}`);
+    }
+    return O;
+}
+
+// Calls fn for each element, live: elements added meanwhile are visited, deleted ones
+// aren't. fn returns true to stop early.
+function forEachElement(O, fn) {
+    const iterator = setValues.call(O);
+    for (let step = setIteratorNext.call(iterator); !step.done; step = setIteratorNext.call(iterator)) {
+        if (fn(step.value)) return;
+    }
+}
+
+function copyOf(O) {
+    const copy = new NativeSet();
+    forEachElement(O, value => {
+        setAdd.call(copy, value);
+    });
+    return copy;
+}
+
+// GetSetRecord: size is read and converted first, then has and keys must be callable
+function getSetRecord(obj) {
+    if (!isObject(obj)) throw new TypeError(`${typeof obj === "symbol" ? obj.toString() : String(obj)} is not an object`);
+    const numSize = +obj.size;
+    if (numSize !== numSize) throw new TypeError("The 'size' property must be a number");
+    const size = toIntegerOrInfinity(numSize);
+    if (size < 0) throw new RangeError("The 'size' property must not be negative");
+    const has = requireCallable(obj.has, "The 'has' property must be a function");
+    const keys = requireCallable(obj.keys, "The 'keys' property must be a function");
+    return { set: obj, size, has, keys };
+}
+
+function otherHas(otherRec, value) {
+    return Boolean(Reflect.apply(otherRec.has, otherRec.set, [value]));
+}
+
+function getKeysIterator(otherRec) {
+    const iterator = Reflect.apply(otherRec.keys, otherRec.set, []);
+    if (!isObject(iterator)) throw new TypeError("The result of 'keys' is not an object");
+    const next = requireCallable(iterator.next, "The 'next' property of the keys iterator must be a function");
+    return { iterator, next };
+}
+
+// Each key of `other`, with -0 made +0 the way Set.prototype.add would. fn returns true
+// to stop early, which closes the keys iterator.
+function forEachKey(otherRec, fn) {
+    const record = getKeysIterator(otherRec);
+    for (let next = iteratorStepValue(record); next !== DONE; next = iteratorStepValue(record)) {
+        if (fn(next === 0 ? 0 : next)) {
+            iteratorClose(record);
+            return;
+        }
+    }
+}
+
+// ─── methods returning a new Set ────────────────────────────────────────────────────
+
+function union(other) {
+    const O = requireSet(this, "union");
+    const otherRec = getSetRecord(other);
+    const record = getKeysIterator(otherRec);
+    const result = copyOf(O);
+    for (let next = iteratorStepValue(record); next !== DONE; next = iteratorStepValue(record)) {
+        setAdd.call(result, next === 0 ? 0 : next);
+    }
+    return result;
+}
+
+function intersection(other) {
+    const O = requireSet(this, "intersection");
+    const otherRec = getSetRecord(other);
+    const result = new NativeSet();
+    if (setSize.call(O) <= otherRec.size) {
+        forEachElement(O, value => {
+            if (otherHas(otherRec, value)) setAdd.call(result, value);
+        });
+    } else {
+        forEachKey(otherRec, next => {
+            if (setHas.call(O, next)) setAdd.call(result, next);
+        });
+    }
+    return result;
+}
+
+// Deletes from a copy, while the receiver itself is walked: has() calls that change the
+// receiver change which elements get asked about, not what the result starts from
+function difference(other) {
+    const O = requireSet(this, "difference");
+    const otherRec = getSetRecord(other);
+    const result = copyOf(O);
+    if (setSize.call(O) <= otherRec.size) {
+        forEachElement(O, value => {
+            if (otherHas(otherRec, value)) setDelete.call(result, value);
+        });
+    } else {
+        forEachKey(otherRec, next => {
+            setDelete.call(result, next);
+        });
+    }
+    return result;
+}
+
+function symmetricDifference(other) {
+    const O = requireSet(this, "symmetricDifference");
+    const otherRec = getSetRecord(other);
+    const record = getKeysIterator(otherRec);
+    const result = copyOf(O);
+    for (let next = iteratorStepValue(record); next !== DONE; next = iteratorStepValue(record)) {
+        const value = next === 0 ? 0 : next;
+        const alreadyInResult = setHas.call(result, value);
+        if (setHas.call(O, value)) {
+            if (alreadyInResult) setDelete.call(result, value);
+        } else if (!alreadyInResult) {
+            setAdd.call(result, value);
+        }
+    }
+    return result;
+}
+
+// ─── comparisons ────────────────────────────────────────────────────────────────────
+
+function isSubsetOf(other) {
+    const O = requireSet(this, "isSubsetOf");
+    const otherRec = getSetRecord(other);
+    if (setSize.call(O) > otherRec.size) return false;
+    let subset = true;
+    forEachElement(O, value => !(subset = otherHas(otherRec, value)));
+    return subset;
+}
+
+function isSupersetOf(other) {
+    const O = requireSet(this, "isSupersetOf");
+    const otherRec = getSetRecord(other);
+    if (setSize.call(O) < otherRec.size) return false;
+    let superset = true;
+    forEachKey(otherRec, next => !(superset = setHas.call(O, next)));
+    return superset;
+}
+
+function isDisjointFrom(other) {
+    const O = requireSet(this, "isDisjointFrom");
+    const otherRec = getSetRecord(other);
+    let disjoint = true;
+    if (setSize.call(O) <= otherRec.size) {
+        forEachElement(O, value => !(disjoint = !otherHas(otherRec, value)));
+    } else {
+        forEachKey(otherRec, next => !(disjoint = !setHas.call(O, next)));
+    }
+    return disjoint;
+}
+
+module.exports = features({
+    "Set.prototype.union": [union, 1],
+    "Set.prototype.intersection": [intersection, 1],
+    "Set.prototype.difference": [difference, 1],
+    "Set.prototype.symmetricDifference": [symmetricDifference, 1],
+    "Set.prototype.isSubsetOf": [isSubsetOf, 1],
+    "Set.prototype.isSupersetOf": [isSupersetOf, 1],
+    "Set.prototype.isDisjointFrom": [isDisjointFrom, 1],
+});
@@ -0,0 +1,230 @@
+"use strict";
+// Abstract operations of the spec that the polyfills share (ECMA-262 §7: type conversion,
+// testing and comparison, operations on objects, operations on iterators), plus the
+// feature table helper.
+
+const MAX_SAFE_LENGTH = 2 ** 53 - 1;
+
+function requireObjectCoercible(value, method) {
+    if (value == null) {
+        throw new TypeError(`${method} called on null or undefined`);
+    }
+    return value;
+}
+
+function toObject(value, method) {
+    return Object(requireObjectCoercible(value, method));
+}
+
+// ToString: a template literal runs exactly that (and throws for Symbols)
+function toString(value) {
+    return `${value}`;
+}
+
+// Unary plus is ToNumber: it throws for Symbols and BigInts, like the spec
+function toIntegerOrInfinity(value) {
+    const number = +value;
+    if (number !== number || number === 0) return 0;
+    if (number === Infinity || number === -Infinity) return number;
+    return Math.trunc(number);
+}
+
+function toLength(value) {
+    const length = toIntegerOrInfinity(value);
+    return length <= 0 ? 0 : Math.min(length, MAX_SAFE_LENGTH);
+}
+
+function lengthOfArrayLike(object) {
+    return toLength(object.length);
+}
+
+// A computed key in an object literal runs ToPropertyKey
+function toPropertyKey(value) {
+    return Reflect.ownKeys({ [value]: undefined })[0];
+}
+
+function describe(value) {
+    if (typeof value === "symbol") return value.toString();
+    if (typeof value === "string") return `"${value}"`;
+    return value !== null && typeof value === "object" ? Object.prototype.toString.call(value) : String(value);
+}
+
+function requireCallable(value, message) {
+    if (typeof value !== "function") {
+        throw new TypeError(message || `${describe(value)} is not a function`);
+    }
+    return value;
+}
+
+function isObject(value) {
+    return value !== null && (typeof value === "object" || typeof value === "function");
+}
+
+// Reflect.construct checks [[Construct]] without running anything
+function isConstructor(value) {
+    if (typeof value !== "function") return false;
+    try {
+        Reflect.construct(String, [], value);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+function sameValueZero(x, y) {
+    return x === y || (x !== x && y !== y);
+}
+
+function createDataProperty(object, key, value) {
+    Object.defineProperty(object, key, { value, writable: true, enumerable: true, configurable: true });
+}
+
+// Arrays made by map / filter / flat / concat follow the receiver's constructor[Symbol.species]
+function arraySpeciesCreate(original, length) {
+    if (!Array.isArray(original)) return new Array(length);
+    let C = original.constructor;
+    if (isObject(C)) {
+        C = C[Symbol.species];
+        if (C === null) C = undefined;
+    }
+    if (C === undefined) return new Array(length);
+    if (!isConstructor(C)) {
+        throw new TypeError("object.constructor[Symbol.species] is not a constructor");
+    }
+    return new C(length);
+}
+
+function speciesConstructor(object, defaultConstructor) {
+    const C = object.constructor;
+    if (C === undefined) return defaultConstructor;
+    if (!isObject(C)) throw new TypeError("The .constructor property is not an object");
+    const S = C[Symbol.species];
+    if (S == null) return defaultConstructor;
+    if (isConstructor(S)) return S;
+    throw new TypeError("object.constructor[Symbol.species] is not a constructor");
+}
+
+// Own string and symbol keys, in the order [[OwnPropertyKeys]] gives them
+function ownKeys(object) {
+    return [...Object.getOwnPropertyNames(object), ...Object.getOwnPropertySymbols(object)];
+}
+
+// The source getter is the one RegExp accessor that throws for everything without a
+// [[RegExpMatcher]] slot and has no side effects
+const regExpSource = Object.getOwnPropertyDescriptor(RegExp.prototype, "source").get;
+
+function isRegExp(value) {
+    if (!isObject(value)) return false;
+    const matcher = value[Symbol.match];
+    if (matcher !== undefined) return Boolean(matcher);
+    try {
+        regExpSource.call(value);
+        return value !== RegExp.prototype;
+    } catch (error) {
+        return false;
+    }
+}
+
+// ─── iterator records ───────────────────────────────────────────────────────────────
+
+// What iteratorStepValue returns once the iterator is done
+const DONE = Symbol("done");
+
+// GetMethod: undefined and null count as absent, anything else must be callable
+function getMethod(object, key) {
+    const method = object[key];
+    if (method == null) return undefined;
+    return requireCallable(method, `${String(key)} method is not a function`);
+}
+
+// GetIteratorDirect: { iterator, next }, with next read once up front
+function getIteratorDirect(iterator) {
+    return { iterator, next: iterator.next };
+}
+
+// IteratorStep: the result object, or null when done (its value isn't read then)
+function iteratorStep(record) {
+    const result = Reflect.apply(record.next, record.iterator, []);
+    if (!isObject(result)) throw new TypeError(`Iterator result ${describe(result)} is not an object`);
+    return result.done ? null : result;
+}
+
+function iteratorStepValue(record) {
+    const result = iteratorStep(record);
+    return result === null ? DONE : result.value;
+}
+
+// IteratorClose after a normal completion: errors from return() and a non-object
+// result both count
+function iteratorClose(record) {
+    const returnMethod = getMethod(record.iterator, "return");
+    if (returnMethod === undefined) return;
+    const result = Reflect.apply(returnMethod, record.iterator, []);
+    if (!isObject(result)) throw new TypeError(`Iterator result ${describe(result)} is not an object`);
+}
+
+// IteratorClose after a throw: return() is still called, but the original error wins
+function iteratorCloseAfterError(record, error) {
+    try {
+        const returnMethod = getMethod(record.iterator, "return");
+        if (returnMethod !== undefined) Reflect.apply(returnMethod, record.iterator, []);
+    } catch (closeError) {
+        // the error that made us close is the one to report
+    }
+    throw error;
+}
+
+function setFunctionProperties(fn, name, length) {
+    Object.defineProperty(fn, "length", { value: length, configurable: true });
+    Object.defineProperty(fn, "name", { value: name, configurable: true });
+    return fn;
+}
+
+// { "Array.prototype.at": [at, 1] } → [{ name, path, key, value }], with name and length
+// set the way the built-in has them. A string value makes an alias of another entry
+// (trimLeft is the very same function as trimStart).
+function features(table) {
+    const byName = new Map();
+    return Object.entries(table).map(([name, spec]) => {
+        const parts = name.split(".");
+        const key = parts.pop();
+        let value;
+        if (typeof spec === "string") {
+            value = byName.get(spec);
+        } else {
+            const [fn, length] = spec;
+            value = length === undefined ? fn : setFunctionProperties(fn, key, length);
+        }
+        byName.set(name, value);
+        return { name, path: parts, key, value };
+    });
+}
+
+module.exports = {
+    MAX_SAFE_LENGTH,
+    requireObjectCoercible,
+    toObject,
+    toString,
+    toIntegerOrInfinity,
+    toLength,
+    lengthOfArrayLike,
+    toPropertyKey,
+    requireCallable,
+    isObject,
+    isConstructor,
+    sameValueZero,
+    createDataProperty,
+    arraySpeciesCreate,
+    speciesConstructor,
+    ownKeys,
+    isRegExp,
+    DONE,
+    getMethod,
+    getIteratorDirect,
+    iteratorStep,
+    iteratorStepValue,
+    iteratorClose,
+    iteratorCloseAfterError,
+    setFunctionProperties,
+    features,
+};
@@ -0,0 +1,162 @@
+"use strict";
+// String polyfills – Polyfills.md sections 11–17. `this` goes through
+// RequireObjectCoercible + ToString, so they work on any value that converts, and the
+// search methods refuse RegExp arguments the way the built-ins do.
+
+const { requireObjectCoercible, toString, toIntegerOrInfinity, toLength, requireCallable, isRegExp, features } = require("./spec");
+
+function thisString(value, method) {
+    return toString(requireObjectCoercible(value, method));
+}
+
+function searchString(value, method) {
+    if (isRegExp(value)) {
+        throw new TypeError(`First argument to ${method} must not be a regular expression`);
+    }
+    return toString(value);
+}
+
+// ─── 11: trim ───────────────────────────────────────────────────────────────────────
+// \s is exactly the spec's WhiteSpace + LineTerminator set
+
+function trim() {
+    return thisString(this, "String.prototype.trim").replace(/^\s+|\s+$/g, "");
+}
+
+function trimStart() {
+    return thisString(this, "String.prototype.trimStart").replace(/^\s+/, "");
+}
+
+function trimEnd() {
+    return thisString(this, "String.prototype.trimEnd").replace(/\s+$/, "");
+}
+
+// ─── 12–14: startsWith / endsWith / includes ────────────────────────────────────────
+
+function startsWith(search, position) {
+    const S = thisString(this, "String.prototype.startsWith");
+    const searchStr = searchString(search, "String.prototype.startsWith");
+    const start = Math.min(Math.max(toIntegerOrInfinity(position), 0), S.length);
+    if (start + searchStr.length > S.length) return false;
+    return S.slice(start, start + searchStr.length) === searchStr;
+}
+
+function endsWith(search, endPosition) {
+    const S = thisString(this, "String.prototype.endsWith");
+    const searchStr = searchString(search, "String.prototype.endsWith");
+    const end = endPosition === undefined ? S.length : Math.min(Math.max(toIntegerOrInfinity(endPosition), 0), S.length);
+    const start = end - searchStr.length;
+    if (start < 0) return false;
+    return S.slice(start, end) === searchStr;
+}
+
+function includes(search, position) {
+    const S = thisString(this, "String.prototype.includes");
+    const searchStr = searchString(search, "String.prototype.includes");
+    const start = Math.min(Math.max(toIntegerOrInfinity(position), 0), S.length);
+    return S.indexOf(searchStr, start) !== -1;
+}
+
+// ─── 15–16: repeat / padStart / padEnd ──────────────────────────────────────────────
+
+// Doubling: O(log n) concatenations instead of n
+function repeat(count) {
+    const S = thisString(this, "String.prototype.repeat");
+    const n = toIntegerOrInfinity(count);
+    if (n < 0 || n === Infinity) throw new RangeError(`Invalid count value: ${n}`);
+    let result = "";
+    for (let times = n, chunk = S; times > 0; times = Math.floor(times / 2), chunk += chunk) {
+        if (times % 2 === 1) result += chunk;
+        if (times === 1) break;
+    }
+    return result;
+}
+
+function padding(S, maxLength, fillString) {
+    const intMaxLength = toLength(maxLength);
+    if (intMaxLength <= S.length) return "";
+    const filler = fillString === undefined ? " " : toString(fillString);
+    if (filler === "") return "";
+    const fillLen = intMaxLength - S.length;
+    return repeat.call(filler, Math.ceil(fillLen / filler.length)).slice(0, fillLen);
+}
+
+function padStart(maxLength, fillString) {
+    const S = thisString(this, "String.prototype.padStart");
+    return padding(S, maxLength, fillString) + S;
+}
+
+function padEnd(maxLength, fillString) {
+    const S = thisString(this, "String.prototype.padEnd");
+    return S + padding(S, maxLength, fillString);
+}
+
+// ─── 17: replaceAll ─────────────────────────────────────────────────────────────────
+
+// GetSubstitution for a plain string match: no capture groups, so only $$ $& $` $'
+function substitution(matched, string, position, replacement) {
+    return replacement.replace(/\$([$&`'])/g, (_, symbol) => {
+        if (symbol === "$") return "$";
+        if (symbol === "&") return matched;
+        if (symbol === "`") return string.slice(0, position);
+        return string.slice(position + matched.length);
+    });
+}
+
+// A global RegExp (or anything with Symbol.replace) is handed to its own replace; a
+// non-global one is an error. Everything else is a literal search.
+function replaceAll(searchValue, replaceValue) {
+    const O = requireObjectCoercible(this, "String.prototype.replaceAll");
+    if (searchValue != null) {
+        if (isRegExp(searchValue)) {
+            const flags = requireObjectCoercible(searchValue.flags, "String.prototype.replaceAll");
+            if (!toString(flags).includes("g")) {
+                throw new TypeError("replaceAll must be called with a global RegExp");
+            }
+        }
+        const replacer = searchValue[Symbol.replace];
+        if (replacer != null) {
+            return requireCallable(replacer).call(searchValue, O, replaceValue);
+        }
+    }
+
+    const string = toString(O);
+    const searchStr = toString(searchValue);
+    const functional = typeof replaceValue === "function";
+    const replacement = functional ? replaceValue : toString(replaceValue);
+    const advanceBy = Math.max(1, searchStr.length);
+
+    const positions = [];
+    for (let position = string.indexOf(searchStr); position !== -1; ) {
+        positions.push(position);
+        const next = position + advanceBy;
+        position = next > string.length ? -1 : string.indexOf(searchStr, next);
+    }
+
+    let endOfLastMatch = 0;
+    let result = "";
+    for (const position of positions) {
+        const preserved = string.slice(endOfLastMatch, position);
+        const replaced = functional
+            ? toString(replacement(searchStr, position, string))
+            : substitution(searchStr, string, position, replacement);
+        result += preserved + replaced;
+        endOfLastMatch = position + searchStr.length;
+    }
+    return result + string.slice(endOfLastMatch);
+}
+
+module.exports = features({
+    "String.prototype.trim": [trim, 0],
+    "String.prototype.trimStart": [trimStart, 0],
+    "String.prototype.trimLeft": "String.prototype.trimStart",
+    "String.prototype.trimEnd": [trimEnd, 0],
+    "String.prototype.trimRight": "String.prototype.trimEnd",
+    "String.prototype.startsWith": [startsWith, 1],
+    "String.prototype.endsWith": [endsWith, 1],
+    "String.prototype.includes": [includes, 1],
+    "String.prototype.repeat": [repeat, 1],
+    "String.prototype.padStart": [padStart, 1],
+    "String.prototype.padEnd": [padEnd, 1],
+    "String.prototype.replaceAll": [replaceAll, 2],
+});
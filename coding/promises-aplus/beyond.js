@@ -0,0 +1,250 @@
+// What Promises/A+ leaves to each implementation: the statics, finally() and the
+// unhandled-rejection hooks of MyPromise. Written like the suite in tests/ — describe /
+// specify with done, the global `adapter` — so run.js collects it after them;
+// adapter.Promise is the class under test.
+
+const assert = require("assert");
+
+const adapter = global.adapter; // only there while run.js collects
+
+const sentinel = { sentinel: "sentinel" };
+const other = { other: "other" };
+
+// { value } or { reason }, whichever way the promise settles
+const outcome = promise => promise.then(value => ({ value }), reason => ({ reason }));
+
+function expectOutcome(promise, done, check) {
+    outcome(promise).then(result => {
+        check(result);
+        done();
+    }).then(null, done);
+}
+
+// A promise that settles `ms` later, so the order of settling differs from the order given
+function later(ms, value, rejects = false) {
+    const { promise, resolve, reject } = adapter.Promise.withResolvers();
+    setTimeout(() => (rejects ? reject : resolve)(value), ms);
+    return promise;
+}
+
+const thenable = value => ({ then: onFulfilled => onFulfilled(value) });
+
+describe("all: fulfils with every value, in the order given", function () {
+    specify("values come back by position, not by when they settled", function (done) {
+        const P = adapter.Promise;
+        expectOutcome(P.all([later(20, 1), later(5, 2), 3, thenable(4)]), done, result => {
+            assert.deepStrictEqual(result, { value: [1, 2, 3, 4] });
+        });
+    });
+
+    specify("the first rejection rejects it, without waiting for the rest", function (done) {
+        const P = adapter.Promise;
+        const started = Date.now();
+        expectOutcome(P.all([later(200, 1), later(5, sentinel, true), later(10, other, true)]), done, result => {
+            assert.strictEqual(result.reason, sentinel);
+            assert.ok(Date.now() - started < 150, "settled before the slow promise");
+        });
+    });
+
+    specify("an empty iterable fulfils with []", function (done) {
+        expectOutcome(adapter.Promise.all([]), done, result => assert.deepStrictEqual(result, { value: [] }));
+    });
+
+    specify("anything else than an iterable rejects with a TypeError", function (done) {
+        expectOutcome(adapter.Promise.all(42), done, result => assert.ok(result.reason instanceof TypeError));
+    });
+});
+
+describe("allSettled: waits for every promise and describes how each settled", function () {
+    specify("{ status, value } and { status, reason }, in the order given", function (done) {
+        const P = adapter.Promise;
+        expectOutcome(P.allSettled([later(10, other, true), later(5, sentinel), 3]), done, result => {
+            assert.deepStrictEqual(result, {
+                value: [
+                    { status: "rejected", reason: other },
+                    { status: "fulfilled", value: sentinel },
+                    { status: "fulfilled", value: 3 },
+                ],
+            });
+        });
+    });
+
+    specify("an empty iterable fulfils with []", function (done) {
+        expectOutcome(adapter.Promise.allSettled([]), done, result => assert.deepStrictEqual(result, { value: [] }));
+    });
+});
+
+describe("any: fulfils with the first fulfilment", function () {
+    specify("rejections before it are ignored", function (done) {
+        const P = adapter.Promise;
+        expectOutcome(P.any([later(5, other, true), later(20, 1), later(10, sentinel)]), done, result => {
+            assert.deepStrictEqual(result, { value: sentinel });
+        });
+    });
+
+    specify("when everything rejects: an AggregateError with the reasons in the order given", function (done) {
+        const P = adapter.Promise;
+        expectOutcome(P.any([later(10, 1, true), later(5, 2, true), P.reject(3)]), done, ({ reason }) => {
+            assert.ok(reason instanceof AggregateError);
+            assert.strictEqual(reason.message, "All promises were rejected");
+            assert.deepStrictEqual(reason.errors, [1, 2, 3]);
+        });
+    });
+
+    specify("an empty iterable rejects with an AggregateError without errors", function (done) {
+        expectOutcome(adapter.Promise.any([]), done, ({ reason }) => {
+            assert.ok(reason instanceof AggregateError);
+            assert.deepStrictEqual(reason.errors, []);
+        });
+    });
+});
+
+describe("race: settles like the first item to settle", function () {
+    specify("a fulfilment first", function (done) {
+        const P = adapter.Promise;
+        expectOutcome(P.race([later(20, other, true), later(5, sentinel)]), done, result => {
+            assert.deepStrictEqual(result, { value: sentinel });
+        });
+    });
+
+    specify("a rejection first", function (done) {
+        const P = adapter.Promise;
+        expectOutcome(P.race([later(20, other), later(5, sentinel, true)]), done, result => {
+            assert.deepStrictEqual(result, { reason: sentinel });
+        });
+    });
+
+    specify("an empty iterable never settles", function (done) {
+        let settled = false;
+        outcome(adapter.Promise.race([])).then(() => (settled = true));
+        setTimeout(() => {
+            assert.strictEqual(settled, false);
+            done();
+        }, 20);
+    });
+});
+
+describe("finally: runs the callback either way and passes the result through", function () {
+    specify("the callback gets no argument, the value goes through", function (done) {
+        const P = adapter.Promise;
+        let args = null;
+        expectOutcome(P.resolve(sentinel).finally((...a) => (args = a, other)), done, result => {
+            assert.deepStrictEqual(args, []);
+            assert.deepStrictEqual(result, { value: sentinel });
+        });
+    });
+
+    specify("the reason goes through", function (done) {
+        const P = adapter.Promise;
+        expectOutcome(P.reject(sentinel).finally(() => other), done, result => {
+            assert.deepStrictEqual(result, { reason: sentinel });
+        });
+    });
+
+    specify("a throwing callback replaces the result with what it threw", function (done) {
+        const P = adapter.Promise;
+        expectOutcome(P.resolve(other).finally(() => { throw sentinel; }), done, result => {
+            assert.deepStrictEqual(result, { reason: sentinel });
+        });
+    });
+
+    specify("a promise the callback returns is waited for; its rejection replaces the result", function (done) {
+        const P = adapter.Promise;
+        const order = [];
+        const waited = P.resolve(sentinel).finally(() => later(10, other).then(() => order.push("callback's promise")));
+        const rejected = P.resolve(other).finally(() => later(5, sentinel, true));
+        outcome(waited).then(result => {
+            order.push("finally");
+            assert.deepStrictEqual(result, { value: sentinel });
+            assert.deepStrictEqual(order, ["callback's promise", "finally"]);
+            return outcome(rejected);
+        }).then(result => {
+            assert.deepStrictEqual(result, { reason: sentinel });
+            done();
+        }).then(null, done);
+    });
+
+    specify("a non-function passes everything through, like then()", function (done) {
+        expectOutcome(adapter.Promise.resolve(sentinel).finally(42), done, result => {
+            assert.deepStrictEqual(result, { value: sentinel });
+        });
+    });
+});
+
+describe("withResolvers: a pending promise and the functions that settle it", function () {
+    specify("resolve settles the promise, and only the first call counts", function (done) {
+        const P = adapter.Promise;
+        const { promise, resolve, reject } = P.withResolvers();
+        assert.ok(promise instanceof P);
+        assert.deepStrictEqual([typeof resolve, typeof reject], ["function", "function"]);
+        resolve(sentinel);
+        reject(other);
+        resolve(other);
+        expectOutcome(promise, done, result => assert.deepStrictEqual(result, { value: sentinel }));
+    });
+
+    specify("reject settles it too, and resolve is then ignored", function (done) {
+        const { promise, resolve, reject } = adapter.Promise.withResolvers();
+        reject(sentinel);
+        resolve(other);
+        expectOutcome(promise, done, result => assert.deepStrictEqual(result, { reason: sentinel }));
+    });
+});
+
+describe("unhandled-rejection tracking: onUnhandledRejection / onRejectionHandled", function () {
+    // run.js silences the reports for the whole run; here they are recorded instead. Other
+    // specifications may still have reports due, so each one only looks at its own promises.
+    let reported;
+    let handledLate;
+    beforeEach(function () {
+        reported = [];
+        handledLate = [];
+        adapter.Promise.onUnhandledRejection = (reason, promise) => reported.push({ reason, promise });
+        adapter.Promise.onRejectionHandled = promise => handledLate.push(promise);
+    });
+    afterEach(function () {
+        adapter.Promise.onUnhandledRejection = () => {};
+        adapter.Promise.onRejectionHandled = () => {};
+    });
+
+    const reportsOf = promise => reported.filter(report => report.promise === promise);
+
+    specify("a rejection without a handler is reported with its reason once the task is over", function (done) {
+        const promise = adapter.Promise.reject(sentinel);
+        assert.deepStrictEqual(reportsOf(promise), []);
+        setTimeout(() => {
+            assert.deepStrictEqual(reportsOf(promise), [{ reason: sentinel, promise }]);
+            done();
+        }, 10);
+    });
+
+    specify("a handler attached in the same task means no report", function (done) {
+        const { promise, reject } = adapter.Promise.withResolvers();
+        reject(sentinel);
+        promise.catch(() => {});
+        setTimeout(() => {
+            assert.deepStrictEqual(reportsOf(promise), []);
+            done();
+        }, 10);
+    });
+
+    specify("a handler attached after the report calls onRejectionHandled", function (done) {
+        const promise = adapter.Promise.reject(sentinel);
+        setTimeout(() => {
+            assert.strictEqual(reportsOf(promise).length, 1);
+            promise.then(null, () => {});
+            assert.deepStrictEqual(handledLate.filter(p => p === promise), [promise]);
+            done();
+        }, 10);
+    });
+
+    specify("then() without onRejected hands the rejection to the promise it returns, which is reported", function (done) {
+        const promise = adapter.Promise.reject(sentinel);
+        const derived = promise.then(() => other);
+        setTimeout(() => {
+            assert.deepStrictEqual([reportsOf(promise).length, reportsOf(derived).length], [0, 1]);
+            assert.strictEqual(reportsOf(derived)[0].reason, sentinel);
+            done();
+        }, 10);
+    });
+});
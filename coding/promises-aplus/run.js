@@ -0,0 +1,256 @@
+// Promises/A+ conformance run for the MyPromise polyfill (Polyfills.md, section 31)
+//
+// tests/ is the suite of promises-aplus-tests 2.1.2, copied unchanged (WTFPL, see
+// LICENSE.txt). It is written for mocha and uses sinon in 2.2.6; this file provides the
+// small part of both that the suite needs, so it runs on plain node. MyPromise is read
+// straight from the markdown, so the suite always checks what the document shows.
+// beyond.js, in the same style, covers what A+ leaves out: all / allSettled / any / race,
+// finally, withResolvers and the unhandled-rejection hooks.
+//
+// node coding/promises-aplus/run.js               → the 872 A+ cases, then beyond.js
+// node coding/promises-aplus/run.js 2.2.6 2.3.3   → sections starting with these numbers
+// node coding/promises-aplus/run.js --bail        → stop at the first failure
+// node coding/promises-aplus/run.js --module      → the Promise of coding/polyfills instead
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const util = require("util");
+const assert = require("assert");
+const Module = require("module");
+
+const POLYFILLS = path.join(__dirname, "..", "Polyfills.md");
+const TESTS_DIR = path.join(__dirname, "tests");
+const BEYOND = path.join(__dirname, "beyond.js");
+const TIMEOUT = 200; // the suite's own per-test timeout
+
+// Evaluates the code block of section 31; stack traces point into Polyfills.md
+function loadMyPromise() {
+    const source = fs.readFileSync(POLYFILLS, "utf8");
+    const fence = "```javascript\n";
+    const start = source.indexOf(fence, source.indexOf("### **31. Promise Polyfill")) + fence.length;
+    const end = source.indexOf("\n```", start);
+    const firstLine = source.slice(0, start).split("\n").length;
+    const code = `(function () {\n${source.slice(start, end)}\nreturn MyPromise;\n})()`;
+    return vm.runInThisContext(code, { filename: POLYFILLS, lineOffset: firstLine - 2 });
+}
+
+// Same shape promises-aplus-tests builds from an adapter that only has deferred(), plus
+// the class itself for beyond.js
+function adapterFor(MyPromise) {
+    const deferred = () => {
+        const { promise, resolve, reject } = MyPromise.withResolvers();
+        return { promise, resolve, reject };
+    };
+    return {
+        Promise: MyPromise,
+        deferred,
+        resolved(value) {
+            const d = deferred();
+            d.resolve(value);
+            return d.promise;
+        },
+        rejected(reason) {
+            const d = deferred();
+            d.reject(reason);
+            return d.promise;
+        },
+    };
+}
+
+// ─── sinon: spies and stubs, as far as 2.2.6 uses them ──────────────────────────────
+
+let callSequence = 0;
+const MATCHER = Symbol("matcher");
+
+function spy(fn = () => {}) {
+    const proxy = function (...args) {
+        proxy.calls.push({ args, order: ++callSequence });
+        return fn.apply(this, args);
+    };
+    proxy.calls = [];
+    proxy.displayName = fn.name || "spy";
+    return proxy;
+}
+
+function stub() {
+    let behavior = () => undefined;
+    const proxy = spy(() => behavior());
+    proxy.displayName = "stub";
+    proxy.returns = value => {
+        behavior = () => value;
+        return proxy;
+    };
+    proxy.throws = error => {
+        behavior = () => {
+            throw error;
+        };
+        return proxy;
+    };
+    return proxy;
+}
+
+const fail = message => {
+    throw new assert.AssertionError({ message });
+};
+const matches = (actual, expected) => (expected && expected[MATCHER] ? expected[MATCHER](actual) : util.isDeepStrictEqual(actual, expected));
+
+const sinon = {
+    spy,
+    stub,
+    match: {
+        same: expected => ({ [MATCHER]: actual => actual === expected }),
+    },
+    assert: {
+        calledWith(proxy, ...expected) {
+            if (!proxy.calls.some(call => expected.every((e, i) => matches(call.args[i], e)))) {
+                fail(`expected ${proxy.displayName} to be called with the given arguments`);
+            }
+        },
+        notCalled(proxy) {
+            if (proxy.calls.length) fail(`expected ${proxy.displayName} not to be called, but it was called ${proxy.calls.length} time(s)`);
+        },
+        callOrder(...proxies) {
+            const firsts = proxies.map(p => (p.calls.length ? p.calls[0].order : Infinity));
+            if (!firsts.every((order, i) => i === 0 || firsts[i - 1] < order)) {
+                fail(`expected ${proxies.map(p => p.displayName).join(", ")} to be called in that order`);
+            }
+        },
+    },
+};
+
+// ─── mocha: describe / specify with done callbacks, synchronous hooks ───────────────
+
+const MOCHA_GLOBALS = ["describe", "specify", "it", "beforeEach", "afterEach", "adapter"];
+
+function collectTests(adapter) {
+    const tests = [];
+    const suites = [];
+    global.adapter = adapter;
+    global.describe = (title, body) => {
+        suites.push({ title, beforeEach: [], afterEach: [] });
+        try {
+            body();
+        } finally {
+            suites.pop();
+        }
+    };
+    global.beforeEach = hook => suites[suites.length - 1].beforeEach.push(hook);
+    global.afterEach = hook => suites[suites.length - 1].afterEach.push(hook);
+    // Hooks are looked up when the test runs: a describe may add them after its specify calls
+    global.specify = global.it = (title, fn) => {
+        const scope = [...suites];
+        tests.push({
+            path: [...scope.map(suite => suite.title), title],
+            fn,
+            before: () => scope.flatMap(suite => suite.beforeEach),
+            after: () => scope.flatMap(suite => suite.afterEach).reverse(),
+        });
+    };
+
+    const requireModule = Module.prototype.require;
+    Module.prototype.require = function (id) {
+        return id === "sinon" ? sinon : requireModule.apply(this, arguments);
+    };
+    try {
+        fs.readdirSync(TESTS_DIR)
+            .filter(name => name.endsWith(".js"))
+            .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+            .forEach(name => require(path.join(TESTS_DIR, name)));
+        require(BEYOND);
+    } finally {
+        Module.prototype.require = requireModule;
+        MOCHA_GLOBALS.forEach(name => delete global[name]);
+    }
+    return tests;
+}
+
+// Errors thrown from timers land here; they belong to the test that is running
+let activeTest = null;
+const strayErrors = [];
+process.on("uncaughtException", error => (activeTest ? activeTest(error) : strayErrors.push(error)));
+
+function runTest(test) {
+    return new Promise(resolve => {
+        let finished = false;
+        const finish = error => {
+            if (finished) return;
+            finished = true;
+            clearTimeout(timer);
+            activeTest = null;
+            resolve(error || null);
+        };
+        const timer = setTimeout(() => finish(new Error(`timeout of ${TIMEOUT}ms exceeded`)), TIMEOUT);
+        activeTest = finish;
+        try {
+            if (test.fn.length === 0) {
+                test.fn();
+                finish(null);
+            } else {
+                test.fn(error => finish(error && !(error instanceof Error) ? new Error(`done() invoked with ${util.inspect(error)}`) : error));
+            }
+        } catch (error) {
+            finish(error);
+        }
+    });
+}
+
+async function main() {
+    const argv = process.argv.slice(2);
+    const sections = argv.filter(a => !a.startsWith("--"));
+    const bail = argv.includes("--bail");
+
+    const MyPromise = argv.includes("--module") ? require("../polyfills").ponyfill.Promise : loadMyPromise();
+    // The suite leaves plenty of rejections unhandled on purpose
+    MyPromise.onUnhandledRejection = () => {};
+
+    const tests = collectTests(adapterFor(MyPromise))
+        .filter(test => !sections.length || sections.some(s => test.path.some(title => title.startsWith(`${s}:`) || title.startsWith(`${s}.`))));
+    const failures = [];
+    const started = Date.now();
+    let section = null;
+    let sectionCount = 0;
+    let sectionFailures = 0;
+    const endSection = () => {
+        if (section) console.log(`${sectionFailures ? "✗" : "✓"} ${section}  (${sectionCount - sectionFailures}/${sectionCount})`);
+    };
+
+    for (const test of tests) {
+        if (test.path[0] !== section) {
+            endSection();
+            section = test.path[0];
+            sectionCount = 0;
+            sectionFailures = 0;
+        }
+        sectionCount++;
+        let error = null;
+        try {
+            test.before().forEach(hook => hook());
+            error = await runTest(test);
+        } finally {
+            try {
+                test.after().forEach(hook => hook());
+            } catch (hookError) {
+                error = error || hookError;
+            }
+        }
+        if (error) {
+            sectionFailures++;
+            failures.push({ test, error });
+            if (bail) break;
+        }
+    }
+    endSection();
+
+    failures.forEach(({ test, error }, i) => {
+        console.log(`\n${i + 1}) ${test.path.join("\n   ")}\n   ${String(error && error.message).split("\n").join("\n   ")}`);
+    });
+    strayErrors.forEach(error => console.log(`\nError thrown outside of any test: ${error.stack}`));
+    console.log(`\n${tests.length - failures.length} passing, ${failures.length} failing (${((Date.now() - started) / 1000).toFixed(1)}s)`);
+    process.exitCode = failures.length || strayErrors.length ? 1 : 0;
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+});
@@ -0,0 +1,56 @@
+"use strict";
+
+// This module exports some valid rejection reason factories, keyed by human-readable versions of their names.
+
+var adapter = global.adapter;
+var resolved = adapter.resolved;
+var rejected = adapter.rejected;
+
+var dummy = { dummy: "dummy" };
+
+exports["`undefined`"] = function () {
+    return undefined;
+};
+
+exports["`null`"] = function () {
+    return null;
+};
+
+exports["`false`"] = function () {
+    return false;
+};
+
+exports["`0`"] = function () {
+    return 0;
+};
+
+exports["an error"] = function () {
+    return new Error();
+};
+
+exports["an error without a stack"] = function () {
+    var error = new Error();
+    delete error.stack;
+
+    return error;
+};
+
+exports["a date"] = function () {
+    return new Date();
+};
+
+exports["an object"] = function () {
+    return {};
+};
+
+exports["an always-pending thenable"] = function () {
+    return { then: function () { } };
+};
+
+exports["a fulfilled promise"] = function () {
+    return resolved(dummy);
+};
+
+exports["a rejected promise"] = function () {
+    return rejected(dummy);
+};
@@ -0,0 +1,90 @@
+"use strict";
+// Equivalence run: every solution of a question on the same generated inputs
+//
+// For each question with several solutions (reverseArray / reverseArray2 / reverseArray3,
+// the five reverseString of the must-practice README, …), inputs.js generates argument
+// lists of growing size and every solution gets its own copy of each. The first one in
+// the markdown is the reference: another that answers differently, throws where it
+// doesn't, or runs past the time limit is a disagreement, shrunk to a minimal input with
+// conformance/property.js. Runs are seeded per question, and a failure prints the seed.
+//
+// node coding/variants/agree.js                         → every question
+// node coding/variants/agree.js questions/5 additional  → by key or collection
+// node coding/variants/agree.js --runs 1000 --seed 1234
+
+const util = require("util");
+const { check, hashSeed } = require("../conformance/property");
+const { option, positionals } = require("../conformance/options");
+const { like } = require("../extract/runtime");
+const { loadGroups, variantLabel, call, showOutcome } = require("./groups");
+
+const same = (a, b) => {
+    if ("value" in a && "value" in b) return like(a.value, b.value);
+    if ("threw" in a && "threw" in b) return true;
+    return "timeout" in a && "timeout" in b;
+};
+
+// undefined when every variant answers like the first, else all the outcomes
+function disagreement(group, args) {
+    const outcomes = group.variants.map((variant, i) => call(group, i, args));
+    return outcomes.every(outcome => same(outcome, outcomes[0])) ? undefined : { outcomes };
+}
+
+function report(group, result, seed) {
+    const title = `${group.key} ${group.name}`;
+    const count = `${group.variants.length} variants`;
+    if (group.spec.skip) return [`  – ${title}  (${group.spec.skip})`];
+    if (result.passed) return [`  ✓ ${title}  (${count}, ${result.runs} inputs)`];
+
+    const lines = [`  ✗ ${title}  (${count}; input ${result.runs}, ${result.shrinks} shrink${result.shrinks === 1 ? "" : "s"})`];
+    const args = result.counterexample.map(arg => util.inspect(arg, { depth: 4, breakLength: Infinity })).join(", ");
+    lines.push(`     ${group.name}(${args})`);
+    if (result.reason && result.reason.outcomes) {
+        const labels = group.variants.map((variant, i) => variantLabel(group, i));
+        const width = Math.max(...labels.map(label => label.length));
+        result.reason.outcomes.forEach((outcome, i) => {
+            lines.push(`       ${labels[i].padEnd(width)}  → ${showOutcome(outcome)}  ${group.variants[i].source}`);
+        });
+    } else {
+        lines.push(`     the check itself failed: ${result.reason instanceof Error ? result.reason.stack : String(result.reason)}`);
+    }
+    lines.push(`     reproduce: node coding/variants/agree.js --seed ${seed} ${group.key}`);
+    return lines;
+}
+
+function selected(group, filters) {
+    return !filters.length || filters.some(filter => group.key === filter || group.collection === filter);
+}
+
+function main() {
+    const argv = process.argv.slice(2);
+    const seed = option(argv, "--seed", Date.now() % 2 ** 31);
+    const runs = option(argv, "--runs", 100);
+    const filters = positionals(argv, ["--seed", "--runs"]);
+
+    const groups = loadGroups().filter(group => selected(group, filters));
+    const missing = groups.filter(group => !group.spec);
+    console.log(`seed ${seed}, ${runs} inputs per question`);
+
+    let compared = 0;
+    let failed = 0;
+    let collection = null;
+    for (const group of groups.filter(group => group.spec)) {
+        if (group.collection !== collection) console.log(`\n${(collection = group.collection)}`);
+        let result = null;
+        if (!group.spec.skip) {
+            result = check(group.spec.args, args => disagreement(group, args), { seed: hashSeed(seed, `${group.key} ${group.name}`), runs });
+            compared++;
+            if (!result.passed) failed++;
+        }
+        console.log(report(group, result, seed).join("\n"));
+    }
+
+    if (missing.length) {
+        console.log(`\nno inputs in inputs.js for ${missing.map(group => `${group.key} ${group.name}`).join(", ")}`);
+    }
+    console.log(`\n${compared} questions compared, ${runs} inputs each: ${failed} with solutions that disagree`);
+    process.exitCode = failed || missing.length ? 1 : 0;
+}
+
+main();
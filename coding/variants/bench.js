@@ -0,0 +1,147 @@
+"use strict";
+// Growth run: every solution of a question timed over growing inputs, against the
+// complexity the README documents
+//
+// Each question with `bench` inputs in inputs.js gets them at n = 16, 32, 64 … and every
+// solution is timed on the same ones: a fresh copy per call, made before the clock starts,
+// the median of five samples, each sample as many calls as fill a couple of milliseconds.
+// A solution stops growing once one call takes longer than the budget, or throws (the
+// recursive ones run out of stack). complexity.js then fits O(1) … O(n³) to the times,
+// and a solution whose best fit has another power of n than its `// Time:` comment or
+// Complexity Analysis row says is flagged. Log factors aren't told apart from noise.
+//
+// node coding/variants/bench.js                         → every question
+// node coding/variants/bench.js must-practice questions/9   → by key or collection
+// node coding/variants/bench.js --max 4096 --budget 20  → smaller inputs, less waiting
+
+const { SOURCES, readQuestions } = require("../extract/markdown");
+const { random, hashSeed } = require("../conformance/property");
+const { option, positionals } = require("../conformance/options");
+const { loadGroups, variantLabel, perVariant, clone, withTimeLimit } = require("./groups");
+const { parseBigO, documentedComplexity, fit, contradicts } = require("./complexity");
+
+const SAMPLES = 5;
+const SAMPLE_TIME = 2; // ms
+const MIN_SIZE = 16;
+const MIN_POINTS = 4;
+// Copies made ahead of one sample, in elements: 1M numbers is some 8 MB
+const COPY_BUDGET = 2 ** 20;
+
+const now = () => Number(process.hrtime.bigint()) / 1e6;
+
+// ms per call over `count` calls, each on its own copy of args
+function sample(fn, args, count) {
+    const copies = Array.from({ length: count }, () => clone(args));
+    return withTimeLimit(() => {
+        const start = now();
+        for (const copy of copies) fn(...copy);
+        return (now() - start) / count;
+    }, 60 * 1000);
+}
+
+const median = values => [...values].sort((a, b) => a - b)[values.length >> 1];
+
+// → { time } (ms per call) or { error }
+function measure(fn, args, n) {
+    let single;
+    try {
+        single = sample(fn, args, 1);
+    } catch (error) {
+        return { error };
+    }
+    const count = Math.max(1, Math.min(Math.floor(COPY_BUDGET / n), Math.round(SAMPLE_TIME / Math.max(single, 1e-4))));
+    const times = [];
+    for (let i = 0; i < SAMPLES; i++) times.push(sample(fn, args, count));
+    return { time: median(times), single };
+}
+
+// → { points: [{ n, time }], stopped } for one variant over the sizes
+function grow(group, index, inputs, budget) {
+    const adapt = perVariant(group.spec.adapt, index);
+    const fn = adapt ? (original => (...args) => original(...adapt(args)))(group.variants[index].fn) : group.variants[index].fn;
+    // Warm up on the smallest input, so the first points don't time the interpreter
+    const [first] = inputs;
+    try {
+        for (const deadline = now() + 20; now() < deadline; ) sample(fn, first.args, 10);
+    } catch (error) {
+        // measure() reports it
+    }
+
+    const points = [];
+    for (const { n, args } of inputs) {
+        const result = measure(fn, args, n);
+        if (result.error) {
+            const { error } = result;
+            return { points, stopped: `${error instanceof Error ? error.constructor.name : "throws"} at n = ${n}` };
+        }
+        points.push({ n, time: result.time });
+        if (result.single > budget) return { points, stopped: points.length < inputs.length ? `over ${budget} ms a call at n = ${n}` : null };
+    }
+    return { points, stopped: null };
+}
+
+const formatTime = ms => (ms >= 1 ? `${ms.toFixed(1)} ms` : ms >= 1e-3 ? `${(ms * 1e3).toFixed(1)} µs` : `${(ms * 1e6).toFixed(0)} ns`);
+
+function selected(group, filters) {
+    return !filters.length || filters.some(filter => group.key === filter || group.collection === filter);
+}
+
+function main() {
+    const argv = process.argv.slice(2);
+    const seed = option(argv, "--seed", Date.now() % 2 ** 31);
+    const max = option(argv, "--max", 2 ** 16);
+    const budget = option(argv, "--budget", 50);
+    const filters = positionals(argv, ["--seed", "--max", "--budget"]);
+
+    const groups = loadGroups().filter(group => selected(group, filters) && group.spec && group.spec.bench);
+    const questions = SOURCES.flatMap(source => readQuestions(source).questions);
+    const documented = documentedComplexity(questions, question =>
+        groups
+            .filter(group => group.key === `${question.collection}/${question.number}` && group.spec.rows)
+            .map(group => ({ sources: group.variants.map(variant => variant.source), rows: group.spec.rows }))
+    );
+
+    console.log(`seed ${seed}, n = ${MIN_SIZE} … ${max}, ${budget} ms a call at most`);
+    let timed = 0;
+    let compared = 0;
+    const flagged = [];
+    for (const group of groups) {
+        const inputs = [];
+        for (let n = MIN_SIZE; n <= max; n *= 2) inputs.push({ n, args: group.spec.bench.args(n, random(hashSeed(seed, `${group.key} ${n}`))) });
+        console.log(`\n${group.key} ${group.name}  (n = ${group.spec.bench.n})`);
+
+        const labels = group.variants.map((variant, i) => variantLabel(group, i));
+        const width = Math.max(...labels.map(label => label.length));
+        group.variants.forEach((variant, i) => {
+            const { points, stopped } = grow(group, i, inputs, budget);
+            const claim = documented.get(variant.source);
+            const claimed = claim && parseBigO(claim.text);
+            const last = points.length ? `${formatTime(points[points.length - 1].time)} at n = ${points[points.length - 1].n}` : "";
+            const where = stopped ? `; stopped: ${stopped}` : "";
+            let line = `  ${labels[i].padEnd(width)}  `;
+            if (points.length < MIN_POINTS) {
+                console.log(`${line}too few sizes to fit (${points.length})${where}`);
+                return;
+            }
+            timed++;
+            const measured = fit(points);
+            line += `${measured.best.model.name.padEnd(11)} slope ${measured.slope.toFixed(2).padStart(5)}  (${last}${where})`;
+            if (claim) line += `  documented ${claim.text}`;
+            if (claim && !claimed) line += " – not compared";
+            if (claimed) {
+                compared++;
+                if (contradicts(measured, claimed)) {
+                    line += "  ✗";
+                    flagged.push(`${group.key} ${labels[i]}: measured ${measured.best.model.name}, documented ${claim.text} at ${claim.where}`);
+                }
+            }
+            console.log(line);
+        });
+    }
+
+    console.log(`\n${timed} solutions timed, ${compared} with a documented complexity: ${flagged.length} contradict it`);
+    for (const line of flagged) console.log(`  ✗ ${line}`);
+    process.exitCode = flagged.length ? 1 : 0;
+}
+
+main();
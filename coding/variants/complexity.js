@@ -0,0 +1,160 @@
+"use strict";
+// Big-O as the READMEs write it, and as the clock measures it
+//
+// parseBigO("O(n log n)") → { power: 1, log: 1 }, or null for anything in a second
+// variable or with a condition attached ("O(n * m)", "O(1) after first call")
+//
+// documentedComplexity(questions) → Map of "file:line" (a function's first line, the way
+// the extracted variants give their source) → { text, where }, from two places:
+//   - a `// Time: O(…)` comment in a block, which documents the function above it
+//   - a row of the question's "### Complexity Analysis" table, for the variants the
+//     inputs table maps to one (see `rows` in inputs.js)
+//
+// fit(points) → the model of MODELS that best explains [{ n, time }], along with the
+// slope of log(time) against log(n)
+
+const { parse } = require("../../Variable declaration/js-parser");
+
+// ─── reading Big-O ──────────────────────────────────────────────────────────────────
+
+const SUPERSCRIPTS = { "²": "^2", "³": "^3" };
+
+function parseBigO(text) {
+    const match = /^O\((.*)\)$/.exec(text.trim());
+    if (!match) return null;
+    const expression = match[1]
+        .replace(/[²³]/g, digit => SUPERSCRIPTS[digit])
+        .replace(/log[₀-₉_0-9]*\s*/g, "log ")
+        .replace(/\s+/g, " ")
+        .trim();
+    const terms = /^(?:(1)|(n)(?:\^([23]))?)(?: \* | ·| )?(log n)?$/.exec(expression);
+    if (terms && !(terms[1] && terms[4])) return { power: terms[1] ? 0 : Number(terms[3] || 1), log: terms[4] ? 1 : 0 };
+    if (expression === "log n") return { power: 0, log: 1 };
+    return null;
+}
+
+// "O(n²) - substr creates new string each time" → "O(n²)"
+function leadingBigO(text) {
+    const match = /O\([^)]*\)/.exec(text);
+    return match && text.slice(0, match.index).trim() === "" ? match[0] : null;
+}
+
+const bigO = ({ power, log }) =>
+    power === 0 && !log ? "O(1)" : `O(${[power === 0 ? "" : power === 1 ? "n" : `n${["", "", "²", "³"][power]}`, log ? "log n" : ""].filter(Boolean).join(" ")})`;
+
+// ─── what the READMEs document ──────────────────────────────────────────────────────
+
+function timeComments(question, documented) {
+    for (const block of question.blocks) {
+        const ast = parse(block.code);
+        const functions = ast.body.filter(node => node.type === "FunctionDeclaration");
+        for (const comment of ast.comments) {
+            const match = /^\s*Time:\s*(.*)$/.exec(comment.value);
+            const text = match && leadingBigO(match[1]);
+            const owner = text && functions.filter(fn => fn.end <= comment.start).pop();
+            if (!owner) continue;
+            const line = block.line + owner.loc.start.line - 1;
+            documented.set(`${question.source}:${line}`, { text, where: `${question.source}:${block.line + comment.loc.start.line - 1}` });
+        }
+    }
+}
+
+// The table's row whose label cells (everything but the complexity columns) include
+// `label`, or whose labels joined with " – " are exactly it
+function tableRow(question, label) {
+    for (const table of question.complexity) {
+        const time = table.columns.findIndex(column => /^time/i.test(column));
+        if (time === -1) continue;
+        const labels = cells => cells.filter((cell, i) => !/complexity/i.test(table.columns[i]));
+        const rows = table.rows.filter(({ cells }) => labels(cells).join(" – ") === label || labels(cells).includes(label));
+        if (rows.length === 1) return { text: rows[0].cells[time], where: `${question.source}:${rows[0].line}` };
+        if (rows.length > 1) throw new Error(`"${label}" names ${rows.length} rows of the table at ${question.source}:${table.line}`);
+    }
+    throw new Error(`no row "${label}" in the complexity tables of ${question.source}:${question.line}`);
+}
+
+// questions: readQuestions() output; rows: (question, sources of a group's variants) →
+// the table row label of each, or null
+function documentedComplexity(questions, rowsOf = () => []) {
+    const documented = new Map();
+    for (const question of questions) {
+        timeComments(question, documented);
+        for (const { sources, rows } of rowsOf(question)) {
+            sources.forEach((source, i) => {
+                if (rows[i] && !documented.has(source)) documented.set(source, tableRow(question, rows[i]));
+            });
+        }
+    }
+    return documented;
+}
+
+// ─── fitting a growth curve ─────────────────────────────────────────────────────────
+
+const MODELS = [
+    { power: 0, log: 0 },
+    { power: 0, log: 1 },
+    { power: 1, log: 0 },
+    { power: 1, log: 1 },
+    { power: 2, log: 0 },
+    { power: 2, log: 1 },
+    { power: 3, log: 0 },
+].map(model => ({ ...model, name: bigO(model), f: n => n ** model.power * (model.log ? Math.log2(Math.max(n, 2)) : 1) }));
+
+// time ≈ a + b·f(n), a being the fixed cost of a call, fitted by least squares on the
+// relative error (a 10 µs point weighs as much as a 10 ms one). The error is the mean
+// squared relative residual; a model needing a negative a or b gets a = 0.
+function fitModel(model, points) {
+    const rows = points.map(({ n, time }) => ({ x: model.f(n) / time, one: 1 / time }));
+    const residual = (a, b) => rows.reduce((sum, { x, one }) => sum + (a * one + b * x - 1) ** 2, 0) / rows.length;
+    const bOnly = () => {
+        const b = rows.reduce((sum, { x }) => sum + x, 0) / rows.reduce((sum, { x }) => sum + x * x, 0);
+        return { a: 0, b, error: residual(0, b) };
+    };
+    if (model.power === 0 && !model.log) return { model, ...bOnly() };
+
+    // normal equations of min Σ (a·one + b·x − 1)²
+    let ss = 0, sx = 0, xx = 0, s1 = 0, x1 = 0;
+    for (const { x, one } of rows) {
+        ss += one * one;
+        sx += one * x;
+        xx += x * x;
+        s1 += one;
+        x1 += x;
+    }
+    const det = ss * xx - sx * sx;
+    const a = (s1 * xx - x1 * sx) / det;
+    const b = (ss * x1 - sx * s1) / det;
+    if (!Number.isFinite(a) || !Number.isFinite(b) || a < 0 || b <= 0) return { model, ...bOnly() };
+    return { model, a, b, error: residual(a, b) };
+}
+
+// Least squares slope of log(time) on log(n): ~1 for linear, ~2 for quadratic, where the
+// fixed cost of a call doesn't flatten it
+function slope(points) {
+    const xs = points.map(p => Math.log(p.n));
+    const ys = points.map(p => Math.log(p.time));
+    const mx = xs.reduce((a, b) => a + b) / xs.length;
+    const my = ys.reduce((a, b) => a + b) / ys.length;
+    let num = 0, den = 0;
+    xs.forEach((x, i) => {
+        num += (x - mx) * (ys[i] - my);
+        den += (x - mx) ** 2;
+    });
+    return num / den;
+}
+
+// → { best, fits (best first), slope }
+function fit(points) {
+    const fits = MODELS.map(model => fitModel(model, points)).sort((a, b) => a.error - b.error);
+    return { best: fits[0], fits, slope: slope(points) };
+}
+
+// The measurement contradicts the documentation when the best fit has a different power
+// of n and explains the times clearly better (log factors are within the noise)
+function contradicts(measured, documented) {
+    if (measured.best.model.power === documented.power) return false;
+    const claimed = measured.fits.find(({ model }) => model.power === documented.power && model.log === documented.log);
+    return !claimed || claimed.error > 2 * measured.best.error;
+}
+
+module.exports = { parseBigO, bigO, documentedComplexity, MODELS, fit, contradicts };
@@ -0,0 +1,130 @@
+"use strict";
+// The questions with more than one solution, as the extracted modules give them
+//
+// loadGroups() → [{ key: "questions/5", collection, number, title, name, variants, spec }]
+// for every export whose .variants has two or more entries, spec being its entry in
+// inputs.js (undefined when nobody wrote one). The modules come from coding/extracted/,
+// extracted again first when the markdown has changed since.
+//
+// The polyfill questions install themselves on the built-ins as they load –
+// Function.prototype.call and apply among them, which Node's own streams go through – so
+// whatever a module changes on a global or a built-in prototype is put back once it has
+// loaded. None of the multi-solution questions relies on those.
+//
+// call(group, index, args) → { value } | { threw } | { timeout }, on a copy of args
+
+const util = require("util");
+const vm = require("vm");
+const { questions } = require("../extract/load");
+const { INPUTS } = require("./inputs");
+
+// Every global and built-in prototype → its own property descriptors
+function snapshotBuiltIns() {
+    const objects = new Set([globalThis]);
+    for (const name of Object.getOwnPropertyNames(globalThis)) {
+        const descriptor = Object.getOwnPropertyDescriptor(globalThis, name);
+        const value = descriptor && descriptor.value;
+        if (typeof value !== "function" && (typeof value !== "object" || value === null)) continue;
+        objects.add(value);
+        if (typeof value === "function" && value.prototype) objects.add(value.prototype);
+    }
+    return new Map([...objects].map(object => [object, Object.getOwnPropertyDescriptors(object)]));
+}
+
+const sameDescriptor = (a, b) => ["value", "get", "set", "writable", "enumerable", "configurable"].every(key => Object.is(a[key], b[key]));
+
+function restoreBuiltIns(snapshot) {
+    for (const [object, descriptors] of snapshot) {
+        for (const key of Reflect.ownKeys(object)) {
+            if (!(key in descriptors)) delete object[key];
+        }
+        for (const key of Reflect.ownKeys(descriptors)) {
+            const current = Object.getOwnPropertyDescriptor(object, key);
+            if (!current || !sameDescriptor(current, descriptors[key])) Object.defineProperty(object, key, descriptors[key]);
+        }
+    }
+}
+
+function loadGroups() {
+    const groups = [];
+    const builtIns = snapshotBuiltIns();
+    for (const question of questions()) {
+        let module;
+        try {
+            module = question.load();
+        } finally {
+            restoreBuiltIns(builtIns);
+        }
+        for (const name of question.exports) {
+            const { variants } = module[name];
+            if (!variants || variants.length < 2) continue;
+            const key = `${question.collection}/${question.number}`;
+            const specs = INPUTS[key] || {};
+            groups.push({ key, collection: question.collection, number: question.number, title: question.title, name, variants, spec: specs[name] });
+        }
+    }
+    return groups;
+}
+
+// "reverseArray2", or "reverseString (line 46)" where the variants share a name
+function variantLabel(group, index) {
+    const { name, source } = group.variants[index];
+    const shared = group.variants.filter(v => v.name === name).length > 1;
+    return shared ? `${name} (line ${source.slice(source.lastIndexOf(":") + 1)})` : name;
+}
+
+// Arrays and plain objects are copied all the way down – some solutions sort or rotate
+// their input in place, and the next one must see it untouched. Functions and
+// primitives are shared.
+function clone(value) {
+    if (Array.isArray(value)) return value.map(clone);
+    if (value !== null && typeof value === "object" && Object.getPrototypeOf(value) === Object.prototype) {
+        return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, clone(v)]));
+    }
+    return value;
+}
+
+// A spec's per-variant option: one function for every variant, or a list by index
+function perVariant(option, index) {
+    return Array.isArray(option) ? option[index] : option;
+}
+
+// Calls run under a time limit, like the conformance harness's: gcd by subtraction given
+// a 0 would otherwise loop forever
+const TIME_LIMIT = 1000;
+const THUNK = Symbol.for("variants.thunk");
+const timedCall = new vm.Script("globalThis[Symbol.for('variants.thunk')]()");
+
+function withTimeLimit(thunk, timeout = TIME_LIMIT) {
+    Object.defineProperty(globalThis, THUNK, { value: thunk, configurable: true });
+    try {
+        return timedCall.runInThisContext({ timeout });
+    } finally {
+        delete globalThis[THUNK];
+    }
+}
+
+const isTimeout = error => error && error.code === "ERR_SCRIPT_EXECUTION_TIMEOUT";
+
+function call(group, index, args) {
+    const { fn } = group.variants[index];
+    const { adapt, normalize } = group.spec;
+    const adapted = perVariant(adapt, index);
+    const normalized = perVariant(normalize, index);
+    try {
+        const copy = clone(args);
+        const value = withTimeLimit(() => fn(...(adapted ? adapted(copy) : copy)));
+        return { value: normalized ? normalized(value, clone(args)) : value };
+    } catch (error) {
+        if (isTimeout(error)) return { timeout: TIME_LIMIT };
+        return { threw: error instanceof Error ? error.constructor.name : util.inspect(error) };
+    }
+}
+
+function showOutcome(outcome) {
+    if ("timeout" in outcome) return `did not finish within ${outcome.timeout} ms`;
+    if ("threw" in outcome) return `throws ${outcome.threw}`;
+    return util.inspect(outcome.value, { depth: 4, breakLength: Infinity, maxArrayLength: 20 });
+}
+
+module.exports = { loadGroups, variantLabel, perVariant, clone, call, showOutcome, withTimeLimit, isTimeout };
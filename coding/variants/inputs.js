@@ -0,0 +1,401 @@
+"use strict";
+// Generated inputs for the questions with several solutions: "collection/number" →
+// export name → spec
+//
+//   args       arbitrary of argument lists (property.js), for the equivalence check
+//   bench      { n: what n counts, args: (n, rand) → argument list of size n } for the
+//              timings; questions whose cost hangs on a number's magnitude have none
+//   normalize  (result, args) → what gets compared, when solutions may legitimately
+//              answer differently (any order of the permutations); a list gives one per
+//              variant, in the order of the markdown
+//   adapt      args → the arguments for one variant, listed the same way, when a
+//              solution takes its input in another shape (groupBy3 takes a function)
+//   rows       the "Complexity Analysis" table row documenting each variant, or null
+//   skip       why the variants aren't called at all
+//
+// The generated inputs stay inside what every solution of a question was written for:
+// where one of them only handles lowercase words, say, all of them get lowercase words,
+// and a comment says which solution draws the line.
+
+const {
+    integer,
+    constantFrom,
+    oneOf,
+    frequency,
+    tuple,
+    record,
+    array,
+    string,
+    ascii,
+    nested,
+} = require("../conformance/property");
+
+// ─── building blocks ────────────────────────────────────────────────────────────────
+
+const int = integer(-50, 50);
+const ints = options => array(int, options);
+const positive = (max = 1000) => integer(1, max);
+const codePoints = alphabet => constantFrom(...[...alphabet].map(char => char.codePointAt(0)));
+const text = (alphabet, options) => string(codePoints(alphabet), options);
+const distinct = arbitrary => arbitrary.map(list => [...new Set(list)]);
+
+const LOWER = "abcdefghijklmnopqrstuvwxyz";
+const UPPER = LOWER.toUpperCase();
+const DIGITS = "0123456789";
+
+// Lowercase words joined by one separator each
+const words = (separator = " ", options = {}) =>
+    array(text("abcde", { minLength: 1, maxLength: 5 }), options).map(list => list.join(separator));
+
+// Strings that are palindromes half of the time
+const palindromic = (alphabet, { maxLength = 10 } = {}) =>
+    oneOf(
+        text(alphabet, { maxLength }),
+        tuple(text(alphabet, { maxLength: maxLength >> 1 }), text(alphabet, { maxLength: 1 })).map(([half, middle]) => half + middle + [...half].reverse().join(""))
+    );
+
+// Palindromic numbers half of the time, all of them safe integers
+const palindromicNumber = oneOf(integer(-1000, 100000), palindromic(DIGITS, { maxLength: 15 }).map(s => Number(s || "0")));
+
+// Pairs of arrays that are equal (or anagrams, or …) some of the time
+const pairOf = (arbitrary, related) => oneOf(tuple(arbitrary, arbitrary), arbitrary.map(value => [value, related(value)]));
+const shuffled = list => list.map((value, i) => [(i * 7919) % (list.length + 3), value]).sort((a, b) => a[0] - b[0]).map(([, value]) => value);
+
+// JSON data: what the JSON-based solutions can copy and compare
+const jsonLeaf = oneOf(int, text("abc", { maxLength: 3 }), constantFrom(true, false, null));
+const json = (depth = 3) => {
+    if (depth === 0) return jsonLeaf;
+    const inner = json(depth - 1);
+    return frequency([3, jsonLeaf], [1, array(inner, { maxLength: 4 })], [1, dictionary(inner)]);
+};
+const dictionary = (value, { keys = "abcd", minLength = 0 } = {}) =>
+    array(tuple(text(keys, { minLength: 1, maxLength: 2 }), value), { minLength, maxLength: 4 }).map(entries => Object.fromEntries(entries));
+const object = (depth = 3) => dictionary(json(depth - 1));
+
+// Nested plain objects only, keyed by letters – what flatten / unflatten round-trip
+const tree = (depth = 3, options = {}) =>
+    dictionary(depth === 0 ? int : frequency([2, int], [1, tree(depth - 1, { minLength: 1 })]), options);
+
+// ─── benchmark inputs ───────────────────────────────────────────────────────────────
+
+const randomInts = (n, rand, max = 1e6) => Array.from({ length: n }, () => rand.int(-max, max));
+const randomText = (n, rand, alphabet = LOWER) => Array.from({ length: n }, () => alphabet[rand.int(0, alphabet.length - 1)]).join("");
+const randomWords = (n, rand, separator = " ") => randomText(n, rand, "abcde    ").replace(/ +/g, separator).replace(new RegExp(`^\\${separator}+|\\${separator}+$`, "g"), "") || "a";
+
+// n leaves in arrays nested up to four deep
+function randomNested(n, rand) {
+    const build = (count, depth) => {
+        const result = [];
+        while (count > 0) {
+            const take = depth < 4 && rand.bool(0.3) ? rand.int(1, Math.ceil(count / 2)) : 1;
+            result.push(take === 1 ? rand.int(0, 99) : build(take, depth + 1));
+            count -= take;
+        }
+        return result;
+    };
+    return build(n, 0);
+}
+
+// An object of n keys, a third of them nested one level down
+function randomObject(n, rand) {
+    const result = {};
+    for (let i = 0; i < n; i++) {
+        if (i % 3 === 2) result[`k${i}`] = { a: rand.int(0, 99), b: `v${i}` };
+        else result[`k${i}`] = i % 3 ? `v${i}` : rand.int(0, 99);
+    }
+    return result;
+}
+
+const bench = (n, args) => ({ n, args });
+const benchInts = bench("elements", (n, rand) => [randomInts(n, rand)]);
+const benchText = bench("characters", (n, rand) => [randomText(n, rand)]);
+const benchNested = bench("leaves", (n, rand) => [randomNested(n, rand)]);
+
+// ─── normalizing ────────────────────────────────────────────────────────────────────
+
+const byJSON = (a, b) => (JSON.stringify(a) < JSON.stringify(b) ? -1 : JSON.stringify(a) > JSON.stringify(b) ? 1 : 0);
+const unordered = list => [...list].sort(byJSON);
+const sortedKeys = obj => Object.fromEntries(Object.entries(obj).sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0)));
+
+// Whether every object reachable from value is frozen, next to its contents
+function frozen(value) {
+    if (value === null || typeof value !== "object") return value;
+    return { frozen: Object.isFrozen(value), contents: Object.entries(value).map(([key, v]) => [key, frozen(v)]) };
+}
+
+// ─── callbacks ──────────────────────────────────────────────────────────────────────
+
+const double = x => x * 2;
+const plusIndex = (x, i) => x + i;
+const lengthOfArray = (x, i, arr) => arr.length;
+const isEven = x => x % 2 === 0;
+const evenIndex = (x, i) => i % 2 === 0;
+const isPositive = x => x > 0;
+
+// ─── the questions ──────────────────────────────────────────────────────────────────
+
+const INPUTS = {
+    "questions/1": { reverseArray: { args: tuple(ints()), bench: benchInts } },
+    "questions/2": { secondLargest: { args: tuple(array(integer(-5, 5))), bench: benchInts } },
+    "questions/3": { removeDuplicates: { args: tuple(array(integer(-5, 5))), bench: bench("elements", (n, rand) => [randomInts(n, rand, n)]) } },
+    "questions/4": {
+        // Flat arrays: Solution 2 compares nested arrays by reference, Solution 3 deeply
+        arraysEqual: { args: pairOf(ints({ maxLength: 5 }), list => [...list]), bench: bench("elements, equal", (n, rand) => (list => [list, [...list]])(randomInts(n, rand))) },
+    },
+    "questions/5": {
+        // Solution 3 pops from an empty array forever, so there is at least one element
+        rotateArray: {
+            args: tuple(ints({ minLength: 1 }), integer(0, 20)),
+            bench: bench("elements, rotated by n / 3", (n, rand) => [randomInts(n, rand), Math.floor(n / 3)]),
+        },
+    },
+    "questions/6": {
+        // Without duplicates in either array: Solution 1 answers a set, Solution 2 a multiset
+        intersection: {
+            args: tuple(distinct(array(integer(0, 10))), distinct(array(integer(0, 10)))),
+            bench: bench("elements in each array", (n, rand) => [[...new Set(randomInts(n, rand, n))], [...new Set(randomInts(n, rand, n))]]),
+        },
+    },
+    "questions/7": { union: { args: tuple(array(integer(-5, 5)), array(integer(-5, 5))), bench: bench("elements in each array", (n, rand) => [randomInts(n, rand, n), randomInts(n, rand, n)]) } },
+    "questions/8": { arrayDifference: { args: tuple(array(integer(-5, 5)), array(integer(-5, 5))), bench: bench("elements in each array", (n, rand) => [randomInts(n, rand, n), randomInts(n, rand, n)]) } },
+    "questions/9": { flattenArray: { args: tuple(array(nested(int))), bench: benchNested } },
+    "questions/10": { chunkArray: { args: tuple(ints(), integer(1, 5)), bench: bench("elements, in chunks of 3", (n, rand) => [randomInts(n, rand), 3]) } },
+    "questions/11": { frequencyCounter: { args: tuple(array(integer(-5, 5))), bench: bench("elements", (n, rand) => [randomInts(n, rand, 100)]) } },
+    "questions/12": { moveZeros: { args: tuple(array(integer(0, 3))), bench: bench("elements", (n, rand) => [randomInts(n, rand, 2)]) } },
+    "questions/13": { sortColors: { args: tuple(array(integer(0, 2))), bench: bench("elements", (n, rand) => [Array.from({ length: n }, () => rand.int(0, 2))]) } },
+    "questions/14": {
+        isSorted: {
+            args: oneOf(tuple(array(integer(0, 5))), array(integer(0, 5)).map(list => [list.sort((a, b) => a - b)])),
+            bench: bench("elements, sorted", (n, rand) => [randomInts(n, rand).sort((a, b) => a - b)]),
+        },
+    },
+    "questions/15": { customMap: { args: tuple(ints(), constantFrom(double, plusIndex, lengthOfArray)), bench: bench("elements", (n, rand) => [randomInts(n, rand), double]) } },
+    "questions/16": { customFilter: { args: tuple(ints(), constantFrom(isEven, evenIndex)), bench: bench("elements", (n, rand) => [randomInts(n, rand), isEven]) } },
+    "questions/18": {
+        // The first solution answers indices, the others values, and the two-pointer one
+        // may find another pair: compared is whether each found a pair that sums up
+        twoSum: {
+            args: tuple(array(integer(-10, 10)), integer(-15, 15)),
+            normalize: [
+                (result, [arr, target]) => (result === null ? null : result[0] !== result[1] && arr[result[0]] + arr[result[1]] === target),
+                (result, [, target]) => (result === null ? null : result[0] + result[1] === target),
+                (result, [, target]) => (result === null ? null : result[0] + result[1] === target),
+            ],
+            bench: bench("elements, no pair", (n, rand) => [randomInts(n, rand).map(x => x * 2), 1]),
+        },
+    },
+    "questions/19": { longestConsecutive: { args: tuple(array(integer(0, 15))), bench: bench("elements", (n, rand) => [randomInts(n, rand, n)]) } },
+    "questions/20": {
+        // Solution 3 returns the middle element whether or not it is a majority
+        majorityElement: {
+            args: tuple(integer(0, 3), array(integer(0, 3))).map(([majority, others]) => [
+                shuffled([...others, ...Array(others.length + 1).fill(majority)]),
+            ]),
+            bench: bench("elements", (n, rand) => [Array.from({ length: n }, (_, i) => (i % 3 ? 7 : rand.int(0, 9)))]),
+        },
+    },
+    "questions/21": {
+        // Code units one by one: the three split surrogate pairs alike
+        reverseString: { args: tuple(string()), bench: benchText },
+    },
+    "questions/22": { isPalindrome: { args: tuple(palindromic("ab")), bench: bench("characters, a palindrome", (n, rand) => [(half => half + [...half].reverse().join(""))(randomText(n >> 1, rand))]) } },
+    // ASCII: Solution 2 lowercases first, and "İ" lowercases to an "i" and a dot
+    "questions/23": { countVowelsConsonants: { args: tuple(string(ascii())), bench: bench("characters", (n, rand) => [randomText(n, rand, LOWER + UPPER + " ,")]) } },
+    "questions/24": {
+        // Letters only: Solution 1 drops everything else before comparing, Solution 2 doesn't
+        isAnagram: {
+            args: pairOf(text("abcAB"), s => shuffled([...s]).join("")),
+            bench: bench("characters in each string", (n, rand) => (s => [s, shuffled([...s]).join("")])(randomText(n, rand))),
+        },
+    },
+    "questions/25": { firstNonRepeating: { args: tuple(text("abcd")), bench: bench("characters", (n, rand) => [randomText(n, rand) + "!"]) } },
+    // ASCII: Solution 1 walks code points, Solution 2 code units
+    "questions/26": { firstRepeating: { args: tuple(string(ascii())), bench: bench("characters, all different", (n, rand) => [Array.from({ length: n }, (_, i) => String.fromCharCode(0x4e00 + (i % 0x8a00))).join("")]) } },
+    "questions/27": {
+        // Lowercase words between spaces: Solution 2 capitalizes after any word boundary
+        // and leaves the rest of the word alone
+        capitalizeWords: { args: tuple(text("ab ")), bench: bench("characters", (n, rand) => [randomWords(n, rand)]) },
+    },
+    "questions/28": { longestWord: { args: tuple(text("abc ")), bench: bench("characters", (n, rand) => [randomWords(n, rand)]) } },
+    "questions/29": {
+        // Lowercase words, one separator between two: Solution 2 neither lowercases nor
+        // collapses repeated separators
+        toCamelCase: {
+            args: tuple(array(text("abc", { minLength: 1, maxLength: 4 }), { minLength: 1 }), array(constantFrom("_", "-", " "))).map(([list, separators]) => [
+                list.reduce((joined, word, i) => joined + (i ? separators[i % (separators.length || 1)] || "_" : "") + word, ""),
+            ]),
+            bench: bench("characters", (n, rand) => [randomWords(n, rand, "_")]),
+        },
+    },
+    "questions/30": {
+        // camelCase identifiers without acronyms: Solution 1 splits only between a lowercase
+        // letter and a capital, Solution 2 before every capital ("aAB" → "a_a_b")
+        toSnakeCase: {
+            args: tuple(text("ab", { minLength: 1 }), array(text("Ab", { minLength: 2 }).map(word => word[0].toUpperCase() + word.slice(1).toLowerCase()))).map(
+                ([first, rest]) => [first.toLowerCase() + rest.join("")]
+            ),
+            bench: bench("characters", (n, rand) => [randomText(n, rand, "abcdefgH")]),
+        },
+    },
+    "questions/31": {
+        isRotation: {
+            args: pairOf(text("ab", { minLength: 1 }), s => (k => s.slice(k) + s.slice(0, k))(s.length >> 1)),
+            bench: bench("characters in each string", (n, rand) => (s => [s, s.slice(1) + s[0]])(randomText(n, rand, "ab"))),
+        },
+    },
+    // Spaces only: Solutions 2 and 3 leave tabs and newlines in
+    "questions/32": { removeWhitespace: { args: tuple(text("ab ")), bench: bench("characters", (n, rand) => [randomText(n, rand, "ab ")]) } },
+    "questions/33": { compressString: { args: tuple(text("aab")), bench: bench("characters", (n, rand) => [randomText(n, rand, "aab")]) } },
+    // Round brackets and letters: Solution 2 counts no other kind
+    "questions/34": { isBalanced: { args: tuple(oneOf(text("()a"), array(constantFrom("()", "(())", "a")).map(parts => parts.join("")))), bench: bench("characters, balanced", (n, rand) => ["(".repeat(n >> 1) + ")".repeat(n >> 1)]) } },
+    "questions/35": { isValidEmail: { skip: "the three accept different sets of addresses by design (Solution 2 wants a letters-only top-level domain)" } },
+    "questions/36": { reverseWords: { args: tuple(words()), bench: bench("characters", (n, rand) => [randomWords(n, rand)]) } },
+    "questions/37": { longestUniqueSubstring: { args: tuple(text("abcd")), bench: benchText } },
+    "questions/38": {
+        // Ties: the expansion keeps the first longest palindrome, the table the last
+        longestPalindrome: {
+            args: tuple(palindromic("abc")),
+            normalize: (result, [str]) => (str.includes(result) && result === [...result].reverse().join("") ? result.length : `not a palindromic substring: ${result}`),
+            bench: bench("characters", (n, rand) => [randomText(n, rand, "ab")]),
+        },
+    },
+    "questions/39": { isIsomorphic: { args: pairOf(text("abc"), s => s.replace(/[abc]/g, c => ({ a: "x", b: "y", c: "x" })[c])), bench: bench("characters in each string", (n, rand) => (s => [s, s.toUpperCase()])(randomText(n, rand))) } },
+    // Lowercase words: Solution 2 counts letters into 26 slots
+    "questions/40": { groupAnagrams: { args: tuple(array(text("abc", { maxLength: 3 }))), bench: bench("words of 5 letters", (n, rand) => [Array.from({ length: n }, () => randomText(5, rand, "abcdef"))]) } },
+    // JSON data: that is all Solution 1 copies
+    "questions/41": { deepClone: { args: tuple(json()), bench: bench("keys", (n, rand) => [randomObject(n, rand)]) } },
+    "questions/42": { objectToPairs: { args: tuple(object()), bench: bench("keys", (n, rand) => [randomObject(n, rand)]) } },
+    "questions/43": { pairsToObject: { args: tuple(array(tuple(text("abc", { minLength: 1, maxLength: 2 }), json(1)))), bench: bench("pairs", (n, rand) => [Object.entries(randomObject(n, rand))]) } },
+    "questions/45": { charCount: { args: tuple(string(ascii())), bench: bench("characters", (n, rand) => [randomText(n, rand)]) } },
+    "questions/46": {
+        // The stack-based solution visits the nested objects in another order
+        flattenObject: { args: tuple(tree()), normalize: sortedKeys, bench: bench("keys", (n, rand) => [randomObject(n, rand)]) },
+    },
+    "questions/47": {
+        // Flattened trees: Solution 2 keeps a value where another key wants an object
+        unflattenObject: { args: tuple(tree()).map(([nestedObject]) => [flatten(nestedObject)]), bench: bench("keys", (n, rand) => [flatten(randomObject(n, rand))]) },
+    },
+    "questions/48": { removeFalsyValues: { args: tuple(dictionary(oneOf(jsonLeaf, constantFrom(0, "", undefined, NaN)))), bench: bench("keys", (n, rand) => [randomObject(n, rand)]) } },
+    "questions/49": {
+        // The same keys in the same order on both sides: Solution 2 compares JSON text
+        deepEqual: {
+            args: pairOf(json(), value => JSON.parse(JSON.stringify(value))),
+            bench: bench("keys", (n, rand) => (obj => [obj, JSON.parse(JSON.stringify(obj))])(randomObject(n, rand))),
+        },
+    },
+    "questions/50": { LRUCache: { skip: "a class: its methods are checked by the examples" } },
+    "questions/52": {
+        // Flat objects of letters and numbers: URLSearchParams escapes more than
+        // encodeURIComponent, and Solution 3 writes arrays as key[]=
+        jsonToQueryString: { args: tuple(dictionary(oneOf(int, text("ab1")))), bench: bench("keys", (n, rand) => [Object.fromEntries(Array.from({ length: n }, (_, i) => [`k${i}`, rand.int(0, 99)]))]) },
+    },
+    "questions/53": {
+        // Letters and digits in key=value pairs: Solution 2 decodes "+" as itself
+        queryStringToJSON: {
+            args: tuple(array(tuple(text("ab", { minLength: 1, maxLength: 2 }), text("ab1"))).map(pairs => pairs.map(([key, value]) => `${key}=${value}`).join("&"))),
+            bench: bench("pairs", (n, rand) => [Array.from({ length: n }, (_, i) => `k${i}=${rand.int(0, 99)}`).join("&")]),
+        },
+    },
+    "questions/55": {
+        // Solution 3 groups by a function of the item rather than a key
+        groupBy: {
+            args: tuple(array(record({ kind: constantFrom("a", "b", 1), id: integer(0, 9) })), constantFrom("kind", "id")),
+            adapt: [null, null, ([arr, key]) => [arr, item => item[key]]],
+            bench: bench("items", (n, rand) => [Array.from({ length: n }, (_, id) => ({ id, kind: `k${rand.int(0, 9)}` })), "kind"]),
+        },
+    },
+    "questions/57": { fibonacciSeries: { args: tuple(integer(0, 80)), bench: bench("terms", n => [n]) } },
+    // Positive numbers: the subtraction method never ends given a zero
+    "questions/60": { gcd: { args: tuple(positive(), positive()) } },
+    "questions/61": { lcm: { args: tuple(positive(200), positive(200)) } },
+    "questions/62": { isArmstrong: { args: tuple(oneOf(integer(0, 1000), constantFrom(153, 370, 371, 407, 1634, 8208, 9474))) } },
+    "questions/63": { isPerfectNumber: { args: tuple(oneOf(integer(-5, 1000), constantFrom(6, 28, 496, 8128))) } },
+    // 0 to 2³¹ − 1: Solution 3 writes 32-bit two's complement
+    "questions/64": { decimalToBinary: { args: tuple(oneOf(integer(0, 1000), integer(0, 2 ** 31 - 1))) } },
+    "questions/65": { binaryToDecimal: { args: tuple(text("01", { minLength: 1, maxLength: 20 })), bench: bench("digits", (n, rand) => [randomText(Math.min(n, 1000), rand, "01")]) } },
+    "questions/67": { isNumberPalindrome: { args: tuple(palindromicNumber) } },
+    // Non-negative: Solution 1 meets the "-" sign, Solution 3 stops at any number below 10
+    "questions/68": { sumOfDigits: { args: tuple(integer(0, 1e9)) } },
+    // Below 10⁹: only Solution 2 answers 0 when the reversed number overflows 32 bits
+    "questions/69": { reverseNumber: { args: tuple(integer(-999999999, 999999999)) } },
+    "questions/70": { countSetBits: { args: tuple(oneOf(integer(-1000, 1000), integer(-(2 ** 31), 2 ** 31 - 1))) } },
+    "questions/71": { reverseStringRecursive: { args: tuple(string(ascii())), bench: benchText } },
+    "questions/72": { reverseArrayRecursive: { args: tuple(ints()), bench: benchInts } },
+    "questions/73": { flattenRecursive: { args: tuple(array(nested(int))), bench: benchNested } },
+    "questions/77": { sumArrayRecursive: { args: tuple(ints()), bench: benchInts } },
+    "questions/78": { findMaxRecursive: { args: tuple(ints({ minLength: 1 })), bench: benchInts } },
+    "questions/79": { keysToUpperCase: { args: tuple(json()), bench: bench("keys", (n, rand) => [randomObject(n, rand)]) } },
+    "questions/83": { promiseAll: { skip: "returns a promise: the examples check it" } },
+    "questions/84": { promiseRace: { skip: "returns a promise: the examples check it" } },
+    "questions/88": { EventEmitter: { skip: "a class: its methods are checked by the examples" } },
+
+    "additional/3": { partition: { args: tuple(ints(), constantFrom(isEven, isPositive)), bench: bench("elements", (n, rand) => [randomInts(n, rand), isEven]) } },
+    "additional/4": {
+        // Distinct elements, in any order of the permutations
+        permutations: { args: tuple(distinct(array(integer(0, 9), { minLength: 1, maxLength: 5 }))), normalize: unordered },
+    },
+    "additional/5": { powerSet: { args: tuple(distinct(array(integer(0, 9), { maxLength: 6 }))), normalize: subsets => unordered(subsets.map(subset => [...subset].sort((a, b) => a - b))) } },
+    "additional/7": {
+        kthLargest: {
+            args: ints({ minLength: 1 }).chain(list => integer(1, list.length).map(k => [list, k])),
+            bench: bench("elements, the median asked for", (n, rand) => [randomInts(n, rand), Math.ceil(n / 2)]),
+        },
+    },
+    "additional/9": {
+        slidingWindowMax: {
+            args: ints({ minLength: 1 }).chain(list => integer(1, list.length).map(k => [list, k])),
+            bench: bench("elements, windows of n / 4", (n, rand) => [randomInts(n, rand), Math.max(1, n >> 2)]),
+        },
+    },
+    // No zeros: Solution 1 divides by each element
+    "additional/10": { productExceptSelf: { args: tuple(array(integer(1, 9).chain(x => constantFrom(x, -x)), { maxLength: 8 })), bench: bench("elements", (n, rand) => [Array.from({ length: n }, () => (rand.bool() ? 1 : -1))]) } },
+    "additional/17": {
+        // Solution 3 always answers the encoding, the others the input when it is no shorter
+        compressString: {
+            args: tuple(text("aab")),
+            normalize: [null, null, (result, [str]) => (result.length < str.length ? result : str)],
+            bench: bench("characters", (n, rand) => [randomText(n, rand, "aaab")]),
+        },
+    },
+    // Solution 1 answers -0 for a lone "-" (0 × -1), the same number as atoi2's 0
+    "additional/18": { atoi: { normalize: n => n + 0, args: tuple(oneOf(text(" +-0123a"), integer(-(2 ** 40), 2 ** 40).map(String))), bench: bench("digits", (n, rand) => [randomText(Math.min(n, 300), rand, DIGITS)]) } },
+    "additional/19": { zigzagConvert: { args: tuple(text("abcdef"), integer(1, 6)), bench: bench("characters, 4 rows", (n, rand) => [randomText(n, rand), 4]) } },
+    "additional/20": { countAndSay: { args: tuple(integer(1, 15)) } },
+    "additional/30": { deepFreeze: { args: tuple(object()), normalize: frozen, bench: bench("keys", (n, rand) => [randomObject(n, rand)]) } },
+    "additional/34": { asyncWaterfall: { skip: "takes callbacks: the examples check it" } },
+    "additional/35": { parallelLimit: { skip: "returns a promise: the examples check it" } },
+
+    "must-practice/1": {
+        // Within the Basic Multilingual Plane: Solution 5 walks code points and keeps a
+        // surrogate pair together, the others reverse it into two lone surrogates
+        reverseString: { args: tuple(string(integer(0x20, 0xd7ff))), bench: benchText },
+        reverseNumber: { args: tuple(integer(-(2 ** 31), 2 ** 31 - 1)) },
+        reverseWords: { args: tuple(text("ab  ")), bench: bench("characters", (n, rand) => [randomWords(n, rand)]) },
+    },
+    "must-practice/2": {
+        isPalindrome: {
+            args: tuple(oneOf(palindromic("aA ,1"), string(ascii()))),
+            rows: [null, "Compare Reverse", null],
+            bench: bench("characters, a palindrome", (n, rand) => [(half => half + [...half].reverse().join(""))(randomText(n >> 1, rand, "abAB, "))]),
+        },
+        isNumberPalindrome: { args: tuple(palindromicNumber), rows: [null, "Half Reversal"] },
+    },
+    "must-practice/3": {
+        flattenOneLevel: { args: tuple(array(nested(int))), bench: benchNested },
+        flattenDeep: { args: tuple(array(nested(int))), rows: [null, "Recursive", "Stack (iterative)", null, "flat(Infinity)"], bench: benchNested },
+        flattenDepth: { args: tuple(array(nested(int, { depth: 4 })), integer(0, 4)), bench: bench("leaves, depth 2", (n, rand) => [randomNested(n, rand), 2]) },
+    },
+    "must-practice/6": { debounce: { skip: "timing: the examples check it under the virtual clock" } },
+    "must-practice/7": { throttle: { skip: "timing: the examples check it under the virtual clock" } },
+};
+
+// { a: { b: 1 } } → { "a.b": 1 }
+function flatten(obj, prefix = "", result = {}) {
+    for (const [key, value] of Object.entries(obj)) {
+        if (value !== null && typeof value === "object") flatten(value, `${prefix}${key}.`, result);
+        else result[prefix + key] = value;
+    }
+    return result;
+}
+
+module.exports = { INPUTS };